@@ -0,0 +1,305 @@
+/**
+ * @description Slash command untuk mengelola boost XP terjadwal (misal: "double XP weekend"):
+ *              menjadwalkan boost dengan waktu mulai/selesai dan scope channel/role opsional,
+ *              melihat daftar boost aktif/terjadwal, dan membatalkan boost.
+ *              Memerlukan izin 'Manage Guild'.
+ * @requires discord.js SlashCommandBuilder, PermissionFlagsBits, ChannelType, EmbedBuilder, MessageFlags
+ * @requires ../core/LevelingSystem (tipe parameter execute)
+ * @requires ../managers/BoostManager (implisit via levelingSystem)
+ * @requires ../utils/formatters parseDuration
+ */
+
+const {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  ChannelType,
+  EmbedBuilder,
+  MessageFlags,
+} = require("discord.js");
+const { parseDuration } = require("../utils/formatters");
+
+/**
+ * Mengubah input waktu menjadi Date. Mendukung durasi relatif (`30m`, `2h`, `3d`)
+ * yang dihitung dari `base`, atau waktu absolut UTC format `YYYY-MM-DD HH:mm`.
+ * @function parseTimeInput
+ * @param {string} input - Input waktu dari pengguna.
+ * @param {number} base - Timestamp acuan untuk durasi relatif (milidetik).
+ * @returns {Date|null} Objek Date, atau `null` jika format tidak dikenali.
+ * @private
+ */
+function parseTimeInput(input, base) {
+  const value = input.trim().toLowerCase();
+  if (/^0+\s*[mhd]?$/.test(value)) return new Date(base);
+  const duration = parseDuration(value);
+  if (duration) return new Date(base + duration);
+  const absolute = value.match(/^(\d{4})-(\d{2})-(\d{2})[ t](\d{2}):(\d{2})$/);
+  if (absolute) {
+    const [, year, month, day, hour, minute] = absolute.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day, hour, minute));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+/**
+ * Membuat deskripsi satu baris untuk sebuah boost.
+ * @function describeBoost
+ * @param {object} boost - Dokumen boost (lean).
+ * @returns {string} Deskripsi boost.
+ * @private
+ */
+function describeBoost(boost) {
+  const startsAt = Math.floor(new Date(boost.startsAt).getTime() / 1000);
+  const endsAt = Math.floor(new Date(boost.endsAt).getTime() / 1000);
+  const scope = [];
+  if (boost.channelId) scope.push(`<#${boost.channelId}>`);
+  if (boost.roleId) scope.push(`<@&${boost.roleId}>`);
+  return (
+    `**${boost.name || "Boost XP"}** · \`x${boost.multiplier}\`` +
+    (scope.length > 0 ? ` · ${scope.join(" ")}` : " · seluruh server") +
+    `\n<t:${startsAt}:f> → <t:${endsAt}:f> · ID: \`${boost._id}\``
+  );
+}
+
+/**
+ * @module boostCommand
+ * @description Definisi dan eksekusi untuk slash command `/boost`.
+ */
+module.exports = {
+  /**
+   * @property {SlashCommandBuilder} data - Konfigurasi slash command '/boost'.
+   */
+  data: new SlashCommandBuilder()
+    .setName("boost")
+    .setDescription("🚀 Mengelola event boost XP terjadwal di server ini.")
+    .setDMPermission(false)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand((sub) =>
+      sub
+        .setName("schedule")
+        .setDescription("Jadwalkan boost XP baru.")
+        .addNumberOption((opt) =>
+          opt
+            .setName("multiplier")
+            .setDescription(
+              "Pengganda XP, minimal 1.1 (misal: 2 untuk double XP).",
+            )
+            .setRequired(true)
+            .setMinValue(1.1)
+            .setMaxValue(10),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("end")
+            .setDescription(
+              "Durasi dari waktu mulai (48h, 2d) atau waktu UTC (YYYY-MM-DD HH:mm).",
+            )
+            .setRequired(true),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("start")
+            .setDescription(
+              "Mulai dalam (30m, 2h, 1d) atau waktu UTC (YYYY-MM-DD HH:mm). Default: sekarang.",
+            ),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("name")
+            .setDescription("Nama event (misal: Double XP Weekend).")
+            .setMaxLength(100),
+        )
+        .addChannelOption((opt) =>
+          opt
+            .setName("channel")
+            .setDescription(
+              "Batasi boost ke channel ini (termasuk thread, atau semua channel jika kategori).",
+            )
+            .addChannelTypes(
+              ChannelType.GuildText,
+              ChannelType.GuildVoice,
+              ChannelType.GuildStageVoice,
+              ChannelType.GuildForum,
+              ChannelType.GuildCategory,
+            ),
+        )
+        .addRoleOption((opt) =>
+          opt
+            .setName("role")
+            .setDescription("Batasi boost ke member dengan role ini saja."),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("list")
+        .setDescription("Tampilkan boost yang aktif dan terjadwal."),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("cancel")
+        .setDescription("Batalkan boost yang aktif atau terjadwal.")
+        .addStringOption((opt) =>
+          opt
+            .setName("id")
+            .setDescription("ID boost (lihat /boost list).")
+            .setRequired(true)
+            .setAutocomplete(true),
+        ),
+    ),
+
+  /**
+   * Fungsi yang menangani permintaan autocomplete untuk opsi 'id' (boost yang belum berakhir).
+   * @function autocomplete
+   * @param {import('discord.js').AutocompleteInteraction} interaction - Objek interaksi autocomplete.
+   * @param {import('../core/LevelingSystem')} levelingSystem - Instance LevelingSystem.
+   * @async
+   */
+  async autocomplete(interaction, levelingSystem) {
+    let suggestions = [];
+    try {
+      const focusedValue = interaction.options.getFocused().toLowerCase();
+      const boosts = await levelingSystem.boostManager.listBoosts(
+        interaction.guildId,
+      );
+      suggestions = boosts
+        .map((boost) => {
+          const name = `${boost.name || "Boost XP"} x${boost.multiplier} (${new Date(boost.startsAt).toISOString().slice(0, 16).replace("T", " ")} UTC)`;
+          return {
+            name: name.length > 100 ? name.slice(0, 97) + "..." : name,
+            value: boost._id.toString(),
+          };
+        })
+        .filter(
+          (choice) =>
+            choice.name.toLowerCase().includes(focusedValue) ||
+            choice.value.includes(focusedValue),
+        )
+        .slice(0, 25);
+      await interaction.respond(suggestions);
+    } catch (error) {
+      console.error(`[BoostAutocomplete] Gagal merespon autocomplete:`, error);
+    }
+  },
+
+  /**
+   * Fungsi eksekusi utama untuk command `/boost`.
+   * @function execute
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Objek interaksi command.
+   * @param {import('../core/LevelingSystem')} levelingSystem - Instance LevelingSystem.
+   * @async
+   */
+  async execute(interaction, levelingSystem) {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+    const boostManager = levelingSystem.boostManager;
+
+    await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+    try {
+      switch (subcommand) {
+        case "schedule": {
+          const now = Date.now();
+          const startInput = interaction.options.getString("start");
+          const startsAt = startInput
+            ? parseTimeInput(startInput, now)
+            : new Date(now);
+          if (!startsAt) {
+            return interaction.editReply(
+              "❌ Format `start` tidak dikenali. Gunakan durasi (`30m`, `2h`, `1d`) atau `YYYY-MM-DD HH:mm` (UTC).",
+            );
+          }
+          const endsAt = parseTimeInput(
+            interaction.options.getString("end"),
+            startsAt.getTime(),
+          );
+          if (!endsAt) {
+            return interaction.editReply(
+              "❌ Format `end` tidak dikenali. Gunakan durasi (`48h`, `2d`) atau `YYYY-MM-DD HH:mm` (UTC).",
+            );
+          }
+          if (endsAt <= startsAt || endsAt.getTime() <= now) {
+            return interaction.editReply(
+              "❌ Waktu selesai harus setelah waktu mulai dan di masa depan.",
+            );
+          }
+
+          const boost = await boostManager.scheduleBoost(guildId, {
+            name: interaction.options.getString("name"),
+            multiplier: interaction.options.getNumber("multiplier"),
+            startsAt,
+            endsAt,
+            channelId: interaction.options.getChannel("channel")?.id ?? null,
+            roleId: interaction.options.getRole("role")?.id ?? null,
+            createdBy: interaction.user.id,
+          });
+          return interaction.editReply(
+            `✅ Boost dijadwalkan:\n${describeBoost(boost)}`,
+          );
+        }
+
+        case "list": {
+          const boosts = await boostManager.listBoosts(guildId);
+          const now = Date.now();
+          const active = boosts.filter(
+            (b) => new Date(b.startsAt).getTime() <= now,
+          );
+          const upcoming = boosts.filter(
+            (b) => new Date(b.startsAt).getTime() > now,
+          );
+          const embed = new EmbedBuilder()
+            .setTitle("🚀 Boost XP")
+            .setColor("#FFD700")
+            .addFields(
+              {
+                name: "Aktif",
+                value:
+                  active.map(describeBoost).join("\n\n").slice(0, 1024) ||
+                  "`Tidak ada`",
+              },
+              {
+                name: "Terjadwal",
+                value:
+                  upcoming.map(describeBoost).join("\n\n").slice(0, 1024) ||
+                  "`Tidak ada`",
+              },
+            )
+            .setFooter({
+              text: "Jika beberapa boost berlaku sekaligus, multiplier tertinggi yang dipakai.",
+            })
+            .setTimestamp();
+          return interaction.editReply({ embeds: [embed] });
+        }
+
+        case "cancel": {
+          const boostId = interaction.options.getString("id");
+          if (!/^[a-f0-9]{24}$/i.test(boostId)) {
+            return interaction.editReply("❌ ID boost tidak valid.");
+          }
+          const boost = await boostManager.cancelBoost(guildId, boostId);
+          if (!boost) {
+            return interaction.editReply(
+              "❌ Boost tidak ditemukan atau sudah berakhir.",
+            );
+          }
+          return interaction.editReply(
+            `✅ Boost **${boost.name || "Boost XP"}** (\`x${boost.multiplier}\`) dibatalkan.`,
+          );
+        }
+      }
+    } catch (error) {
+      console.error(
+        `[BoostCmd] Error pada ${subcommand} di guild ${guildId}:`,
+        error,
+      );
+      await interaction
+        .editReply({
+          content: "❌ Terjadi kesalahan saat memproses boost XP.",
+        })
+        .catch(console.error);
+      levelingSystem.emit(
+        "error",
+        new Error(`Boost command error (${subcommand}): ${error.message}`),
+      );
+    }
+  },
+};
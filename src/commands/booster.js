@@ -0,0 +1,227 @@
+/**
+ * @description Slash command untuk moderator mengelola booster XP pribadi pengguna
+ *              (misal: "1.5x selama 24 jam" sebagai hadiah kontes): memberi (`grant`),
+ *              melihat daftar (`list`), dan mencabut (`revoke`) booster.
+ *              Memerlukan izin 'Moderate Members'.
+ * @requires discord.js SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, MessageFlags
+ * @requires ../core/LevelingSystem (tipe parameter execute)
+ * @requires ../managers/BoostManager (implisit via levelingSystem)
+ */
+
+const {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  EmbedBuilder,
+  MessageFlags,
+} = require("discord.js");
+
+/**
+ * Durasi maksimum booster pribadi (90 hari, dalam milidetik).
+ * @const {number}
+ * @private
+ */
+const MAX_BOOSTER_DURATION = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Membuat deskripsi satu baris untuk sebuah booster pribadi.
+ * @function describeBooster
+ * @param {object} booster - Dokumen booster (lean).
+ * @param {boolean} [withUser=false] - Sertakan mention pemilik booster.
+ * @returns {string} Deskripsi booster.
+ * @private
+ */
+function describeBooster(booster, withUser = false) {
+  const expiresAt = Math.floor(new Date(booster.expiresAt).getTime() / 1000);
+  let line =
+    (withUser ? `<@${booster.userId}> · ` : "") +
+    `\`x${booster.multiplier}\` · berakhir <t:${expiresAt}:R> · ID: \`${booster._id}\``;
+  if (booster.reason) line += `\n> ${booster.reason}`;
+  return line;
+}
+
+/**
+ * @module boosterCommand
+ * @description Definisi dan eksekusi untuk slash command `/booster`.
+ */
+module.exports = {
+  /**
+   * @property {SlashCommandBuilder} data - Konfigurasi slash command '/booster'.
+   */
+  data: new SlashCommandBuilder()
+    .setName("booster")
+    .setDescription("🧪 Mengelola booster XP pribadi pengguna.")
+    .setDMPermission(false)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+    .addSubcommand((sub) =>
+      sub
+        .setName("grant")
+        .setDescription("Berikan booster XP pribadi ke pengguna.")
+        .addUserOption((opt) =>
+          opt
+            .setName("user")
+            .setDescription("Pengguna penerima.")
+            .setRequired(true),
+        )
+        .addNumberOption((opt) =>
+          opt
+            .setName("multiplier")
+            .setDescription("Pengganda XP (misal: 1.5).")
+            .setRequired(true)
+            .setMinValue(1.01)
+            .setMaxValue(10),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("duration")
+            .setDescription("Lama booster berlaku (misal: 30m, 24h, 7d).")
+            .setRequired(true),
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("reason")
+            .setDescription("Alasan (misal: hadiah kontes).")
+            .setMaxLength(500),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("list")
+        .setDescription("Tampilkan booster yang masih berlaku.")
+        .addUserOption((opt) =>
+          opt
+            .setName("user")
+            .setDescription("Filter pengguna (default: semua pengguna)."),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("revoke")
+        .setDescription("Cabut booster pribadi.")
+        .addStringOption((opt) =>
+          opt
+            .setName("id")
+            .setDescription("ID booster (lihat /booster list).")
+            .setRequired(true),
+        ),
+    ),
+
+  /**
+   * Fungsi eksekusi utama untuk command `/booster`.
+   * @function execute
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Objek interaksi command.
+   * @param {import('../core/LevelingSystem')} levelingSystem - Instance LevelingSystem.
+   * @async
+   */
+  async execute(interaction, levelingSystem) {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+    const boostManager = levelingSystem.boostManager;
+
+    await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+    try {
+      switch (subcommand) {
+        case "grant": {
+          const targetUser = interaction.options.getUser("user");
+          if (targetUser.bot) {
+            return interaction.editReply("❌ Bot tidak dapat menerima XP.");
+          }
+          const durationMillis = levelingSystem.formatters.parseDuration(
+            interaction.options.getString("duration"),
+          );
+          if (!durationMillis) {
+            return interaction.editReply(
+              "❌ Format durasi tidak dikenali. Gunakan misalnya `30m`, `24h`, atau `7d`.",
+            );
+          }
+          if (durationMillis > MAX_BOOSTER_DURATION) {
+            return interaction.editReply("❌ Durasi booster maksimal 90 hari.");
+          }
+          const booster = await boostManager.grantBooster(
+            guildId,
+            targetUser.id,
+            {
+              multiplier: interaction.options.getNumber("multiplier"),
+              durationMillis,
+              grantedBy: interaction.user.id,
+              reason: interaction.options.getString("reason"),
+            },
+          );
+          return interaction.editReply(
+            `✅ Booster diberikan ke ${targetUser}: ${describeBooster(booster)}`,
+          );
+        }
+
+        case "list": {
+          const targetUser = interaction.options.getUser("user");
+          const boosters = targetUser
+            ? await boostManager.getUserBoosters(guildId, targetUser.id)
+            : await boostManager.listGuildBoosters(guildId);
+          const config =
+            await levelingSystem.guildConfigManager.getConfig(guildId);
+
+          let description =
+            boosters.length > 0
+              ? boosters.map((b) => describeBooster(b, !targetUser)).join("\n")
+              : "Tidak ada booster yang masih berlaku.";
+          if (description.length > 4096) {
+            description = description.slice(0, 4090) + "\n...";
+          }
+
+          const embed = new EmbedBuilder()
+            .setTitle(
+              targetUser
+                ? `🧪 Booster Pribadi - ${targetUser.username}`
+                : "🧪 Booster Pribadi Aktif",
+            )
+            .setColor("#9B59B6")
+            .setDescription(description)
+            .setFooter({ text: `Mode stacking: ${config.boosterStacking}` })
+            .setTimestamp();
+          if (targetUser && boosters.length > 0) {
+            embed.addFields({
+              name: "Multiplier Gabungan",
+              value: `\`x${boostManager
+                .combineBoosterMultipliers(
+                  boosters.map((b) => b.multiplier),
+                  config.boosterStacking,
+                )
+                .toFixed(2)}\``,
+            });
+          }
+          return interaction.editReply({ embeds: [embed] });
+        }
+
+        case "revoke": {
+          const boosterId = interaction.options.getString("id");
+          if (!/^[a-f0-9]{24}$/i.test(boosterId)) {
+            return interaction.editReply("❌ ID booster tidak valid.");
+          }
+          const booster = await boostManager.revokeBooster(guildId, boosterId);
+          if (!booster) {
+            return interaction.editReply(
+              "❌ Booster tidak ditemukan atau sudah kedaluwarsa.",
+            );
+          }
+          return interaction.editReply(
+            `✅ Booster \`x${booster.multiplier}\` milik <@${booster.userId}> telah dicabut.`,
+          );
+        }
+      }
+    } catch (error) {
+      console.error(
+        `[BoosterCmd] Error pada ${subcommand} di guild ${guildId}:`,
+        error,
+      );
+      await interaction
+        .editReply({
+          content: "❌ Terjadi kesalahan saat memproses booster.",
+        })
+        .catch(console.error);
+      levelingSystem.emit(
+        "error",
+        new Error(`Booster command error (${subcommand}): ${error.message}`),
+      );
+    }
+  },
+};
@@ -17,10 +17,23 @@ const configDocs = {
       "Mengatur jumlah Experience Points (XP) dasar yang diberikan kepada pengguna setiap kali mereka mengirim pesan yang valid (setelah cooldown dan tidak di channel/role yang diabaikan).",
     command: "`/levelconfig settings xp_message amount:<jumlah>`",
     defaultValue: "`15` XP (jika tidak diatur)",
-    notes: "Setel ke `0` untuk menonaktifkan pemberian XP dari pesan.",
+    notes:
+      "Setel ke `0` untuk menonaktifkan pemberian XP dari pesan. Mengatur nilai ini juga menyetel rentang acak (`xp_message_range`) ke nilai tetap yang sama.",
     example:
       "`/levelconfig settings xp_message amount:20` (memberikan 20 XP per pesan valid)",
   },
+  xp_message_range: {
+    title: "Pengaturan: Rentang XP Acak per Pesan",
+    description:
+      "Mengatur XP dasar per pesan sebagai angka acak (distribusi seragam) antara nilai minimum dan maksimum, sehingga progres lebih bervariasi dan sulit di-farming. Multiplier role, channel, dan prestige tetap diterapkan setelah angka diundi.",
+    command:
+      "`/levelconfig settings xp_message_range min:<jumlah> max:<jumlah>`",
+    defaultValue: "`15-15` XP (sama dengan `xp_message`)",
+    notes:
+      "Nilai `min` dan `max` termasuk dalam undian. Menggunakan `xp_message` akan mengatur min dan max ke nilai yang sama (XP tetap). Setel `max` ke `0` untuk menonaktifkan XP pesan.",
+    example:
+      "`/levelconfig settings xp_message_range min:10 max:25` (setiap pesan valid memberi 10 hingga 25 XP sebelum multiplier)",
+  },
   xp_voice: {
     title: "Pengaturan: XP per Menit Suara",
     description:
@@ -45,11 +58,11 @@ const configDocs = {
   penalty_system: {
     title: "Pengaturan: Sistem Penalty",
     description:
-      "Mengaktifkan atau menonaktifkan kemampuan untuk mengurangi XP pengguna secara manual (misalnya melalui command admin di masa depan atau fitur penalty otomatis).",
+      "Mengaktifkan atau menonaktifkan kemampuan untuk mengurangi XP pengguna secara manual melalui `/xp take`, `/xp reset`, atau `/xp set` ke nilai yang lebih rendah.",
     command: "`/levelconfig settings penalty_system enabled:<true|false>`",
     defaultValue: "`false` (Nonaktif)",
     notes:
-      "Fitur ini hanya mengaktifkan/menonaktifkan sistemnya, logika pengurangan XP spesifik mungkin memerlukan implementasi lebih lanjut.",
+      "Penambahan XP melalui `/xp give` tetap bisa dilakukan walaupun sistem penalty nonaktif. Semua penyesuaian manual dicatat beserta alasannya di `/xplog`.",
     example: "`/levelconfig settings penalty_system enabled:true`",
   },
   leaderboard_style: {
@@ -95,6 +108,89 @@ const configDocs = {
     example:
       '`/levelconfig notifications message_format format:"Hore {username}, kamu sekarang Level {level} di {guildName}!"`',
   },
+  multiplier_stacking: {
+    title: "Pengaturan: Stacking Multiplier",
+    description:
+      "Menentukan cara semua multiplier digabungkan untuk XP pesan maupun suara: multiplier role, multiplier channel, boost XP server, booster pribadi, bonus prestige, dan bonus streak harian.",
+    command:
+      "`/levelconfig settings multiplier_stacking mode:<highest|multiplicative|additive|capped> [cap:<angka>]`",
+    defaultValue: "`highest` (batas `x3` untuk mode `capped`)",
+    notes:
+      "`highest`: hanya role dengan multiplier tertinggi yang dihitung, lalu dikalikan faktor lain. `multiplicative`: semua role dan faktor lain dikalikan. `additive`: bonus setiap faktor dijumlahkan (x1.5 dan x2 = x2.5). `capped`: seperti `multiplicative`, tetapi total tidak melebihi `cap`. Gunakan `/levelconfig view member:<@user>` untuk melihat contoh perhitungan.",
+    example: "`/levelconfig settings multiplier_stacking mode:capped cap:4`",
+  },
+  booster_stacking: {
+    title: "Pengaturan: Stacking Booster Pribadi",
+    description:
+      "Menentukan cara beberapa booster XP pribadi milik satu pengguna digabungkan. Booster pribadi diberikan moderator melalui `/booster grant` dan berlaku untuk XP pesan maupun suara, di atas multiplier role, channel, dan boost server.",
+    command:
+      "`/levelconfig settings booster_stacking mode:<highest|multiplicative|additive>`",
+    defaultValue: "`highest`",
+    notes:
+      "`highest`: hanya booster terkuat yang berlaku. `multiplicative`: semua booster dikalikan (x1.5 dan x2 = x3). `additive`: bonus dijumlahkan (x1.5 dan x2 = x2.5).",
+    example: "`/levelconfig settings booster_stacking mode:additive`",
+  },
+  voice_rules: {
+    title: "Pengaturan: Aturan XP Suara",
+    description:
+      "Memastikan XP suara hanya diberikan saat percakapan nyata memungkinkan. Interval dilewati jika jumlah member non-bot yang tidak deafen di channel (termasuk pengguna itu sendiri) kurang dari batas minimum, atau jika pengguna berada di channel AFK server.",
+    command:
+      "`/levelconfig voice rules min_members:[1-99] self_mute_multiplier:[0-2]`",
+    defaultValue: "`min_members: 1`, `self_mute_multiplier: 1`",
+    notes:
+      "`self_mute_multiplier` mengalikan XP suara saat pengguna self-mute; `0` berarti tidak mendapat XP sama sekali. Channel AFK selalu diabaikan. Setiap interval yang dilewati dicatat beserta alasannya dan memicu event `voiceXpSkipped`.",
+    example:
+      "`/levelconfig voice rules min_members:2 self_mute_multiplier:0.5`",
+  },
+  reaction_xp: {
+    title: "Pengaturan: XP Reaksi",
+    description:
+      "Memberi XP kepada penulis pesan untuk setiap pengguna unik yang memberi reaksi pada pesannya. Cocok untuk channel art atau meme yang aktivitasnya berupa reaksi, bukan jumlah pesan.",
+    command:
+      "`/levelconfig reactions toggle enabled:<True|False>`\n`/levelconfig reactions settings xp:[0-1000] max_per_message:[angka] max_per_author_hour:[angka] cooldown:[detik]`",
+    defaultValue:
+      "`Nonaktif` (`xp: 5`, `max_per_message: 10`, `max_per_author_hour: 100`, `cooldown: 60`)",
+    notes:
+      "Reaksi dari bot dan dari penulis sendiri diabaikan. Setiap pengguna hanya dihitung sekali per pesan, dan pasangan reactor-penulis yang sama terkena cooldown. Channel/role yang diabaikan serta multiplier XP tetap berlaku. XP dicatat dengan sumber `reaction` sehingga notifikasi level up dan role reward berjalan seperti biasa.",
+    example:
+      "`/levelconfig reactions toggle enabled:True`\n`/levelconfig reactions settings xp:3 max_per_message:20`",
+  },
+  streaks: {
+    title: "Pengaturan: Streak Harian",
+    description:
+      "Menghitung jumlah hari berturut-turut pengguna mendapatkan XP (dari pesan, suara, reaksi, atau plugin). Streak memberi bonus XP saat mencapai milestone tertentu dan multiplier XP selama streak aktif. Streak saat ini dan streak terbaik ditampilkan di `/rank`.",
+    command:
+      "`/levelconfig streaks toggle enabled:<True|False>`\n`/levelconfig streaks multiplier [per_day:<0-0.5>] [max:<1-5>]`\n`/levelconfig streaks milestone days:<hari> xp:<jumlah>`\n`/levelconfig settings timezone zone:<IANA>`",
+    defaultValue:
+      "`Nonaktif` (`per_day: 0`, `max: 1.5`, tanpa milestone, zona waktu `UTC`)",
+    notes:
+      "Pergantian hari mengikuti zona waktu server. Streak putus jika pengguna tidak mendapat XP selama satu hari kalender penuh. XP manual dari moderator tidak dihitung. Bonus milestone dicatat dengan sumber `streak` dan `xp:0` menghapus milestone. Event `streakIncreased` dan `streakLost` diteruskan ke plugin.",
+    example:
+      "`/levelconfig settings timezone zone:Asia/Jakarta`\n`/levelconfig streaks toggle enabled:True`\n`/levelconfig streaks multiplier per_day:0.02 max:1.5`\n`/levelconfig streaks milestone days:7 xp:200`",
+  },
+  voice_interval: {
+    title: "Pengaturan: Interval XP Suara",
+    description:
+      "Menentukan seberapa sering XP suara diberikan kepada pengguna yang sedang berada di voice channel. XP dihitung dari durasi sebenarnya sejak pemberian terakhir, sehingga pemeriksaan yang terlambat tidak mengurangi atau menggandakan XP.",
+    command: "`/levelconfig voice interval minutes:[1-60]`",
+    defaultValue: "`5` menit",
+    notes:
+      "Interval lebih pendek membuat progress terasa lebih cepat tanpa mengubah total XP per menit (`xp_voice`). XP sisa tetap diberikan saat pengguna keluar channel.",
+    example: "`/levelconfig voice interval minutes:2`",
+  },
+  voice_multipliers: {
+    title: "Pengaturan: Multiplier Aktivitas Suara",
+    description:
+      "Memberi bonus XP suara untuk pengguna yang streaming (Go Live) atau menyalakan kamera, serta multiplier terpisah untuk pembicara dan penonton di stage channel. Bonus hanya berlaku untuk bagian interval yang benar-benar dihabiskan streaming, menyalakan kamera, atau menjadi pembicara.",
+    command:
+      "`/levelconfig voice multipliers stream:[1-5] video:[1-5] stage_speaker:[0.1-5] stage_audience:[0-5]`",
+    defaultValue:
+      "`stream: 1`, `video: 1`, `stage_speaker: 1`, `stage_audience: 0`",
+    notes:
+      "Bonus streaming dan kamera dijumlahkan (x1.5 dan x1.2 = x1.7 jika keduanya aktif sepanjang interval). `stage_audience: 0` berarti penonton stage tidak mendapat XP suara. Multiplier ini dikalikan dengan multiplier role, channel, boost, booster, dan prestige.",
+    example:
+      "`/levelconfig voice multipliers stream:1.5 video:1.25 stage_audience:0.5`",
+  },
   ignored_roles: {
     title: "Pengaturan: Role yang Diabaikan",
     description:
@@ -108,14 +204,26 @@ const configDocs = {
   ignored_channels: {
     title: "Pengaturan: Channel yang Diabaikan",
     description:
-      "Menambahkan atau menghapus channel (teks atau suara) dari daftar abaikan. Aktivitas di channel ini tidak akan memberikan XP.",
+      "Menambahkan atau menghapus channel (teks, suara, forum, atau kategori) dari daftar abaikan. Aktivitas di channel ini tidak akan memberikan XP.",
     command:
       "`/levelconfig ignores <add_channel|remove_channel> channel:[#channel]`",
     defaultValue: "`Tidak ada`",
     notes:
-      "Berguna untuk channel spam, channel bot commands, atau channel AFK.",
+      "Berguna untuk channel spam, channel bot commands, atau channel AFK. Pengaturan diwarisi: thread dan post forum ikut diabaikan jika channel induknya diabaikan, dan semua channel di kategori yang diabaikan ikut diabaikan (termasuk XP suara dan reaksi).",
+    example:
+      "`/levelconfig ignores add_channel channel:#bot-spam`\n`/levelconfig ignores add_channel channel:ARSIP`\n`/levelconfig ignores remove_channel channel:#afk-area`",
+  },
+  message_filters: {
+    title: "Pengaturan: Filter Kualitas Pesan",
+    description:
+      "Menahan XP untuk pesan berkualitas rendah guna mencegah farming XP: pesan terlalu pendek (karakter/kata), pesan yang cocok dengan pola regex (misal prefix command bot lain), pesan yang hanya berisi emoji atau sticker, dan pesan yang hampir sama dengan pesan sebelumnya dari pengguna yang sama.",
+    command:
+      "`/levelconfig filters length [min_chars] [min_words]`\n`/levelconfig filters <add_pattern|remove_pattern> pattern:<regex>`\n`/levelconfig filters <emoji_only|sticker_only> enabled:<True|False>`\n`/levelconfig filters duplicates similarity:<0-100>`",
+    defaultValue: "`Semua filter nonaktif, kecuali sticker saja (aktif)`",
+    notes:
+      "Pesan sticker saja tidak mendapat XP kecuali `sticker_only` dinonaktifkan. Pola regex tidak peka huruf besar/kecil (maksimal 20 pola); pola dengan quantifier bersarang (misal `(a+)+`) atau backreference ditolak agar tidak membuat bot macet. Kemiripan duplikat dihitung dari jarak edit teks; `0` menonaktifkan filter. Pesan yang ditolak tidak memakai cooldown dan memicu event `messageXpRejected` berisi alasan penolakan (`min_chars`, `min_words`, `ignored_pattern`, `emoji_only`, `sticker_only`, `duplicate`).",
     example:
-      "`/levelconfig ignores add_channel channel:#bot-spam`\n`/levelconfig ignores remove_channel channel:#afk-area`",
+      "`/levelconfig filters length min_chars:5 min_words:2`\n`/levelconfig filters add_pattern pattern:^[!?.]`\n`/levelconfig filters duplicates similarity:90`",
   },
   role_multiplier: {
     title: "Pengaturan: Multiplier XP Role",
@@ -132,26 +240,71 @@ const configDocs = {
   channel_multiplier: {
     title: "Pengaturan: Multiplier XP Channel",
     description:
-      "Memberikan pengganda (multiplier) XP untuk aktivitas (biasanya pesan) yang terjadi di channel tertentu.",
+      "Memberikan pengganda (multiplier) XP untuk aktivitas (pesan, reaksi, atau suara) yang terjadi di channel, thread, forum, atau kategori tertentu.",
     command:
       "`/levelconfig multipliers <set_channel|remove_channel> channel:[#channel] [multiplier:<angka>]`",
     defaultValue: "`Tidak ada`",
     notes:
-      "Multiplier adalah faktor pengali (misal: `1.2` untuk +20% XP di channel event, `0.8` untuk -20% di channel diskusi umum). Gunakan `remove_channel` untuk menghapus.",
+      "Multiplier adalah faktor pengali (misal: `1.2` untuk +20% XP di channel event, `0.8` untuk -20% di channel diskusi umum). Thread/post forum mewarisi multiplier channel induknya, dan channel mewarisi multiplier kategorinya. Pengaturan yang paling spesifik menang: thread → channel induk → kategori. Gunakan `remove_channel` untuk menghapus.",
     example:
       "`/levelconfig multipliers set_channel channel:#acara-khusus multiplier:1.2`\n`/levelconfig multipliers remove_channel channel:#general`",
   },
   level_roles: {
-    title: "Pengaturan: Role Reward Level",
+    title: "Pengaturan: Paket Reward Level",
     description:
-      "Secara otomatis memberikan role kepada pengguna ketika mereka mencapai level tertentu. Anda dapat menambahkan, memperbarui, atau menghapus role reward ini.",
+      "Setiap level dapat memiliki paket reward yang diberikan saat pengguna mencapainya: beberapa role, baris pengumuman tambahan di notifikasi level up, bonus XP sekali, dan pesan DM.",
     command:
-      "`/levelconfig rewards <add_role|remove_role|list_roles> [level:<level>] [role:[@role]]`",
+      "`/levelconfig rewards add_role level:<level> role:<@role>`\n`/levelconfig rewards remove_role level:<level> [role:<@role>]`\n`/levelconfig rewards add_item level:<level> type:<Pengumuman|Bonus XP|Pesan DM> value:<teks/jumlah>`\n`/levelconfig rewards remove_item level:<level> type:<...>`\n`/levelconfig rewards list_roles`",
     defaultValue: "`Tidak ada`",
     notes:
-      "Gunakan `add_role` untuk menambah/mengupdate, `remove_role` untuk menghapus berdasarkan level, dan `list_roles` untuk melihat daftar saat ini. Pastikan bot memiliki izin untuk mengelola role tersebut dan posisi role bot lebih tinggi.",
+      "`remove_role` tanpa `role` menghapus semua role di paket level tersebut. Strategi role (`role_strategy`) berlaku per paket: `highest_only` dan `remove_previous` mempertahankan semua role dari paket level tertinggi yang dicapai. Bonus XP (sumber `reward`) dan DM hanya diberikan sekali per pengguna, termasuk setelah level turun atau prestige, dan memicu event `levelRewardGranted`. Pengumuman dan DM mendukung placeholder `{userMention}`, `{username}`, `{level}`, dan `{guildName}`. Pastikan posisi role bot lebih tinggi dari role reward.",
+    example:
+      "`/levelconfig rewards add_role level:10 role:@Member Aktif`\n`/levelconfig rewards add_item level:10 type:Bonus XP value:500`\n`/levelconfig rewards add_item level:10 type:Pesan DM value:Selamat {username}, kamu Level {level} di {guildName}!`\n`/levelconfig rewards remove_role level:5`",
+  },
+  reward_rules: {
+    title: "Pengaturan: Aturan Reward Berulang & Rentang",
+    description:
+      "Aturan reward berlaku untuk banyak level sekaligus tanpa mengatur setiap level satu per satu. Aturan berulang (`every`) mengumumkan pesan setiap N level, dan aturan rentang memberi role selama level pengguna berada di antara `start` dan `end`. Aturan dievaluasi bersama paket reward per level.",
+    command:
+      "`/levelconfig rewards add_rule start:<level> [end:<level>] [every:<N>] [role:<@role>] [channel:<#channel>] [message:<teks>]`\n`/levelconfig rewards remove_rule number:<nomor>`\n`/levelconfig rewards list_roles`",
+    defaultValue: "`Tidak ada`",
+    notes:
+      "Role aturan tidak mengikuti `role_strategy`: role dipasang saat level mencapai `start` dan dilepas otomatis setelah melewati `end` (atau saat level turun di bawah `start`). Pengumuman dikirim ke `channel` jika diisi, atau ditambahkan ke notifikasi level up; placeholder `{level}` berisi level yang cocok. `list_roles` menampilkan tabel reward efektif per level (paket dan aturan) beserta nomor aturan untuk `remove_rule`. Maksimal 25 aturan per server.",
+    example:
+      "`/levelconfig rewards add_rule start:10 every:10 channel:#milestones message:{userMention} mencapai Level {level}!`\n`/levelconfig rewards add_rule start:20 end:29 role:@Veteran`",
+  },
+  restore_on_rejoin: {
+    title: "Pengaturan: Pulihkan Role Saat Rejoin",
+    description:
+      "Saat member yang pernah mendapat XP keluar lalu bergabung kembali, role level dan role prestige-nya dipasang lagi berdasarkan level yang masih tersimpan dan strategi role server.",
+    command: "`/levelconfig rewards restore_on_rejoin enabled:<True|False>`",
+    defaultValue: "`Aktif`",
+    notes:
+      "Member yang belum pernah mendapat XP tidak diproses. Role yang dipasang memicu event `roleAwarded` dengan sumber `rejoin`. Bot memerlukan intent Server Members dan posisi role bot harus lebih tinggi dari role reward.",
+    example: "`/levelconfig rewards restore_on_rejoin enabled:False`",
+  },
+  leave_policy: {
+    title: "Pengaturan: Kebijakan Member Keluar",
+    description:
+      "Menentukan perlakuan data level member yang keluar dari server: `keep` tetap menampilkannya di leaderboard, `hide` menyembunyikannya dari leaderboard dan peringkat hingga member kembali, dan `delete` menyembunyikannya lalu menghapus datanya setelah masa tenggang.",
+    command:
+      "`/levelconfig settings leave_policy mode:<keep|hide|delete> [grace_days:<1-365>]`",
+    defaultValue: "`keep`, masa tenggang `30` hari",
+    notes:
+      "Waktu keluar selalu dicatat, sehingga perubahan kebijakan juga berlaku untuk member yang sudah keluar sebelumnya. Member yang kembali sebelum datanya dihapus mendapatkan kembali XP dan levelnya; sebelum menghapus, bot memastikan member memang sudah tidak ada di server, dan member yang mendapat XP lagi dari pesan, suara, atau reaksi otomatis tidak lagi dianggap keluar (XP dari moderator, plugin, atau bonus tidak mengubah status ini). Pembersihan berjalan setiap jam dan memicu event `departedMembersPurged`; riwayat XP (ledger) tetap mengikuti retensinya sendiri. Bot memerlukan intent Server Members.",
     example:
-      "`/levelconfig rewards add_role level:10 role:@Member Aktif`\n`/levelconfig rewards remove_role level:5`\n`/levelconfig rewards list_roles`",
+      "`/levelconfig settings leave_policy mode:hide`\n`/levelconfig settings leave_policy mode:delete grace_days:14`",
+  },
+  role_sync: {
+    title: "Pengaturan: Sinkronisasi Role Reward",
+    description:
+      "Menerapkan role reward ke semua pengguna yang tercatat di server sesuai level dan strategi role saat ini. Perubahan role reward atau strategi biasanya baru berlaku saat pengguna naik level berikutnya; command ini menerapkannya sekarang.",
+    command: "`/levelconfig rewards sync [dry_run:<True|False>]`",
+    defaultValue: "`dry_run: False`",
+    notes:
+      "Gunakan `dry_run:True` untuk melihat daftar role yang akan ditambah/dihapus per member tanpa mengubah apa pun. Progress ditampilkan selama proses berjalan, dan perubahan role diberi jeda agar tidak terkena rate limit Discord (server besar dapat memakan waktu beberapa menit). Hanya satu sinkronisasi yang dapat berjalan per server. Role yang diberikan memicu event `roleAwarded` dengan sumber `sync`, dan event `guildRolesSynced` dipicu di akhir.",
+    example:
+      "`/levelconfig rewards sync dry_run:True`\n`/levelconfig rewards sync`",
   },
   role_strategy: {
     title: "Pengaturan: Strategi Hapus Role Lama",
@@ -160,9 +313,75 @@ const configDocs = {
     command: "`/levelconfig rewards role_strategy strategy:<pilihan>`",
     defaultValue: "`keep_all`",
     notes:
-      "Pilihan:\n`keep_all`: Semua role level yang didapat akan disimpan.\n`highest_only`: Hanya role dari level tertinggi yang dicapai yang akan disimpan, role level lebih rendah akan dihapus.\n`remove_previous`: Semua role dari level di bawah level baru akan dihapus.",
+      "Pilihan:\n`keep_all`: Semua role level yang didapat akan disimpan.\n`highest_only`: Hanya role dari level tertinggi yang dicapai yang akan disimpan, role level lebih rendah akan dihapus.\n`remove_previous`: Semua role dari level di bawah level baru akan dihapus.\nPada semua strategi, termasuk `keep_all`, role dari level yang belum dicapai (misal setelah level turun karena kurva diubah atau XP dikurangi) akan dihapus saat role diselaraskan.\nStrategi juga berlaku saat level turun: pada `highest_only` dan `remove_previous`, role dari level tertinggi yang masih dicapai dipasang kembali.",
     example: "`/levelconfig rewards role_strategy strategy:highest_only`",
   },
+  level_curve: {
+    title: "Pengaturan: Kurva Level",
+    description:
+      "Menentukan total XP yang dibutuhkan untuk mencapai setiap level. Pilihan: kuadrat dengan koefisien kustom, linear, eksponensial, atau tabel XP eksplisit per level.",
+    command:
+      "`/levelconfig curve set formula:<quadratic|linear|exponential|table> [a] [b] [c] [step] [base] [growth] [table]`\n`/levelconfig curve preview [levels]`",
+    defaultValue: "`quadratic` (`5 * level² + 50 * level + 100`)",
+    notes:
+      "Mengganti kurva akan menghitung ulang level semua pengguna berdasarkan XP mereka dan menyelaraskan role reward, tanpa mengirim notifikasi level up. Untuk `table`, masukkan total XP kumulatif per level (harus terus naik); level setelah tabel berakhir mengikuti selisih terakhir. Gunakan `preview` untuk melihat ambang XP N level pertama.",
+    example:
+      "`/levelconfig curve set formula:linear step:200`\n`/levelconfig curve set formula:table table:100,300,600,1000`\n`/levelconfig curve preview levels:20`",
+  },
+  max_level: {
+    title: "Pengaturan: Level Maksimum & Prestige",
+    description:
+      "Menentukan level maksimum di server. Pengguna yang mencapainya tidak lagi mendapatkan XP dan dapat menggunakan `/prestige` untuk mereset XP dan level ke 0 sambil naik satu tier prestige.",
+    command: "`/levelconfig prestige max_level level:<level>`",
+    defaultValue: "`0` (Tanpa batas, prestige nonaktif)",
+    notes:
+      "Tier prestige ditampilkan di `/rank`, kartu rank, dan `/leaderboard`. Leaderboard diurutkan berdasarkan tier prestige terlebih dahulu, lalu XP.",
+    example: "`/levelconfig prestige max_level level:100`",
+  },
+  prestige_bonus: {
+    title: "Pengaturan: Bonus XP Prestige",
+    description:
+      "Memberikan multiplier XP permanen berdasarkan tier prestige pengguna. Bonus dikalikan dengan tier (misal: 10% per tier berarti Prestige 3 mendapat +30% XP).",
+    command: "`/levelconfig prestige xp_bonus percent:<persen>`",
+    defaultValue: "`0`% (Tidak ada bonus)",
+    notes:
+      "Bonus berlaku untuk XP pesan dan suara, di atas multiplier role dan channel.",
+    example: "`/levelconfig prestige xp_bonus percent:10`",
+  },
+  prestige_roles: {
+    title: "Pengaturan: Role Reward Prestige",
+    description:
+      "Memberikan role secara otomatis saat pengguna mencapai tier prestige tertentu.",
+    command:
+      "`/levelconfig prestige <add_role|remove_role> tier:<tier> [role:[@role]]`",
+    defaultValue: "`Tidak ada`",
+    notes:
+      "Role prestige mengikuti strategi hapus role yang sama dengan role reward level (`role_strategy`). Saat prestige, role reward level disesuaikan kembali ke Level 0.",
+    example:
+      "`/levelconfig prestige add_role tier:1 role:@Veteran`\n`/levelconfig prestige remove_role tier:1`",
+  },
+  ledger_retention: {
+    title: "Pengaturan: Retensi Riwayat XP",
+    description:
+      "Menentukan berapa lama setiap transaksi XP (pesan, suara, penalty, aksi admin, dll.) disimpan di ledger dan dapat dilihat moderator melalui `/xplog`.",
+    command: "`/levelconfig settings ledger_retention days:<hari>`",
+    defaultValue: "`30` hari",
+    notes:
+      "Nilai `0` menyimpan riwayat selamanya. Perubahan hanya berlaku untuk transaksi baru; entri lama tetap kedaluwarsa sesuai retensi saat dicatat.",
+    example: "`/levelconfig settings ledger_retention days:90`",
+  },
+  xp_decay: {
+    title: "Pengaturan: Decay XP",
+    description:
+      "Mengurangi XP pengguna yang tidak aktif (tidak mengirim pesan dan tidak mendapatkan XP) selama jumlah hari tertentu. Decay diterapkan sekali per hari, berupa persentase XP atau jumlah tetap, dan tidak menurunkan XP di bawah batas minimum.",
+    command:
+      "`/levelconfig decay toggle enabled:<True|False>`\n`/levelconfig decay settings [inactive_days] [mode] [amount] [floor]`\n`/levelconfig decay preview`",
+    defaultValue: "`Nonaktif` (30 hari, 5% per hari, minimum 0 XP)",
+    notes:
+      "Pengurangan XP memicu level down dan penghapusan role seperti biasa. Gunakan `preview` untuk melihat siapa yang akan terdampak sebelum mengaktifkan decay.",
+    example:
+      "`/levelconfig decay settings inactive_days:14 mode:percent amount:2 floor:500`",
+  },
 };
 
 /**
@@ -12,6 +12,7 @@ const {
  * @param {Array<object>} leaderboardData - Data leaderboard dari DB.
  * @param {import('discord.js').Guild} guild - Objek Guild.
  * @param {number} limit - Jumlah entri yang ditampilkan.
+ * @param {object|null} [view=null] - Tampilan season/periode dari {@link buildView}. `null` untuk leaderboard XP seumur hidup.
  * @returns {Promise<void>}
  */
 async function displayAsText(
@@ -20,13 +21,18 @@ async function displayAsText(
   leaderboardData,
   guild,
   limit,
+  view = null,
 ) {
   const embed = new EmbedBuilder()
-    .setTitle(`🏆 Papan Peringkat Level - ${guild.name}`)
+    .setTitle(
+      view
+        ? `${view.title} - ${guild.name}`
+        : `🏆 Papan Peringkat Level - ${guild.name}`,
+    )
     .setColor("#FFD700")
     .setTimestamp()
     .setDescription(
-      `Menampilkan ${leaderboardData.length} pengguna teratas berdasarkan XP.`,
+      `Menampilkan ${leaderboardData.length} pengguna teratas berdasarkan ${view ? view.basis : "prestige dan XP"}.`,
     );
 
   const leaderboardEntries = [];
@@ -45,8 +51,9 @@ async function displayAsText(
     const userTag =
       user?.username ?? `Unknown (${entry.userId.slice(0, 6)}...)`;
 
+    const prestigeText = entry.prestige > 0 ? `🌟 P${entry.prestige} · ` : "";
     leaderboardEntries.push(
-      `**${i + 1}.** ${userTag} - **Lvl ${entry.level}** (${levelingSystem.formatters.formatNumber(entry.xp)} XP)`,
+      `**${i + 1}.** ${userTag} - ${prestigeText}**Lvl ${entry.level}** (${levelingSystem.formatters.formatNumber(entry.xp)} XP)`,
     );
   }
 
@@ -66,6 +73,12 @@ async function displayAsText(
     );
   }
 
+  if (view) {
+    embed.setFooter({ text: view.footer });
+    await interaction.editReply({ embeds: [embed] });
+    return;
+  }
+
   try {
     const userRank = await levelingSystem.levelingManager.getUserRank(
       guild.id,
@@ -75,9 +88,11 @@ async function displayAsText(
       guild.id,
       interaction.user.id,
     );
-    if (userRank > 0 && userData?.xp > 0) {
+    if (userRank > 0) {
+      const prestigeText =
+        userData?.prestige > 0 ? `Prestige ${userData.prestige} · ` : "";
       embed.setFooter({
-        text: `Peringkat Anda: #${userRank} (Level ${userData.level} - ${levelingSystem.formatters.formatNumber(userData.xp)} XP)`,
+        text: `Peringkat Anda: #${userRank} (${prestigeText}Level ${userData.level} - ${levelingSystem.formatters.formatNumber(userData.xp)} XP)`,
       });
     } else if (userData?.xp === 0) {
       embed.setFooter({ text: "Anda belum mendapatkan XP di server ini." });
@@ -95,6 +110,107 @@ async function displayAsText(
   await interaction.editReply({ embeds: [embed] });
 }
 
+/**
+ * Membuat label season dari dokumen arsip (nomor dan nama jika ada).
+ * @private
+ * @param {object} archive - Dokumen arsip season.
+ * @returns {string} Label season.
+ */
+function seasonLabel(archive) {
+  return archive.name
+    ? `Season ${archive.season} - ${archive.name}`
+    : `Season ${archive.season}`;
+}
+
+/**
+ * Label periode leaderboard untuk ditampilkan.
+ * @const {Object<string, string>}
+ * @private
+ */
+const PERIOD_LABELS = {
+  today: "Hari Ini",
+  week: "7 Hari Terakhir",
+  month: "30 Hari Terakhir",
+};
+
+/**
+ * Menyiapkan data leaderboard dan informasi tampilan untuk arsip season atau periode waktu.
+ * @private
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - Objek interaksi.
+ * @param {import('../core/LevelingSystem')} levelingSystem - Instance LevelingSystem.
+ * @param {object} options - Pilihan tampilan.
+ * @param {number|null} options.seasonNumber - Nomor season arsip.
+ * @param {string} options.period - Periode (`today`, `week`, `month`, `all`).
+ * @param {number} options.limit - Jumlah entri.
+ * @returns {Promise<{data: Array<object>, view: object}|{error: string}>}
+ *          Data leaderboard dan tampilan (`title`, `label`, `basis`, `footer`, `rank`), atau pesan error.
+ */
+async function buildView(interaction, levelingSystem, options) {
+  const guildId = interaction.guildId;
+  const userId = interaction.user.id;
+  const formatNumber = levelingSystem.formatters.formatNumber;
+
+  if (options.seasonNumber) {
+    const archive = await levelingSystem.seasonManager.getSeasonArchive(
+      guildId,
+      options.seasonNumber,
+      options.limit,
+    );
+    if (!archive) {
+      return {
+        error: `🚫 Arsip Season ${options.seasonNumber} tidak ditemukan di server ini.`,
+      };
+    }
+    const entry = await levelingSystem.seasonManager.getSeasonEntry(
+      guildId,
+      options.seasonNumber,
+      userId,
+    );
+    return {
+      data: levelingSystem.seasonManager.toLeaderboardData(
+        archive,
+        options.limit,
+      ),
+      view: {
+        title: `🏁 ${seasonLabel(archive)}`,
+        label: seasonLabel(archive),
+        basis: "XP season (arsip)",
+        footer: entry
+          ? `Peringkat Anda di season ini: #${entry.rank} (${formatNumber(entry.seasonXp)} XP season)`
+          : "Anda tidak berpartisipasi di season ini.",
+        rank: entry?.rank ?? 0,
+      },
+    };
+  }
+
+  const label = PERIOD_LABELS[options.period];
+  const [data, own] = await Promise.all([
+    levelingSystem.levelingManager.getPeriodLeaderboard(
+      guildId,
+      options.period,
+      options.limit,
+    ),
+    levelingSystem.levelingManager.getUserPeriodRank(
+      guildId,
+      userId,
+      options.period,
+    ),
+  ]);
+  return {
+    data,
+    view: {
+      title: `📅 Papan Peringkat ${label}`,
+      label,
+      basis: `XP yang didapat (${label.toLowerCase()})`,
+      footer:
+        own.rank > 0
+          ? `Peringkat Anda (${label.toLowerCase()}): #${own.rank} (${formatNumber(own.xp)} XP)`
+          : `Anda belum mendapatkan XP (${label.toLowerCase()}).`,
+      rank: own.rank,
+    },
+  };
+}
+
 module.exports = {
   data: new SlashCommandBuilder()
     .setName("leaderboard")
@@ -119,6 +235,25 @@ module.exports = {
         .setMaxValue(25)
         .setRequired(false),
     )
+    .addStringOption((option) =>
+      option
+        .setName("period")
+        .setDescription("Rentang waktu XP (default: sepanjang masa).")
+        .setRequired(false)
+        .addChoices(
+          { name: "📅 Hari Ini", value: "today" },
+          { name: "🗓️ 7 Hari Terakhir", value: "week" },
+          { name: "📆 30 Hari Terakhir", value: "month" },
+          { name: "🏆 Sepanjang Masa", value: "all" },
+        ),
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("season")
+        .setDescription("Nomor season lama yang ingin dilihat (arsip).")
+        .setMinValue(1)
+        .setRequired(false),
+    )
     .addBooleanOption((option) =>
       option
         .setName("global")
@@ -154,17 +289,44 @@ module.exports = {
       guildConfig.leaderboardStyle ??
       "card";
     const limit = interaction.options.getInteger("limit") ?? 10;
+    const seasonNumber = interaction.options.getInteger("season");
+    const period = interaction.options.getString("period") ?? "all";
+
+    if (seasonNumber && period !== "all") {
+      return interaction.reply({
+        content:
+          "❌ Opsi `season` dan `period` tidak bisa digunakan bersamaan.",
+        flags: [MessageFlags.Ephemeral],
+      });
+    }
 
     await interaction.deferReply();
     const guild = interaction.guild;
 
     try {
-      const leaderboardData =
-        await levelingSystem.levelingManager.getLeaderboard(guild.id, limit);
+      let view = null;
+      let leaderboardData;
+      if (seasonNumber || period !== "all") {
+        const result = await buildView(interaction, levelingSystem, {
+          seasonNumber,
+          period,
+          limit,
+        });
+        if (result.error) return interaction.editReply(result.error);
+        view = result.view;
+        leaderboardData = result.data;
+      } else {
+        leaderboardData = await levelingSystem.levelingManager.getLeaderboard(
+          guild.id,
+          limit,
+        );
+      }
 
       if (!leaderboardData || leaderboardData.length === 0) {
         return interaction.editReply(
-          "🚫 Belum ada data peringkat di server ini.",
+          view
+            ? `🚫 Belum ada data untuk ${view.label}.`
+            : "🚫 Belum ada data peringkat di server ini.",
         );
       }
 
@@ -174,31 +336,34 @@ module.exports = {
             await levelingSystem.cardGenerator.createLeaderboardCard(
               leaderboardData,
               interaction.client,
-              guild.name,
+              view ? `${guild.name} · ${view.label}` : guild.name,
               guildConfig,
             );
 
           if (cardAttachment) {
             let userRankText = "";
-            try {
-              const userRank = await levelingSystem.levelingManager.getUserRank(
-                guild.id,
-                interaction.user.id,
-              );
-              const userData =
-                await levelingSystem.levelingManager.getUserLevelData(
-                  guild.id,
-                  interaction.user.id,
-                );
-              if (
-                userRank > 0 &&
-                userData?.xp > 0 &&
-                userRank > leaderboardData.length
-              ) {
-                userRankText = `\n\n*Peringkat Anda saat ini: #${userRank} (Level ${userData.level})*`;
+            if (view) {
+              if (view.rank > leaderboardData.length) {
+                userRankText = `\n\n*${view.footer}*`;
+              }
+            } else {
+              try {
+                const userRank =
+                  await levelingSystem.levelingManager.getUserRank(
+                    guild.id,
+                    interaction.user.id,
+                  );
+                const userData =
+                  await levelingSystem.levelingManager.getUserLevelData(
+                    guild.id,
+                    interaction.user.id,
+                  );
+                if (userRank > 0 && userRank > leaderboardData.length) {
+                  userRankText = `\n\n*Peringkat Anda saat ini: #${userRank} (Level ${userData.level})*`;
+                }
+              } catch {
+                /* abaikan */
               }
-            } catch {
-              /* abaikan */
             }
 
             await interaction.editReply({
@@ -215,6 +380,7 @@ module.exports = {
               leaderboardData,
               guild,
               limit,
+              view,
             );
           }
         } catch (cardError) {
@@ -237,6 +403,7 @@ module.exports = {
             leaderboardData,
             guild,
             limit,
+            view,
           );
         }
       } else {
@@ -246,6 +413,7 @@ module.exports = {
           leaderboardData,
           guild,
           limit,
+          view,
         );
       }
     } catch (error) {
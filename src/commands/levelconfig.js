@@ -2,7 +2,7 @@
  * @description Slash command untuk mengelola konfigurasi sistem leveling per server.
  *              Memerlukan izin 'Manage Guild'. Menyediakan subcommand untuk mengatur
  *              berbagai aspek seperti rate XP, cooldown, notifikasi, role rewards,
- *              daftar abaikan, multiplier, dan melihat/mereset konfigurasi.
+ *              daftar abaikan, filter kualitas pesan, XP reaksi, streak harian, multiplier, aturan XP suara, dan melihat/mereset konfigurasi.
  * @requires discord.js SlashCommandBuilder, PermissionFlagsBits, ChannelType, EmbedBuilder, Role, TextChannel, MessageFlags
  * @requires ../core/LevelingSystem (tipe parameter execute)
  * @requires ../managers/GuildConfigManager (implisit via levelingSystem)
@@ -19,6 +19,76 @@ const {
   MessageFlags,
 } = require("discord.js");
 
+/**
+ * Jumlah maksimum pola regex filter pesan per server.
+ * @const {number}
+ * @private
+ */
+const MAX_FILTER_PATTERNS = 20;
+
+/**
+ * Panjang maksimum satu pola regex filter pesan.
+ * @const {number}
+ * @private
+ */
+const MAX_FILTER_PATTERN_LENGTH = 200;
+
+/**
+ * Catatan yang ditambahkan setelah role reward atau strategi role diubah, karena perubahan
+ * tersebut hanya berlaku untuk member saat mereka naik level berikutnya.
+ * @const {string}
+ * @private
+ */
+const ROLE_SYNC_HINT =
+  "\n-# Member yang sudah ada baru menerima perubahan ini saat naik level. Gunakan `/levelconfig rewards sync` untuk menerapkannya sekarang.";
+
+/**
+ * Jeda minimum (ms) antar pembaruan pesan progress sinkronisasi role.
+ * @const {number}
+ * @private
+ */
+const ROLE_SYNC_PROGRESS_INTERVAL = 3000;
+
+/**
+ * Tipe channel yang dapat diabaikan atau diberi multiplier. Pengaturan pada kategori, forum,
+ * atau channel induk diwarisi oleh channel dan thread di dalamnya.
+ * @const {ChannelType[]}
+ * @private
+ */
+const CONFIGURABLE_CHANNEL_TYPES = [
+  ChannelType.GuildText,
+  ChannelType.GuildAnnouncement,
+  ChannelType.GuildVoice,
+  ChannelType.GuildStageVoice,
+  ChannelType.GuildForum,
+  ChannelType.GuildMedia,
+  ChannelType.GuildCategory,
+  ChannelType.PublicThread,
+  ChannelType.PrivateThread,
+  ChannelType.AnnouncementThread,
+];
+
+/**
+ * Membuat catatan singkat tentang channel mana saja yang ikut mewarisi pengaturan dari channel target.
+ * @function describeChannelInheritance
+ * @param {import('discord.js').GuildBasedChannel} channel - Channel target pengaturan.
+ * @returns {string} Kalimat catatan (diawali baris baru), atau string kosong jika tidak ada pewarisan.
+ * @private
+ */
+function describeChannelInheritance(channel) {
+  switch (channel.type) {
+    case ChannelType.GuildCategory:
+      return "\n-# Berlaku juga untuk semua channel dan thread di kategori ini.";
+    case ChannelType.GuildText:
+    case ChannelType.GuildAnnouncement:
+    case ChannelType.GuildForum:
+    case ChannelType.GuildMedia:
+      return "\n-# Berlaku juga untuk semua thread/post di channel ini.";
+    default:
+      return "";
+  }
+}
+
 /**
  * Membuat dan mengembalikan EmbedBuilder yang menampilkan ringkasan konfigurasi leveling saat ini.
  * @function createConfigEmbed
@@ -37,7 +107,10 @@ function createConfigEmbed(config, guildName) {
   embed.addFields(
     {
       name: "💰 XP per Pesan",
-      value: `\`${config.xpPerMessage ?? 0}\` XP`,
+      value:
+        config.xpPerMessageMin !== config.xpPerMessageMax
+          ? `\`${config.xpPerMessageMin}-${config.xpPerMessageMax}\` XP (acak)`
+          : `\`${config.xpPerMessageMax ?? 0}\` XP`,
       inline: true,
     },
     {
@@ -130,22 +203,24 @@ function createConfigEmbed(config, guildName) {
     },
   );
 
-  let levelRolesText = "`Tidak ada`";
-  if (config.levelRoles instanceof Map && config.levelRoles.size > 0) {
-    const sortedLevelRoles = Array.from(config.levelRoles.entries()).sort(
-      (a, b) => parseInt(a[0], 10) - parseInt(b[0], 10),
-    );
-    levelRolesText = sortedLevelRoles
-      .map(([lvl, id]) => `Lvl ${lvl}: <@&${id}>`)
-      .join("\n");
+  let levelRewardsText = "`Tidak ada`";
+  if (config.levelRewards?.size > 0 || config.rewardRules?.length > 0) {
+    levelRewardsText = [
+      ...Array.from(config.levelRewards.entries()).map(
+        ([lvl, bundle]) => `Lvl ${lvl}: ${describeRewardBundle(bundle)}`,
+      ),
+      ...config.rewardRules.map(
+        (rule, index) => `Aturan #${index + 1}: ${describeRewardRule(rule)}`,
+      ),
+    ].join("\n");
   }
   embed.addFields(
     {
-      name: "🎁 Role Rewards",
+      name: "🎁 Reward Level",
       value:
-        levelRolesText.length > 1024
-          ? levelRolesText.slice(0, 1020) + "..."
-          : levelRolesText,
+        levelRewardsText.length > 1024
+          ? levelRewardsText.slice(0, 1020) + "..."
+          : levelRewardsText,
       inline: false,
     },
     {
@@ -153,24 +228,687 @@ function createConfigEmbed(config, guildName) {
       value: `\`${config.roleRemovalStrategy || "keep_all"}\``,
       inline: true,
     },
+    {
+      name: "🔁 Pulihkan Role Saat Rejoin",
+      value: config.restoreRolesOnRejoin ? "✅ Aktif" : "❌ Nonaktif",
+      inline: true,
+    },
+    {
+      name: "🚪 Kebijakan Member Keluar",
+      value: describeLeavePolicy(config.leavePolicy),
+      inline: true,
+    },
+    {
+      name: "📈 Kurva Level",
+      value: describeLevelCurve(config.levelCurve),
+      inline: true,
+    },
+  );
+
+  let prestigeRolesText = "`Tidak ada`";
+  if (config.prestigeRoles instanceof Map && config.prestigeRoles.size > 0) {
+    prestigeRolesText = Array.from(config.prestigeRoles.entries())
+      .sort((a, b) => parseInt(a[0], 10) - parseInt(b[0], 10))
+      .map(([tier, id]) => `Tier ${tier}: <@&${id}>`)
+      .join("\n");
+  }
+  embed.addFields(
+    {
+      name: "🌟 Level Maksimum (Prestige)",
+      value:
+        (config.maxLevel ?? 0) > 0
+          ? `\`Level ${config.maxLevel}\` (bonus \`+${Math.round((config.prestigeXpBonus ?? 0) * 100)}%\`/tier)`
+          : "❌ Nonaktif",
+      inline: true,
+    },
+    {
+      name: "🏅 Role Prestige",
+      value:
+        prestigeRolesText.length > 1024
+          ? prestigeRolesText.slice(0, 1020) + "..."
+          : prestigeRolesText,
+      inline: true,
+    },
   );
 
+  embed.addFields({
+    name: "🧹 Filter Pesan",
+    value: describeMessageFilters(config.messageFilters),
+    inline: false,
+  });
+
+  embed.addFields({
+    name: "👍 XP Reaksi",
+    value: config.reactionXp?.enabled
+      ? `✅ Aktif (${describeReactionXp(config.reactionXp)})`
+      : "❌ Nonaktif",
+    inline: false,
+  });
+
+  embed.addFields({
+    name: "🔥 Streak Harian",
+    value: config.streaks?.enabled
+      ? `✅ Aktif (${describeStreaks(config)})`
+      : `❌ Nonaktif · zona waktu \`${config.timezone ?? "UTC"}\``,
+    inline: false,
+  });
+
+  embed.addFields({
+    name: "🎧 Aturan Suara",
+    value: describeVoiceRules(config.voiceRules),
+    inline: false,
+  });
+
+  embed.addFields({
+    name: "🎥 Multiplier Suara",
+    value: describeVoiceMultipliers(config.voiceMultipliers),
+    inline: false,
+  });
+
+  embed.addFields({
+    name: "⏬ Decay XP",
+    value: config.decay?.enabled
+      ? `✅ Aktif (${describeDecay(config.decay)})`
+      : "❌ Nonaktif",
+    inline: false,
+  });
+
   embed.addFields(
     {
       name: "📉 Sistem Penalty",
       value: config.enablePenaltySystem ? "✅ Aktif" : "❌ Nonaktif",
       inline: true,
     },
+    {
+      name: "📜 Retensi Riwayat XP",
+      value:
+        config.ledgerRetentionDays > 0
+          ? `\`${config.ledgerRetentionDays}\` hari`
+          : "`Selamanya`",
+      inline: true,
+    },
     {
       name: "🎨 Style Leaderboard",
       value: `\`${config.leaderboardStyle || "card"}\``,
       inline: true,
     },
+    {
+      name: "🧮 Stacking Multiplier",
+      value: describeMultiplierStacking(config),
+      inline: true,
+    },
+    {
+      name: "🧪 Stacking Booster",
+      value: `\`${config.boosterStacking || "highest"}\``,
+      inline: true,
+    },
   );
 
   return embed;
 }
 
+/**
+ * Membuat deskripsi singkat pengaturan XP reaksi untuk ditampilkan di embed.
+ * @function describeReactionXp
+ * @param {object} reactionXp - Objek `reactionXp` yang sudah dinormalisasi.
+ * @returns {string} Deskripsi pengaturan XP reaksi.
+ * @private
+ */
+function describeReactionXp(reactionXp) {
+  const limit = (value, unit) => (value > 0 ? `\`${value}\` ${unit}` : "∞");
+  return [
+    `\`${reactionXp?.xpPerReaction ?? 0}\` XP/reactor`,
+    `maks. ${limit(reactionXp?.maxPerMessage, "reactor")}/pesan`,
+    `maks. ${limit(reactionXp?.maxPerAuthorPerHour, "XP")}/penulis/jam`,
+    `cooldown \`${reactionXp?.cooldownSeconds ?? 0}\` detik`,
+  ].join(" · ");
+}
+
+/**
+ * Membuat deskripsi singkat kebijakan data member yang keluar server.
+ * @function describeLeavePolicy
+ * @param {{mode: string, graceDays: number}} leavePolicy - Kebijakan yang sudah dinormalisasi.
+ * @returns {string} Deskripsi kebijakan.
+ * @private
+ */
+function describeLeavePolicy(leavePolicy) {
+  switch (leavePolicy?.mode) {
+    case "hide":
+      return "`hide` (disembunyikan dari leaderboard)";
+    case "delete":
+      return `\`delete\` (disembunyikan, dihapus setelah ${leavePolicy.graceDays} hari)`;
+    default:
+      return "`keep` (tetap tampil)";
+  }
+}
+
+/**
+ * Membuat deskripsi singkat pengaturan streak harian untuk ditampilkan di embed.
+ * @function describeStreaks
+ * @param {object} config - Objek konfigurasi server yang sudah dinormalisasi.
+ * @returns {string} Deskripsi pengaturan streak.
+ * @private
+ */
+function describeStreaks(config) {
+  const streaks = config.streaks ?? {};
+  const multiplier =
+    streaks.multiplierPerDay > 0
+      ? `+\`${Math.round(streaks.multiplierPerDay * 10000) / 100}%\`/hari (maks. \`x${streaks.maxMultiplier}\`)`
+      : "tanpa multiplier";
+  const milestones = streaks.milestones?.length
+    ? streaks.milestones
+        .map((m) => `\`${m.days}\` hari: \`${m.xp}\` XP`)
+        .join(", ")
+    : "tanpa milestone";
+  return [
+    multiplier,
+    milestones,
+    `zona waktu \`${config.timezone ?? "UTC"}\``,
+  ].join(" · ");
+}
+
+/**
+ * Membuat deskripsi singkat aturan XP suara untuk ditampilkan di embed.
+ * @function describeVoiceRules
+ * @param {object} voiceRules - Objek `voiceRules` yang sudah dinormalisasi.
+ * @returns {string} Deskripsi aturan suara.
+ * @private
+ */
+function describeVoiceRules(voiceRules) {
+  const minMembers = voiceRules?.minMembers ?? 1;
+  const selfMuteMultiplier = voiceRules?.selfMuteMultiplier ?? 1;
+  const parts = [
+    minMembers > 1
+      ? `min. \`${minMembers}\` member aktif`
+      : "tanpa minimal member",
+    selfMuteMultiplier === 0
+      ? "self-mute tidak dapat XP"
+      : `self-mute \`x${selfMuteMultiplier}\``,
+    "channel AFK diabaikan",
+    `XP setiap \`${voiceRules?.intervalMinutes ?? 5}\` menit`,
+  ];
+  return parts.join(" · ");
+}
+
+/**
+ * Membuat deskripsi singkat multiplier aktivitas suara (streaming, kamera, stage) untuk ditampilkan di embed.
+ * @function describeVoiceMultipliers
+ * @param {object} voiceMultipliers - Objek `voiceMultipliers` yang sudah dinormalisasi.
+ * @returns {string} Deskripsi multiplier suara.
+ * @private
+ */
+function describeVoiceMultipliers(voiceMultipliers) {
+  const m = voiceMultipliers || {};
+  return [
+    `streaming \`x${m.stream ?? 1}\``,
+    `kamera \`x${m.video ?? 1}\``,
+    `pembicara stage \`x${m.stageSpeaker ?? 1}\``,
+    (m.stageAudience ?? 0) === 0
+      ? "penonton stage tidak dapat XP"
+      : `penonton stage \`x${m.stageAudience}\``,
+  ].join(" · ");
+}
+
+/**
+ * Pilihan jenis item paket reward level non-role untuk opsi `type`.
+ * @const {{name: string, value: string}[]}
+ * @private
+ */
+const REWARD_ITEM_CHOICES = [
+  { name: "Pengumuman", value: "message" },
+  { name: "Bonus XP", value: "xp" },
+  { name: "Pesan DM", value: "dm" },
+];
+
+/**
+ * Label item paket reward level non-role, untuk pesan balasan.
+ * @const {Object<string, string>}
+ * @private
+ */
+const REWARD_ITEM_LABELS = {
+  message: "baris pengumuman",
+  xp: "bonus XP",
+  dm: "pesan DM",
+};
+
+/**
+ * Membuat deskripsi satu baris dari paket reward level.
+ * @function describeRewardBundle
+ * @param {{roles: string[], message: string|null, xp: number, dm: string|null}} bundle - Paket reward level.
+ * @returns {string} Deskripsi paket (role, pengumuman, bonus XP, DM).
+ * @private
+ */
+function describeRewardBundle(bundle) {
+  const parts = bundle.roles.map((id) => `<@&${id}>`);
+  if (bundle.message) parts.push("📣 Pengumuman");
+  if (bundle.xp > 0) parts.push(`✨ +${bundle.xp} XP`);
+  if (bundle.dm) parts.push("✉️ DM");
+  return parts.join(" · ");
+}
+
+/**
+ * Jumlah maksimum aturan reward (`rewardRules`) per server.
+ * @const {number}
+ * @private
+ */
+const MAX_REWARD_RULES = 25;
+
+/**
+ * Membuat deskripsi satu baris dari aturan reward berulang atau rentang level.
+ * @function describeRewardRule
+ * @param {{start: number, end: number|null, every: number|null, roleId: string|null, channelId: string|null, message: string|null}} rule - Aturan reward.
+ * @returns {string} Deskripsi aturan.
+ * @private
+ */
+function describeRewardRule(rule) {
+  const span =
+    rule.end != null ? `Lvl ${rule.start}–${rule.end}` : `Lvl ${rule.start}+`;
+  const parts = [rule.every ? `Setiap ${rule.every} level, ${span}` : span];
+  if (rule.roleId) parts.push(`<@&${rule.roleId}>`);
+  if (rule.message) {
+    parts.push(
+      rule.channelId ? `📣 <#${rule.channelId}>` : "📣 Notifikasi level up",
+    );
+  }
+  return parts.join(" · ");
+}
+
+/**
+ * Menyusun tabel reward efektif per level: paket reward eksplisit digabung dengan aturan reward
+ * (role aturan dipasang di awal rentang dan dilepas setelah akhir rentang, pengumuman di setiap level yang cocok).
+ * Tabel mencakup hingga level maksimum server, atau minimal Level 100 jika tidak ada level maksimum.
+ * @function buildEffectiveRewardTable
+ * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+ * @param {import('../core/LevelingManager')} levelingManager - Instance LevelingManager.
+ * @returns {{rows: string[], lastLevel: number}} Baris tabel dan level terakhir yang ditampilkan.
+ * @private
+ */
+function buildEffectiveRewardTable(config, levelingManager) {
+  const rules = config.rewardRules;
+  const boundaries = [...config.levelRewards.keys()].map(Number);
+  rules.forEach((rule) => {
+    boundaries.push(rule.start);
+    if (rule.end != null) boundaries.push(rule.end + 1);
+  });
+  const lastLevel =
+    config.maxLevel > 0 ? config.maxLevel : Math.max(100, ...boundaries);
+
+  const rows = [];
+  for (let level = 1; level <= lastLevel; level++) {
+    const parts = [];
+    const bundle = config.levelRewards.get(level.toString());
+    if (bundle) parts.push(describeRewardBundle(bundle));
+    rules.forEach((rule, index) => {
+      const tag = `(#${index + 1})`;
+      if (rule.roleId && level === rule.start) {
+        parts.push(`+<@&${rule.roleId}> ${tag}`);
+      }
+      if (rule.roleId && rule.end != null && level === rule.end + 1) {
+        parts.push(`−<@&${rule.roleId}> ${tag}`);
+      }
+      if (rule.message && levelingManager.ruleMatchesLevel(rule, level)) {
+        parts.push(`📣${rule.channelId ? ` <#${rule.channelId}>` : ""} ${tag}`);
+      }
+    });
+    if (parts.length === 0) continue;
+
+    const lines = [`**Level ${level}:** ${parts.join(" · ")}`];
+    if (bundle?.message) lines.push(`-# 📣 ${bundle.message}`);
+    if (bundle?.dm) lines.push(`-# ✉️ ${bundle.dm}`);
+    rows.push(lines.join("\n"));
+  }
+  return { rows, lastLevel };
+}
+
+/**
+ * Mengubah paket reward satu level pada salinan `levelRewards` server. Paket yang menjadi
+ * kosong dihapus dari Map.
+ * @function updateRewardBundle
+ * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+ * @param {number} level - Level paket reward.
+ * @param {function(object): void} mutate - Fungsi yang mengubah salinan paket.
+ * @returns {Map<string, object>} Salinan `levelRewards` yang sudah diubah.
+ * @private
+ */
+function updateRewardBundle(config, level, mutate) {
+  const rewards = new Map(config.levelRewards);
+  const current = rewards.get(level.toString());
+  const bundle = {
+    roles: [...(current?.roles ?? [])],
+    message: current?.message ?? null,
+    xp: current?.xp ?? 0,
+    dm: current?.dm ?? null,
+  };
+  mutate(bundle);
+  if (bundle.roles.length > 0 || bundle.message || bundle.xp > 0 || bundle.dm) {
+    rewards.set(level.toString(), bundle);
+  } else {
+    rewards.delete(level.toString());
+  }
+  return rewards;
+}
+
+/**
+ * Membuat embed ringkasan sinkronisasi role level massal. Untuk dry run, deskripsi berisi
+ * daftar perubahan role per member yang akan dilakukan.
+ * @function createRoleSyncEmbed
+ * @param {object} summary - Hasil `LevelingManager.syncGuildLevelRoles`.
+ * @param {function} formatNumber - Fungsi format angka.
+ * @returns {EmbedBuilder} Instance EmbedBuilder yang siap dikirim.
+ * @private
+ */
+function createRoleSyncEmbed(summary, formatNumber) {
+  const embed = new EmbedBuilder()
+    .setTitle(
+      summary.dryRun
+        ? "🧪 Dry Run Sinkronisasi Role Level"
+        : "🔄 Sinkronisasi Role Level Selesai",
+    )
+    .setColor(summary.dryRun ? "#FFA500" : "#00FF00")
+    .addFields(
+      {
+        name: "👥 Member",
+        value: [
+          `Diperiksa: \`${formatNumber(summary.total, 0)}\``,
+          `${summary.dryRun ? "Akan berubah" : "Berubah"}: \`${formatNumber(summary.membersChanged, 0)}\``,
+          `Tidak ada di server: \`${formatNumber(summary.missing, 0)}\``,
+          `Gagal: \`${formatNumber(summary.failed, 0)}\``,
+        ].join("\n"),
+        inline: true,
+      },
+      {
+        name: "🎭 Role",
+        value: [
+          `${summary.dryRun ? "Akan ditambah" : "Ditambah"}: \`${formatNumber(summary.rolesAdded, 0)}\``,
+          `${summary.dryRun ? "Akan dihapus" : "Dihapus"}: \`${formatNumber(summary.rolesRemoved, 0)}\``,
+        ].join("\n"),
+        inline: true,
+      },
+    )
+    .setTimestamp();
+
+  if (summary.dryRun) {
+    const lines = summary.changes.map(
+      (change) =>
+        `<@${change.userId}> (Lvl ${change.level}): ${[
+          ...change.added.map((id) => `➕<@&${id}>`),
+          ...change.removed.map((id) => `➖<@&${id}>`),
+        ].join(" ")}`,
+    );
+    let description = "";
+    for (let i = 0; i < lines.length; i++) {
+      const remaining = `\n... dan ${lines.length - i} member lainnya`;
+      if (description.length + lines[i].length + remaining.length > 4000) {
+        description += remaining;
+        break;
+      }
+      description += (description ? "\n" : "") + lines[i];
+    }
+    embed
+      .setDescription(
+        description || "Semua member sudah memiliki role level yang sesuai.",
+      )
+      .setFooter({
+        text: "Tidak ada role yang diubah. Jalankan tanpa dry_run untuk menerapkan.",
+      });
+  }
+
+  return embed;
+}
+
+/**
+ * Membuat deskripsi singkat dari kurva level untuk ditampilkan di embed.
+ * @function describeLevelCurve
+ * @param {object} curve - Objek kurva level yang sudah dinormalisasi.
+ * @returns {string} Deskripsi formula kurva.
+ * @private
+ */
+function describeLevelCurve(curve) {
+  switch (curve?.formula) {
+    case "linear":
+      return `Linear: \`${curve.step} * level\``;
+    case "exponential":
+      return `Eksponensial: \`${curve.base} * ${curve.growth}^(level - 1)\``;
+    case "table":
+      return `Tabel: \`${curve.table.length}\` level eksplisit`;
+    default:
+      return `Kuadrat: \`${curve?.a ?? 5} * level² + ${curve?.b ?? 50} * level + ${curve?.c ?? 100}\``;
+  }
+}
+
+/**
+ * Membuat embed pratinjau ambang XP untuk N level pertama dari sebuah kurva level.
+ * @function createCurvePreviewEmbed
+ * @param {import('../core/LevelingManager')} levelingManager - Instance LevelingManager untuk menghitung XP per level.
+ * @param {object} curve - Objek kurva level yang sudah dinormalisasi.
+ * @param {number} count - Jumlah level yang ditampilkan.
+ * @param {Function} formatNumber - Fungsi pemformat angka.
+ * @returns {EmbedBuilder} Instance EmbedBuilder yang siap dikirim.
+ * @private
+ */
+function createCurvePreviewEmbed(levelingManager, curve, count, formatNumber) {
+  const lines = [];
+  for (let level = 1; level <= count; level++) {
+    const totalXp = levelingManager.xpForLevel(level, curve);
+    const stepXp = totalXp - levelingManager.xpForLevel(level - 1, curve);
+    lines.push(
+      `**Lvl ${level}:** \`${formatNumber(totalXp, 2)}\` XP (+${formatNumber(stepXp, 2)})`,
+    );
+  }
+  let description = lines.join("\n");
+  if (description.length > 4090) {
+    description = description.slice(0, 4080) + "\n...";
+  }
+
+  return new EmbedBuilder()
+    .setTitle("📈 Pratinjau Kurva Level")
+    .setColor("#7289DA")
+    .addFields({ name: "Formula", value: describeLevelCurve(curve) })
+    .setDescription(description)
+    .setFooter({
+      text: "Nilai adalah total XP kumulatif untuk mencapai level.",
+    })
+    .setTimestamp();
+}
+
+/**
+ * Label tampilan untuk setiap mode stacking multiplier.
+ * @const {Object<string, string>}
+ * @private
+ */
+const STACKING_LABELS = {
+  highest: "Role tertinggi saja",
+  multiplicative: "Semua dikalikan",
+  additive: "Bonus dijumlahkan",
+  capped: "Dikalikan dengan batas",
+};
+
+/**
+ * Membuat deskripsi mode stacking multiplier server.
+ * @function describeMultiplierStacking
+ * @param {object} config - Objek konfigurasi server yang sudah dinormalisasi.
+ * @returns {string} Deskripsi mode stacking.
+ * @private
+ */
+function describeMultiplierStacking(config) {
+  const label =
+    STACKING_LABELS[config.multiplierStacking] ?? "Role tertinggi saja";
+  return config.multiplierStacking === "capped"
+    ? `\`${label}\` (maks. \`x${config.multiplierCap}\`)`
+    : `\`${label}\``;
+}
+
+/**
+ * Membuat embed contoh perhitungan multiplier efektif untuk satu member.
+ * @function createMultiplierExampleEmbed
+ * @param {object} config - Objek konfigurasi server yang sudah dinormalisasi.
+ * @param {object} result - Hasil `XPManager.calculateMultiplier`.
+ * @param {import('discord.js').GuildMember} member - Member contoh.
+ * @param {string} channelId - ID channel contoh.
+ * @returns {EmbedBuilder} Instance EmbedBuilder yang siap dikirim.
+ * @private
+ */
+function createMultiplierExampleEmbed(config, result, member, channelId) {
+  const factorLabels = {
+    role: (f) => `Role <@&${f.id}>`,
+    channel: (f) => `Channel <#${f.id}>`,
+    boost: () => "Boost XP server",
+    booster: () => "Booster pribadi",
+    prestige: () => "Bonus prestige",
+    streak: () => "Bonus streak harian",
+  };
+  const round = (value) => Math.round(value * 100) / 100;
+  const lines = result.factors.map(
+    (f) => `• ${factorLabels[f.type](f)}: \`x${round(f.value)}\``,
+  );
+
+  let formula;
+  if (result.factors.length === 0) {
+    formula = "Tidak ada faktor aktif → `x1`";
+  } else if (result.mode === "additive") {
+    formula = `\`1 ${result.factors.map((f) => `${f.value >= 1 ? "+" : "-"} ${round(Math.abs(f.value - 1))}`).join(" ")} = ${round(result.multiplier)}\``;
+  } else {
+    const product = result.factors.reduce((total, f) => total * f.value, 1);
+    formula = `\`${result.factors.map((f) => round(f.value)).join(" × ")} = ${round(product)}\``;
+    if (result.capped) formula += ` → dibatasi \`x${config.multiplierCap}\``;
+  }
+
+  const messageMin = Math.max(
+    1,
+    Math.floor(config.xpPerMessageMin * result.multiplier),
+  );
+  const messageMax = Math.max(
+    1,
+    Math.floor(config.xpPerMessageMax * result.multiplier),
+  );
+
+  return new EmbedBuilder()
+    .setTitle(`🧮 Contoh Multiplier - ${member.displayName}`)
+    .setColor("#7289DA")
+    .setDescription(
+      `Di <#${channelId}>, mode ${describeMultiplierStacking(config)}.\n\n` +
+        (lines.length > 0 ? lines.join("\n") + "\n\n" : "") +
+        `**Perhitungan:** ${formula}`,
+    )
+    .addFields(
+      {
+        name: "Multiplier Efektif",
+        value: `\`x${round(result.multiplier)}\``,
+        inline: true,
+      },
+      {
+        name: "XP per Pesan",
+        value:
+          messageMin === messageMax
+            ? `\`${messageMin}\` XP`
+            : `\`${messageMin}-${messageMax}\` XP`,
+        inline: true,
+      },
+      {
+        name: "XP Suara per Menit",
+        value: `\`${round(config.xpPerMinuteVoice * result.multiplier)}\` XP`,
+        inline: true,
+      },
+    )
+    .setFooter({
+      text: "Boost server dan booster pribadi dihitung sesuai waktu saat ini.",
+    })
+    .setTimestamp();
+}
+
+/**
+ * Membuat deskripsi filter kualitas pesan yang aktif.
+ * @function describeMessageFilters
+ * @param {object} filters - Objek `messageFilters` yang sudah dinormalisasi.
+ * @returns {string} Deskripsi filter (satu baris per filter aktif).
+ * @private
+ */
+function describeMessageFilters(filters) {
+  if (!filters) return "`Tidak ada`";
+  const lines = [];
+  if (filters.minChars > 0) lines.push(`Min. \`${filters.minChars}\` karakter`);
+  if (filters.minWords > 0) lines.push(`Min. \`${filters.minWords}\` kata`);
+  if (filters.ignoreEmojiOnly) lines.push("Abaikan pesan emoji saja");
+  if (filters.ignoreStickerOnly) lines.push("Abaikan pesan sticker saja");
+  if (filters.duplicateSimilarity > 0) {
+    lines.push(`Abaikan duplikat (≥\`${filters.duplicateSimilarity}%\` mirip)`);
+  }
+  if (filters.ignorePatterns.length > 0) {
+    lines.push(
+      `Pola: ${filters.ignorePatterns.map((p) => `\`${p}\``).join(", ")}`,
+    );
+  }
+  const text = lines.length > 0 ? lines.join("\n") : "`Tidak ada`";
+  return text.length > 1024 ? text.slice(0, 1020) + "..." : text;
+}
+
+/**
+ * Membuat deskripsi singkat dari aturan decay XP.
+ * @function describeDecay
+ * @param {object} decay - Objek konfigurasi decay yang sudah dinormalisasi.
+ * @returns {string} Deskripsi aturan decay.
+ * @private
+ */
+function describeDecay(decay) {
+  const amountText =
+    decay.mode === "flat" ? `${decay.amount} XP` : `${decay.amount}% XP`;
+  return `-${amountText}/hari setelah \`${decay.inactiveDays}\` hari tidak aktif, minimum \`${decay.floorXP}\` XP`;
+}
+
+/**
+ * Membuat embed laporan dry run decay XP (pengguna yang akan terkena decay pada proses berikutnya).
+ * @function createDecayPreviewEmbed
+ * @param {object} decay - Objek konfigurasi decay yang sudah dinormalisasi.
+ * @param {Array<object>} candidates - Hasil `DecayManager.getDecayCandidates`.
+ * @param {Function} formatNumber - Fungsi pemformat angka.
+ * @returns {EmbedBuilder} Instance EmbedBuilder yang siap dikirim.
+ * @private
+ */
+function createDecayPreviewEmbed(decay, candidates, formatNumber) {
+  const shown = candidates.slice(0, 15);
+  const lines = shown.map((c) => {
+    const levelText =
+      c.newLevel < c.level ? ` · Lvl ${c.level} → ${c.newLevel}` : "";
+    return `<@${c.userId}>: \`${formatNumber(c.xp)}\` → \`${formatNumber(c.newXP)}\` XP (-${formatNumber(c.amount)})${levelText}`;
+  });
+  if (candidates.length > shown.length) {
+    lines.push(`...dan ${candidates.length - shown.length} pengguna lainnya.`);
+  }
+  const totalXP = candidates.reduce((sum, c) => sum + c.amount, 0);
+  const levelDowns = candidates.filter((c) => c.newLevel < c.level).length;
+
+  return new EmbedBuilder()
+    .setTitle("⏬ Dry Run Decay XP")
+    .setColor(decay.enabled ? "#FFA500" : "#808080")
+    .setDescription(
+      lines.length > 0
+        ? lines.join("\n")
+        : "Tidak ada pengguna yang akan terkena decay.",
+    )
+    .addFields(
+      {
+        name: "Status",
+        value: decay.enabled ? "✅ Aktif" : "❌ Nonaktif",
+        inline: true,
+      },
+      {
+        name: "Terdampak",
+        value: `\`${candidates.length}\` pengguna (${levelDowns} turun level)`,
+        inline: true,
+      },
+      {
+        name: "Total XP Dikurangi",
+        value: `\`${formatNumber(totalXP)}\` XP`,
+        inline: true,
+      },
+      { name: "Aturan", value: describeDecay(decay) },
+    )
+    .setFooter({
+      text: "Dry run: tidak ada data yang diubah. Decay dijalankan maksimal sekali per hari.",
+    })
+    .setTimestamp();
+}
+
 /**
  * @module levelConfigCommand
  * @description Definisi dan eksekusi untuk slash command `/levelconfig`.
@@ -202,6 +940,27 @@ module.exports = {
                 .setMaxValue(1000),
             ),
         )
+        .addSubcommand((sub) =>
+          sub
+            .setName("xp_message_range")
+            .setDescription("Atur rentang XP acak per pesan (min-max).")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("min")
+                .setDescription("XP minimum per pesan.")
+                .setRequired(true)
+                .setMinValue(0)
+                .setMaxValue(1000),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("max")
+                .setDescription("XP maksimum per pesan (0=nonaktif).")
+                .setRequired(true)
+                .setMinValue(0)
+                .setMaxValue(1000),
+            ),
+        )
         .addSubcommand((sub) =>
           sub
             .setName("xp_voice")
@@ -243,6 +1002,19 @@ module.exports = {
                 .setRequired(true),
             ),
         )
+        .addSubcommand((sub) =>
+          sub
+            .setName("ledger_retention")
+            .setDescription("Atur berapa lama riwayat XP (/xplog) disimpan.")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("days")
+                .setDescription("Jumlah hari (0=simpan selamanya).")
+                .setRequired(true)
+                .setMinValue(0)
+                .setMaxValue(365),
+            ),
+        )
         .addSubcommand((sub) =>
           sub
             .setName("leaderboard_style")
@@ -257,17 +1029,94 @@ module.exports = {
                   { name: "📄 Text (Embed)", value: "text" },
                 ),
             ),
-        ),
-    )
-    .addSubcommandGroup((group) =>
-      group
-        .setName("notifications")
-        .setDescription("📢 Atur notifikasi level up.")
+        )
         .addSubcommand((sub) =>
           sub
-            .setName("toggle")
-            .setDescription("Aktifkan/nonaktifkan pesan notifikasi level up.")
-            .addBooleanOption((opt) =>
+            .setName("multiplier_stacking")
+            .setDescription(
+              "Atur cara multiplier role, channel, dan boost digabungkan.",
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("mode")
+                .setDescription("Mode stacking multiplier")
+                .setRequired(true)
+                .addChoices(
+                  { name: "Role tertinggi saja", value: "highest" },
+                  { name: "Semua dikalikan", value: "multiplicative" },
+                  { name: "Bonus dijumlahkan", value: "additive" },
+                  { name: "Dikalikan dengan batas", value: "capped" },
+                ),
+            )
+            .addNumberOption((opt) =>
+              opt
+                .setName("cap")
+                .setDescription("Batas total multiplier (mode capped).")
+                .setMinValue(1)
+                .setMaxValue(100),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("booster_stacking")
+            .setDescription("Atur cara booster XP pribadi digabungkan.")
+            .addStringOption((opt) =>
+              opt
+                .setName("mode")
+                .setDescription("Mode stacking booster")
+                .setRequired(true)
+                .addChoices(
+                  { name: "Tertinggi saja", value: "highest" },
+                  { name: "Dikalikan", value: "multiplicative" },
+                  { name: "Bonus dijumlahkan", value: "additive" },
+                ),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("timezone")
+            .setDescription("Atur zona waktu server (pergantian hari streak).")
+            .addStringOption((opt) =>
+              opt
+                .setName("zone")
+                .setDescription("Zona waktu IANA, misal: Asia/Jakarta.")
+                .setRequired(true)
+                .setMaxLength(64),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("leave_policy")
+            .setDescription("Atur data level member yang keluar server.")
+            .addStringOption((opt) =>
+              opt
+                .setName("mode")
+                .setDescription("Perlakuan data")
+                .setRequired(true)
+                .addChoices(
+                  { name: "Simpan", value: "keep" },
+                  { name: "Sembunyikan", value: "hide" },
+                  { name: "Hapus", value: "delete" },
+                ),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("grace_days")
+                .setDescription("Masa tenggang sebelum dihapus (hari).")
+                .setMinValue(1)
+                .setMaxValue(365),
+            ),
+        ),
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("notifications")
+        .setDescription("📢 Atur notifikasi level up.")
+        .addSubcommand((sub) =>
+          sub
+            .setName("toggle")
+            .setDescription("Aktifkan/nonaktifkan pesan notifikasi level up.")
+            .addBooleanOption((opt) =>
               opt
                 .setName("enabled")
                 .setDescription("True=aktif, False=nonaktif.")
@@ -338,7 +1187,10 @@ module.exports = {
             .addChannelOption((opt) =>
               opt
                 .setName("channel")
-                .setDescription("Channel yang akan diabaikan.")
+                .setDescription(
+                  "Channel, thread, forum, atau kategori yang akan diabaikan.",
+                )
+                .addChannelTypes(...CONFIGURABLE_CHANNEL_TYPES)
                 .setRequired(true),
             ),
         )
@@ -349,11 +1201,209 @@ module.exports = {
             .addChannelOption((opt) =>
               opt
                 .setName("channel")
-                .setDescription("Channel yang akan dihapus.")
+                .setDescription(
+                  "Channel, thread, forum, atau kategori yang akan dihapus.",
+                )
+                .addChannelTypes(...CONFIGURABLE_CHANNEL_TYPES)
                 .setRequired(true),
             ),
         ),
     )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("reactions")
+        .setDescription("👍 Atur XP untuk reaksi yang diterima pesan.")
+        .addSubcommand((sub) =>
+          sub
+            .setName("toggle")
+            .setDescription("Aktifkan/nonaktifkan XP reaksi.")
+            .addBooleanOption((opt) =>
+              opt
+                .setName("enabled")
+                .setDescription("Status XP reaksi.")
+                .setRequired(true),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("settings")
+            .setDescription("Atur jumlah XP, batas, dan cooldown XP reaksi.")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("xp")
+                .setDescription("XP untuk penulis per reactor unik.")
+                .setMinValue(0)
+                .setMaxValue(1000),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("max_per_message")
+                .setDescription(
+                  "Maksimal reactor yang dihitung per pesan (0 = tanpa batas).",
+                )
+                .setMinValue(0)
+                .setMaxValue(1000),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("max_per_author_hour")
+                .setDescription(
+                  "Maksimal XP reaksi per penulis per jam (0 = tanpa batas).",
+                )
+                .setMinValue(0)
+                .setMaxValue(100000),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("cooldown")
+                .setDescription(
+                  "Cooldown (detik) reactor yang sama ke penulis yang sama.",
+                )
+                .setMinValue(0)
+                .setMaxValue(86400),
+            ),
+        ),
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("streaks")
+        .setDescription("🔥 Atur streak aktivitas harian.")
+        .addSubcommand((sub) =>
+          sub
+            .setName("toggle")
+            .setDescription("Aktifkan/nonaktifkan streak harian.")
+            .addBooleanOption((opt) =>
+              opt
+                .setName("enabled")
+                .setDescription("Status streak harian.")
+                .setRequired(true),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("multiplier")
+            .setDescription("Atur multiplier XP selama streak aktif.")
+            .addNumberOption((opt) =>
+              opt
+                .setName("per_day")
+                .setDescription("Bonus per hari streak (0.02 = +2%/hari).")
+                .setMinValue(0)
+                .setMaxValue(0.5),
+            )
+            .addNumberOption((opt) =>
+              opt
+                .setName("max")
+                .setDescription("Batas multiplier streak.")
+                .setMinValue(1)
+                .setMaxValue(5),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("milestone")
+            .setDescription("Atur bonus XP saat streak mencapai hari tertentu.")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("days")
+                .setDescription("Panjang streak (hari).")
+                .setRequired(true)
+                .setMinValue(1)
+                .setMaxValue(3650),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("xp")
+                .setDescription("Bonus XP (0 = hapus milestone).")
+                .setRequired(true)
+                .setMinValue(0)
+                .setMaxValue(100000),
+            ),
+        ),
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("filters")
+        .setDescription(
+          "🧹 Atur filter kualitas pesan untuk mencegah farming XP.",
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("length")
+            .setDescription("Atur panjang minimum pesan (0=nonaktif).")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("min_chars")
+                .setDescription("Jumlah karakter minimum.")
+                .setMinValue(0)
+                .setMaxValue(2000),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("min_words")
+                .setDescription("Jumlah kata minimum.")
+                .setMinValue(0)
+                .setMaxValue(500),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("add_pattern")
+            .setDescription("Abaikan pesan yang cocok dengan pola regex.")
+            .addStringOption((opt) =>
+              opt
+                .setName("pattern")
+                .setDescription("Pola regex, misal: ^[!?.]")
+                .setRequired(true)
+                .setMaxLength(MAX_FILTER_PATTERN_LENGTH),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("remove_pattern")
+            .setDescription("Hapus pola regex dari filter.")
+            .addStringOption((opt) =>
+              opt
+                .setName("pattern")
+                .setDescription("Pola regex yang akan dihapus.")
+                .setRequired(true),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("emoji_only")
+            .setDescription("Abaikan pesan yang hanya berisi emoji.")
+            .addBooleanOption((opt) =>
+              opt
+                .setName("enabled")
+                .setDescription("Status filter.")
+                .setRequired(true),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("sticker_only")
+            .setDescription("Abaikan pesan yang hanya berisi sticker.")
+            .addBooleanOption((opt) =>
+              opt
+                .setName("enabled")
+                .setDescription("Status filter.")
+                .setRequired(true),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("duplicates")
+            .setDescription("Abaikan pesan yang mirip pesan sebelumnya.")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("similarity")
+                .setDescription("Persen kemiripan minimum (0=nonaktif).")
+                .setRequired(true)
+                .setMinValue(0)
+                .setMaxValue(100),
+            ),
+        ),
+    )
     .addSubcommandGroup((group) =>
       group
         .setName("multipliers")
@@ -395,7 +1445,8 @@ module.exports = {
             .addChannelOption((opt) =>
               opt
                 .setName("channel")
-                .setDescription("Channel target.")
+                .setDescription("Channel, thread, forum, atau kategori target.")
+                .addChannelTypes(...CONFIGURABLE_CHANNEL_TYPES)
                 .setRequired(true),
             )
             .addNumberOption((opt) =>
@@ -414,7 +1465,8 @@ module.exports = {
             .addChannelOption((opt) =>
               opt
                 .setName("channel")
-                .setDescription("Channel target.")
+                .setDescription("Channel, thread, forum, atau kategori target.")
+                .addChannelTypes(...CONFIGURABLE_CHANNEL_TYPES)
                 .setRequired(true),
             ),
         ),
@@ -422,67 +1474,484 @@ module.exports = {
     .addSubcommandGroup((group) =>
       group
         .setName("rewards")
-        .setDescription("🎁 Atur role reward otomatis berdasarkan level.")
+        .setDescription("🎁 Atur paket reward otomatis berdasarkan level.")
         .addSubcommand((sub) =>
           sub
             .setName("add_role")
+            .setDescription("Tambahkan role ke paket reward level tertentu.")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("level")
+                .setDescription("Level minimum.")
+                .setRequired(true)
+                .setMinValue(1)
+                .setMaxValue(1000),
+            )
+            .addRoleOption((opt) =>
+              opt
+                .setName("role")
+                .setDescription("Role yang diberikan.")
+                .setRequired(true),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("remove_role")
+            .setDescription("Hapus role dari paket reward level tertentu.")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("level")
+                .setDescription("Level target.")
+                .setRequired(true)
+                .setMinValue(1),
+            )
+            .addRoleOption((opt) =>
+              opt
+                .setName("role")
+                .setDescription("Role yang dihapus (kosong: semua role)."),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("add_item")
             .setDescription(
-              "Tambahkan/Update role reward untuk level tertentu.",
+              "Atur pengumuman, bonus XP, atau DM di paket reward.",
             )
             .addIntegerOption((opt) =>
               opt
                 .setName("level")
-                .setDescription("Level minimum.")
+                .setDescription("Level target.")
+                .setRequired(true)
+                .setMinValue(1)
+                .setMaxValue(1000),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("type")
+                .setDescription("Jenis item")
+                .setRequired(true)
+                .addChoices(...REWARD_ITEM_CHOICES),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("value")
+                .setDescription("Teks atau jumlah XP.")
+                .setRequired(true)
+                .setMaxLength(1000),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("remove_item")
+            .setDescription("Hapus item non-role dari paket reward.")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("level")
+                .setDescription("Level target.")
+                .setRequired(true)
+                .setMinValue(1),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("type")
+                .setDescription("Jenis item")
+                .setRequired(true)
+                .addChoices(...REWARD_ITEM_CHOICES),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("add_rule")
+            .setDescription("Tambah aturan reward berulang atau rentang level.")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("start")
+                .setDescription("Level awal.")
+                .setRequired(true)
+                .setMinValue(1),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("end")
+                .setDescription("Level akhir (kosong: tanpa batas).")
+                .setMinValue(1),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("every")
+                .setDescription("Umumkan setiap N level.")
+                .setMinValue(1),
+            )
+            .addRoleOption((opt) =>
+              opt.setName("role").setDescription("Role selama dalam rentang."),
+            )
+            .addChannelOption((opt) =>
+              opt
+                .setName("channel")
+                .setDescription("Channel pengumuman.")
+                .addChannelTypes(ChannelType.GuildText),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("message")
+                .setDescription("Teks pengumuman.")
+                .setMaxLength(300),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("remove_rule")
+            .setDescription("Hapus aturan reward.")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("number")
+                .setDescription("Nomor aturan (lihat list_roles).")
+                .setRequired(true)
+                .setMinValue(1),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("list_roles")
+            .setDescription("Tampilkan tabel reward level efektif."),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("role_strategy")
+            .setDescription(
+              "Atur bagaimana role level lama dihapus saat naik level.",
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("strategy")
+                .setDescription("Pilih strategi penghapusan")
+                .setRequired(true)
+                .addChoices(
+                  { name: "Keep All (Biarkan semua role)", value: "keep_all" },
+                  {
+                    name: "Highest Only (Hanya role tertinggi)",
+                    value: "highest_only",
+                  },
+                  {
+                    name: "Remove Previous (Hapus level sebelumnya)",
+                    value: "remove_previous",
+                  },
+                ),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("restore_on_rejoin")
+            .setDescription(
+              "Pasang kembali role level saat member yang pernah keluar bergabung lagi.",
+            )
+            .addBooleanOption((opt) =>
+              opt
+                .setName("enabled")
+                .setDescription("Status pemulihan role.")
+                .setRequired(true),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("sync")
+            .setDescription(
+              "Terapkan role reward ke semua member sesuai level dan strategi saat ini.",
+            )
+            .addBooleanOption((opt) =>
+              opt
+                .setName("dry_run")
+                .setDescription(
+                  "Hanya tampilkan perubahan tanpa mengubah role (default: False).",
+                ),
+            ),
+        ),
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("curve")
+        .setDescription("📈 Atur kurva XP yang dibutuhkan per level.")
+        .addSubcommand((sub) =>
+          sub
+            .setName("set")
+            .setDescription(
+              "Ganti kurva level. Level semua pengguna akan dihitung ulang.",
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("formula")
+                .setDescription("Jenis kurva")
+                .setRequired(true)
+                .addChoices(
+                  { name: "Kuadrat (a*L² + b*L + c)", value: "quadratic" },
+                  { name: "Linear (step*L)", value: "linear" },
+                  {
+                    name: "Eksponensial (base*growth^(L-1))",
+                    value: "exponential",
+                  },
+                  { name: "Tabel (XP eksplisit per level)", value: "table" },
+                ),
+            )
+            .addNumberOption((opt) =>
+              opt
+                .setName("a")
+                .setDescription("Kuadrat: koefisien L².")
+                .setMinValue(0)
+                .setMaxValue(10000),
+            )
+            .addNumberOption((opt) =>
+              opt
+                .setName("b")
+                .setDescription("Kuadrat: koefisien L.")
+                .setMinValue(0)
+                .setMaxValue(100000),
+            )
+            .addNumberOption((opt) =>
+              opt
+                .setName("c")
+                .setDescription("Kuadrat: konstanta.")
+                .setMinValue(0)
+                .setMaxValue(1000000),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("step")
+                .setDescription("Linear: XP per level.")
+                .setMinValue(1)
+                .setMaxValue(1000000),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("base")
+                .setDescription("Eksponensial: XP untuk Level 1.")
+                .setMinValue(1)
+                .setMaxValue(1000000),
+            )
+            .addNumberOption((opt) =>
+              opt
+                .setName("growth")
+                .setDescription("Eksponensial: faktor pertumbuhan per level.")
+                .setMinValue(1.01)
+                .setMaxValue(10),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("table")
+                .setDescription(
+                  "Tabel: total XP per level dipisah koma (e.g., 100,250,500).",
+                )
+                .setMaxLength(1000),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("preview")
+            .setDescription("Tampilkan ambang XP untuk N level pertama.")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("levels")
+                .setDescription("Jumlah level (default: 10).")
+                .setMinValue(1)
+                .setMaxValue(50),
+            ),
+        ),
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("prestige")
+        .setDescription("🌟 Atur level maksimum dan reward prestige.")
+        .addSubcommand((sub) =>
+          sub
+            .setName("max_level")
+            .setDescription("Atur level maksimum untuk prestige (0=nonaktif).")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("level")
+                .setDescription("Level maksimum (0=tanpa batas).")
+                .setRequired(true)
+                .setMinValue(0)
+                .setMaxValue(1000),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("xp_bonus")
+            .setDescription("Atur bonus XP permanen per tier prestige.")
+            .addNumberOption((opt) =>
+              opt
+                .setName("percent")
+                .setDescription(
+                  "Bonus per tier dalam persen (e.g., 10 = +10%).",
+                )
+                .setRequired(true)
+                .setMinValue(0)
+                .setMaxValue(500),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("add_role")
+            .setDescription("Tambahkan/Update role reward untuk tier prestige.")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("tier")
+                .setDescription("Tier prestige minimum.")
                 .setRequired(true)
                 .setMinValue(1)
                 .setMaxValue(1000),
             )
             .addRoleOption((opt) =>
               opt
-                .setName("role")
-                .setDescription("Role yang diberikan.")
-                .setRequired(true),
+                .setName("role")
+                .setDescription("Role yang diberikan.")
+                .setRequired(true),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("remove_role")
+            .setDescription("Hapus role reward dari tier prestige.")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("tier")
+                .setDescription("Tier target.")
+                .setRequired(true)
+                .setMinValue(1),
+            ),
+        ),
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("decay")
+        .setDescription("⏬ Atur decay XP untuk pengguna yang tidak aktif.")
+        .addSubcommand((sub) =>
+          sub
+            .setName("toggle")
+            .setDescription("Aktifkan/nonaktifkan decay XP.")
+            .addBooleanOption((opt) =>
+              opt
+                .setName("enabled")
+                .setDescription("Status decay.")
+                .setRequired(true),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("settings")
+            .setDescription("Atur aturan decay XP.")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("inactive_days")
+                .setDescription("Hari tanpa aktivitas sebelum decay dimulai.")
+                .setMinValue(1)
+                .setMaxValue(365),
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("mode")
+                .setDescription("Jenis pengurangan per hari")
+                .addChoices(
+                  { name: "Persentase XP", value: "percent" },
+                  { name: "Jumlah tetap", value: "flat" },
+                ),
+            )
+            .addNumberOption((opt) =>
+              opt
+                .setName("amount")
+                .setDescription("Persen atau jumlah XP per hari.")
+                .setMinValue(0)
+                .setMaxValue(1000000),
+            )
+            .addIntegerOption((opt) =>
+              opt
+                .setName("floor")
+                .setDescription("XP minimum; decay berhenti di sini.")
+                .setMinValue(0),
+            ),
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("preview")
+            .setDescription(
+              "Dry run: tampilkan siapa yang akan terkena decay.",
+            ),
+        ),
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("voice")
+        .setDescription("🎤 Atur aturan pemberian XP suara.")
+        .addSubcommand((sub) =>
+          sub
+            .setName("rules")
+            .setDescription("Atur syarat percakapan nyata untuk XP suara.")
+            .addIntegerOption((opt) =>
+              opt
+                .setName("min_members")
+                .setDescription(
+                  "Minimal member non-bot & tidak deafen di channel (termasuk diri sendiri).",
+                )
+                .setMinValue(1)
+                .setMaxValue(99),
+            )
+            .addNumberOption((opt) =>
+              opt
+                .setName("self_mute_multiplier")
+                .setDescription(
+                  "Pengganda XP saat self-mute (0 = tidak dapat XP, 1 = normal).",
+                )
+                .setMinValue(0)
+                .setMaxValue(2),
             ),
         )
         .addSubcommand((sub) =>
           sub
-            .setName("remove_role")
-            .setDescription("Hapus role reward dari level tertentu.")
+            .setName("interval")
+            .setDescription("Atur seberapa sering XP suara diberikan.")
             .addIntegerOption((opt) =>
               opt
-                .setName("level")
-                .setDescription("Level target.")
+                .setName("minutes")
+                .setDescription("Interval pemberian XP suara dalam menit.")
                 .setRequired(true)
-                .setMinValue(1),
+                .setMinValue(1)
+                .setMaxValue(60),
             ),
         )
         .addSubcommand((sub) =>
           sub
-            .setName("list_roles")
-            .setDescription("Tampilkan daftar role reward yang sudah diatur."),
-        )
-        .addSubcommand((sub) =>
-          sub
-            .setName("role_strategy")
+            .setName("multipliers")
             .setDescription(
-              "Atur bagaimana role level lama dihapus saat naik level.",
+              "Atur bonus streaming/kamera dan multiplier stage channel.",
             )
-            .addStringOption((opt) =>
+            .addNumberOption((opt) =>
               opt
-                .setName("strategy")
-                .setDescription("Pilih strategi penghapusan")
-                .setRequired(true)
-                .addChoices(
-                  { name: "Keep All (Biarkan semua role)", value: "keep_all" },
-                  {
-                    name: "Highest Only (Hanya role tertinggi)",
-                    value: "highest_only",
-                  },
-                  {
-                    name: "Remove Previous (Hapus level sebelumnya)",
-                    value: "remove_previous",
-                  },
-                ),
+                .setName("stream")
+                .setDescription("Pengganda saat streaming (Go Live).")
+                .setMinValue(1)
+                .setMaxValue(5),
+            )
+            .addNumberOption((opt) =>
+              opt
+                .setName("video")
+                .setDescription("Pengganda saat kamera menyala.")
+                .setMinValue(1)
+                .setMaxValue(5),
+            )
+            .addNumberOption((opt) =>
+              opt
+                .setName("stage_speaker")
+                .setDescription("Pengganda pembicara di stage channel.")
+                .setMinValue(0.1)
+                .setMaxValue(5),
+            )
+            .addNumberOption((opt) =>
+              opt
+                .setName("stage_audience")
+                .setDescription(
+                  "Pengganda penonton di stage channel (0 = tidak dapat XP).",
+                )
+                .setMinValue(0)
+                .setMaxValue(5),
             ),
         ),
     )
@@ -491,6 +1960,29 @@ module.exports = {
         .setName("view")
         .setDescription(
           "👀 Menampilkan konfigurasi leveling saat ini untuk server ini.",
+        )
+        .addUserOption((opt) =>
+          opt
+            .setName("member")
+            .setDescription(
+              "Tampilkan contoh perhitungan multiplier untuk member ini.",
+            ),
+        )
+        .addChannelOption((opt) =>
+          opt
+            .setName("channel")
+            .setDescription(
+              "Channel untuk contoh perhitungan (default: channel ini).",
+            )
+            .addChannelTypes(
+              ChannelType.GuildText,
+              ChannelType.GuildAnnouncement,
+              ChannelType.GuildVoice,
+              ChannelType.GuildStageVoice,
+              ChannelType.PublicThread,
+              ChannelType.PrivateThread,
+              ChannelType.AnnouncementThread,
+            ),
         ),
     )
     .addSubcommand((subcommand) =>
@@ -528,8 +2020,42 @@ module.exports = {
       let message = "";
 
       if (subcommand === "view") {
-        const embed = createConfigEmbed(currentConfig, interaction.guild.name);
-        return interaction.editReply({ embeds: [embed] });
+        const embeds = [
+          createConfigEmbed(currentConfig, interaction.guild.name),
+        ];
+        const exampleUser = interaction.options.getUser("member");
+        if (exampleUser) {
+          const member = await interaction.guild.members
+            .fetch(exampleUser.id)
+            .catch(() => null);
+          if (!member) {
+            return interaction.editReply({
+              content: `❌ ${exampleUser} bukan member server ini.`,
+              embeds,
+            });
+          }
+          const channelId =
+            interaction.options.getChannel("channel")?.id ??
+            interaction.channelId;
+          const userData =
+            await levelingSystem.levelingManager.getUserLevelData(
+              guildId,
+              member.id,
+            );
+          const result = await levelingSystem.xpManager.calculateMultiplier(
+            currentConfig,
+            { member, channelId, userData },
+          );
+          embeds.push(
+            createMultiplierExampleEmbed(
+              currentConfig,
+              result,
+              member,
+              channelId,
+            ),
+          );
+        }
+        return interaction.editReply({ embeds });
       }
 
       if (subcommand === "reset_guild_data") {
@@ -552,8 +2078,23 @@ module.exports = {
           switch (subcommand) {
             case "xp_message":
               update.xpPerMessage = interaction.options.getInteger("amount");
+              update.xpPerMessageMin = update.xpPerMessage;
+              update.xpPerMessageMax = update.xpPerMessage;
               message = `✅ XP per pesan diatur ke \`${update.xpPerMessage}\`.`;
               break;
+            case "xp_message_range": {
+              const min = interaction.options.getInteger("min");
+              const max = interaction.options.getInteger("max");
+              if (min > max) {
+                return interaction.editReply(
+                  "❌ Nilai `min` tidak boleh lebih besar dari `max`.",
+                );
+              }
+              update.xpPerMessageMin = min;
+              update.xpPerMessageMax = max;
+              message = `✅ XP per pesan sekarang diundi acak antara \`${min}\` dan \`${max}\` (sebelum multiplier).`;
+              break;
+            }
             case "xp_voice":
               update.xpPerMinuteVoice =
                 interaction.options.getInteger("amount");
@@ -569,10 +2110,50 @@ module.exports = {
                 interaction.options.getBoolean("enabled");
               message = `✅ Sistem penalty diatur ke: ${update.enablePenaltySystem ? "**Aktif**" : "**Nonaktif**"}.`;
               break;
+            case "ledger_retention":
+              update.ledgerRetentionDays =
+                interaction.options.getInteger("days");
+              message =
+                update.ledgerRetentionDays > 0
+                  ? `✅ Riwayat XP akan disimpan selama \`${update.ledgerRetentionDays}\` hari. Berlaku untuk entri baru.`
+                  : "✅ Riwayat XP akan disimpan selamanya. Berlaku untuk entri baru.";
+              break;
             case "leaderboard_style":
               update.leaderboardStyle = interaction.options.getString("style");
               message = `✅ Tampilan default leaderboard diatur ke \`${update.leaderboardStyle}\`.`;
               break;
+            case "multiplier_stacking": {
+              update.multiplierStacking = interaction.options.getString("mode");
+              const cap = interaction.options.getNumber("cap");
+              if (cap !== null) update.multiplierCap = cap;
+              message = `✅ Multiplier sekarang digabung dengan mode ${describeMultiplierStacking({ ...currentConfig, ...update })}.`;
+              break;
+            }
+            case "booster_stacking":
+              update.boosterStacking = interaction.options.getString("mode");
+              message = `✅ Booster XP pribadi sekarang digabung dengan mode \`${update.boosterStacking}\`.`;
+              break;
+            case "timezone": {
+              const zone = interaction.options.getString("zone").trim();
+              if (!configManager.isValidTimezone(zone)) {
+                return interaction.editReply(
+                  `❌ Zona waktu \`${zone}\` tidak dikenali. Gunakan nama IANA seperti \`Asia/Jakarta\` atau \`UTC\`.`,
+                );
+              }
+              update.timezone = zone;
+              message = `✅ Zona waktu server diatur ke \`${zone}\`. Pergantian hari streak mengikuti zona waktu ini.`;
+              break;
+            }
+            case "leave_policy": {
+              const graceDays = interaction.options.getInteger("grace_days");
+              update.leavePolicy = {
+                ...currentConfig.leavePolicy,
+                mode: interaction.options.getString("mode"),
+                ...(graceDays !== null && { graceDays }),
+              };
+              message = `✅ Kebijakan member keluar diatur: ${describeLeavePolicy(update.leavePolicy)}.`;
+              break;
+            }
           }
           break;
 
@@ -644,7 +2225,7 @@ module.exports = {
                   ...currentConfig.ignoredChannels,
                   channelIgnore.id,
                 ];
-                message = `✅ Channel ${channelIgnore} telah ditambahkan ke daftar abaikan XP.`;
+                message = `✅ Channel ${channelIgnore} telah ditambahkan ke daftar abaikan XP.${describeChannelInheritance(channelIgnore)}`;
               } else {
                 message = `ℹ️ Channel ${channelIgnore} sudah ada di daftar abaikan.`;
                 update = null;
@@ -664,6 +2245,92 @@ module.exports = {
           }
           break;
 
+        case "reactions": {
+          const reactionXp = { ...currentConfig.reactionXp };
+          switch (subcommand) {
+            case "toggle":
+              reactionXp.enabled = interaction.options.getBoolean("enabled");
+              update.reactionXp = reactionXp;
+              message = `✅ XP reaksi sekarang **${reactionXp.enabled ? "Aktif" : "Nonaktif"}**.`;
+              break;
+            case "settings": {
+              const options = {
+                xpPerReaction: interaction.options.getInteger("xp"),
+                maxPerMessage:
+                  interaction.options.getInteger("max_per_message"),
+                maxPerAuthorPerHour: interaction.options.getInteger(
+                  "max_per_author_hour",
+                ),
+                cooldownSeconds: interaction.options.getInteger("cooldown"),
+              };
+              if (Object.values(options).every((value) => value === null)) {
+                return interaction.editReply(
+                  `ℹ️ Pengaturan XP reaksi saat ini: ${describeReactionXp(reactionXp)}.`,
+                );
+              }
+              for (const [field, value] of Object.entries(options)) {
+                if (value !== null) reactionXp[field] = value;
+              }
+              update.reactionXp = reactionXp;
+              message = `✅ Pengaturan XP reaksi diperbarui: ${describeReactionXp(reactionXp)}.`;
+              break;
+            }
+          }
+          break;
+        }
+
+        case "streaks": {
+          const streaks = {
+            ...currentConfig.streaks,
+            milestones: [...currentConfig.streaks.milestones],
+          };
+          switch (subcommand) {
+            case "toggle":
+              streaks.enabled = interaction.options.getBoolean("enabled");
+              update.streaks = streaks;
+              message = `✅ Streak harian sekarang **${streaks.enabled ? "Aktif" : "Nonaktif"}**.`;
+              break;
+            case "multiplier": {
+              const perDay = interaction.options.getNumber("per_day");
+              const max = interaction.options.getNumber("max");
+              if (perDay === null && max === null) {
+                return interaction.editReply(
+                  `ℹ️ Pengaturan streak saat ini: ${describeStreaks(currentConfig)}.`,
+                );
+              }
+              if (perDay !== null) streaks.multiplierPerDay = perDay;
+              if (max !== null) streaks.maxMultiplier = max;
+              update.streaks = streaks;
+              message = `✅ Pengaturan streak diperbarui: ${describeStreaks({ ...currentConfig, streaks })}.`;
+              break;
+            }
+            case "milestone": {
+              const days = interaction.options.getInteger("days");
+              const xp = interaction.options.getInteger("xp");
+              const index = streaks.milestones.findIndex(
+                (m) => m.days === days,
+              );
+              if (xp === 0) {
+                if (index === -1) {
+                  message = `ℹ️ Tidak ada milestone streak untuk \`${days}\` hari.`;
+                  update = null;
+                  break;
+                }
+                streaks.milestones.splice(index, 1);
+                message = `✅ Milestone streak \`${days}\` hari dihapus.`;
+              } else {
+                if (index === -1) streaks.milestones.push({ days, xp });
+                else streaks.milestones[index] = { days, xp };
+                streaks.milestones.sort((a, b) => a.days - b.days);
+                message = `✅ Streak \`${days}\` hari sekarang memberi bonus \`${xp}\` XP.`;
+              }
+              update.streaks = streaks;
+              break;
+            }
+          }
+          break;
+        }
+
         case "multipliers":
           const roleMulti = interaction.options.getRole("role");
           const channelMulti = interaction.options.getChannel("channel");
@@ -693,7 +2360,7 @@ module.exports = {
               );
               newChannelMultipliers.set(channelMulti.id, multiplier);
               update.channelMultipliers = newChannelMultipliers;
-              message = `✅ Multiplier XP untuk channel ${channelMulti} diatur ke \`${multiplier}x\`.`;
+              message = `✅ Multiplier XP untuk channel ${channelMulti} diatur ke \`${multiplier}x\`.${describeChannelInheritance(channelMulti)}`;
               break;
             case "remove_channel":
               const currentChannelMultipliers = new Map(
@@ -723,54 +2390,545 @@ module.exports = {
                   `❌ Saya tidak bisa memberikan role ${roleReward} karena posisinya lebih tinggi atau sama dengan role tertinggi saya.`,
                 );
               }
-              const newLevelRoles = new Map(currentConfig.levelRoles);
-              newLevelRoles.set(level.toString(), roleReward.id);
-              update.levelRoles = newLevelRoles;
-              message = `✅ Role ${roleReward} akan diberikan saat pengguna mencapai **Level ${level}**.`;
+              if (
+                currentConfig.levelRewards
+                  .get(level.toString())
+                  ?.roles.includes(roleReward.id)
+              ) {
+                message = `ℹ️ Role ${roleReward} sudah ada di paket reward **Level ${level}**.`;
+                update = null;
+                break;
+              }
+              update.levelRewards = updateRewardBundle(
+                currentConfig,
+                level,
+                (bundle) => bundle.roles.push(roleReward.id),
+              );
+              message = `✅ Role ${roleReward} akan diberikan saat pengguna mencapai **Level ${level}**.${ROLE_SYNC_HINT}`;
+              break;
+            case "remove_role": {
+              const currentRoles =
+                currentConfig.levelRewards.get(level.toString())?.roles ?? [];
+              const removedRoles = roleReward
+                ? currentRoles.filter((id) => id === roleReward.id)
+                : currentRoles;
+              if (removedRoles.length === 0) {
+                message = roleReward
+                  ? `ℹ️ Role ${roleReward} tidak ada di paket reward Level ${level}.`
+                  : `ℹ️ Tidak ada role reward yang terdaftar untuk Level ${level}.`;
+                update = null;
+                break;
+              }
+              update.levelRewards = updateRewardBundle(
+                currentConfig,
+                level,
+                (bundle) => {
+                  bundle.roles = bundle.roles.filter(
+                    (id) => !removedRoles.includes(id),
+                  );
+                },
+              );
+              message = `✅ ${removedRoles.map((id) => `<@&${id}>`).join(", ")} dihapus dari paket reward **Level ${level}**.${ROLE_SYNC_HINT}`;
+              break;
+            }
+            case "add_item": {
+              const type = interaction.options.getString("type");
+              const value = interaction.options.getString("value").trim();
+              let itemValue = value;
+              if (type === "xp") {
+                itemValue = Number(value);
+                if (!Number.isInteger(itemValue) || itemValue < 1) {
+                  return interaction.editReply(
+                    "❌ Bonus XP harus berupa bilangan bulat positif.",
+                  );
+                }
+              } else if (type === "message" && value.length > 300) {
+                return interaction.editReply(
+                  "❌ Baris pengumuman maksimal 300 karakter.",
+                );
+              }
+              update.levelRewards = updateRewardBundle(
+                currentConfig,
+                level,
+                (bundle) => {
+                  bundle[type] = itemValue;
+                },
+              );
+              message = `✅ Paket reward **Level ${level}**: ${REWARD_ITEM_LABELS[type]} diatur.\n-# Bonus XP dan DM hanya diberikan sekali per pengguna, pengumuman tampil di notifikasi level up.`;
               break;
-            case "remove_role":
-              const currentLevelRoles = new Map(currentConfig.levelRoles);
-              if (currentLevelRoles.delete(level.toString())) {
-                update.levelRoles = currentLevelRoles;
-                message = `✅ Role reward untuk **Level ${level}** telah dihapus.`;
-              } else {
-                message = `ℹ️ Tidak ada role reward yang terdaftar untuk Level ${level}.`;
+            }
+            case "remove_item": {
+              const type = interaction.options.getString("type");
+              if (!currentConfig.levelRewards.get(level.toString())?.[type]) {
+                message = `ℹ️ Paket reward Level ${level} tidak memiliki ${REWARD_ITEM_LABELS[type]}.`;
+                update = null;
+                break;
+              }
+              update.levelRewards = updateRewardBundle(
+                currentConfig,
+                level,
+                (bundle) => {
+                  bundle[type] = type === "xp" ? 0 : null;
+                },
+              );
+              message = `✅ Paket reward **Level ${level}**: ${REWARD_ITEM_LABELS[type]} dihapus.`;
+              break;
+            }
+            case "add_rule": {
+              const rule = {
+                start: interaction.options.getInteger("start"),
+                end: interaction.options.getInteger("end"),
+                every: interaction.options.getInteger("every"),
+                roleId: roleReward?.id ?? null,
+                channelId:
+                  interaction.options.getChannel("channel")?.id ?? null,
+                message:
+                  interaction.options.getString("message")?.trim() || null,
+              };
+              if (!rule.roleId && !rule.message) {
+                return interaction.editReply(
+                  "❌ Aturan reward membutuhkan `role` atau `message`.",
+                );
+              }
+              if (rule.channelId && !rule.message) {
+                return interaction.editReply(
+                  "❌ `channel` hanya digunakan untuk pengumuman; isi juga `message`.",
+                );
+              }
+              if (rule.end != null && rule.end < rule.start) {
+                return interaction.editReply(
+                  "❌ Level akhir tidak boleh lebih kecil dari level awal.",
+                );
+              }
+              if (currentConfig.rewardRules.length >= MAX_REWARD_RULES) {
+                return interaction.editReply(
+                  `❌ Maksimal ${MAX_REWARD_RULES} aturan reward per server. Hapus aturan lama dengan \`remove_rule\`.`,
+                );
+              }
+              if (roleReward) {
+                const botMember = await interaction.guild.members.fetch(
+                  interaction.client.user.id,
+                );
+                if (roleReward.position >= botMember.roles.highest.position) {
+                  return interaction.editReply(
+                    `❌ Saya tidak bisa memberikan role ${roleReward} karena posisinya lebih tinggi atau sama dengan role tertinggi saya.`,
+                  );
+                }
+              }
+              update.rewardRules = [...currentConfig.rewardRules, rule];
+              message = `✅ Aturan reward #${update.rewardRules.length} ditambahkan: ${describeRewardRule(rule)}.${rule.roleId ? ROLE_SYNC_HINT : ""}`;
+              break;
+            }
+            case "remove_rule": {
+              const index = interaction.options.getInteger("number") - 1;
+              const removedRule = currentConfig.rewardRules[index];
+              if (!removedRule) {
+                message = `ℹ️ Aturan reward #${index + 1} tidak ditemukan. Lihat nomor aturan dengan \`/levelconfig rewards list_roles\`.`;
                 update = null;
+                break;
               }
+              update.rewardRules = currentConfig.rewardRules.filter(
+                (_, i) => i !== index,
+              );
+              message = `✅ Aturan reward #${index + 1} (${describeRewardRule(removedRule)}) dihapus.${removedRule.roleId ? ROLE_SYNC_HINT : ""}`;
               break;
+            }
             case "list_roles":
+              const hasRewards =
+                currentConfig.levelRewards.size > 0 ||
+                currentConfig.rewardRules.length > 0;
               const listEmbed = new EmbedBuilder()
-                .setTitle("🎁 Daftar Role Reward Level")
-                .setColor(
-                  currentConfig.levelRoles?.size > 0 ? "#00FF00" : "#FFA500",
-                )
+                .setTitle("🎁 Tabel Reward Level")
+                .setColor(hasRewards ? "#00FF00" : "#FFA500")
                 .setTimestamp();
-              let listDescription = "Belum ada role reward yang diatur.";
-              if (
-                currentConfig.levelRoles instanceof Map &&
-                currentConfig.levelRoles.size > 0
-              ) {
-                const sortedRewards = Array.from(
-                  currentConfig.levelRoles.entries(),
-                ).sort((a, b) => parseInt(a[0], 10) - parseInt(b[0], 10));
-                listDescription = sortedRewards
-                  .map(([lvl, id]) => `**Level ${lvl}:** <@&${id}>`)
-                  .join("\n");
-
-                if (listDescription.length > 4090) {
-                  listDescription =
-                    listDescription.slice(0, 4080) + "\n... (dan lainnya)";
+              let listDescription = "Belum ada reward level yang diatur.";
+              if (hasRewards) {
+                const { rows, lastLevel } = buildEffectiveRewardTable(
+                  currentConfig,
+                  levelingSystem.levelingManager,
+                );
+                const rulesText =
+                  currentConfig.rewardRules.length > 0
+                    ? `\n\n**📐 Aturan Reward**\n${currentConfig.rewardRules
+                        .map(
+                          (rule, index) =>
+                            `\`#${index + 1}\` ${describeRewardRule(rule)}`,
+                        )
+                        .join("\n")}`
+                    : "";
+                let tableText = `${rows.join("\n")}\n-# Tabel ditampilkan hingga Level ${lastLevel}.`;
+                const room = 4096 - rulesText.length;
+                if (tableText.length > room) {
+                  tableText =
+                    tableText.slice(0, room - 20) + "\n... (dan lainnya)";
                 }
+                listDescription = tableText + rulesText;
               }
               listEmbed.setDescription(listDescription);
               return interaction.editReply({ embeds: [listEmbed] });
             case "role_strategy":
               update.roleRemovalStrategy =
                 interaction.options.getString("strategy");
-              message = `✅ Strategi penghapusan role lama saat naik level diatur ke \`${update.roleRemovalStrategy}\`.`;
+              message = `✅ Strategi penghapusan role lama saat naik level diatur ke \`${update.roleRemovalStrategy}\`.${ROLE_SYNC_HINT}`;
+              break;
+            case "restore_on_rejoin":
+              update.restoreRolesOnRejoin =
+                interaction.options.getBoolean("enabled");
+              message = update.restoreRolesOnRejoin
+                ? "✅ Role level dan prestige akan dipasang kembali saat member bergabung lagi ke server."
+                : "✅ Role level tidak lagi dipasang kembali saat member bergabung lagi; role diberikan saat mereka naik level berikutnya.";
+              break;
+            case "sync": {
+              if (
+                !levelingSystem.levelingManager.hasLevelRewardRoles(
+                  currentConfig,
+                )
+              ) {
+                return interaction.editReply(
+                  "ℹ️ Belum ada role reward yang diatur, tidak ada yang perlu disinkronkan.",
+                );
+              }
+              const dryRun = interaction.options.getBoolean("dry_run") ?? false;
+              const { formatNumber } = levelingSystem.formatters;
+              await interaction.editReply(
+                `🔄 Memulai sinkronisasi role level${dryRun ? " (dry run)" : ""}...`,
+              );
+
+              let lastProgressAt = Date.now();
+              const summary =
+                await levelingSystem.levelingManager.syncGuildLevelRoles(
+                  guildId,
+                  {
+                    dryRun,
+                    onProgress: async (progress) => {
+                      if (
+                        Date.now() - lastProgressAt <
+                        ROLE_SYNC_PROGRESS_INTERVAL
+                      )
+                        return;
+                      lastProgressAt = Date.now();
+                      const percent = Math.floor(
+                        (progress.processed / progress.total) * 100,
+                      );
+                      await interaction.editReply(
+                        `🔄 Sinkronisasi role level${dryRun ? " (dry run)" : ""}: \`${formatNumber(progress.processed, 0)}/${formatNumber(progress.total, 0)}\` member (${percent}%) · role +${progress.rolesAdded} / -${progress.rolesRemoved}`,
+                      );
+                    },
+                  },
+                );
+              if (!summary) {
+                return interaction.editReply(
+                  "⏳ Sinkronisasi role lain masih berjalan di server ini. Coba lagi setelah selesai.",
+                );
+              }
+              return interaction.editReply({
+                content: "",
+                embeds: [createRoleSyncEmbed(summary, formatNumber)],
+              });
+            }
+          }
+          break;
+
+        case "curve":
+          switch (subcommand) {
+            case "set": {
+              const formula = interaction.options.getString("formula");
+              const previousCurve = currentConfig.levelCurve;
+              const newCurve = {
+                ...previousCurve,
+                formula,
+                a: interaction.options.getNumber("a") ?? previousCurve.a,
+                b: interaction.options.getNumber("b") ?? previousCurve.b,
+                c: interaction.options.getNumber("c") ?? previousCurve.c,
+                step:
+                  interaction.options.getInteger("step") ?? previousCurve.step,
+                base:
+                  interaction.options.getInteger("base") ?? previousCurve.base,
+                growth:
+                  interaction.options.getNumber("growth") ??
+                  previousCurve.growth,
+              };
+              const tableInput = interaction.options.getString("table");
+              if (tableInput) {
+                newCurve.table = tableInput
+                  .split(",")
+                  .map((value) => value.trim())
+                  .filter((value) => value.length > 0)
+                  .map(Number);
+              }
+
+              if (!configManager.isValidLevelCurve(newCurve)) {
+                return interaction.editReply(
+                  formula === "table"
+                    ? "⚠️ Tabel XP harus berisi angka positif yang terus naik, dipisah koma (e.g., `100,250,500`)."
+                    : "⚠️ Parameter kurva tidak valid. Pastikan kurva naik di setiap level (e.g., `a` + `b` > 0).",
+                );
+              }
+
+              const updatedConfig = await configManager.updateConfig(guildId, {
+                levelCurve: newCurve,
+              });
+              const summary =
+                await levelingSystem.levelingManager.recalculateGuildLevels(
+                  guildId,
+                );
+              const previewEmbed = createCurvePreviewEmbed(
+                levelingSystem.levelingManager,
+                updatedConfig.levelCurve,
+                10,
+                levelingSystem.formatters.formatNumber,
+              );
+              const summaryText = summary
+                ? `🔄 Level dihitung ulang: **${summary.changed}** dari **${summary.total}** pengguna berubah level.${summary.roleSyncStarted ? " Role level sedang diselaraskan di latar belakang." : ""}`
+                : "⚠️ Kurva tersimpan, tetapi terjadi kesalahan saat menghitung ulang level pengguna.";
+              return interaction.editReply({
+                content: `✅ Kurva level diatur ke ${describeLevelCurve(updatedConfig.levelCurve)}.\n${summaryText}`,
+                embeds: [previewEmbed],
+              });
+            }
+            case "preview": {
+              const count = interaction.options.getInteger("levels") ?? 10;
+              const previewEmbed = createCurvePreviewEmbed(
+                levelingSystem.levelingManager,
+                currentConfig.levelCurve,
+                count,
+                levelingSystem.formatters.formatNumber,
+              );
+              return interaction.editReply({ embeds: [previewEmbed] });
+            }
+          }
+          break;
+
+        case "prestige": {
+          const tier = interaction.options.getInteger("tier");
+          const rolePrestige = interaction.options.getRole("role");
+          switch (subcommand) {
+            case "max_level":
+              update.maxLevel = interaction.options.getInteger("level");
+              message =
+                update.maxLevel > 0
+                  ? `✅ Level maksimum diatur ke **Level ${update.maxLevel}**. Pengguna yang mencapainya dapat menggunakan \`/prestige\`.`
+                  : `✅ Level maksimum dinonaktifkan. Sistem prestige tidak aktif.`;
+              break;
+            case "xp_bonus": {
+              const percent = interaction.options.getNumber("percent");
+              update.prestigeXpBonus = percent / 100;
+              message = `✅ Bonus XP prestige diatur ke \`+${percent}%\` per tier.`;
+              break;
+            }
+            case "add_role": {
+              const botMember = await interaction.guild.members.fetch(
+                interaction.client.user.id,
+              );
+              if (rolePrestige.position >= botMember.roles.highest.position) {
+                return interaction.editReply(
+                  `❌ Saya tidak bisa memberikan role ${rolePrestige} karena posisinya lebih tinggi atau sama dengan role tertinggi saya.`,
+                );
+              }
+              const newPrestigeRoles = new Map(currentConfig.prestigeRoles);
+              newPrestigeRoles.set(tier.toString(), rolePrestige.id);
+              update.prestigeRoles = newPrestigeRoles;
+              message = `✅ Role ${rolePrestige} akan diberikan saat pengguna mencapai **Prestige ${tier}**.`;
+              break;
+            }
+            case "remove_role": {
+              const currentPrestigeRoles = new Map(currentConfig.prestigeRoles);
+              if (currentPrestigeRoles.delete(tier.toString())) {
+                update.prestigeRoles = currentPrestigeRoles;
+                message = `✅ Role reward untuk **Prestige ${tier}** telah dihapus.`;
+              } else {
+                message = `ℹ️ Tidak ada role reward yang terdaftar untuk Prestige ${tier}.`;
+                update = null;
+              }
+              break;
+            }
+          }
+          break;
+        }
+
+        case "filters": {
+          const filters = {
+            ...currentConfig.messageFilters,
+            ignorePatterns: [...currentConfig.messageFilters.ignorePatterns],
+          };
+          switch (subcommand) {
+            case "length": {
+              const minChars = interaction.options.getInteger("min_chars");
+              const minWords = interaction.options.getInteger("min_words");
+              if (minChars === null && minWords === null) {
+                return interaction.editReply(
+                  "❌ Isi minimal salah satu dari `min_chars` atau `min_words`.",
+                );
+              }
+              if (minChars !== null) filters.minChars = minChars;
+              if (minWords !== null) filters.minWords = minWords;
+              update.messageFilters = filters;
+              message = `✅ Panjang minimum pesan: \`${filters.minChars}\` karakter, \`${filters.minWords}\` kata.`;
+              break;
+            }
+            case "add_pattern": {
+              const pattern = interaction.options.getString("pattern");
+              try {
+                new RegExp(pattern, "i");
+              } catch (regexError) {
+                return interaction.editReply(
+                  `❌ Pola regex tidak valid: \`${regexError.message}\``,
+                );
+              }
+              if (!levelingSystem.xpManager.isSafePattern(pattern)) {
+                return interaction.editReply(
+                  "❌ Pola regex ditolak: quantifier bersarang (misal `(a+)+`) dan backreference dapat membuat bot macet. Sederhanakan polanya.",
+                );
+              }
+              if (filters.ignorePatterns.includes(pattern)) {
+                message = `ℹ️ Pola \`${pattern}\` sudah ada di filter.`;
+                update = null;
+                break;
+              }
+              if (filters.ignorePatterns.length >= MAX_FILTER_PATTERNS) {
+                return interaction.editReply(
+                  `❌ Maksimal ${MAX_FILTER_PATTERNS} pola filter per server.`,
+                );
+              }
+              filters.ignorePatterns.push(pattern);
+              update.messageFilters = filters;
+              message = `✅ Pesan yang cocok dengan \`${pattern}\` tidak akan mendapat XP.`;
+              break;
+            }
+            case "remove_pattern": {
+              const pattern = interaction.options.getString("pattern");
+              if (!filters.ignorePatterns.includes(pattern)) {
+                message = `ℹ️ Pola \`${pattern}\` tidak ditemukan di filter.`;
+                update = null;
+                break;
+              }
+              filters.ignorePatterns = filters.ignorePatterns.filter(
+                (p) => p !== pattern,
+              );
+              update.messageFilters = filters;
+              message = `✅ Pola \`${pattern}\` telah dihapus dari filter.`;
+              break;
+            }
+            case "emoji_only":
+              filters.ignoreEmojiOnly =
+                interaction.options.getBoolean("enabled");
+              update.messageFilters = filters;
+              message = `✅ Filter pesan emoji saja sekarang **${filters.ignoreEmojiOnly ? "Aktif" : "Nonaktif"}**.`;
+              break;
+            case "sticker_only":
+              filters.ignoreStickerOnly =
+                interaction.options.getBoolean("enabled");
+              update.messageFilters = filters;
+              message = `✅ Filter pesan sticker saja sekarang **${filters.ignoreStickerOnly ? "Aktif" : "Nonaktif"}**.`;
               break;
+            case "duplicates":
+              filters.duplicateSimilarity =
+                interaction.options.getInteger("similarity");
+              update.messageFilters = filters;
+              message =
+                filters.duplicateSimilarity > 0
+                  ? `✅ Pesan dengan kemiripan \`${filters.duplicateSimilarity}%\` atau lebih dengan pesan sebelumnya tidak akan mendapat XP.`
+                  : "✅ Filter pesan duplikat dinonaktifkan.";
+              break;
+          }
+          break;
+        }
+
+        case "decay": {
+          const decay = { ...currentConfig.decay };
+          switch (subcommand) {
+            case "toggle":
+              decay.enabled = interaction.options.getBoolean("enabled");
+              update.decay = decay;
+              message = `✅ Decay XP sekarang **${decay.enabled ? "Aktif" : "Nonaktif"}**.`;
+              break;
+            case "settings": {
+              const inactiveDays =
+                interaction.options.getInteger("inactive_days");
+              const mode = interaction.options.getString("mode");
+              const amount = interaction.options.getNumber("amount");
+              const floor = interaction.options.getInteger("floor");
+              if (inactiveDays !== null) decay.inactiveDays = inactiveDays;
+              if (mode !== null) decay.mode = mode;
+              if (amount !== null) decay.amount = amount;
+              if (floor !== null) decay.floorXP = floor;
+              if (decay.mode === "percent" && decay.amount > 100) {
+                return interaction.editReply(
+                  "❌ Persentase decay tidak boleh lebih dari 100.",
+                );
+              }
+              update.decay = decay;
+              message = `✅ Pengaturan decay diperbarui: ${describeDecay(decay)}.`;
+              break;
+            }
+            case "preview": {
+              const candidates =
+                await levelingSystem.decayManager.getDecayCandidates(
+                  guildId,
+                  currentConfig,
+                );
+              const embed = createDecayPreviewEmbed(
+                currentConfig.decay,
+                candidates,
+                levelingSystem.formatters.formatNumber,
+              );
+              return interaction.editReply({ embeds: [embed] });
+            }
+          }
+          break;
+        }
+
+        case "voice": {
+          const voiceRules = { ...currentConfig.voiceRules };
+          switch (subcommand) {
+            case "rules": {
+              const minMembers = interaction.options.getInteger("min_members");
+              const selfMuteMultiplier = interaction.options.getNumber(
+                "self_mute_multiplier",
+              );
+              if (minMembers === null && selfMuteMultiplier === null) {
+                return interaction.editReply(
+                  `ℹ️ Aturan suara saat ini: ${describeVoiceRules(voiceRules)}.`,
+                );
+              }
+              if (minMembers !== null) voiceRules.minMembers = minMembers;
+              if (selfMuteMultiplier !== null) {
+                voiceRules.selfMuteMultiplier = selfMuteMultiplier;
+              }
+              update.voiceRules = voiceRules;
+              message = `✅ Aturan suara diperbarui: ${describeVoiceRules(voiceRules)}.`;
+              break;
+            }
+            case "interval": {
+              voiceRules.intervalMinutes =
+                interaction.options.getInteger("minutes");
+              update.voiceRules = voiceRules;
+              message = `✅ XP suara sekarang diberikan setiap **${voiceRules.intervalMinutes} menit** (dihitung dari durasi sebenarnya sejak pemberian terakhir).`;
+              break;
+            }
+            case "multipliers": {
+              const voiceMultipliers = { ...currentConfig.voiceMultipliers };
+              const options = {
+                stream: interaction.options.getNumber("stream"),
+                video: interaction.options.getNumber("video"),
+                stageSpeaker: interaction.options.getNumber("stage_speaker"),
+                stageAudience: interaction.options.getNumber("stage_audience"),
+              };
+              for (const [field, value] of Object.entries(options)) {
+                if (value !== null) voiceMultipliers[field] = value;
+              }
+              if (Object.values(options).every((value) => value === null)) {
+                return interaction.editReply(
+                  `ℹ️ Multiplier suara saat ini: ${describeVoiceMultipliers(voiceMultipliers)}.`,
+                );
+              }
+              update.voiceMultipliers = voiceMultipliers;
+              message = `✅ Multiplier suara diperbarui: ${describeVoiceMultipliers(voiceMultipliers)}.`;
+              break;
+            }
           }
           break;
+        }
 
         default:
           console.warn(
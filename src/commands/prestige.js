@@ -0,0 +1,142 @@
+/**
+ * @description Slash command untuk melakukan prestige: mereset XP dan level pengguna
+ *              yang sudah mencapai level maksimum server dengan imbalan tier prestige baru,
+ *              role reward prestige, dan bonus XP permanen.
+ * @requires discord.js SlashCommandBuilder, EmbedBuilder, MessageFlags
+ * @requires ../core/LevelingSystem (tipe parameter execute)
+ * @requires ../core/LevelingManager (implisit via levelingSystem)
+ * @requires ../managers/GuildConfigManager (implisit via levelingSystem)
+ */
+
+const {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  MessageFlags,
+} = require("discord.js");
+
+/**
+ * @module prestigeCommand
+ * @description Definisi dan eksekusi untuk slash command `/prestige`.
+ */
+module.exports = {
+  /**
+   * @property {SlashCommandBuilder} data - Konfigurasi slash command '/prestige'.
+   */
+  data: new SlashCommandBuilder()
+    .setName("prestige")
+    .setDescription(
+      "🌟 Reset XP & level Anda setelah mencapai level maksimum untuk naik tier prestige.",
+    )
+    .setDMPermission(false)
+    .addBooleanOption((option) =>
+      option
+        .setName("confirm")
+        .setDescription("Ketik `true` untuk konfirmasi reset XP dan level.")
+        .setRequired(true),
+    ),
+
+  /**
+   * Fungsi eksekusi utama untuk command `/prestige`.
+   * Memvalidasi bahwa sistem prestige aktif dan pengguna sudah mencapai level maksimum,
+   * lalu memanggil `LevelingManager.prestigeUser` jika dikonfirmasi.
+   * @function execute
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Objek interaksi command.
+   * @param {import('../core/LevelingSystem')} levelingSystem - Instance LevelingSystem.
+   * @async
+   */
+  async execute(interaction, levelingSystem) {
+    if (!interaction.inGuild()) {
+      return interaction.reply({
+        content: "❌ Command ini hanya bisa digunakan di dalam server.",
+        flags: [MessageFlags.Ephemeral],
+      });
+    }
+
+    const guildId = interaction.guildId;
+    const userId = interaction.user.id;
+    const config = await levelingSystem.guildConfigManager.getConfig(guildId);
+    const maxLevel = config.maxLevel ?? 0;
+
+    if (maxLevel <= 0) {
+      return interaction.reply({
+        content:
+          "ℹ️ Sistem prestige tidak aktif di server ini (belum ada level maksimum).",
+        flags: [MessageFlags.Ephemeral],
+      });
+    }
+
+    await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+    try {
+      const userData = await levelingSystem.levelingManager.getUserLevelData(
+        guildId,
+        userId,
+      );
+      const currentTier = userData.prestige ?? 0;
+      const bonusPerTier = config.prestigeXpBonus ?? 0;
+
+      if (userData.level < maxLevel) {
+        return interaction.editReply({
+          content: `📉 Anda harus mencapai **Level ${maxLevel}** untuk prestige. Level Anda saat ini: **${userData.level}**.`,
+        });
+      }
+
+      if (interaction.options.getBoolean("confirm") !== true) {
+        return interaction.editReply({
+          content: `ℹ️ Prestige dibatalkan. Prestige akan mereset XP dan level Anda ke 0 dan menaikkan tier Anda ke **Prestige ${currentTier + 1}**.`,
+        });
+      }
+
+      const result = await levelingSystem.levelingManager.prestigeUser(
+        guildId,
+        userId,
+      );
+      if (!result) {
+        return interaction.editReply({
+          content: "❌ Prestige gagal dilakukan. Silakan coba lagi.",
+        });
+      }
+
+      const embed = new EmbedBuilder()
+        .setColor("#FFD700")
+        .setTitle(`🌟 Prestige ${result.newTier}!`)
+        .setDescription(
+          `Selamat ${interaction.user}! XP dan level Anda telah direset dan Anda naik ke **Prestige ${result.newTier}**.`,
+        )
+        .setTimestamp();
+      if (bonusPerTier > 0) {
+        embed.addFields({
+          name: "✨ Bonus XP Permanen",
+          value: `\`+${Math.round(result.newTier * bonusPerTier * 100)}%\``,
+          inline: true,
+        });
+      }
+      const tierRoleId = config.prestigeRoles?.get(result.newTier.toString());
+      if (tierRoleId) {
+        embed.addFields({
+          name: "🎁 Role Prestige",
+          value: `<@&${tierRoleId}>`,
+          inline: true,
+        });
+      }
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      console.error(
+        `[PrestigeCmd] Error saat memproses prestige untuk ${userId} di guild ${guildId}:`,
+        error,
+      );
+      await interaction
+        .editReply({
+          content: "❌ Terjadi kesalahan saat memproses prestige.",
+        })
+        .catch(console.error);
+      levelingSystem.emit(
+        "error",
+        new Error(
+          `Prestige command error for ${userId} in ${guildId}: ${error.message}`,
+        ),
+      );
+    }
+  },
+};
@@ -1,11 +1,14 @@
 /**
  * @description Slash command untuk menampilkan informasi leveling pengguna,
  *              termasuk peringkat server, level, XP, progress ke level berikutnya,
- *              statistik pesan dan waktu suara, serta kartu rank visual.
+ *              statistik pesan dan waktu suara, streak harian, top voice channel, booster XP pribadi yang aktif, serta kartu rank visual.
  * @requires discord.js SlashCommandBuilder, AttachmentBuilder, EmbedBuilder, MessageFlags
  * @requires ../core/LevelingSystem (tipe parameter execute)
  * @requires ../core/LevelingManager (implisit via levelingSystem)
  * @requires ../managers/GuildConfigManager (implisit via levelingSystem)
+ * @requires ../managers/BoostManager (implisit via levelingSystem)
+ * @requires ../managers/VoiceManager (implisit via levelingSystem)
+ * @requires ../managers/StreakManager (implisit via levelingSystem)
  * @requires ../utils/CardGenerator (implisit via levelingSystem)
  * @requires ../utils/formatters (implisit via levelingSystem)
  */
@@ -86,7 +89,7 @@ module.exports = {
         guild.id,
         targetUser.id,
       );
-      if (!userData || userData.xp <= 0) {
+      if (!userData || (userData.xp <= 0 && !(userData.prestige > 0))) {
         const message =
           targetUser.id === interaction.user.id ? "Anda" : targetUser.username;
         return interaction.editReply({
@@ -98,14 +101,24 @@ module.exports = {
         targetUser.id,
       );
 
+      const guildConfig = await levelingSystem.guildConfigManager.getConfig(
+        guild.id,
+      );
       const xpForCurrentLevel = levelingSystem.levelingManager.xpForLevel(
         userData.level,
+        guildConfig.levelCurve,
       );
       const xpForNextLevel = levelingSystem.levelingManager.xpForLevel(
         userData.level + 1,
+        guildConfig.levelCurve,
       );
+      const isMaxLevel =
+        (guildConfig.maxLevel ?? 0) > 0 &&
+        userData.level >= guildConfig.maxLevel;
       const currentLevelXP = userData.xp - xpForCurrentLevel;
-      const requiredXPForNext = xpForNextLevel - xpForCurrentLevel;
+      const requiredXPForNext = isMaxLevel
+        ? 0
+        : xpForNextLevel - xpForCurrentLevel;
       const progressPercent =
         requiredXPForNext > 0
           ? Math.floor((currentLevelXP / requiredXPForNext) * 100)
@@ -125,6 +138,12 @@ module.exports = {
         );
       }
 
+      const streaksEnabled = guildConfig.streaks?.enabled === true;
+      const currentStreak = levelingSystem.streakManager.getCurrentStreak(
+        userData,
+        guildConfig,
+      );
+
       const cardData = {
         username: targetUser.username,
         avatarURL: targetUser.displayAvatarURL({ extension: "png", size: 256 }),
@@ -133,12 +152,12 @@ module.exports = {
         currentXP: currentLevelXP,
         requiredXP: requiredXPForNext,
         totalXP: userData.xp,
+        prestige: userData.prestige ?? 0,
         status: status,
+        streak: streaksEnabled ? currentStreak : null,
+        bestStreak: userData.bestStreak ?? 0,
       };
 
-      const guildConfig = await levelingSystem.guildConfigManager.getConfig(
-        guild.id,
-      );
       const attachment = await levelingSystem.cardGenerator.createRankCard(
         cardData,
         guildConfig,
@@ -173,8 +192,17 @@ module.exports = {
             inline: true,
           },
           {
-            name: `📈 Progress Lvl ${userData.level + 1}`,
-            value: `\`\`\`${createProgressBar(currentLevelXP, requiredXPForNext)} [${progressPercent}%]\`\`\`\n*(${levelingSystem.formatters.formatNumber(currentLevelXP)} / ${requiredXPForNext > 0 ? levelingSystem.formatters.formatNumber(requiredXPForNext) : "Max"}) XP*`,
+            name: "🌟 Prestige",
+            value: `**${levelingSystem.formatters.formatNumber(userData.prestige ?? 0, 0)}**`,
+            inline: true,
+          },
+          {
+            name: isMaxLevel
+              ? "📈 Level Maksimum Tercapai"
+              : `📈 Progress Lvl ${userData.level + 1}`,
+            value: isMaxLevel
+              ? `\`\`\`${createProgressBar(currentLevelXP, requiredXPForNext)}\`\`\`\n*Gunakan \`/prestige\` untuk naik ke Prestige ${(userData.prestige ?? 0) + 1}.*`
+              : `\`\`\`${createProgressBar(currentLevelXP, requiredXPForNext)} [${progressPercent}%]\`\`\`\n*(${levelingSystem.formatters.formatNumber(currentLevelXP)} / ${requiredXPForNext > 0 ? levelingSystem.formatters.formatNumber(requiredXPForNext) : "Max"}) XP*`,
             inline: false,
           },
           {
@@ -194,6 +222,92 @@ module.exports = {
           iconURL: interaction.user.displayAvatarURL(),
         });
 
+      const periods = [
+        ["today", "Hari ini"],
+        ["week", "7 hari"],
+        ["month", "30 hari"],
+      ];
+      const periodRanks = await Promise.all(
+        periods.map(([period]) =>
+          levelingSystem.levelingManager.getUserPeriodRank(
+            guild.id,
+            targetUser.id,
+            period,
+          ),
+        ),
+      );
+      embed.addFields({
+        name: "📅 Peringkat Periode",
+        value: periods
+          .map(([, label], i) =>
+            periodRanks[i].rank > 0
+              ? `${label}: **#${periodRanks[i].rank}** (${levelingSystem.formatters.formatNumber(periodRanks[i].xp)} XP)`
+              : `${label}: \`-\``,
+          )
+          .join("\n"),
+        inline: false,
+      });
+
+      if (streaksEnabled) {
+        const streakMultiplier =
+          levelingSystem.streakManager.getStreakMultiplier(
+            guildConfig,
+            userData,
+          );
+        embed.addFields({
+          name: "🔥 Streak Harian",
+          value: `Saat ini: **${levelingSystem.formatters.formatNumber(currentStreak, 0)}** hari · Terbaik: **${levelingSystem.formatters.formatNumber(userData.bestStreak ?? 0, 0)}** hari${streakMultiplier > 1 ? ` · Bonus \`x${Math.round(streakMultiplier * 100) / 100}\`` : ""}`,
+          inline: false,
+        });
+      }
+
+      if (guildConfig.season?.active) {
+        embed.addFields({
+          name: `🏁 XP Season ${guildConfig.season.number}`,
+          value: `\`${levelingSystem.formatters.formatNumber(userData.seasonXp ?? 0)}\``,
+          inline: true,
+        });
+      }
+
+      const topChannels = await levelingSystem.voiceManager.getTopChannels(
+        guild.id,
+        { userId: targetUser.id },
+      );
+      if (topChannels.length > 0) {
+        embed.addFields({
+          name: "🎧 Top Voice Channel (90 hari)",
+          value: topChannels
+            .map(
+              (c, i) =>
+                `${i + 1}. ${c.channelId ? `<#${c.channelId}>` : "`Tidak diketahui`"} · \`${levelingSystem.formatters.formatDuration(c.durationMillis)}\` (${c.sessions} sesi)`,
+            )
+            .join("\n"),
+          inline: false,
+        });
+      }
+
+      const boosters = await levelingSystem.boostManager.getUserBoosters(
+        guild.id,
+        targetUser.id,
+      );
+      if (boosters.length > 0) {
+        const combined = levelingSystem.boostManager.combineBoosterMultipliers(
+          boosters.map((b) => b.multiplier),
+          guildConfig.boosterStacking,
+        );
+        embed.addFields({
+          name: `🧪 Booster Pribadi (total x${combined.toFixed(2)})`,
+          value: boosters
+            .map(
+              (b) =>
+                `\`x${b.multiplier}\` · berakhir <t:${Math.floor(new Date(b.expiresAt).getTime() / 1000)}:R>`,
+            )
+            .join("\n")
+            .slice(0, 1024),
+          inline: false,
+        });
+      }
+
       await interaction.editReply({ embeds: [embed], files: [attachment] });
     } catch (error) {
       console.error(
@@ -0,0 +1,169 @@
+/**
+ * @description Slash command untuk mengelola season kompetitif server: memulai season,
+ *              mengakhiri season (dengan snapshot peringkat ke arsip), dan melihat daftar arsip season.
+ *              Memerlukan izin 'Manage Guild'.
+ * @requires discord.js SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, MessageFlags
+ * @requires ../core/LevelingSystem (tipe parameter execute)
+ * @requires ../managers/SeasonManager (implisit via levelingSystem)
+ */
+
+const {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  EmbedBuilder,
+  MessageFlags,
+} = require("discord.js");
+
+/**
+ * Membuat label season untuk ditampilkan (nomor dan nama jika ada).
+ * @function seasonLabel
+ * @param {number} number - Nomor season.
+ * @param {string|null} name - Nama season.
+ * @returns {string} Label season.
+ * @private
+ */
+function seasonLabel(number, name) {
+  return name ? `Season ${number} - ${name}` : `Season ${number}`;
+}
+
+/**
+ * @module seasonCommand
+ * @description Definisi dan eksekusi untuk slash command `/season`.
+ */
+module.exports = {
+  /**
+   * @property {SlashCommandBuilder} data - Konfigurasi slash command '/season'.
+   */
+  data: new SlashCommandBuilder()
+    .setName("season")
+    .setDescription("🏁 Mengelola season leaderboard di server ini.")
+    .setDMPermission(false)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand((sub) =>
+      sub
+        .setName("start")
+        .setDescription(
+          "Mulai season baru (XP season semua pengguna direset ke 0).",
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("name")
+            .setDescription("Nama season (opsional).")
+            .setMaxLength(100),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("end")
+        .setDescription("Akhiri season dan arsipkan peringkatnya.")
+        .addBooleanOption((opt) =>
+          opt
+            .setName("reset_xp")
+            .setDescription(
+              "Reset XP season sekarang? XP season tetap direset saat season baru dimulai.",
+            )
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("list")
+        .setDescription("Tampilkan season aktif dan daftar arsip season."),
+    ),
+
+  /**
+   * Fungsi eksekusi utama untuk command `/season`.
+   * @function execute
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Objek interaksi command.
+   * @param {import('../core/LevelingSystem')} levelingSystem - Instance LevelingSystem.
+   * @async
+   */
+  async execute(interaction, levelingSystem) {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+    const seasonManager = levelingSystem.seasonManager;
+
+    await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+    try {
+      switch (subcommand) {
+        case "start": {
+          const active = await seasonManager.getActiveSeason(guildId);
+          if (active) {
+            return interaction.editReply(
+              `ℹ️ **${seasonLabel(active.number, active.name)}** masih berjalan. Akhiri dulu dengan \`/season end\`.`,
+            );
+          }
+          const season = await seasonManager.startSeason(
+            guildId,
+            interaction.options.getString("name"),
+          );
+          if (!season) {
+            return interaction.editReply("❌ Gagal memulai season baru.");
+          }
+          return interaction.editReply(
+            `✅ **${seasonLabel(season.number, season.name)}** dimulai! XP season semua pengguna dimulai dari nol.`,
+          );
+        }
+
+        case "end": {
+          const active = await seasonManager.getActiveSeason(guildId);
+          if (!active) {
+            return interaction.editReply(
+              "ℹ️ Tidak ada season yang sedang berjalan.",
+            );
+          }
+          const archive = await seasonManager.endSeason(guildId, {
+            resetSeasonXp: interaction.options.getBoolean("reset_xp"),
+          });
+          if (!archive) {
+            return interaction.editReply("❌ Gagal mengakhiri season.");
+          }
+          const winner = archive.top[0];
+          return interaction.editReply(
+            `✅ **${seasonLabel(archive.season, archive.name)}** berakhir. ${archive.participants} peserta diarsipkan` +
+              (winner ? `, juara: <@${winner.userId}>` : "") +
+              `.\n${archive.seasonXpReset ? "XP season telah direset." : "XP season tidak direset."} Lihat hasilnya dengan \`/leaderboard season:${archive.season}\`.`,
+          );
+        }
+
+        case "list": {
+          const active = await seasonManager.getActiveSeason(guildId);
+          const seasons = await seasonManager.listSeasons(guildId);
+          const lines = seasons.map(
+            (s) =>
+              `**${seasonLabel(s.season, s.name)}** · ${s.participants} peserta · berakhir <t:${Math.floor(new Date(s.endedAt).getTime() / 1000)}:d>`,
+          );
+          const embed = new EmbedBuilder()
+            .setTitle("🏁 Daftar Season")
+            .setColor("#7289DA")
+            .addFields({
+              name: "Season Aktif",
+              value: active
+                ? `**${seasonLabel(active.number, active.name)}** (mulai <t:${Math.floor(new Date(active.startedAt).getTime() / 1000)}:R>)`
+                : "`Tidak ada`",
+            })
+            .setDescription(
+              lines.length > 0 ? lines.join("\n") : "Belum ada season arsip.",
+            )
+            .setTimestamp();
+          return interaction.editReply({ embeds: [embed] });
+        }
+      }
+    } catch (error) {
+      console.error(
+        `[SeasonCmd] Error pada ${subcommand} di guild ${guildId}:`,
+        error,
+      );
+      await interaction
+        .editReply({
+          content: "❌ Terjadi kesalahan saat memproses season.",
+        })
+        .catch(console.error);
+      levelingSystem.emit(
+        "error",
+        new Error(`Season command error (${subcommand}): ${error.message}`),
+      );
+    }
+  },
+};
@@ -0,0 +1,150 @@
+/**
+ * @description Slash command untuk admin melihat statistik aktivitas suara server dari
+ *              riwayat sesi suara: ringkasan total, channel tersibuk, jam tersibuk,
+ *              dan alasan sesi berakhir. Memerlukan izin 'Manage Guild'.
+ * @requires discord.js SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, MessageFlags
+ * @requires ../core/LevelingSystem (tipe parameter execute)
+ * @requires ../managers/VoiceManager (implisit via levelingSystem)
+ */
+
+const {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  EmbedBuilder,
+  MessageFlags,
+} = require("discord.js");
+
+/**
+ * Jumlah channel tersibuk yang ditampilkan.
+ * @const {number}
+ * @private
+ */
+const TOP_CHANNEL_LIMIT = 10;
+
+/**
+ * Jumlah jam tersibuk yang ditampilkan.
+ * @const {number}
+ * @private
+ */
+const TOP_HOUR_LIMIT = 5;
+
+/**
+ * @module voicestatsCommand
+ * @description Definisi dan eksekusi untuk slash command `/voicestats`.
+ */
+module.exports = {
+  /**
+   * @property {SlashCommandBuilder} data - Konfigurasi slash command '/voicestats'.
+   */
+  data: new SlashCommandBuilder()
+    .setName("voicestats")
+    .setDescription("🎧 Statistik aktivitas voice channel di server ini.")
+    .setDMPermission(false)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addIntegerOption((option) =>
+      option
+        .setName("days")
+        .setDescription("Jendela waktu dalam hari (default: 30).")
+        .setMinValue(1)
+        .setMaxValue(90),
+    ),
+
+  /**
+   * Fungsi eksekusi utama untuk command `/voicestats`.
+   * @function execute
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Objek interaksi command.
+   * @param {import('../core/LevelingSystem')} levelingSystem - Instance LevelingSystem.
+   * @async
+   */
+  async execute(interaction, levelingSystem) {
+    const days = interaction.options.getInteger("days") ?? 30;
+    const guildId = interaction.guildId;
+    const voiceManager = levelingSystem.voiceManager;
+    const { formatNumber, formatDuration } = levelingSystem.formatters;
+
+    await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+    try {
+      const [stats, channels] = await Promise.all([
+        voiceManager.getVoiceStats(guildId, days),
+        voiceManager.getTopChannels(guildId, {
+          days,
+          limit: TOP_CHANNEL_LIMIT,
+        }),
+      ]);
+
+      const embed = new EmbedBuilder()
+        .setTitle(`🎧 Statistik Suara - ${days} Hari Terakhir`)
+        .setColor("#5865F2")
+        .setFooter({
+          text: "Sesi dihitung berdasarkan jam mulai (UTC). Riwayat disimpan 90 hari.",
+        })
+        .setTimestamp();
+
+      if (stats.totalSessions === 0) {
+        embed.setDescription("Belum ada sesi suara yang tercatat.");
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      embed.addFields(
+        {
+          name: "📊 Ringkasan",
+          value: [
+            `Sesi: \`${formatNumber(stats.totalSessions)}\``,
+            `Total waktu: \`${formatDuration(stats.totalDurationMillis)}\``,
+            `Rata-rata sesi: \`${formatDuration(Math.round(stats.totalDurationMillis / stats.totalSessions))}\``,
+            `Pengguna unik: \`${formatNumber(stats.uniqueUsers)}\``,
+            `XP diberikan: \`${formatNumber(stats.totalXp)}\``,
+          ].join("\n"),
+          inline: false,
+        },
+        {
+          name: "🔊 Channel Tersibuk",
+          value: channels
+            .map(
+              (c, i) =>
+                `${i + 1}. ${c.channelId ? `<#${c.channelId}>` : "`Tidak diketahui`"} · \`${formatDuration(c.durationMillis)}\` · ${c.sessions} sesi · ${c.users} pengguna`,
+            )
+            .join("\n")
+            .slice(0, 1024),
+          inline: false,
+        },
+        {
+          name: "⏰ Jam Tersibuk (UTC)",
+          value: stats.hours
+            .slice(0, TOP_HOUR_LIMIT)
+            .map(
+              (h) =>
+                `\`${String(h.hour).padStart(2, "0")}:00\` · \`${formatDuration(h.durationMillis)}\` · ${h.sessions} sesi`,
+            )
+            .join("\n"),
+          inline: true,
+        },
+        {
+          name: "🚪 Alasan Sesi Berakhir",
+          value: stats.endReasons
+            .map((r) => `\`${r.reason}\`: ${formatNumber(r.sessions)}`)
+            .join("\n")
+            .slice(0, 1024),
+          inline: true,
+        },
+      );
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      console.error(
+        `[VoiceStatsCmd] Error saat mengambil statistik suara guild ${guildId}:`,
+        error,
+      );
+      await interaction
+        .editReply({
+          content: "❌ Terjadi kesalahan saat mengambil statistik suara.",
+        })
+        .catch(console.error);
+      levelingSystem.emit(
+        "error",
+        new Error(`Voice stats command error: ${error.message}`),
+      );
+    }
+  },
+};
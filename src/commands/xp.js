@@ -0,0 +1,288 @@
+/**
+ * @description Slash command untuk moderator menyesuaikan XP pengguna secara manual:
+ *              memberi (`give`), mengurangi (`take`), mengatur (`set`, berdasarkan XP atau level),
+ *              dan mereset (`reset`) XP. Setiap aksi wajib menyertakan alasan yang dicatat ke ledger XP.
+ *              Memerlukan izin 'Moderate Members'.
+ * @requires discord.js SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, MessageFlags
+ * @requires ../core/LevelingSystem (tipe parameter execute)
+ * @requires ../core/LevelingManager (implisit via levelingSystem)
+ * @requires ../managers/XPManager (implisit via levelingSystem, untuk penalty)
+ */
+
+const {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  EmbedBuilder,
+  MessageFlags,
+} = require("discord.js");
+
+/**
+ * Menambahkan opsi `user` (wajib) ke subcommand.
+ * @function addTargetOption
+ * @param {import('discord.js').SlashCommandSubcommandBuilder} sub - Builder subcommand.
+ * @returns {import('discord.js').SlashCommandSubcommandBuilder} Builder yang sama.
+ * @private
+ */
+function addTargetOption(sub) {
+  return sub.addUserOption((opt) =>
+    opt.setName("user").setDescription("Pengguna target.").setRequired(true),
+  );
+}
+
+/**
+ * Menambahkan opsi `reason` (wajib) ke subcommand.
+ * @function addReasonOption
+ * @param {import('discord.js').SlashCommandSubcommandBuilder} sub - Builder subcommand.
+ * @returns {import('discord.js').SlashCommandSubcommandBuilder} Builder yang sama.
+ * @private
+ */
+function addReasonOption(sub) {
+  return sub.addStringOption((opt) =>
+    opt
+      .setName("reason")
+      .setDescription("Alasan perubahan (dicatat di /xplog).")
+      .setRequired(true)
+      .setMaxLength(500),
+  );
+}
+
+/**
+ * @module xpCommand
+ * @description Definisi dan eksekusi untuk slash command `/xp`.
+ */
+module.exports = {
+  /**
+   * @property {SlashCommandBuilder} data - Konfigurasi slash command '/xp'.
+   */
+  data: new SlashCommandBuilder()
+    .setName("xp")
+    .setDescription("🛠️ Menyesuaikan XP pengguna secara manual.")
+    .setDMPermission(false)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+    .addSubcommand((sub) =>
+      addReasonOption(
+        addTargetOption(
+          sub.setName("give").setDescription("Berikan XP ke pengguna."),
+        ).addIntegerOption((opt) =>
+          opt
+            .setName("amount")
+            .setDescription("Jumlah XP.")
+            .setRequired(true)
+            .setMinValue(1),
+        ),
+      ),
+    )
+    .addSubcommand((sub) =>
+      addReasonOption(
+        addTargetOption(
+          sub
+            .setName("take")
+            .setDescription(
+              "Kurangi XP pengguna (butuh sistem penalty aktif).",
+            ),
+        ).addIntegerOption((opt) =>
+          opt
+            .setName("amount")
+            .setDescription("Jumlah XP.")
+            .setRequired(true)
+            .setMinValue(1),
+        ),
+      ),
+    )
+    .addSubcommand((sub) =>
+      addReasonOption(
+        addTargetOption(
+          sub
+            .setName("set")
+            .setDescription("Atur total XP atau level pengguna."),
+        ),
+      )
+        .addIntegerOption((opt) =>
+          opt.setName("xp").setDescription("Total XP baru.").setMinValue(0),
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("level")
+            .setDescription("Level baru (XP diatur ke awal level).")
+            .setMinValue(0),
+        ),
+    )
+    .addSubcommand((sub) =>
+      addReasonOption(
+        addTargetOption(
+          sub
+            .setName("reset")
+            .setDescription("Reset XP dan level pengguna ke 0."),
+        ),
+      ),
+    ),
+
+  /**
+   * Fungsi eksekusi utama untuk command `/xp`.
+   * Pengurangan XP (`take` dan `set` ke nilai lebih rendah) hanya diizinkan jika `enablePenaltySystem` aktif.
+   * Setelah perubahan, role level pengguna diselaraskan dan event `levelUp`/`levelDown`
+   * di-emit dengan flag `manual: true`.
+   * @function execute
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Objek interaksi command.
+   * @param {import('../core/LevelingSystem')} levelingSystem - Instance LevelingSystem.
+   * @async
+   */
+  async execute(interaction, levelingSystem) {
+    const subcommand = interaction.options.getSubcommand();
+    const targetUser = interaction.options.getUser("user");
+    const reason = interaction.options.getString("reason");
+    const guildId = interaction.guildId;
+    const levelingManager = levelingSystem.levelingManager;
+    const formatNumber = levelingSystem.formatters.formatNumber;
+
+    if (targetUser.bot) {
+      return interaction.reply({
+        content: "❌ Bot tidak memiliki data XP.",
+        flags: [MessageFlags.Ephemeral],
+      });
+    }
+
+    await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+    try {
+      const config = await levelingSystem.guildConfigManager.getConfig(guildId);
+      const before = await levelingManager.getUserLevelData(
+        guildId,
+        targetUser.id,
+      );
+      const options = {
+        actorId: interaction.user.id,
+        note: reason,
+        manual: true,
+      };
+
+      let targetXP;
+      switch (subcommand) {
+        case "give":
+          targetXP = before.xp + interaction.options.getInteger("amount");
+          break;
+        case "take":
+          targetXP = Math.max(
+            0,
+            before.xp - interaction.options.getInteger("amount"),
+          );
+          break;
+        case "set": {
+          const xp = interaction.options.getInteger("xp");
+          const level = interaction.options.getInteger("level");
+          if ((xp === null) === (level === null)) {
+            return interaction.editReply(
+              "❌ Isi salah satu dari opsi `xp` atau `level`.",
+            );
+          }
+          targetXP = xp ?? levelingManager.xpForLevel(level, config.levelCurve);
+          break;
+        }
+        case "reset":
+          targetXP = 0;
+          break;
+      }
+
+      if (targetXP < before.xp && !config.enablePenaltySystem) {
+        return interaction.editReply(
+          "❌ Sistem penalty tidak aktif di server ini. Aktifkan dengan `/levelconfig settings penalty_system` untuk mengurangi XP.",
+        );
+      }
+      if (targetXP === before.xp) {
+        return interaction.editReply(
+          `ℹ️ XP ${targetUser} sudah \`${formatNumber(before.xp)}\`. Tidak ada perubahan.`,
+        );
+      }
+
+      let after;
+      if (subcommand === "take") {
+        after = await levelingSystem.xpManager.applyPenalty(
+          guildId,
+          targetUser.id,
+          before.xp - targetXP,
+          "manual",
+          options,
+        );
+      } else {
+        after = await levelingManager.setUserXP(
+          guildId,
+          targetUser.id,
+          targetXP,
+          "manual",
+          options,
+        );
+      }
+
+      if (!after) {
+        return interaction.editReply(
+          config.maxLevel > 0 && targetXP > before.xp
+            ? `❌ XP tidak dapat ditambahkan. ${targetUser} sudah berada di level maksimum (Level ${config.maxLevel}).`
+            : "❌ Gagal mengubah XP pengguna.",
+        );
+      }
+
+      let roleResult = { added: [], removed: [] };
+      try {
+        roleResult = await levelingManager.reconcileMemberRoles(
+          guildId,
+          targetUser.id,
+          after.level,
+          {
+            config,
+            reason: `Penyesuaian XP manual oleh ${interaction.user.username}: ${reason}`,
+            source: "manual",
+          },
+        );
+      } catch (roleError) {
+        console.error(
+          `[XPCmd] Gagal menyelaraskan role ${targetUser.id}@${guildId}:`,
+          roleError.message,
+        );
+      }
+
+      const delta = after.xp - before.xp;
+      const embed = new EmbedBuilder()
+        .setTitle("🛠️ XP Disesuaikan")
+        .setColor(delta >= 0 ? "#43B581" : "#F04747")
+        .setDescription(`${targetUser} · \`${subcommand}\``)
+        .addFields(
+          {
+            name: "XP",
+            value: `\`${formatNumber(before.xp)}\` → \`${formatNumber(after.xp)}\` (${delta >= 0 ? "+" : ""}${formatNumber(delta)})`,
+            inline: true,
+          },
+          {
+            name: "Level",
+            value: `\`${before.level}\` → \`${after.level}\``,
+            inline: true,
+          },
+          {
+            name: "Role",
+            value:
+              roleResult.added.length + roleResult.removed.length > 0
+                ? `+${roleResult.added.length} / -${roleResult.removed.length}`
+                : "`Tidak berubah`",
+            inline: true,
+          },
+          { name: "Alasan", value: reason },
+        )
+        .setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      console.error(
+        `[XPCmd] Error pada ${subcommand} untuk ${targetUser.id} di guild ${guildId}:`,
+        error,
+      );
+      await interaction
+        .editReply({
+          content: "❌ Terjadi kesalahan saat menyesuaikan XP.",
+        })
+        .catch(console.error);
+      levelingSystem.emit(
+        "error",
+        new Error(`XP command error (${subcommand}): ${error.message}`),
+      );
+    }
+  },
+};
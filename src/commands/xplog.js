@@ -0,0 +1,124 @@
+/**
+ * @description Slash command untuk melihat riwayat transaksi XP (ledger) seorang pengguna.
+ *              Ditujukan untuk moderator yang menyelidiki perolehan XP mencurigakan.
+ *              Memerlukan izin 'Moderate Members'.
+ * @requires discord.js SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, MessageFlags
+ * @requires ../core/LevelingSystem (tipe parameter execute)
+ * @requires ../managers/LedgerManager (implisit via levelingSystem)
+ */
+
+const {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  EmbedBuilder,
+  MessageFlags,
+} = require("discord.js");
+
+/**
+ * Jumlah entri ledger per halaman.
+ * @const {number}
+ * @private
+ */
+const PAGE_SIZE = 10;
+
+/**
+ * @module xplogCommand
+ * @description Definisi dan eksekusi untuk slash command `/xplog`.
+ */
+module.exports = {
+  /**
+   * @property {SlashCommandBuilder} data - Konfigurasi slash command '/xplog'.
+   */
+  data: new SlashCommandBuilder()
+    .setName("xplog")
+    .setDescription("📜 Melihat riwayat transaksi XP seorang pengguna.")
+    .setDMPermission(false)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+    .addUserOption((option) =>
+      option
+        .setName("user")
+        .setDescription("Pengguna yang riwayat XP-nya ingin dilihat.")
+        .setRequired(true),
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("page")
+        .setDescription("Nomor halaman (default: 1, terbaru).")
+        .setMinValue(1),
+    ),
+
+  /**
+   * Fungsi eksekusi utama untuk command `/xplog`.
+   * @function execute
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Objek interaksi command.
+   * @param {import('../core/LevelingSystem')} levelingSystem - Instance LevelingSystem.
+   * @async
+   */
+  async execute(interaction, levelingSystem) {
+    const targetUser = interaction.options.getUser("user");
+    const page = interaction.options.getInteger("page") ?? 1;
+    const guildId = interaction.guildId;
+    const formatNumber = levelingSystem.formatters.formatNumber;
+
+    await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+    try {
+      const history = await levelingSystem.ledgerManager.getUserHistory(
+        guildId,
+        targetUser.id,
+        page,
+        PAGE_SIZE,
+      );
+
+      const lines = history.entries.map((entry) => {
+        const timestamp = Math.floor(
+          new Date(entry.createdAt).getTime() / 1000,
+        );
+        const delta =
+          entry.delta > 0
+            ? `+${formatNumber(entry.delta)}`
+            : `-${formatNumber(Math.abs(entry.delta))}`;
+        let line = `<t:${timestamp}:f> **${delta} XP** \`${entry.source}\` → Lvl ${entry.level} (${formatNumber(entry.xp)} XP)`;
+        if (entry.actorId) line += ` · oleh <@${entry.actorId}>`;
+        if (entry.note) line += `\n> ${entry.note}`;
+        return line;
+      });
+
+      let description =
+        lines.length > 0
+          ? lines.join("\n")
+          : "Tidak ada riwayat XP yang tercatat untuk pengguna ini.";
+      if (description.length > 4096) {
+        description = description.slice(0, 4090) + "\n...";
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(`📜 Riwayat XP - ${targetUser.username}`)
+        .setColor("#7289DA")
+        .setThumbnail(targetUser.displayAvatarURL())
+        .setDescription(description)
+        .setFooter({
+          text: `Halaman ${history.page}/${history.pages} · ${history.total} transaksi`,
+        })
+        .setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      console.error(
+        `[XPLogCmd] Error saat mengambil riwayat XP ${targetUser.id} di guild ${guildId}:`,
+        error,
+      );
+      await interaction
+        .editReply({
+          content: "❌ Terjadi kesalahan saat mengambil riwayat XP.",
+        })
+        .catch(console.error);
+      levelingSystem.emit(
+        "error",
+        new Error(
+          `XPLog command error for ${targetUser.id} in ${guildId}: ${error.message}`,
+        ),
+      );
+    }
+  },
+};
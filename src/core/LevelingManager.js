@@ -5,12 +5,54 @@
  *              pengambilan data leaderboard, dan operasi reset data level.
  *              Berinteraksi erat dengan CacheManager dan GuildConfigManager.
  * @requires ../database/schemas/UserLevel - Skema Mongoose untuk data level pengguna.
+ * @requires ../database/schemas/UserDailyXP - Skema Mongoose untuk counter XP harian (leaderboard periode).
  * @requires ./LevelingSystem - (tipe parameter) Untuk emit event dan akses komponen lain.
  * @requires ../managers/CacheManager - (tipe parameter) Untuk manajemen cache data level.
  * @requires ../managers/GuildConfigManager - (tipe parameter) Untuk mendapatkan konfigurasi server terkait leveling (misal: role rewards, strategi role).
  */
 
 const UserLevel = require("../database/schemas/UserLevel");
+const UserDailyXP = require("../database/schemas/UserDailyXP");
+
+/**
+ * Kurva level default, digunakan jika konfigurasi server tidak menyediakan `levelCurve`.
+ * @const {object}
+ */
+const DEFAULT_LEVEL_CURVE = { formula: "quadratic", a: 5, b: 50, c: 100 };
+
+/**
+ * Batas atas pencarian level di {@link LevelingManager#getLevelFromXP}.
+ * Mencegah loop tanpa akhir jika kurva tidak naik secara ketat.
+ * @const {number}
+ */
+const MAX_LEVEL = 1000000;
+
+/**
+ * Panjang jendela (dalam hari, termasuk hari ini) untuk setiap periode leaderboard.
+ * Hari dihitung berdasarkan UTC.
+ * @const {Object<string, number>}
+ */
+const LEADERBOARD_PERIODS = { today: 1, week: 7, month: 30 };
+
+/**
+ * Jumlah member yang diambil sekaligus saat sinkronisasi role massal.
+ * @const {number}
+ */
+const ROLE_SYNC_FETCH_BATCH_SIZE = 100;
+
+/**
+ * Jeda (ms) setelah setiap member yang rolenya diubah saat sinkronisasi role massal,
+ * agar perubahan role tidak menghabiskan rate limit Discord untuk server tersebut.
+ * @const {number}
+ */
+const ROLE_SYNC_DELAY_MILLIS = 500;
+
+/**
+ * Sumber XP yang hanya mungkin berasal dari aktivitas member di server, sehingga membuktikan
+ * pengguna masih menjadi member dan boleh menghapus tanda keluar (`leftAt`).
+ * @const {Set<string>}
+ */
+const MEMBER_ACTIVITY_SOURCES = new Set(["message", "voice", "reaction"]);
 
 /**
  * @class LevelingManager
@@ -47,38 +89,78 @@ class LevelingManager {
      * @public
      */
     this.guildConfigManager = guildConfigManager;
+    /**
+     * ID server yang sedang menjalankan sinkronisasi role massal.
+     * @type {Set<string>}
+     * @private
+     */
+    this.roleSyncsInProgress = new Set();
     console.log("[LevelingManager] Siap.");
   }
 
   /**
    * Menghitung total akumulasi XP yang dibutuhkan untuk mencapai *awal* dari level tertentu.
-   * Menggunakan formula standar: `5 * (level^2) + 50 * level + 100`.
+   * Formula mengikuti kurva level server (`GuildConfig.levelCurve`):
+   * - `quadratic`: `a * (level^2) + b * level + c` (default: `5 * (level^2) + 50 * level + 100`).
+   * - `linear`: `step * level`.
+   * - `exponential`: `base * growth^(level - 1)`.
+   * - `table`: Nilai eksplisit per level; level di luar tabel diekstrapolasi dengan selisih terakhir.
    * @method xpForLevel
    * @param {number} level - Level target (dimulai dari 1). Level 0 membutuhkan 0 XP.
+   * @param {object} [curve] - Objek kurva level yang sudah dinormalisasi. Jika tidak ada, kurva kuadrat default digunakan.
    * @returns {number} Jumlah total XP yang dibutuhkan.
-   * @todo Pertimbangkan untuk membuat formula ini dapat dikonfigurasi per server melalui GuildConfigManager.
    */
-  xpForLevel(level) {
+  xpForLevel(level, curve = null) {
     if (level <= 0) return 0;
-    return 5 * level ** 2 + 50 * level + 100;
+    const activeCurve = curve || DEFAULT_LEVEL_CURVE;
+
+    switch (activeCurve.formula) {
+      case "linear":
+        return Math.floor(activeCurve.step * level);
+      case "exponential":
+        return Math.floor(activeCurve.base * activeCurve.growth ** (level - 1));
+      case "table": {
+        const table = activeCurve.table || [];
+        if (table.length === 0) return this.xpForLevel(level);
+        if (level <= table.length) return table[level - 1];
+        const last = table[table.length - 1];
+        const previous = table.length > 1 ? table[table.length - 2] : 0;
+        return last + (last - previous) * (level - table.length);
+      }
+      default:
+        return Math.floor(
+          activeCurve.a * level ** 2 + activeCurve.b * level + activeCurve.c,
+        );
+    }
   }
 
   /**
    * Menghitung level pengguna berdasarkan total akumulasi XP yang dimiliki.
+   * Menggunakan pencarian biner agar tetap cepat untuk kurva dengan banyak level (misal: linear dengan step kecil).
    * @method getLevelFromXP
    * @param {number} xp - Total XP pengguna.
+   * @param {object} [curve] - Objek kurva level yang sudah dinormalisasi (lihat {@link xpForLevel}).
    * @returns {number} Level pengguna saat ini (dimulai dari 0).
    */
-  getLevelFromXP(xp) {
+  getLevelFromXP(xp, curve = null) {
     if (xp <= 0) return 0;
-    let level = 0;
-    let xpNeededForNextLevel = this.xpForLevel(level + 1);
+    if (xp >= this.xpForLevel(MAX_LEVEL, curve)) return MAX_LEVEL;
+    let low = 0;
+    let high = 1;
 
-    while (xp >= xpNeededForNextLevel) {
-      level++;
-      xpNeededForNextLevel = this.xpForLevel(level + 1);
+    while (xp >= this.xpForLevel(high, curve)) {
+      low = high;
+      high = Math.min(high * 2, MAX_LEVEL);
     }
-    return level;
+    while (high - low > 1) {
+      const mid = Math.floor((low + high) / 2);
+      if (xp >= this.xpForLevel(mid, curve)) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
   }
 
   /**
@@ -113,6 +195,8 @@ class LevelingManager {
             userId,
             xp: 0,
             level: 0,
+            prestige: 0,
+            seasonXp: 0,
             lastMessageTimestamp: 0,
             totalMessages: 0,
             totalVoiceDurationMillis: 0,
@@ -122,6 +206,8 @@ class LevelingManager {
       ).lean();
 
       if (userData) {
+        userData.prestige = userData.prestige ?? 0;
+        userData.seasonXp = userData.seasonXp ?? 0;
         userData.totalMessages = userData.totalMessages ?? 0;
         userData.totalVoiceDurationMillis =
           userData.totalVoiceDurationMillis ?? 0;
@@ -136,6 +222,8 @@ class LevelingManager {
           userId,
           xp: 0,
           level: 0,
+          prestige: 0,
+          seasonXp: 0,
           lastMessageTimestamp: 0,
           totalMessages: 0,
           totalVoiceDurationMillis: 0,
@@ -144,6 +232,8 @@ class LevelingManager {
         };
       }
     }
+    userData.prestige = userData.prestige ?? 0;
+    userData.seasonXp = userData.seasonXp ?? 0;
     userData.totalMessages = userData.totalMessages ?? 0;
     userData.totalVoiceDurationMillis = userData.totalVoiceDurationMillis ?? 0;
 
@@ -153,32 +243,66 @@ class LevelingManager {
   /**
    * Menambahkan sejumlah XP ke pengguna, menghitung ulang level, dan menangani
    * logika level up (termasuk pemberian/penghapusan role berdasarkan strategi).
+   * Jika server memiliki level maksimum (`maxLevel`), XP tidak akan melebihi ambang level tersebut.
+   * Jika season sedang berjalan, XP yang sama juga ditambahkan ke XP season (`seasonXp`).
+   * Jika streak aktif di server, streak harian pengguna ikut diperbarui (kecuali untuk aksi manual
+   * dan bonus streak itu sendiri), lihat `StreakManager`. Saat naik level, role dan reward sekali
+   * (bonus XP dan DM) dari paket reward level yang dilewati diberikan, lihat {@link LevelingManager#grantLevelRewards}.
    * Mengupdate data di database dan cache. Meng-emit event `xpGained` dan `levelUp`.
    * @method addXP
    * @param {string} guildId - ID server Discord.
    * @param {string} userId - ID pengguna Discord.
    * @param {number} amount - Jumlah XP yang akan ditambahkan (harus > 0).
    * @param {string} [source='unknown'] - String identifikasi sumber XP (misal: 'message', 'voice', 'plugin:bonus').
+   * @param {object} [options={}] - Opsi tambahan untuk ledger XP.
+   * @param {string} [options.actorId] - ID pengguna yang melakukan aksi (untuk aksi admin).
+   * @param {string} [options.note] - Catatan tambahan (misal: alasan aksi admin).
+   * @param {boolean} [options.manual=false] - Tandai perubahan sebagai aksi manual moderator (diteruskan ke event `levelUp`).
    * @returns {Promise<{oldLevel: number, newLevel: number, gainedXp: number, user: object}|null>}
    *          Sebuah Promise yang resolve dengan objek berisi informasi perubahan level dan data user terbaru,
-   *          atau `null` jika `amount` tidak positif.
+   *          atau `null` jika `amount` tidak positif atau pengguna sudah berada di level maksimum.
    * @fires LevelingSystem#xpGained
    * @fires LevelingSystem#levelUp
+   * @fires LevelingSystem#maxLevelReached
    * @fires LevelingSystem#roleAwarded
    * @fires LevelingSystem#roleRemoved
+   * @fires LevelingSystem#streakIncreased
+   * @fires LevelingSystem#streakLost
+   * @fires LevelingSystem#levelRewardGranted
    * @async
    */
-  async addXP(guildId, userId, amount, source = "unknown") {
+  async addXP(guildId, userId, amount, source = "unknown", options = {}) {
     if (amount <= 0) return null;
 
+    const config = await this.guildConfigManager.getConfig(guildId);
     const userData = await this.getUserLevelData(guildId, userId);
+    const maxLevel = config.maxLevel ?? 0;
+    if (maxLevel > 0) {
+      const xpCap = this.xpForLevel(maxLevel, config.levelCurve);
+      if (userData.xp >= xpCap) return null;
+      amount = Math.min(amount, xpCap - userData.xp);
+    }
+
     const oldLevel = userData.level;
     const newXP = userData.xp + amount;
-    const newLevel = this.getLevelFromXP(newXP);
+    const newLevel = this.getLevelFromXP(newXP, config.levelCurve);
+
+    const update = { $set: { xp: newXP, level: newLevel } };
+    // XP dari aktivitas membuktikan pengguna masih menjadi member; tanda keluar dihapus untuk kasus
+    // member bergabung lagi saat bot offline (guildMemberAdd tidak diterima). XP dari moderator,
+    // plugin, atau bonus tidak mengubah status keluar.
+    if (MEMBER_ACTIVITY_SOURCES.has(source)) update.$set.leftAt = null;
+    if (config.season?.active) update.$inc = { seasonXp: amount };
+
+    // XP manual moderator, bonus streak, dan bonus reward level tidak dihitung sebagai aktivitas harian.
+    const streakChange =
+      options.manual === true || source === "streak" || source === "reward"
+        ? null
+        : this.system.streakManager?.getStreakUpdate(userData, config);
 
     const updatedDataLean = await UserLevel.findOneAndUpdate(
       { guildId, userId },
-      { $set: { xp: newXP, level: newLevel } },
+      update,
       { new: true },
     ).lean();
 
@@ -203,8 +327,29 @@ class LevelingManager {
       ...updatedDataLean,
     };
 
+    // Streak hanya diperbarui jika hari ini belum tercatat, agar addXP yang berjalan bersamaan
+    // tidak memicu event dan bonus milestone streak dua kali.
+    let streakApplied = false;
+    if (streakChange) {
+      const streakResult = await UserLevel.updateOne(
+        { guildId, userId, lastStreakDay: { $ne: streakChange.day } },
+        { $set: streakChange.set },
+      );
+      streakApplied = streakResult.modifiedCount > 0;
+      if (streakApplied) Object.assign(updatedData, streakChange.set);
+    }
+
     const cacheKey = `level-${guildId}-${userId}`;
     this.cacheManager.set(cacheKey, updatedData);
+    await this._recordDailyXP(guildId, userId, amount);
+    await this.system.ledgerManager?.record(guildId, userId, {
+      delta: amount,
+      source,
+      level: newLevel,
+      xp: newXP,
+      actorId: options.actorId,
+      note: options.note,
+    });
 
     /**
      * Event dipicu setelah XP berhasil ditambahkan.
@@ -224,6 +369,15 @@ class LevelingManager {
       newData: { ...updatedData },
     });
 
+    if (streakApplied) {
+      await this.system.streakManager.applyStreakUpdate(
+        guildId,
+        userId,
+        streakChange,
+        config,
+      );
+    }
+
     // --- Logika jika terjadi Level Up ---
     if (newLevel > oldLevel) {
       /**
@@ -235,6 +389,7 @@ class LevelingManager {
        * @property {number} oldLevel - Level sebelum naik.
        * @property {number} newLevel - Level baru setelah naik.
        * @property {object} user - Data pengguna lengkap setelah naik level.
+       * @property {boolean} manual - `true` jika level up berasal dari aksi manual moderator.
        */
       this.system.emit("levelUp", {
         guildId,
@@ -242,161 +397,34 @@ class LevelingManager {
         oldLevel,
         newLevel,
         user: { ...updatedData },
+        manual: options.manual === true,
       });
 
+      if (maxLevel > 0 && newLevel >= maxLevel) {
+        /**
+         * Event dipicu saat pengguna mencapai level maksimum server dan dapat melakukan prestige.
+         * @event LevelingSystem#maxLevelReached
+         * @type {object}
+         * @property {string} guildId
+         * @property {string} userId
+         * @property {number} maxLevel - Level maksimum server.
+         * @property {number} prestige - Tier prestige pengguna saat ini.
+         */
+        this.system.emit("maxLevelReached", {
+          guildId,
+          userId,
+          maxLevel,
+          prestige: updatedData.prestige ?? 0,
+        });
+      }
+
       // --- Penanganan Role Level Up ---
-      let guild;
-      let member;
       try {
-        const config = await this.guildConfigManager.getConfig(guildId);
-        const levelRolesMap = config.levelRoles || new Map();
-
-        if (levelRolesMap.size > 0) {
-          guild = this.system.client.guilds.cache.get(guildId);
-          if (!guild) {
-            throw new Error(`Guild ${guildId} not found in cache.`);
-          }
-          member = await guild.members.fetch(userId).catch(() => null);
-
-          if (member) {
-            // --- Penambahan Role ---
-            const rolesToAdd = [];
-            for (const [levelStr, roleId] of levelRolesMap.entries()) {
-              const requiredLevel = parseInt(levelStr, 10);
-              if (
-                newLevel >= requiredLevel &&
-                oldLevel < requiredLevel &&
-                !member.roles.cache.has(roleId)
-              ) {
-                rolesToAdd.push(roleId);
-              }
-            }
-            if (rolesToAdd.length > 0) {
-              try {
-                await member.roles.add(
-                  rolesToAdd,
-                  `Mencapai Level ${newLevel}`,
-                );
-                rolesToAdd.forEach((addedRoleId) => {
-                  /**
-                   * Event dipicu saat role berhasil diberikan sebagai reward level up.
-                   * @event LevelingSystem#roleAwarded
-                   * @type {object}
-                   * @property {string} guildId
-                   * @property {string} userId
-                   * @property {number} level - Level yang memicu pemberian role.
-                   * @property {string} roleId - ID role yang diberikan.
-                   */
-                  this.system.emit("roleAwarded", {
-                    guildId,
-                    userId,
-                    level: newLevel,
-                    roleId: addedRoleId,
-                  });
-                });
-              } catch (addErr) {
-                console.error(
-                  `[LevelingManager] Gagal menambah role(s) ${rolesToAdd.join(", ")} ke ${userId}:`,
-                  addErr.message,
-                );
-              }
-            }
-
-            // --- Penghapusan Role (Berdasarkan Strategi) ---
-            const roleRemovalStrategy =
-              config.roleRemovalStrategy || "keep_all";
-            if (roleRemovalStrategy !== "keep_all") {
-              const rolesToRemove = [];
-              const currentMemberRoles = member.roles.cache;
-
-              if (roleRemovalStrategy === "highest_only") {
-                let highestQualifiedLevel = -1;
-                let highestRoleId = null;
-                for (const [levelStr, roleId] of levelRolesMap.entries()) {
-                  const requiredLevel = parseInt(levelStr, 10);
-                  if (
-                    newLevel >= requiredLevel &&
-                    requiredLevel > highestQualifiedLevel
-                  ) {
-                    highestQualifiedLevel = requiredLevel;
-                    highestRoleId = roleId;
-                  }
-                }
-
-                for (const [levelStr, roleId] of levelRolesMap.entries()) {
-                  if (
-                    roleId !== highestRoleId &&
-                    currentMemberRoles.has(roleId)
-                  ) {
-                    rolesToRemove.push(roleId);
-                  }
-                }
-              } else if (roleRemovalStrategy === "remove_previous") {
-                for (const [levelStr, roleId] of levelRolesMap.entries()) {
-                  const requiredLevel = parseInt(levelStr, 10);
-                  if (
-                    requiredLevel < newLevel &&
-                    currentMemberRoles.has(roleId)
-                  ) {
-                    let isRewardForCurrentLevel = false;
-                    for (const [
-                      lvlStrCheck,
-                      roleIdCheck,
-                    ] of levelRolesMap.entries()) {
-                      if (
-                        parseInt(lvlStrCheck, 10) === newLevel &&
-                        roleIdCheck === roleId
-                      ) {
-                        isRewardForCurrentLevel = true;
-                        break;
-                      }
-                    }
-                    if (!isRewardForCurrentLevel) {
-                      rolesToRemove.push(roleId);
-                    }
-                  }
-                }
-              }
-
-              if (rolesToRemove.length > 0) {
-                try {
-                  await member.roles.remove(
-                    rolesToRemove,
-                    `Level up to ${newLevel} (${roleRemovalStrategy} strategy)`,
-                  );
-                  rolesToRemove.forEach((removedRoleId) => {
-                    /**
-                     * Event dipicu saat role dihapus karena strategi level up.
-                     * @event LevelingSystem#roleRemoved
-                     * @type {object}
-                     * @property {string} guildId
-                     * @property {string} userId
-                     * @property {number} level - Level baru pengguna.
-                     * @property {string} roleId - ID role yang dihapus.
-                     * @property {string} reason - Alasan penghapusan (termasuk strategi).
-                     */
-                    this.system.emit("roleRemoved", {
-                      guildId,
-                      userId,
-                      level: newLevel,
-                      roleId: removedRoleId,
-                      reason: `level_up_${roleRemovalStrategy}`,
-                    });
-                  });
-                } catch (removeErr) {
-                  console.error(
-                    `[LevelingManager] Gagal menghapus role(s) ${rolesToRemove.join(", ")} dari ${userId}:`,
-                    removeErr.message,
-                  );
-                }
-              }
-            }
-          } else {
-            console.warn(
-              `[LevelingManager] Member ${userId} tidak ditemukan di guild ${guildId} saat proses role level up.`,
-            );
-          }
-        }
+        await this.reconcileMemberRoles(guildId, userId, newLevel, {
+          config,
+          reason: `Mencapai Level ${newLevel}`,
+          source: "level_up",
+        });
       } catch (err) {
         console.error(
           `[LevelingManager] Error saat memproses role reward/removal untuk ${userId}@${guildId}:`,
@@ -407,6 +435,8 @@ class LevelingManager {
           new Error(`Role handling error on level up: ${err.message}`),
         );
       }
+
+      await this.grantLevelRewards(guildId, userId, oldLevel, newLevel, config);
     }
 
     return { oldLevel, newLevel, gainedXp: amount, user: { ...updatedData } };
@@ -420,26 +450,37 @@ class LevelingManager {
    * @param {string} userId - ID pengguna Discord.
    * @param {number} amount - Jumlah XP yang akan dikurangi (harus > 0).
    * @param {string} [reason='penalty'] - Alasan pengurangan XP.
+   * @param {object} [options={}] - Opsi tambahan.
+   * @param {boolean} [options.touchTimestamps=true] - Jika `false`, `updatedAt` tidak diperbarui
+   *        (digunakan oleh decay agar pengurangan XP tidak dihitung sebagai aktivitas).
+   * @param {string} [options.actorId] - ID pengguna yang melakukan aksi (untuk ledger XP).
+   * @param {string} [options.note] - Catatan tambahan untuk ledger XP.
+   * @param {boolean} [options.manual=false] - Tandai perubahan sebagai aksi manual moderator (diteruskan ke event `levelDown`).
    * @returns {Promise<object|null>} Sebuah Promise yang resolve dengan objek data pengguna terbaru setelah pengurangan,
    *          atau `null` jika `amount` tidak positif atau terjadi error update.
    * @fires LevelingSystem#xpLost
    * @fires LevelingSystem#levelDown
    * @async
    */
-  async removeXP(guildId, userId, amount, reason = "penalty") {
+  async removeXP(guildId, userId, amount, reason = "penalty", options = {}) {
     if (amount <= 0) return null;
 
+    const config = await this.guildConfigManager.getConfig(guildId);
     const userData = await this.getUserLevelData(guildId, userId);
     if (!userData) return null;
 
     const oldLevel = userData.level;
     let newXP = Math.max(0, userData.xp - amount);
-    const newLevel = this.getLevelFromXP(newXP);
+    const newLevel = this.getLevelFromXP(newXP, config.levelCurve);
+    const update = { xp: newXP, level: newLevel };
+    if (config.season?.active) {
+      update.seasonXp = Math.max(0, (userData.seasonXp ?? 0) - amount);
+    }
 
     const updatedDataLean = await UserLevel.findOneAndUpdate(
       { guildId, userId },
-      { $set: { xp: newXP, level: newLevel } },
-      { new: true },
+      { $set: update },
+      { new: true, timestamps: options.touchTimestamps !== false },
     ).lean();
 
     if (!updatedDataLean) {
@@ -457,6 +498,14 @@ class LevelingManager {
 
     const cacheKey = `level-${guildId}-${userId}`;
     this.cacheManager.set(cacheKey, updatedData);
+    await this.system.ledgerManager?.record(guildId, userId, {
+      delta: newXP - userData.xp,
+      source: reason,
+      level: newLevel,
+      xp: newXP,
+      actorId: options.actorId,
+      note: options.note,
+    });
 
     /**
      * Event dipicu setelah XP berhasil dikurangi dari pengguna.
@@ -487,6 +536,7 @@ class LevelingManager {
        * @property {number} oldLevel - Level sebelum turun.
        * @property {number} newLevel - Level baru setelah turun.
        * @property {object} user - Data pengguna lengkap setelah turun level.
+       * @property {boolean} manual - `true` jika level down berasal dari aksi manual moderator.
        */
       this.system.emit("levelDown", {
         guildId,
@@ -494,6 +544,7 @@ class LevelingManager {
         oldLevel,
         newLevel,
         user: { ...updatedData },
+        manual: options.manual === true,
       });
     }
 
@@ -501,12 +552,867 @@ class LevelingManager {
   }
 
   /**
-   * Mengambil data leaderboard (pengguna teratas berdasarkan XP) untuk server tertentu.
+   * Mengatur total XP pengguna ke nilai tertentu dengan memanggil {@link addXP} atau {@link removeXP}
+   * sesuai selisihnya, sehingga event `xpGained`/`xpLost`, `levelUp`/`levelDown`, dan ledger XP tetap berjalan.
+   * Jika server memiliki level maksimum, XP target dibatasi oleh {@link addXP}.
+   * @method setUserXP
+   * @param {string} guildId - ID server Discord.
+   * @param {string} userId - ID pengguna Discord.
+   * @param {number} targetXP - Total XP yang diinginkan (minimal 0).
+   * @param {string} [source='manual'] - Sumber/alasan perubahan.
+   * @param {object} [options={}] - Opsi yang diteruskan ke `addXP`/`removeXP` (`actorId`, `note`, `manual`).
+   * @returns {Promise<object|null>} Data pengguna terbaru, atau `null` jika perubahan gagal atau ditolak (misal: level maksimum).
+   * @async
+   */
+  async setUserXP(guildId, userId, targetXP, source = "manual", options = {}) {
+    const userData = await this.getUserLevelData(guildId, userId);
+    const delta = Math.max(0, Math.floor(targetXP)) - userData.xp;
+
+    if (delta > 0) {
+      const result = await this.addXP(guildId, userId, delta, source, options);
+      return result?.user ?? null;
+    }
+    if (delta < 0) {
+      return this.removeXP(guildId, userId, -delta, source, options);
+    }
+    return userData;
+  }
+
+  /**
+   * Mengambil role dari paket reward level server (`levelRewards`) sebagai Map level ke daftar ID role.
+   * Level yang paketnya tidak berisi role tidak disertakan.
+   * @method getLevelRolesMap
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @returns {Map<string, string[]>} Map level (string) ke daftar ID role.
+   */
+  getLevelRolesMap(config) {
+    const rolesMap = new Map();
+    for (const [levelStr, bundle] of config.levelRewards ?? new Map()) {
+      if (bundle.roles?.length > 0) rolesMap.set(levelStr, bundle.roles);
+    }
+    return rolesMap;
+  }
+
+  /**
+   * Memeriksa apakah level berada dalam rentang aturan reward (`start` hingga `end`;
+   * tanpa batas atas jika `end` kosong). Role aturan dipegang selama level berada dalam rentang ini.
+   * @method isLevelInRuleRange
+   * @param {{start: number, end: number|null}} rule - Aturan reward.
+   * @param {number} level - Level pengguna.
+   * @returns {boolean} `true` jika level berada dalam rentang aturan.
+   */
+  isLevelInRuleRange(rule, level) {
+    return level >= rule.start && (rule.end == null || level <= rule.end);
+  }
+
+  /**
+   * Memeriksa apakah aturan reward berlaku tepat pada suatu level (untuk pengumuman):
+   * setiap level dalam rentang, atau setiap `every` level mulai `start` untuk aturan berulang.
+   * @method ruleMatchesLevel
+   * @param {{start: number, end: number|null, every: number|null}} rule - Aturan reward.
+   * @param {number} level - Level yang dicapai.
+   * @returns {boolean} `true` jika aturan berlaku pada level tersebut.
+   */
+  ruleMatchesLevel(rule, level) {
+    if (!this.isLevelInRuleRange(rule, level)) return false;
+    return !rule.every || (level - rule.start) % rule.every === 0;
+  }
+
+  /**
+   * Menghitung role dari aturan reward (`rewardRules`) yang seharusnya dimiliki pada level tertentu.
+   * Role aturan tidak mengikuti strategi role server: role dipasang selama level berada dalam
+   * rentang aturan dan dilepas otomatis di luar rentang.
+   * @method getRuleRoles
+   * @param {object[]} rules - Aturan reward server yang sudah dinormalisasi.
+   * @param {number} level - Level pengguna.
+   * @returns {{expected: Set<string>, removable: Set<string>}} Role yang diharapkan dan role aturan yang boleh dihapus.
+   */
+  getRuleRoles(rules, level) {
+    const expected = new Set();
+    const removable = new Set();
+    for (const rule of rules ?? []) {
+      if (!rule.roleId) continue;
+      if (this.isLevelInRuleRange(rule, level)) expected.add(rule.roleId);
+      else removable.add(rule.roleId);
+    }
+    expected.forEach((roleId) => removable.delete(roleId));
+    return { expected, removable };
+  }
+
+  /**
+   * Memeriksa apakah server memiliki role reward level, baik dari paket reward maupun aturan reward.
+   * @method hasLevelRewardRoles
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @returns {boolean} `true` jika ada role yang perlu diselaraskan.
+   */
+  hasLevelRewardRoles(config) {
+    return (
+      this.getLevelRolesMap(config).size > 0 ||
+      (config.rewardRules ?? []).some((rule) => rule.roleId)
+    );
+  }
+
+  /**
+   * Mengambil pengumuman aturan reward untuk level yang dilewati saat naik dari `oldLevel` ke `newLevel`.
+   * @method getRuleAnnouncements
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @param {number} oldLevel - Level sebelum naik.
+   * @param {number} newLevel - Level setelah naik.
+   * @returns {{level: number, message: string, channelId: string|null}[]} Daftar pengumuman, terurut berdasarkan level.
+   */
+  getRuleAnnouncements(config, oldLevel, newLevel) {
+    const announcements = [];
+    for (let level = oldLevel + 1; level <= newLevel; level++) {
+      for (const rule of config.rewardRules ?? []) {
+        if (rule.message && this.ruleMatchesLevel(rule, level)) {
+          announcements.push({
+            level,
+            message: rule.message,
+            channelId: rule.channelId,
+          });
+        }
+      }
+    }
+    return announcements;
+  }
+
+  /**
+   * Menghitung set role level yang seharusnya dimiliki pengguna pada level tertentu,
+   * berdasarkan role di paket reward level dan strategi penghapusan role server.
+   * Semua role dalam satu paket diperlakukan sebagai satu kesatuan.
+   * - `keep_all`: Semua role dari level yang sudah dicapai.
+   * - `highest_only`: Hanya role dari paket level reward tertinggi yang dicapai; role level lain dihapus.
+   * - `remove_previous`: Hanya role dari paket level reward tertinggi yang dicapai; role level di bawahnya dihapus.
+   * Pada semua strategi, termasuk `keep_all`, role dari level yang belum dicapai termasuk dalam daftar
+   * yang boleh dihapus. Ini disengaja: pengguna yang levelnya turun (misal karena kurva diubah atau XP
+   * dikurangi) tidak lagi menyimpan role level yang belum dicapainya.
+   * @method getExpectedLevelRoles
+   * @param {Map<string, string|string[]>} levelRolesMap - Map level (string) ke ID role atau daftar ID role.
+   * @param {number} level - Level pengguna.
+   * @param {string} [strategy='keep_all'] - Strategi penghapusan role (`keep_all`, `highest_only`, `remove_previous`).
+   * @returns {{expected: Set<string>, removable: Set<string>}} Objek berisi set ID role yang diharapkan
+   *          dan set ID role level yang boleh dihapus jika dimiliki pengguna.
+   */
+  getExpectedLevelRoles(levelRolesMap, level, strategy = "keep_all") {
+    const entries = Array.from(levelRolesMap.entries())
+      .flatMap(([levelStr, roleIds]) =>
+        [].concat(roleIds).map((roleId) => [parseInt(levelStr, 10), roleId]),
+      )
+      .filter(([requiredLevel]) => !isNaN(requiredLevel))
+      .sort((x, y) => x[0] - y[0]);
+
+    const reached = entries.filter(([requiredLevel]) => level >= requiredLevel);
+    const highestLevel =
+      reached.length > 0 ? reached[reached.length - 1][0] : null;
+
+    const expected = new Set();
+    if (strategy === "highest_only" || strategy === "remove_previous") {
+      reached
+        .filter(([requiredLevel]) => requiredLevel === highestLevel)
+        .forEach(([, roleId]) => expected.add(roleId));
+    } else {
+      reached.forEach(([, roleId]) => expected.add(roleId));
+    }
+
+    const removable = new Set();
+    for (const [requiredLevel, roleId] of entries) {
+      if (expected.has(roleId)) continue;
+      if (
+        requiredLevel > level ||
+        strategy === "highest_only" ||
+        (strategy === "remove_previous" && requiredLevel < highestLevel)
+      ) {
+        removable.add(roleId);
+      }
+    }
+
+    return { expected, removable };
+  }
+
+  /**
+   * Menyelaraskan role level seorang member dengan level yang diberikan: menambahkan role
+   * yang seharusnya dimiliki dan menghapus role yang tidak lagi sesuai strategi server.
+   * Tidak meng-emit event `levelUp`/`levelDown`, sehingga aman dipakai untuk penyelarasan massal.
+   * @method reconcileMemberRoles
+   * @param {string} guildId - ID server Discord.
+   * @param {string} userId - ID pengguna Discord.
+   * @param {number} level - Level pengguna yang menjadi acuan.
+   * @param {object} [options={}] - Opsi tambahan.
+   * @param {object} [options.config] - Konfigurasi server yang sudah diambil (menghindari fetch ulang).
+   * @param {import('discord.js').GuildMember} [options.member] - Member yang sudah di-fetch.
+   * @param {string} [options.reason] - Alasan yang dicatat di audit log Discord.
+   * @param {string} [options.source='sync'] - Sumber penyelarasan (misal: 'level_up', 'recalculation'), diteruskan ke event.
+   * @param {Map<string, string|string[]>} [options.rolesMap] - Map role yang diselaraskan. Default: role dari paket reward level
+   *                                                  ({@link LevelingManager#getLevelRolesMap}) ditambah role aturan reward
+   *                                                  ({@link LevelingManager#getRuleRoles}).
+   *                                                  Untuk role prestige, berikan `config.prestigeRoles` dan tier sebagai `level`.
+   * @param {boolean} [options.dryRun=false] - Jika `true`, hanya menghitung role yang akan ditambah/dihapus tanpa mengubah role
+   *                                           dan tanpa meng-emit event.
+   * @returns {Promise<{added: string[], removed: string[]}>} Sebuah Promise yang resolve dengan ID role yang ditambahkan dan dihapus
+   *          (atau yang akan ditambahkan/dihapus pada `dryRun`).
+   * @throws {Error} Jika guild tidak ditemukan di cache.
+   * @fires LevelingSystem#roleAwarded
+   * @fires LevelingSystem#roleRemoved
+   * @async
+   */
+  async reconcileMemberRoles(guildId, userId, level, options = {}) {
+    const result = { added: [], removed: [] };
+    const config =
+      options.config ?? (await this.guildConfigManager.getConfig(guildId));
+    const levelRolesMap = options.rolesMap || this.getLevelRolesMap(config);
+    const ruleRoles = options.rolesMap
+      ? null
+      : this.getRuleRoles(config.rewardRules, level);
+    if (
+      levelRolesMap.size === 0 &&
+      !(ruleRoles?.expected.size > 0 || ruleRoles?.removable.size > 0)
+    ) {
+      return result;
+    }
+
+    const guild = this.system.client.guilds.cache.get(guildId);
+    if (!guild) {
+      throw new Error(`Guild ${guildId} not found in cache.`);
+    }
+    const member =
+      options.member ?? (await guild.members.fetch(userId).catch(() => null));
+    if (!member) {
+      console.warn(
+        `[LevelingManager] Member ${userId} tidak ditemukan di guild ${guildId} saat menyelaraskan role level.`,
+      );
+      return result;
+    }
+
+    const source = options.source || "sync";
+    const roleRemovalStrategy = config.roleRemovalStrategy || "keep_all";
+    const { expected, removable } = this.getExpectedLevelRoles(
+      levelRolesMap,
+      level,
+      roleRemovalStrategy,
+    );
+    if (ruleRoles) {
+      ruleRoles.expected.forEach((roleId) => expected.add(roleId));
+      ruleRoles.removable.forEach((roleId) => removable.add(roleId));
+      expected.forEach((roleId) => removable.delete(roleId));
+    }
+    const currentMemberRoles = member.roles.cache;
+    const rolesToAdd = [...expected].filter(
+      (roleId) => !currentMemberRoles.has(roleId),
+    );
+    const rolesToRemove = [...removable].filter((roleId) =>
+      currentMemberRoles.has(roleId),
+    );
+
+    if (options.dryRun) {
+      return { added: rolesToAdd, removed: rolesToRemove };
+    }
+
+    // --- Penambahan Role ---
+    if (rolesToAdd.length > 0) {
+      try {
+        await member.roles.add(
+          rolesToAdd,
+          options.reason || `Penyelarasan role Level ${level}`,
+        );
+        rolesToAdd.forEach((addedRoleId) => {
+          /**
+           * Event dipicu saat role level berhasil diberikan kepada pengguna.
+           * @event LevelingSystem#roleAwarded
+           * @type {object}
+           * @property {string} guildId
+           * @property {string} userId
+           * @property {number} level - Level (atau tier prestige) yang memicu pemberian role.
+           * @property {string} roleId - ID role yang diberikan.
+           * @property {string} source - Sumber pemberian role (misal: 'level_up', 'recalculation', 'prestige').
+           */
+          this.system.emit("roleAwarded", {
+            guildId,
+            userId,
+            level,
+            roleId: addedRoleId,
+            source,
+          });
+        });
+        result.added = rolesToAdd;
+      } catch (addErr) {
+        console.error(
+          `[LevelingManager] Gagal menambah role(s) ${rolesToAdd.join(", ")} ke ${userId}:`,
+          addErr.message,
+        );
+      }
+    }
+
+    // --- Penghapusan Role (Berdasarkan Strategi) ---
+    if (rolesToRemove.length > 0) {
+      try {
+        await member.roles.remove(
+          rolesToRemove,
+          `Level ${level} (${roleRemovalStrategy} strategy)`,
+        );
+        rolesToRemove.forEach((removedRoleId) => {
+          /**
+           * Event dipicu saat role level dihapus karena strategi role atau perubahan level.
+           * @event LevelingSystem#roleRemoved
+           * @type {object}
+           * @property {string} guildId
+           * @property {string} userId
+           * @property {number} level - Level pengguna saat ini.
+           * @property {string} roleId - ID role yang dihapus.
+           * @property {string} reason - Alasan penghapusan (sumber dan strategi).
+           */
+          this.system.emit("roleRemoved", {
+            guildId,
+            userId,
+            level,
+            roleId: removedRoleId,
+            reason: `${source}_${roleRemovalStrategy}`,
+          });
+        });
+        result.removed = rolesToRemove;
+      } catch (removeErr) {
+        console.error(
+          `[LevelingManager] Gagal menghapus role(s) ${rolesToRemove.join(", ")} dari ${userId}:`,
+          removeErr.message,
+        );
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Memberikan reward sekali (bonus XP dan pesan DM) dari paket reward level yang dilewati saat naik
+   * dari `oldLevel` ke `newLevel`. Setiap level diklaim secara atomik di `UserLevel.claimedRewardLevels`,
+   * sehingga reward tidak diberikan ulang saat pengguna turun lalu naik level lagi atau setelah prestige.
+   * Bonus XP dicatat dengan sumber `reward` dan dapat memicu level up (beserta reward-nya) berikutnya.
+   * Role dan baris pengumuman paket ditangani terpisah (`reconcileMemberRoles` dan handler `levelUp`).
+   * @method grantLevelRewards
+   * @param {string} guildId - ID server Discord.
+   * @param {string} userId - ID pengguna Discord.
+   * @param {number} oldLevel - Level sebelum naik.
+   * @param {number} newLevel - Level setelah naik.
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @returns {Promise<number[]>} Level yang reward-nya baru diberikan.
+   * @fires LevelingSystem#levelRewardGranted
+   * @async
+   */
+  async grantLevelRewards(guildId, userId, oldLevel, newLevel, config) {
+    const granted = [];
+    const pending = Array.from(config.levelRewards ?? new Map())
+      .map(([levelStr, bundle]) => [parseInt(levelStr, 10), bundle])
+      .filter(
+        ([level, bundle]) =>
+          level > oldLevel && level <= newLevel && (bundle.xp > 0 || bundle.dm),
+      );
+
+    for (const [level, bundle] of pending) {
+      try {
+        const claim = await UserLevel.updateOne(
+          { guildId, userId, claimedRewardLevels: { $ne: level } },
+          { $addToSet: { claimedRewardLevels: level } },
+          { timestamps: false },
+        );
+        if (claim.modifiedCount === 0) continue;
+
+        const dmSent = bundle.dm
+          ? await this._sendRewardDM(guildId, userId, level, bundle.dm)
+          : false;
+        if (bundle.xp > 0) {
+          await this.addXP(guildId, userId, bundle.xp, "reward", {
+            note: `Reward Level ${level}`,
+          });
+        }
+
+        /**
+         * Event dipicu setelah reward sekali dari paket reward level diberikan kepada pengguna.
+         * @event LevelingSystem#levelRewardGranted
+         * @type {object}
+         * @property {string} guildId
+         * @property {string} userId
+         * @property {number} level - Level paket reward.
+         * @property {number} xp - Bonus XP yang diberikan (0 jika tidak ada).
+         * @property {boolean} dmSent - `true` jika pesan DM reward berhasil dikirim.
+         */
+        this.system.emit("levelRewardGranted", {
+          guildId,
+          userId,
+          level,
+          xp: bundle.xp,
+          dmSent,
+        });
+        granted.push(level);
+      } catch (error) {
+        console.error(
+          `[LevelingManager] Gagal memberikan reward Level ${level} untuk ${userId}@${guildId}:`,
+          error,
+        );
+        this.system.emit(
+          "error",
+          new Error(`Level reward error: ${error.message}`),
+        );
+      }
+    }
+
+    return granted;
+  }
+
+  /**
+   * Mengirim pesan DM reward level kepada pengguna. Placeholder `{userMention}`, `{username}`,
+   * `{level}`, dan `{guildName}` diganti sebelum dikirim.
+   * @method _sendRewardDM
+   * @param {string} guildId - ID server Discord.
+   * @param {string} userId - ID pengguna Discord.
+   * @param {number} level - Level paket reward.
+   * @param {string} template - Isi pesan DM dari paket reward.
+   * @returns {Promise<boolean>} `true` jika pesan terkirim, `false` jika pengguna menutup DM atau tidak ditemukan.
+   * @private
+   * @async
+   */
+  async _sendRewardDM(guildId, userId, level, template) {
+    const user = await this.system.client.users.fetch(userId).catch(() => null);
+    if (!user) return false;
+
+    const replacements = {
+      "{userMention}": `<@${userId}>`,
+      "{username}": user.username,
+      "{level}": level,
+      "{guildName}":
+        this.system.client.guilds.cache.get(guildId)?.name ?? "server",
+    };
+    const content = template.replace(
+      /{userMention}|{username}|{level}|{guildName}/g,
+      (match) => replacements[match],
+    );
+
+    try {
+      await user.send({ content, allowedMentions: { parse: [] } });
+      return true;
+    } catch (error) {
+      console.warn(
+        `[LevelingManager] Gagal mengirim DM reward Level ${level} ke ${userId}: ${error.message}`,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Memasang kembali role level dan role prestige untuk member yang bergabung lagi ke server,
+   * berdasarkan level dan tier prestige yang masih tersimpan. Tidak membuat data baru untuk
+   * member yang belum pernah mendapat XP.
+   * @method restoreMemberRoles
+   * @param {import('discord.js').GuildMember} member - Member yang baru bergabung.
+   * @returns {Promise<{added: string[], removed: string[]}|null>} Role yang ditambahkan dan dihapus,
+   *          atau `null` jika fitur nonaktif atau member tidak memiliki data level.
+   * @fires LevelingSystem#roleAwarded
+   * @fires LevelingSystem#roleRemoved
+   * @async
+   */
+  async restoreMemberRoles(member) {
+    const guildId = member.guild.id;
+    const config = await this.guildConfigManager.getConfig(guildId);
+    if (!config.restoreRolesOnRejoin) return null;
+
+    const userData = await UserLevel.findOne({ guildId, userId: member.id })
+      .select("level prestige")
+      .lean();
+    if (!userData) return null;
+
+    const options = {
+      config,
+      member,
+      source: "rejoin",
+      reason: `Bergabung kembali (Level ${userData.level})`,
+    };
+    const levelResult = await this.reconcileMemberRoles(
+      guildId,
+      member.id,
+      userData.level ?? 0,
+      options,
+    );
+    const prestigeResult = await this.reconcileMemberRoles(
+      guildId,
+      member.id,
+      userData.prestige ?? 0,
+      {
+        ...options,
+        rolesMap: config.prestigeRoles,
+        reason: `Bergabung kembali (Prestige ${userData.prestige ?? 0})`,
+      },
+    );
+
+    return {
+      added: [...levelResult.added, ...prestigeResult.added],
+      removed: [...levelResult.removed, ...prestigeResult.removed],
+    };
+  }
+
+  /**
+   * Menyelaraskan role level semua pengguna yang tercatat di server dengan level mereka saat ini
+   * dan strategi role server, misalnya setelah role reward ditambahkan atau strategi diubah.
+   * Member diambil per batch, dan setiap member yang rolenya berubah diberi jeda agar tidak
+   * menabrak rate limit Discord. Jika Discord tetap membatasi request ke server ini, sinkronisasi
+   * menunggu hingga batas tersebut berakhir. Hanya satu sinkronisasi yang dapat berjalan per server.
+   * @method syncGuildLevelRoles
+   * @param {string} guildId - ID server Discord.
+   * @param {object} [options={}] - Opsi tambahan.
+   * @param {boolean} [options.dryRun=false] - Jika `true`, hanya menghitung perubahan tanpa mengubah role.
+   * @param {string[]} [options.userIds] - Batasi sinkronisasi ke pengguna tertentu. Default: semua pengguna di server.
+   * @param {string} [options.source='sync'] - Sumber perubahan role yang diteruskan ke event `roleAwarded`/`roleRemoved`.
+   * @param {function({processed: number, total: number, rolesAdded: number, rolesRemoved: number}): (void|Promise<void>)} [options.onProgress]
+   *        Dipanggil setelah setiap batch member selesai diproses.
+   * @returns {Promise<{total: number, processed: number, membersChanged: number, missing: number, failed: number, rolesAdded: number, rolesRemoved: number, dryRun: boolean, changes: Array<{userId: string, level: number, added: string[], removed: string[]}>}|null>}
+   *          Ringkasan sinkronisasi beserta daftar perubahan per member, atau `null` jika sinkronisasi lain
+   *          masih berjalan di server ini.
+   * @throws {Error} Jika guild tidak ditemukan di cache.
+   * @fires LevelingSystem#guildRolesSynced
+   * @fires LevelingSystem#roleAwarded
+   * @fires LevelingSystem#roleRemoved
+   * @async
+   */
+  async syncGuildLevelRoles(guildId, options = {}) {
+    const guild = this.system.client.guilds.cache.get(guildId);
+    if (!guild) {
+      throw new Error(`Guild ${guildId} not found in cache.`);
+    }
+    if (this.roleSyncsInProgress.has(guildId)) return null;
+    this.roleSyncsInProgress.add(guildId);
+
+    const dryRun = options.dryRun === true;
+    const summary = {
+      total: 0,
+      processed: 0,
+      membersChanged: 0,
+      missing: 0,
+      failed: 0,
+      rolesAdded: 0,
+      rolesRemoved: 0,
+      dryRun,
+      changes: [],
+    };
+
+    let rateLimitedUntil = 0;
+    const onRateLimited = (info) => {
+      if (info.majorParameter !== guildId && !info.global) return;
+      rateLimitedUntil = Math.max(
+        rateLimitedUntil,
+        Date.now() + (info.retryAfter ?? info.timeToReset ?? 0),
+      );
+    };
+    const rest = this.system.client.rest;
+    rest?.on("rateLimited", onRateLimited);
+
+    try {
+      const config = await this.guildConfigManager.getConfig(guildId);
+      const filter = { guildId };
+      if (Array.isArray(options.userIds)) {
+        filter.userId = { $in: options.userIds };
+      }
+      const users = await UserLevel.find(filter).select("userId level").lean();
+      summary.total = users.length;
+
+      for (let i = 0; i < users.length; i += ROLE_SYNC_FETCH_BATCH_SIZE) {
+        const batch = users.slice(i, i + ROLE_SYNC_FETCH_BATCH_SIZE);
+        const members = await guild.members
+          .fetch({ user: batch.map((user) => user.userId) })
+          .catch((error) => {
+            console.error(
+              `[LevelingManager] Gagal mengambil batch member untuk sinkronisasi role guild ${guildId}:`,
+              error.message,
+            );
+            return null;
+          });
+
+        for (const user of batch) {
+          summary.processed++;
+          if (!members) {
+            summary.failed++;
+            continue;
+          }
+          const member = members.get(user.userId);
+          if (!member) {
+            summary.missing++;
+            continue;
+          }
+
+          const waitMillis = rateLimitedUntil - Date.now();
+          if (waitMillis > 0) {
+            await new Promise((resolve) => setTimeout(resolve, waitMillis));
+          }
+
+          try {
+            const { added, removed } = await this.reconcileMemberRoles(
+              guildId,
+              user.userId,
+              user.level,
+              {
+                config,
+                member,
+                dryRun,
+                reason: `Sinkronisasi role level (Level ${user.level})`,
+                source: options.source ?? "sync",
+              },
+            );
+            if (added.length === 0 && removed.length === 0) continue;
+
+            summary.membersChanged++;
+            summary.rolesAdded += added.length;
+            summary.rolesRemoved += removed.length;
+            summary.changes.push({
+              userId: user.userId,
+              level: user.level,
+              added,
+              removed,
+            });
+            if (!dryRun) {
+              await new Promise((resolve) =>
+                setTimeout(resolve, ROLE_SYNC_DELAY_MILLIS),
+              );
+            }
+          } catch (roleErr) {
+            summary.failed++;
+            console.error(
+              `[LevelingManager] Gagal menyelaraskan role ${user.userId}@${guildId} saat sinkronisasi:`,
+              roleErr.message,
+            );
+          }
+        }
+
+        if (typeof options.onProgress === "function") {
+          try {
+            await options.onProgress({
+              processed: summary.processed,
+              total: summary.total,
+              rolesAdded: summary.rolesAdded,
+              rolesRemoved: summary.rolesRemoved,
+            });
+          } catch (progressErr) {
+            console.warn(
+              `[LevelingManager] Gagal melaporkan progress sinkronisasi role guild ${guildId}:`,
+              progressErr.message,
+            );
+          }
+        }
+      }
+
+      console.log(
+        `[LevelingManager] Sinkronisasi role guild ${guildId}${dryRun ? " (dry run)" : ""} selesai: ${summary.membersChanged}/${summary.total} member berubah (+${summary.rolesAdded}/-${summary.rolesRemoved}).`,
+      );
+      if (!dryRun) {
+        /**
+         * Event dipicu setelah role level semua pengguna di satu server diselaraskan.
+         * @event LevelingSystem#guildRolesSynced
+         * @type {object}
+         * @property {string} guildId - ID server yang rolenya diselaraskan.
+         * @property {number} total - Jumlah data pengguna yang diperiksa.
+         * @property {number} membersChanged - Jumlah member yang rolenya berubah.
+         * @property {number} missing - Jumlah pengguna yang sudah tidak ada di server.
+         * @property {number} failed - Jumlah pengguna yang gagal diproses.
+         * @property {number} rolesAdded - Jumlah role yang ditambahkan.
+         * @property {number} rolesRemoved - Jumlah role yang dihapus.
+         */
+        this.system.emit("guildRolesSynced", {
+          guildId,
+          total: summary.total,
+          membersChanged: summary.membersChanged,
+          missing: summary.missing,
+          failed: summary.failed,
+          rolesAdded: summary.rolesAdded,
+          rolesRemoved: summary.rolesRemoved,
+        });
+      }
+
+      return summary;
+    } finally {
+      rest?.off("rateLimited", onRateLimited);
+      this.roleSyncsInProgress.delete(guildId);
+    }
+  }
+
+  /**
+   * Melakukan prestige untuk pengguna yang sudah mencapai level maksimum server:
+   * XP dan level direset ke 0, tier prestige bertambah 1, role level diselaraskan
+   * ke level 0, dan role prestige diselaraskan ke tier baru.
+   * @method prestigeUser
+   * @param {string} guildId - ID server Discord.
+   * @param {string} userId - ID pengguna Discord.
+   * @returns {Promise<{oldTier: number, newTier: number, user: object}|null>} Sebuah Promise yang resolve dengan
+   *          informasi tier prestige dan data pengguna terbaru, atau `null` jika server tidak memiliki level maksimum,
+   *          pengguna belum mencapainya, atau terjadi error update.
+   * @fires LevelingSystem#prestige
+   * @async
+   */
+  async prestigeUser(guildId, userId) {
+    if (!guildId || !userId) return null;
+
+    const config = await this.guildConfigManager.getConfig(guildId);
+    const maxLevel = config.maxLevel ?? 0;
+    if (maxLevel <= 0) return null;
+
+    const userData = await this.getUserLevelData(guildId, userId);
+    if (userData.level < maxLevel) return null;
+
+    const updatedDataLean = await UserLevel.findOneAndUpdate(
+      { guildId, userId, level: { $gte: maxLevel } },
+      { $set: { xp: 0, level: 0 }, $inc: { prestige: 1 } },
+      { new: true },
+    ).lean();
+
+    if (!updatedDataLean) {
+      console.error(
+        `[LevelingManager] Gagal melakukan prestige untuk ${userId}@${guildId}.`,
+      );
+      this.system.emit(
+        "error",
+        new Error(`Failed to prestige ${userId}@${guildId}`),
+      );
+      return null;
+    }
+
+    const updatedData = { ...userData, ...updatedDataLean };
+    const cacheKey = `level-${guildId}-${userId}`;
+    this.cacheManager.set(cacheKey, updatedData);
+
+    await this.system.ledgerManager?.record(guildId, userId, {
+      delta: -userData.xp,
+      source: "prestige",
+      level: 0,
+      xp: 0,
+    });
+
+    const oldTier = userData.prestige ?? 0;
+    const newTier = updatedData.prestige;
+    console.log(
+      `[LevelingManager] ${userId}@${guildId} melakukan prestige: tier ${oldTier} -> ${newTier}.`,
+    );
+
+    /**
+     * Event dipicu setelah pengguna berhasil melakukan prestige.
+     * @event LevelingSystem#prestige
+     * @type {object}
+     * @property {string} guildId
+     * @property {string} userId
+     * @property {number} oldTier - Tier prestige sebelumnya.
+     * @property {number} newTier - Tier prestige baru.
+     * @property {object} user - Data pengguna lengkap setelah prestige.
+     */
+    this.system.emit("prestige", {
+      guildId,
+      userId,
+      oldTier,
+      newTier,
+      user: { ...updatedData },
+    });
+
+    try {
+      await this.reconcileMemberRoles(guildId, userId, 0, {
+        config,
+        reason: `Prestige ke tier ${newTier}`,
+        source: "prestige",
+      });
+      await this.reconcileMemberRoles(guildId, userId, newTier, {
+        config,
+        rolesMap: config.prestigeRoles,
+        reason: `Prestige ke tier ${newTier}`,
+        source: "prestige",
+      });
+    } catch (err) {
+      console.error(
+        `[LevelingManager] Error saat memproses role prestige untuk ${userId}@${guildId}:`,
+        err,
+      );
+      this.system.emit(
+        "error",
+        new Error(`Role handling error on prestige: ${err.message}`),
+      );
+    }
+
+    return { oldTier, newTier, user: { ...updatedData } };
+  }
+
+  /**
+   * Memeriksa apakah data pengguna disembunyikan dari leaderboard karena pengguna sudah keluar
+   * dari server dan kebijakan server bukan `keep`.
+   * @method isHiddenDeparted
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @param {object} userData - Data level pengguna.
+   * @returns {boolean} `true` jika pengguna disembunyikan.
+   */
+  isHiddenDeparted(config, userData) {
+    return config.leavePolicy?.mode !== "keep" && userData?.leftAt != null;
+  }
+
+  /**
+   * Membuat filter query `UserLevel` yang mengecualikan member yang sudah keluar
+   * jika kebijakan server menyembunyikan mereka.
+   * @method _visibleMemberFilter
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @returns {object} Filter tambahan untuk query (kosong pada kebijakan `keep`).
+   * @private
+   */
+  _visibleMemberFilter(config) {
+    return config.leavePolicy?.mode !== "keep" ? { leftAt: null } : {};
+  }
+
+  /**
+   * Mengambil ID pengguna yang disembunyikan dari leaderboard karena sudah keluar dari server.
+   * @method _getHiddenUserIds
+   * @param {string} guildId - ID server Discord.
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @returns {Promise<string[]>} Daftar ID pengguna (kosong pada kebijakan `keep`).
+   * @private
+   * @async
+   */
+  async _getHiddenUserIds(guildId, config) {
+    if (config.leavePolicy?.mode === "keep") return [];
+    return UserLevel.distinct("userId", { guildId, leftAt: { $ne: null } });
+  }
+
+  /**
+   * Mengisi `prestige: 0` pada data pengguna lama yang dibuat sebelum field prestige ada.
+   * Default skema hanya berlaku saat insert; tanpa backfill, MongoDB mengurutkan dokumen tanpa
+   * `prestige` (null) di bawah dokumen dengan `prestige: 0` pada leaderboard.
+   * Dipanggil sekali saat inisialisasi sistem.
+   * @method backfillPrestige
+   * @returns {Promise<number>} Jumlah dokumen yang diperbarui (0 jika terjadi error).
+   * @async
+   */
+  async backfillPrestige() {
+    try {
+      const result = await UserLevel.updateMany(
+        { prestige: null },
+        { $set: { prestige: 0 } },
+      );
+      if (result.modifiedCount > 0) {
+        console.log(
+          `[LevelingManager] Field prestige diisi untuk ${result.modifiedCount} data pengguna lama.`,
+        );
+        const keys = this.cacheManager
+          .keys()
+          .filter((k) => k.startsWith("level-"));
+        if (keys.length > 0) this.cacheManager.del(keys);
+      }
+      return result.modifiedCount;
+    } catch (error) {
+      console.error(
+        "[LevelingManager] Gagal mengisi field prestige data pengguna lama:",
+        error,
+      );
+      this.system.emit(
+        "error",
+        new Error(`Failed to backfill prestige: ${error.message}`),
+      );
+      return 0;
+    }
+  }
+
+  /**
+   * Mengambil data leaderboard (pengguna teratas berdasarkan tier prestige, lalu XP) untuk server tertentu.
+   * Member yang sudah keluar tidak ditampilkan jika kebijakan keluar server adalah `hide` atau `delete`.
    * @method getLeaderboard
    * @param {string} guildId - ID server Discord.
    * @param {number} [limit=10] - Jumlah maksimum entri pengguna yang ingin diambil (dibatasi hingga 50).
    * @returns {Promise<Array<object>>} Sebuah Promise yang resolve dengan array berisi objek data pengguna
-   *          (dari `UserLevel.lean()`) yang terurut berdasarkan XP descending. Array kosong jika tidak ada data atau error.
+   *          (dari `UserLevel.lean()`) yang terurut berdasarkan prestige lalu XP descending. Array kosong jika tidak ada data atau error.
    * @throws {Error} Jika `guildId` tidak disediakan.
    * @async
    */
@@ -518,11 +1424,13 @@ class LevelingManager {
     const safeLimit = Math.max(1, Math.min(limit, 50));
 
     try {
+      const config = await this.guildConfigManager.getConfig(guildId);
       const leaderboardData = await UserLevel.find({
         guildId: guildId,
-        xp: { $gt: 0 },
+        $or: [{ xp: { $gt: 0 } }, { prestige: { $gt: 0 } }],
+        ...this._visibleMemberFilter(config),
       })
-        .sort({ xp: -1, updatedAt: -1 })
+        .sort({ prestige: -1, xp: -1, updatedAt: -1 })
         .limit(safeLimit)
         .lean();
       return leaderboardData;
@@ -539,13 +1447,187 @@ class LevelingManager {
     }
   }
 
+  /**
+   * Menambahkan XP yang didapat ke counter harian pengguna (hari UTC saat ini).
+   * Counter ini dipakai untuk leaderboard periode dan dihapus otomatis oleh TTL index.
+   * Hanya penambahan XP yang dicatat; pengurangan (decay, penalty, aksi moderator) tidak mengurangi counter.
+   * Error hanya dicatat agar tidak menggagalkan pemberian XP.
+   * @method _recordDailyXP
+   * @param {string} guildId - ID server Discord.
+   * @param {string} userId - ID pengguna Discord.
+   * @param {number} amount - XP yang didapat (nilai tidak positif diabaikan).
+   * @private
+   * @async
+   */
+  async _recordDailyXP(guildId, userId, amount) {
+    if (!(amount > 0)) return;
+    try {
+      await UserDailyXP.updateOne(
+        { guildId, userId, day: this._getPeriodStart("today") },
+        { $inc: { xp: amount } },
+        { upsert: true },
+      );
+    } catch (error) {
+      console.error(
+        `[LevelingManager] Gagal mencatat XP harian untuk ${userId}@${guildId}:`,
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Menghitung awal jendela waktu (tengah malam UTC) untuk periode leaderboard.
+   * @method _getPeriodStart
+   * @param {string} period - Periode (`today`, `week`, `month`).
+   * @returns {Date} Tanggal awal periode.
+   * @private
+   */
+  _getPeriodStart(period) {
+    const days = LEADERBOARD_PERIODS[period] ?? 1;
+    const start = new Date();
+    start.setUTCHours(0, 0, 0, 0);
+    start.setUTCDate(start.getUTCDate() - (days - 1));
+    return start;
+  }
+
+  /**
+   * Memeriksa apakah nama periode leaderboard dikenal.
+   * @method isValidPeriod
+   * @param {string} period - Nama periode.
+   * @returns {boolean} `true` jika periode adalah `today`, `week`, atau `month`.
+   */
+  isValidPeriod(period) {
+    return Object.prototype.hasOwnProperty.call(LEADERBOARD_PERIODS, period);
+  }
+
+  /**
+   * Mengambil leaderboard berdasarkan XP yang didapat dalam periode tertentu
+   * (hari ini, 7 hari terakhir, atau 30 hari terakhir), dari counter XP harian.
+   * Member yang keluar dan disembunyikan oleh kebijakan server tidak ditampilkan.
+   * @method getPeriodLeaderboard
+   * @param {string} guildId - ID server Discord.
+   * @param {string} period - Periode (`today`, `week`, `month`).
+   * @param {number} [limit=10] - Jumlah maksimum entri (dibatasi hingga 50).
+   * @returns {Promise<Array<{userId: string, xp: number, level: number, prestige: number}>>}
+   *          Array entri dengan `xp` berisi XP periode, diurutkan descending. Array kosong jika tidak ada data atau error.
+   * @async
+   */
+  async getPeriodLeaderboard(guildId, period, limit = 10) {
+    if (!guildId || !this.isValidPeriod(period)) return [];
+    const safeLimit = Math.max(1, Math.min(limit, 50));
+
+    try {
+      const config = await this.guildConfigManager.getConfig(guildId);
+      const hiddenUserIds = await this._getHiddenUserIds(guildId, config);
+      const totals = await UserDailyXP.aggregate([
+        {
+          $match: {
+            guildId,
+            day: { $gte: this._getPeriodStart(period) },
+            userId: { $nin: hiddenUserIds },
+          },
+        },
+        { $group: { _id: "$userId", xp: { $sum: "$xp" } } },
+        { $match: { xp: { $gt: 0 } } },
+        { $sort: { xp: -1, _id: 1 } },
+        { $limit: safeLimit },
+      ]);
+      if (totals.length === 0) return [];
+
+      const users = await UserLevel.find({
+        guildId,
+        userId: { $in: totals.map((t) => t._id) },
+      })
+        .select("userId level prestige")
+        .lean();
+      const userMap = new Map(users.map((u) => [u.userId, u]));
+
+      return totals.map((t) => ({
+        userId: t._id,
+        xp: t.xp,
+        level: userMap.get(t._id)?.level ?? 0,
+        prestige: userMap.get(t._id)?.prestige ?? 0,
+      }));
+    } catch (error) {
+      console.error(
+        `[LevelingManager] Gagal mendapatkan leaderboard ${period} untuk guild ${guildId}:`,
+        error,
+      );
+      this.system.emit(
+        "error",
+        new Error(
+          `Failed to get ${period} leaderboard for ${guildId}: ${error.message}`,
+        ),
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Mendapatkan peringkat pengguna dan XP yang didapatnya dalam periode tertentu.
+   * @method getUserPeriodRank
+   * @param {string} guildId - ID server Discord.
+   * @param {string} userId - ID pengguna Discord.
+   * @param {string} period - Periode (`today`, `week`, `month`).
+   * @returns {Promise<{rank: number, xp: number}>} Peringkat (dimulai dari 1) dan XP periode,
+   *          atau `{ rank: 0, xp: 0 }` jika pengguna tidak mendapatkan XP di periode tersebut atau terjadi error.
+   * @async
+   */
+  async getUserPeriodRank(guildId, userId, period) {
+    if (!guildId || !userId || !this.isValidPeriod(period)) {
+      return { rank: 0, xp: 0 };
+    }
+    const start = this._getPeriodStart(period);
+
+    try {
+      const [own] = await UserDailyXP.aggregate([
+        { $match: { guildId, userId, day: { $gte: start } } },
+        { $group: { _id: null, xp: { $sum: "$xp" } } },
+      ]);
+      const xp = own?.xp ?? 0;
+      if (xp <= 0) return { rank: 0, xp: 0 };
+
+      const config = await this.guildConfigManager.getConfig(guildId);
+      const hiddenUserIds = await this._getHiddenUserIds(guildId, config);
+      if (hiddenUserIds.includes(userId)) return { rank: 0, xp };
+
+      const [higher] = await UserDailyXP.aggregate([
+        {
+          $match: {
+            guildId,
+            day: { $gte: start },
+            userId: { $nin: hiddenUserIds },
+          },
+        },
+        { $group: { _id: "$userId", xp: { $sum: "$xp" } } },
+        { $match: { xp: { $gt: xp } } },
+        { $count: "count" },
+      ]);
+      return { rank: (higher?.count ?? 0) + 1, xp };
+    } catch (error) {
+      console.error(
+        `[LevelingManager] Gagal mendapatkan rank ${period} untuk ${userId}@${guildId}:`,
+        error,
+      );
+      this.system.emit(
+        "error",
+        new Error(
+          `Failed to get ${period} rank for ${userId}@${guildId}: ${error.message}`,
+        ),
+      );
+      return { rank: 0, xp: 0 };
+    }
+  }
+
   /**
    * Mendapatkan peringkat (posisi leaderboard) pengguna tertentu di server.
+   * Peringkat mengikuti urutan leaderboard: tier prestige lebih dulu, lalu XP. Member yang keluar dan
+   * disembunyikan oleh kebijakan server tidak dihitung.
    * @method getUserRank
    * @param {string} guildId - ID server Discord.
    * @param {string} userId - ID pengguna Discord.
    * @returns {Promise<number>} Sebuah Promise yang resolve dengan nomor peringkat pengguna (dimulai dari 1),
-   *          atau 0 jika pengguna tidak ditemukan, tidak punya XP, atau terjadi error.
+   *          atau 0 jika pengguna tidak ditemukan, tidak punya XP maupun prestige, disembunyikan, atau terjadi error.
    * @throws {Error} Jika `guildId` atau `userId` tidak disediakan.
    * @async
    */
@@ -557,11 +1639,22 @@ class LevelingManager {
     try {
       const userData = await this.getUserLevelData(guildId, userId);
 
-      if (!userData || userData.xp <= 0) return 0;
+      if (!userData || (userData.xp <= 0 && !(userData.prestige > 0))) return 0;
+
+      const config = await this.guildConfigManager.getConfig(guildId);
+      if (this.isHiddenDeparted(config, userData)) return 0;
 
+      const prestige = userData.prestige ?? 0;
       const rank = await UserLevel.countDocuments({
         guildId: guildId,
-        xp: { $gt: userData.xp }, // $gt = greater than
+        ...this._visibleMemberFilter(config),
+        $or: [
+          { prestige: { $gt: prestige } },
+          {
+            prestige: prestige === 0 ? { $in: [0, null] } : prestige,
+            xp: { $gt: userData.xp }, // $gt = greater than
+          },
+        ],
       });
 
       return rank + 1;
@@ -581,7 +1674,7 @@ class LevelingManager {
   }
 
   /**
-   * Mereset data leveling (XP, level, timestamp, statistik) untuk satu pengguna di server.
+   * Mereset data leveling (XP, XP season, level, prestige, timestamp, statistik, streak, reward yang sudah diklaim) untuk satu pengguna di server.
    * Mengupdate database dan menghapus data pengguna dari cache. Meng-emit event `userLevelReset`.
    * @method resetUserLevel
    * @param {string} guildId - ID server Discord.
@@ -599,12 +1692,19 @@ class LevelingManager {
           $set: {
             xp: 0,
             level: 0,
+            prestige: 0,
+            seasonXp: 0,
             lastMessageTimestamp: 0,
             totalMessages: 0,
             totalVoiceDurationMillis: 0,
+            currentStreak: 0,
+            bestStreak: 0,
+            lastStreakDay: null,
+            claimedRewardLevels: [],
           },
         },
       );
+      await UserDailyXP.deleteMany({ guildId, userId });
 
       const cacheKey = `level-${guildId}-${userId}`;
       this.cacheManager.del(cacheKey);
@@ -637,6 +1737,118 @@ class LevelingManager {
     }
   }
 
+  /**
+   * Menghitung ulang level semua pengguna di satu server berdasarkan kurva level yang aktif.
+   * Dipanggil setelah kurva level server diubah. XP tidak berubah; hanya field `level` yang diperbarui.
+   * Role level pengguna yang levelnya berubah diselaraskan di latar belakang lewat `syncGuildLevelRoles`
+   * (per batch dan dengan jeda), tanpa memicu event `levelUp`/`levelDown` sehingga tidak ada notifikasi
+   * level up massal. Selesainya penyelarasan ditandai oleh event `guildRolesSynced`.
+   * @method recalculateGuildLevels
+   * @param {string} guildId - ID server Discord.
+   * @returns {Promise<{total: number, changed: number, roleSyncStarted: boolean}|null>}
+   *          Sebuah Promise yang resolve dengan ringkasan hasil perhitungan ulang,
+   *          atau `null` jika `guildId` tidak disediakan atau terjadi error.
+   * @fires LevelingSystem#guildLevelsRecalculated
+   * @async
+   */
+  async recalculateGuildLevels(guildId) {
+    if (!guildId) return null;
+    try {
+      const config = await this.guildConfigManager.getConfig(guildId);
+      const users = await UserLevel.find({ guildId })
+        .select("userId xp level")
+        .lean();
+
+      const changes = [];
+      const maxLevel = config.maxLevel ?? 0;
+      for (const user of users) {
+        let newLevel = this.getLevelFromXP(user.xp, config.levelCurve);
+        if (maxLevel > 0) newLevel = Math.min(newLevel, maxLevel);
+        if (newLevel !== user.level) {
+          changes.push({ userId: user.userId, oldLevel: user.level, newLevel });
+        }
+      }
+
+      if (changes.length > 0) {
+        await UserLevel.bulkWrite(
+          changes.map((change) => ({
+            updateOne: {
+              filter: { guildId, userId: change.userId },
+              update: { $set: { level: change.newLevel } },
+            },
+          })),
+        );
+      }
+
+      const keys = this.cacheManager.keys();
+      const guildKeys = keys.filter((k) => k.startsWith(`level-${guildId}-`));
+      if (guildKeys.length > 0) {
+        this.cacheManager.del(guildKeys);
+      }
+
+      const roleSyncStarted =
+        changes.length > 0 && this.hasLevelRewardRoles(config);
+      if (roleSyncStarted) {
+        this.syncGuildLevelRoles(guildId, {
+          userIds: changes.map((change) => change.userId),
+          source: "recalculation",
+        })
+          .then((result) => {
+            if (result === null) {
+              console.warn(
+                `[LevelingManager] Sinkronisasi role lain masih berjalan di guild ${guildId}; role setelah perhitungan ulang belum diselaraskan. Jalankan /levelconfig rewards sync setelahnya.`,
+              );
+            }
+          })
+          .catch((syncErr) => {
+            console.error(
+              `[LevelingManager] Gagal menyelaraskan role guild ${guildId} setelah perhitungan ulang:`,
+              syncErr,
+            );
+            this.system.emit(
+              "error",
+              new Error(
+                `Failed to sync level roles after recalculation for guild ${guildId}: ${syncErr.message}`,
+              ),
+            );
+          });
+      }
+
+      const summary = {
+        total: users.length,
+        changed: changes.length,
+        roleSyncStarted,
+      };
+      console.log(
+        `[LevelingManager] Perhitungan ulang level guild ${guildId} selesai: ${summary.changed}/${summary.total} level berubah.`,
+      );
+      /**
+       * Event dipicu setelah level semua pengguna di satu server dihitung ulang (misal: karena kurva level diubah).
+       * @event LevelingSystem#guildLevelsRecalculated
+       * @type {object}
+       * @property {string} guildId - ID server yang levelnya dihitung ulang.
+       * @property {number} total - Jumlah data pengguna yang diperiksa.
+       * @property {number} changed - Jumlah pengguna yang levelnya berubah.
+       * @property {boolean} roleSyncStarted - Apakah penyelarasan role dijalankan di latar belakang.
+       */
+      this.system.emit("guildLevelsRecalculated", { guildId, ...summary });
+
+      return summary;
+    } catch (error) {
+      console.error(
+        `[LevelingManager] Gagal menghitung ulang level untuk guild ${guildId}:`,
+        error,
+      );
+      this.system.emit(
+        "error",
+        new Error(
+          `Failed to recalculate levels for guild ${guildId}: ${error.message}`,
+        ),
+      );
+      return null;
+    }
+  }
+
   /**
    * Mereset (menghapus) SEMUA data leveling pengguna di satu server.
    * Operasi ini **berbahaya** dan tidak dapat dibatalkan.
@@ -656,6 +1868,7 @@ class LevelingManager {
       );
 
       const result = await UserLevel.deleteMany({ guildId });
+      await UserDailyXP.deleteMany({ guildId });
 
       const keys = this.cacheManager.keys();
       const guildKeys = keys.filter((k) => k.startsWith(`level-${guildId}-`));
@@ -1,6 +1,6 @@
 /**
  * @description Kelas utama yang mengorkestrasi seluruh fungsionalitas sistem leveling.
- *              Menginisialisasi dan menyediakan akses ke semua manajer (Leveling, XP, Voice, Cache, GuildConfig, Plugin),
+ *              Menginisialisasi dan menyediakan akses ke semua manajer (Leveling, XP, Voice, Decay, Season, Ledger, Cache, GuildConfig, Plugin),
  *              utilitas (CardGenerator, Formatters), memuat commands dan plugins, serta meng-emit event internal.
  * @requires discord.js Client, Collection
  * @requires events EventEmitter
@@ -10,6 +10,12 @@
  * @requires ./LevelingManager
  * @requires ../managers/XPManager
  * @requires ../managers/VoiceManager
+ * @requires ../managers/DecayManager
+ * @requires ../managers/SeasonManager
+ * @requires ../managers/StreakManager
+ * @requires ../managers/BoostManager
+ * @requires ../managers/LeavePolicyManager
+ * @requires ../managers/LedgerManager
  * @requires ../managers/CacheManager
  * @requires ../managers/GuildConfigManager
  * @requires ./PluginManager
@@ -26,6 +32,12 @@ const fs = require("fs");
 const LevelingManager = require("./LevelingManager");
 const XPManager = require("../managers/XPManager");
 const VoiceManager = require("../managers/VoiceManager");
+const DecayManager = require("../managers/DecayManager");
+const SeasonManager = require("../managers/SeasonManager");
+const StreakManager = require("../managers/StreakManager");
+const BoostManager = require("../managers/BoostManager");
+const LeavePolicyManager = require("../managers/LeavePolicyManager");
+const LedgerManager = require("../managers/LedgerManager");
 const CacheManager = require("../managers/CacheManager");
 const GuildConfigManager = require("../managers/GuildConfigManager");
 const PluginManager = require("./PluginManager");
@@ -43,6 +55,8 @@ const formatters = require("../utils/formatters");
  * @param {string} options.mongoURI - URI koneksi MongoDB (wajib).
  * @param {object} [options.defaultGuildConfig={}] - Objek konfigurasi default untuk server baru.
  * @param {string} [options.pluginsPath] - Path kustom ke direktori plugins. Jika tidak ada, default ke `../plugins`.
+ * @param {number} [options.voiceRecoveryCapMinutes=15] - Batas durasi (menit) yang dikreditkan untuk sesi suara
+ *        yang terputus karena bot crash (lihat `VoiceManager.recoverSessions`).
  * @throws {Error} Jika `client` atau `options.mongoURI` tidak disediakan.
  */
 class LevelingSystem extends EventEmitter {
@@ -88,6 +102,12 @@ class LevelingSystem extends EventEmitter {
       this.cacheManager,
       options.defaultGuildConfig || {},
     );
+    /**
+     * Instance LedgerManager untuk mencatat riwayat transaksi XP (audit).
+     * @type {LedgerManager}
+     * @public
+     */
+    this.ledgerManager = new LedgerManager(this, this.guildConfigManager);
     /**
      * Instance LevelingManager untuk mengelola data level dan logika inti.
      * @type {LevelingManager}
@@ -98,6 +118,16 @@ class LevelingSystem extends EventEmitter {
       this.cacheManager,
       this.guildConfigManager,
     );
+    /**
+     * Instance StreakManager untuk streak aktivitas harian pengguna.
+     * @type {StreakManager}
+     * @public
+     */
+    this.streakManager = new StreakManager(
+      this,
+      this.levelingManager,
+      this.guildConfigManager,
+    );
     /**
      * Instance XPManager untuk logika perhitungan dan pemberian XP.
      * @type {XPManager}
@@ -114,6 +144,42 @@ class LevelingSystem extends EventEmitter {
      * @public
      */
     this.voiceManager = new VoiceManager(this, this.xpManager);
+    /**
+     * Instance DecayManager untuk decay XP pengguna yang tidak aktif.
+     * @type {DecayManager}
+     * @public
+     */
+    this.decayManager = new DecayManager(
+      this,
+      this.levelingManager,
+      this.guildConfigManager,
+    );
+    /**
+     * Instance SeasonManager untuk mengelola season dan arsip leaderboard season.
+     * @type {SeasonManager}
+     * @public
+     */
+    this.seasonManager = new SeasonManager(
+      this,
+      this.cacheManager,
+      this.guildConfigManager,
+    );
+    /**
+     * Instance BoostManager untuk mengelola boost XP terjadwal.
+     * @type {BoostManager}
+     * @public
+     */
+    this.boostManager = new BoostManager(this, this.cacheManager);
+    /**
+     * Instance LeavePolicyManager untuk data member yang keluar dari server.
+     * @type {LeavePolicyManager}
+     * @public
+     */
+    this.leavePolicyManager = new LeavePolicyManager(
+      this,
+      this.cacheManager,
+      this.guildConfigManager,
+    );
     /**
      * Instance PluginManager untuk mengelola plugin kustom.
      * @type {PluginManager}
@@ -126,6 +192,7 @@ class LevelingSystem extends EventEmitter {
      * @type {object}
      * @property {function} formatNumber
      * @property {function} formatDuration
+     * @property {function} parseDuration
      * @public
      */
     this.formatters = formatters;
@@ -257,7 +324,7 @@ class LevelingSystem extends EventEmitter {
   async initialize() {
     try {
       // Tempat untuk logika inisialisasi tambahan jika perlu
-      // Contoh: await this.someAsyncSetup();
+      await this.levelingManager.backfillPrestige();
       const initTime = Date.now() - this.startTime;
       console.log(
         `[LevelingSystem] Inisialisasi selesai dalam ${initTime}ms. Sistem siap digunakan.`,
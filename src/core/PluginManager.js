@@ -88,6 +88,21 @@ class PluginManager {
       "configDeleted",
       "userLevelReset",
       "guildLevelsReset",
+      "guildLevelsRecalculated",
+      "guildRolesSynced",
+      "departedMembersPurged",
+      "maxLevelReached",
+      "prestige",
+      "decayApplied",
+      "seasonStarted",
+      "seasonEnded",
+      "messageXpRejected",
+      "boostStarted",
+      "boostEnded",
+      "voiceXpSkipped",
+      "streakIncreased",
+      "streakLost",
+      "levelRewardGranted",
     ];
 
     eventsToForward.forEach((eventName) => {
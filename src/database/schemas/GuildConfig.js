@@ -14,6 +14,16 @@ const GuildConfigSchema = new mongoose.Schema(
       default: 15,
       min: 0,
     },
+    xpPerMessageMin: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    xpPerMessageMax: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
     xpPerMinuteVoice: {
       type: Number,
       default: 5,
@@ -62,17 +72,169 @@ const GuildConfigSchema = new mongoose.Schema(
       ],
     },
 
+    // Format lama (satu role per level). Dibaca sebagai bagian dari levelRewards dan
+    // dikosongkan saat reward level disimpan ulang lewat /levelconfig rewards.
     levelRoles: {
       type: Map,
       of: String,
       default: {},
     },
+    // Paket reward per level: beberapa role, baris pengumuman, bonus XP sekali, dan pesan DM.
+    levelRewards: {
+      type: Map,
+      of: new mongoose.Schema(
+        {
+          roles: { type: [String], default: [] },
+          message: { type: String, default: null, maxlength: 300 },
+          xp: { type: Number, default: 0, min: 0 },
+          dm: { type: String, default: null, maxlength: 1000 },
+        },
+        { _id: false },
+      ),
+      default: {},
+    },
+    // Aturan reward berulang (every) atau rentang level, dievaluasi bersama levelRewards.
+    // Role aturan dipegang selama level berada di start..end; pengumuman dikirim di setiap level yang cocok.
+    rewardRules: {
+      type: [
+        {
+          _id: false,
+          start: { type: Number, required: true, min: 1 },
+          end: { type: Number, default: null, min: 1 },
+          every: { type: Number, default: null, min: 1 },
+          roleId: { type: String, default: null },
+          channelId: { type: String, default: null },
+          message: { type: String, default: null, maxlength: 300 },
+        },
+      ],
+      default: [],
+    },
     roleRemovalStrategy: {
       type: String,
       default: "keep_all",
       enum: ["keep_all", "highest_only", "remove_previous"],
       required: true,
     },
+    // Pasang kembali role level dan prestige saat member yang pernah keluar bergabung lagi.
+    restoreRolesOnRejoin: {
+      type: Boolean,
+      default: true,
+    },
+    // Perlakuan data member yang keluar: tetap disimpan, disembunyikan dari leaderboard,
+    // atau dihapus setelah graceDays (disembunyikan selama masa tenggang).
+    leavePolicy: {
+      mode: { type: String, default: "keep", enum: ["keep", "hide", "delete"] },
+      graceDays: { type: Number, default: 30, min: 1, max: 365 },
+    },
+
+    levelCurve: {
+      formula: {
+        type: String,
+        default: "quadratic",
+        enum: ["quadratic", "linear", "exponential", "table"],
+      },
+      a: { type: Number, default: 5, min: 0 },
+      b: { type: Number, default: 50, min: 0 },
+      c: { type: Number, default: 100, min: 0 },
+      step: { type: Number, default: 100, min: 1 },
+      base: { type: Number, default: 100, min: 1 },
+      growth: { type: Number, default: 1.2, min: 1.01 },
+      table: { type: [Number], default: [] },
+    },
+
+    maxLevel: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    prestigeRoles: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    prestigeXpBonus: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    decay: {
+      enabled: { type: Boolean, default: false },
+      inactiveDays: { type: Number, default: 30, min: 1 },
+      mode: { type: String, default: "percent", enum: ["percent", "flat"] },
+      amount: { type: Number, default: 5, min: 0 },
+      floorXP: { type: Number, default: 0, min: 0 },
+      lastRunAt: { type: Date, default: null },
+    },
+
+    // Zona waktu IANA server (misal: Asia/Jakarta), dipakai untuk menentukan pergantian hari streak.
+    timezone: {
+      type: String,
+      default: "UTC",
+    },
+    streaks: {
+      enabled: { type: Boolean, default: false },
+      // Bonus multiplier per hari streak (0.02 = +2% per hari), dibatasi maxMultiplier.
+      multiplierPerDay: { type: Number, default: 0, min: 0, max: 0.5 },
+      maxMultiplier: { type: Number, default: 1.5, min: 1, max: 5 },
+      milestones: {
+        type: [
+          {
+            _id: false,
+            days: { type: Number, required: true, min: 1 },
+            xp: { type: Number, required: true, min: 1 },
+          },
+        ],
+        default: [],
+      },
+    },
+
+    voiceRules: {
+      minMembers: { type: Number, default: 1, min: 1, max: 99 },
+      selfMuteMultiplier: { type: Number, default: 1, min: 0, max: 2 },
+      intervalMinutes: { type: Number, default: 5, min: 1, max: 60 },
+    },
+
+    reactionXp: {
+      enabled: { type: Boolean, default: false },
+      xpPerReaction: { type: Number, default: 5, min: 0, max: 1000 },
+      // 0 = tanpa batas.
+      maxPerMessage: { type: Number, default: 10, min: 0 },
+      maxPerAuthorPerHour: { type: Number, default: 100, min: 0 },
+      cooldownSeconds: { type: Number, default: 60, min: 0 },
+    },
+
+    voiceMultipliers: {
+      stream: { type: Number, default: 1, min: 1, max: 5 },
+      video: { type: Number, default: 1, min: 1, max: 5 },
+      stageSpeaker: { type: Number, default: 1, min: 0.1, max: 5 },
+      // Default 0: penonton stage tidak mendapat XP suara (perilaku sebelumnya).
+      stageAudience: { type: Number, default: 0, min: 0, max: 5 },
+    },
+
+    messageFilters: {
+      minChars: { type: Number, default: 0, min: 0 },
+      minWords: { type: Number, default: 0, min: 0 },
+      ignorePatterns: { type: [String], default: [] },
+      ignoreEmojiOnly: { type: Boolean, default: false },
+      // Pesan tanpa teks tidak mendapat XP secara default; server dapat mengizinkan pesan sticker saja.
+      ignoreStickerOnly: { type: Boolean, default: true },
+      duplicateSimilarity: { type: Number, default: 0, min: 0, max: 100 },
+    },
+
+    season: {
+      active: { type: Boolean, default: false },
+      number: { type: Number, default: 0, min: 0 },
+      name: { type: String, default: null, maxlength: 100 },
+      startedAt: { type: Date, default: null },
+    },
+
+    ledgerRetentionDays: {
+      type: Number,
+      default: 30,
+      min: 0,
+      max: 365,
+    },
 
     enablePenaltySystem: {
       type: Boolean,
@@ -83,6 +245,22 @@ const GuildConfigSchema = new mongoose.Schema(
       default: "card",
       enum: ["card", "text"],
     },
+    multiplierStacking: {
+      type: String,
+      default: "highest",
+      enum: ["highest", "multiplicative", "additive", "capped"],
+    },
+    multiplierCap: {
+      type: Number,
+      default: 3,
+      min: 1,
+      max: 100,
+    },
+    boosterStacking: {
+      type: String,
+      default: "highest",
+      enum: ["highest", "multiplicative", "additive"],
+    },
     rankCardBackground: {
       type: String,
       default: null,
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+const PersonalBoosterSchema = new mongoose.Schema(
+  {
+    guildId: {
+      type: String,
+      required: [true, "Guild ID diperlukan"],
+    },
+    userId: {
+      type: String,
+      required: [true, "User ID diperlukan"],
+    },
+    multiplier: {
+      type: Number,
+      required: [true, "Multiplier diperlukan"],
+      min: [1, "Multiplier minimal 1"],
+      max: [10, "Multiplier maksimal 10"],
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Waktu kedaluwarsa diperlukan"],
+    },
+    grantedBy: {
+      type: String,
+      default: null,
+    },
+    reason: {
+      type: String,
+      default: null,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+PersonalBoosterSchema.index({ guildId: 1, userId: 1, expiresAt: 1 });
+
+// Booster dihapus otomatis dari database setelah kedaluwarsa.
+PersonalBoosterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Leveling:User:Booster", PersonalBoosterSchema);
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+const SeasonEntrySchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    rank: { type: Number, required: true, min: 1 },
+    seasonXp: { type: Number, default: 0, min: 0 },
+    xp: { type: Number, default: 0, min: 0 },
+    level: { type: Number, default: 0, min: 0 },
+    prestige: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false },
+);
+
+const SeasonArchiveSchema = new mongoose.Schema(
+  {
+    guildId: {
+      type: String,
+      required: [true, "Guild ID diperlukan"],
+      index: true,
+    },
+    season: {
+      type: Number,
+      required: [true, "Nomor season diperlukan"],
+      min: 1,
+    },
+    name: {
+      type: String,
+      default: null,
+      maxlength: 100,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    endedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    seasonXpReset: {
+      type: Boolean,
+      default: false,
+    },
+    // Jumlah peserta; entri peringkat disimpan di koleksi SeasonArchiveEntry.
+    participants: {
+      type: Number,
+      default: null,
+    },
+    // Format lama: entri peringkat tersimpan langsung di dokumen arsip. Hanya dibaca untuk arsip lama.
+    entries: {
+      type: [SeasonEntrySchema],
+      default: undefined,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+SeasonArchiveSchema.index({ guildId: 1, season: -1 }, { unique: true });
+
+module.exports = mongoose.model("Leveling:Season:Archive", SeasonArchiveSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Satu dokumen per peserta season yang diarsipkan, agar arsip server besar tidak
+// melewati batas ukuran dokumen MongoDB (16 MB).
+const SeasonArchiveEntrySchema = new mongoose.Schema({
+  guildId: {
+    type: String,
+    required: [true, "Guild ID diperlukan"],
+  },
+  season: {
+    type: Number,
+    required: [true, "Nomor season diperlukan"],
+    min: 1,
+  },
+  userId: {
+    type: String,
+    required: [true, "User ID diperlukan"],
+  },
+  rank: { type: Number, required: true, min: 1 },
+  seasonXp: { type: Number, default: 0, min: 0 },
+  xp: { type: Number, default: 0, min: 0 },
+  level: { type: Number, default: 0, min: 0 },
+  prestige: { type: Number, default: 0, min: 0 },
+});
+
+SeasonArchiveEntrySchema.index({ guildId: 1, season: 1, rank: 1 });
+SeasonArchiveEntrySchema.index(
+  { guildId: 1, season: 1, userId: 1 },
+  { unique: true },
+);
+
+module.exports = mongoose.model(
+  "Leveling:Season:ArchiveEntry",
+  SeasonArchiveEntrySchema,
+);
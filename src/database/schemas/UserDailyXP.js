@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+const UserDailyXPSchema = new mongoose.Schema({
+  guildId: {
+    type: String,
+    required: [true, "Guild ID diperlukan"],
+  },
+  userId: {
+    type: String,
+    required: [true, "User ID diperlukan"],
+  },
+  day: {
+    type: Date,
+    required: [true, "Tanggal (awal hari UTC) diperlukan"],
+  },
+  xp: {
+    type: Number,
+    default: 0,
+  },
+});
+
+UserDailyXPSchema.index({ guildId: 1, day: 1, userId: 1 }, { unique: true });
+
+// Counter harian hanya dibutuhkan untuk jendela terpanjang (30 hari); sisanya dihapus otomatis.
+UserDailyXPSchema.index({ day: 1 }, { expireAfterSeconds: 40 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("Leveling:User:DailyXP", UserDailyXPSchema);
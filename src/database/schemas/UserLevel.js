@@ -22,6 +22,16 @@ const UserLevelSchema = new mongoose.Schema(
       default: 0,
       min: [0, "Level tidak boleh negatif"],
     },
+    prestige: {
+      type: Number,
+      default: 0,
+      min: [0, "Prestige tidak boleh negatif"],
+    },
+    seasonXp: {
+      type: Number,
+      default: 0,
+      min: [0, "XP season tidak boleh negatif"],
+    },
     lastMessageTimestamp: {
       type: Number,
       default: 0,
@@ -36,6 +46,37 @@ const UserLevelSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Streak harian: hari berturut-turut pengguna mendapat XP (tanggal menurut zona waktu server).
+    currentStreak: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    bestStreak: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastStreakDay: {
+      type: String,
+      default: null,
+    },
+    // Level yang bonus XP/DM reward-nya sudah diberikan (diberikan sekali, tidak diulang setelah prestige).
+    claimedRewardLevels: {
+      type: [Number],
+      default: [],
+    },
+    // Waktu member keluar dari server (null jika masih menjadi member), lihat GuildConfig.leavePolicy.
+    leftAt: {
+      type: Date,
+      default: null,
+    },
+    // Jumlah interval XP suara yang dilewati per alasan (misal: afk_channel, not_enough_members).
+    voiceSkips: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
   },
   {
     timestamps: true,
@@ -46,4 +87,10 @@ UserLevelSchema.index({ guildId: 1, userId: 1 }, { unique: true });
 
 UserLevelSchema.index({ guildId: 1, xp: -1, updatedAt: -1 });
 
+UserLevelSchema.index({ guildId: 1, prestige: -1, xp: -1 });
+
+UserLevelSchema.index({ guildId: 1, seasonXp: -1, xp: -1 });
+
+UserLevelSchema.index({ guildId: 1, leftAt: 1 });
+
 module.exports = mongoose.model("Leveling:User:Level", UserLevelSchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// Salinan persisten dari sesi suara yang sedang dilacak VoiceManager, agar waktu
+// di voice channel dapat dikreditkan kembali setelah bot crash.
+const VoiceSessionSchema = new mongoose.Schema(
+  {
+    guildId: {
+      type: String,
+      required: [true, "Guild ID diperlukan"],
+    },
+    userId: {
+      type: String,
+      required: [true, "User ID diperlukan"],
+    },
+    channelId: {
+      type: String,
+      default: null,
+    },
+    // Awal durasi yang belum dikreditkan (direset setiap interval XP suara).
+    startedAt: {
+      type: Date,
+      required: [true, "Waktu mulai diperlukan"],
+    },
+    // Awal sesi (join channel) dan XP yang sudah diberikan, untuk riwayat sesi suara.
+    sessionStartedAt: {
+      type: Date,
+      default: null,
+    },
+    xpAwarded: {
+      type: Number,
+      default: 0,
+    },
+    // Heartbeat yang diperbarui setiap pemeriksaan sesi; durasi setelahnya (saat bot mati) tidak dikreditkan.
+    lastCreditedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: false,
+  },
+);
+
+VoiceSessionSchema.index({ guildId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model("Leveling:Voice:Session", VoiceSessionSchema);
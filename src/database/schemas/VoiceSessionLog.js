@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+const VoiceSessionLogSchema = new mongoose.Schema(
+  {
+    guildId: {
+      type: String,
+      required: [true, "Guild ID diperlukan"],
+    },
+    userId: {
+      type: String,
+      required: [true, "User ID diperlukan"],
+    },
+    channelId: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      required: [true, "Waktu mulai diperlukan"],
+    },
+    endedAt: {
+      type: Date,
+      required: [true, "Waktu selesai diperlukan"],
+    },
+    durationMillis: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    xpAwarded: {
+      type: Number,
+      default: 0,
+    },
+    // Alasan sesi berakhir, misal: leave, deafen, switch, check_left, shutdown, recovered.
+    endReason: {
+      type: String,
+      default: "leave",
+    },
+  },
+  {
+    timestamps: false,
+  },
+);
+
+VoiceSessionLogSchema.index({ guildId: 1, endedAt: -1 });
+
+VoiceSessionLogSchema.index({ guildId: 1, userId: 1, endedAt: -1 });
+
+// Riwayat sesi hanya dibutuhkan untuk statistik 90 hari terakhir; sisanya dihapus otomatis.
+VoiceSessionLogSchema.index(
+  { endedAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 },
+);
+
+module.exports = mongoose.model(
+  "Leveling:Voice:History",
+  VoiceSessionLogSchema,
+);
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+const XPBoostSchema = new mongoose.Schema(
+  {
+    guildId: {
+      type: String,
+      required: [true, "Guild ID diperlukan"],
+      index: true,
+    },
+    name: {
+      type: String,
+      default: null,
+      maxlength: 100,
+    },
+    multiplier: {
+      type: Number,
+      required: [true, "Multiplier diperlukan"],
+      // Boost hanya menaikkan XP; multiplier di bawah 1 tidak pernah dipakai oleh getBoostMultiplier.
+      min: [1.1, "Multiplier minimal 1.1"],
+      max: [10, "Multiplier maksimal 10"],
+    },
+    startsAt: {
+      type: Date,
+      required: [true, "Waktu mulai diperlukan"],
+    },
+    endsAt: {
+      type: Date,
+      required: [true, "Waktu selesai diperlukan"],
+    },
+    channelId: {
+      type: String,
+      default: null,
+    },
+    roleId: {
+      type: String,
+      default: null,
+    },
+    createdBy: {
+      type: String,
+      default: null,
+    },
+    // Status pengumuman, agar restart bot tidak mengumumkan boost yang sama dua kali.
+    started: {
+      type: Boolean,
+      default: false,
+    },
+    ended: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+XPBoostSchema.index({ ended: 1, startsAt: 1 });
+XPBoostSchema.index({ ended: 1, endsAt: 1 });
+
+module.exports = mongoose.model("Leveling:XP:Boost", XPBoostSchema);
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+const XPLedgerSchema = new mongoose.Schema(
+  {
+    guildId: {
+      type: String,
+      required: [true, "Guild ID diperlukan"],
+    },
+    userId: {
+      type: String,
+      required: [true, "User ID diperlukan"],
+    },
+    delta: {
+      type: Number,
+      required: [true, "Perubahan XP diperlukan"],
+    },
+    source: {
+      type: String,
+      default: "unknown",
+      maxlength: 100,
+    },
+    level: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    xp: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    actorId: {
+      type: String,
+      default: null,
+    },
+    note: {
+      type: String,
+      default: null,
+      maxlength: 500,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+XPLedgerSchema.index({ guildId: 1, userId: 1, createdAt: -1 });
+
+// Dokumen dihapus otomatis saat `expiresAt` tercapai (retensi diatur per server).
+XPLedgerSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Leveling:XP:Ledger", XPLedgerSchema);
@@ -0,0 +1,76 @@
+/**
+ * @description Event handler untuk event custom 'boostEnded' dari LevelingSystem.
+ *              Mengumumkan berakhirnya boost XP ke channel notifikasi level up
+ *              (atau channel sistem server sebagai fallback).
+ * @requires discord.js EmbedBuilder
+ * @requires ../core/LevelingSystem (tipe parameter)
+ * @requires ../managers/BoostManager (implisit melalui levelingSystem)
+ * @requires ../managers/GuildConfigManager (implisit melalui levelingSystem)
+ */
+
+const { EmbedBuilder } = require("discord.js");
+
+/**
+ * @module boostEndedHandler
+ * @property {string} name - Nama event custom yang didengarkan ('boostEnded').
+ * @property {boolean} levelingEvent - Menandakan ini adalah event dari LevelingSystem.
+ * @property {function} execute - Fungsi yang dijalankan saat event 'boostEnded' diterima.
+ */
+module.exports = {
+  name: "boostEnded",
+  levelingEvent: true,
+  /**
+   * Handler untuk event 'boostEnded' yang di-emit oleh BoostManager.
+   * @function execute
+   * @param {import('../core/LevelingSystem')} levelingSystem - Instance LevelingSystem.
+   * @param {object} data - Data event boost (lihat `LevelingSystem#boostEnded`).
+   * @async
+   */
+  async execute(levelingSystem, data) {
+    try {
+      const guild = levelingSystem.client.guilds.cache.get(data.guildId);
+      if (!guild) return;
+      const config = await levelingSystem.guildConfigManager.getConfig(
+        data.guildId,
+      );
+      const channel = levelingSystem.boostManager.getAnnouncementChannel(
+        guild,
+        config,
+      );
+      if (!channel) {
+        console.warn(
+          `[BoostEndedHandler] Tidak ada channel pengumuman valid di guild ${data.guildId}. Pengumuman boost tidak dikirim.`,
+        );
+        return;
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(`⏹️ ${data.name || "Boost XP"} Berakhir`)
+        .setColor("#808080")
+        .setDescription(
+          data.cancelled
+            ? `Boost XP **x${data.multiplier}** dibatalkan oleh admin. XP kembali normal.`
+            : `Boost XP **x${data.multiplier}** telah berakhir. Terima kasih sudah berpartisipasi!`,
+        )
+        .setTimestamp();
+
+      await channel
+        .send({ embeds: [embed], allowedMentions: { parse: [] } })
+        .catch((sendError) =>
+          console.error(
+            `[BoostEndedHandler] Gagal mengirim pengumuman boost ke channel ${channel.id}:`,
+            sendError,
+          ),
+        );
+    } catch (error) {
+      console.error(
+        `[BoostEndedHandler] Error memproses event boostEnded di guild ${data.guildId}:`,
+        error,
+      );
+      levelingSystem.emit(
+        "error",
+        new Error(`Boost ended handler error: ${error.message}`),
+      );
+    }
+  },
+};
@@ -0,0 +1,81 @@
+/**
+ * @description Event handler untuk event custom 'boostStarted' dari LevelingSystem.
+ *              Mengumumkan boost XP yang baru dimulai ke channel notifikasi level up
+ *              (atau channel sistem server sebagai fallback).
+ * @requires discord.js EmbedBuilder
+ * @requires ../core/LevelingSystem (tipe parameter)
+ * @requires ../managers/BoostManager (implisit melalui levelingSystem)
+ * @requires ../managers/GuildConfigManager (implisit melalui levelingSystem)
+ */
+
+const { EmbedBuilder } = require("discord.js");
+
+/**
+ * @module boostStartedHandler
+ * @property {string} name - Nama event custom yang didengarkan ('boostStarted').
+ * @property {boolean} levelingEvent - Menandakan ini adalah event dari LevelingSystem.
+ * @property {function} execute - Fungsi yang dijalankan saat event 'boostStarted' diterima.
+ */
+module.exports = {
+  name: "boostStarted",
+  levelingEvent: true,
+  /**
+   * Handler untuk event 'boostStarted' yang di-emit oleh BoostManager.
+   * @function execute
+   * @param {import('../core/LevelingSystem')} levelingSystem - Instance LevelingSystem.
+   * @param {object} data - Data event boost (lihat `LevelingSystem#boostStarted`).
+   * @async
+   */
+  async execute(levelingSystem, data) {
+    try {
+      const guild = levelingSystem.client.guilds.cache.get(data.guildId);
+      if (!guild) return;
+      const config = await levelingSystem.guildConfigManager.getConfig(
+        data.guildId,
+      );
+      const channel = levelingSystem.boostManager.getAnnouncementChannel(
+        guild,
+        config,
+      );
+      if (!channel) {
+        console.warn(
+          `[BoostStartedHandler] Tidak ada channel pengumuman valid di guild ${data.guildId}. Pengumuman boost tidak dikirim.`,
+        );
+        return;
+      }
+
+      const scope = [];
+      if (data.channelId) scope.push(`channel <#${data.channelId}>`);
+      if (data.roleId) scope.push(`role <@&${data.roleId}>`);
+      const endsAt = Math.floor(new Date(data.endsAt).getTime() / 1000);
+
+      const embed = new EmbedBuilder()
+        .setTitle(`🚀 ${data.name || "Boost XP"} Dimulai!`)
+        .setColor("#FFD700")
+        .setDescription(
+          `Semua XP yang didapat sekarang dikalikan **x${data.multiplier}**` +
+            (scope.length > 0 ? ` (khusus ${scope.join(" dan ")})` : "") +
+            `.\nBerakhir <t:${endsAt}:R>.`,
+        )
+        .setTimestamp();
+
+      await channel
+        .send({ embeds: [embed], allowedMentions: { parse: [] } })
+        .catch((sendError) =>
+          console.error(
+            `[BoostStartedHandler] Gagal mengirim pengumuman boost ke channel ${channel.id}:`,
+            sendError,
+          ),
+        );
+    } catch (error) {
+      console.error(
+        `[BoostStartedHandler] Error memproses event boostStarted di guild ${data.guildId}:`,
+        error,
+      );
+      levelingSystem.emit(
+        "error",
+        new Error(`Boost started handler error: ${error.message}`),
+      );
+    }
+  },
+};
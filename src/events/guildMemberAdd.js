@@ -0,0 +1,60 @@
+/**
+ * @description Event handler untuk event 'guildMemberAdd' dari Discord Client.
+ *              Event ini dipicu setiap kali member bergabung ke server. Jika member
+ *              pernah mendapat XP sebelumnya, datanya ditampilkan lagi di leaderboard dan
+ *              role level serta prestige-nya dipasang kembali sesuai level tersimpan dan
+ *              strategi role server (`restoreRolesOnRejoin`).
+ * @requires discord.js Events
+ * @requires ../core/LevelingSystem (tipe properti client)
+ * @requires ../core/LevelingManager (implisit melalui client.levelingSystem)
+ * @requires ../managers/LeavePolicyManager (implisit melalui client.levelingSystem)
+ */
+
+const { Events } = require("discord.js");
+
+/**
+ * @module guildMemberAddEvent
+ * @property {Events} name - Nama event Discord.js (Events.GuildMemberAdd).
+ * @property {boolean} discordEvent - Menandakan ini adalah event dari Discord Client.
+ * @property {function} execute - Fungsi yang akan dijalankan saat event 'guildMemberAdd' dipicu.
+ */
+module.exports = {
+  name: Events.GuildMemberAdd,
+  discordEvent: true,
+  /**
+   * Handler untuk event GuildMemberAdd.
+   * @function execute
+   * @param {import('discord.js').Client & {levelingSystem: import('../core/LevelingSystem')}} client - Instance Discord Client, dengan properti levelingSystem terpasang.
+   * @param {import('discord.js').GuildMember} member - Member yang bergabung.
+   * @async
+   */
+  async execute(client, member) {
+    if (!client.levelingSystem?.levelingManager || member.user.bot) {
+      return;
+    }
+
+    try {
+      await client.levelingSystem.leavePolicyManager.markMemberReturned(
+        member.guild.id,
+        member.id,
+      );
+      const result =
+        await client.levelingSystem.levelingManager.restoreMemberRoles(member);
+      if (result && result.added.length > 0) {
+        console.log(
+          `[GuildMemberAdd] ${result.added.length} role level dipasang kembali untuk ${member.id}@${member.guild.id}.`,
+        );
+      }
+    } catch (error) {
+      console.error(
+        `[GuildMemberAdd] Error saat memproses member yang bergabung ${member.id}@${member.guild.id}:`,
+        error,
+      );
+
+      client.levelingSystem.emit(
+        "error",
+        new Error(`Unhandled guild member add error: ${error.message}`),
+      );
+    }
+  },
+};
@@ -0,0 +1,52 @@
+/**
+ * @description Event handler untuk event 'guildMemberRemove' dari Discord Client.
+ *              Event ini dipicu setiap kali member keluar, di-kick, atau di-ban dari server.
+ *              Handler ini mencatat waktu keluar member agar datanya diperlakukan sesuai
+ *              kebijakan keluar server (`leavePolicy`): tetap, disembunyikan, atau dihapus setelah masa tenggang.
+ * @requires discord.js Events
+ * @requires ../core/LevelingSystem (tipe properti client)
+ * @requires ../managers/LeavePolicyManager (implisit melalui client.levelingSystem)
+ */
+
+const { Events } = require("discord.js");
+
+/**
+ * @module guildMemberRemoveEvent
+ * @property {Events} name - Nama event Discord.js (Events.GuildMemberRemove).
+ * @property {boolean} discordEvent - Menandakan ini adalah event dari Discord Client.
+ * @property {function} execute - Fungsi yang akan dijalankan saat event 'guildMemberRemove' dipicu.
+ */
+module.exports = {
+  name: Events.GuildMemberRemove,
+  discordEvent: true,
+  /**
+   * Handler untuk event GuildMemberRemove. Member dapat berupa partial jika tidak ada di cache;
+   * hanya ID member dan server yang dibutuhkan.
+   * @function execute
+   * @param {import('discord.js').Client & {levelingSystem: import('../core/LevelingSystem')}} client - Instance Discord Client, dengan properti levelingSystem terpasang.
+   * @param {import('discord.js').GuildMember|import('discord.js').PartialGuildMember} member - Member yang keluar.
+   * @async
+   */
+  async execute(client, member) {
+    if (!client.levelingSystem?.leavePolicyManager || member.user?.bot) {
+      return;
+    }
+
+    try {
+      await client.levelingSystem.leavePolicyManager.markMemberLeft(
+        member.guild.id,
+        member.id,
+      );
+    } catch (error) {
+      console.error(
+        `[GuildMemberRemove] Error saat mencatat member keluar ${member.id}@${member.guild.id}:`,
+        error,
+      );
+
+      client.levelingSystem.emit(
+        "error",
+        new Error(`Unhandled guild member remove error: ${error.message}`),
+      );
+    }
+  },
+};
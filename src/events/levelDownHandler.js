@@ -1,7 +1,8 @@
 /**
  * @description Event handler untuk event custom 'levelDown' yang dipicu oleh LevelingSystem.
- *              Bertugas untuk menghapus role-role level yang tidak lagi sesuai
- *              ketika level pengguna turun.
+ *              Bertugas menyelaraskan role level dengan level baru pengguna sesuai strategi
+ *              role server: menghapus role yang tidak lagi sesuai dan memasang kembali role
+ *              level maupun role aturan rentang (`rewardRules`) yang kembali berlaku.
  * @requires discord.js (implisit melalui levelingSystem.client)
  * @requires ../core/LevelingSystem (tipe parameter)
  */
@@ -17,7 +18,7 @@ module.exports = {
   levelingEvent: true,
   /**
    * Handler untuk event 'levelDown' yang di-emit saat level pengguna turun.
-   * Menghapus role-role yang level persyaratannya kini lebih tinggi dari level baru pengguna.
+   * Menyelaraskan role level pengguna dengan level barunya lewat `LevelingManager.reconcileMemberRoles`.
    * @function execute
    * @param {import('../core/LevelingSystem')} levelingSystem - Instance LevelingSystem.
    * @param {object} data - Data event level down.
@@ -26,88 +27,45 @@ module.exports = {
    * @param {number} data.oldLevel - Level pengguna sebelum turun.
    * @param {number} data.newLevel - Level baru pengguna setelah turun.
    * @param {object} data.user - Data pengguna lengkap dari database setelah level turun.
+   * @param {boolean} [data.manual] - `true` jika level turun karena aksi manual moderator (`/xp`).
    * @async
    */
   async execute(levelingSystem, data) {
     console.log(
-      `[LevelDownHandler] Menerima event levelDown: ${data.userId}@${data.guildId} | ${data.oldLevel} -> ${data.newLevel}`,
+      `[LevelDownHandler] Menerima event levelDown: ${data.userId}@${data.guildId} | ${data.oldLevel} -> ${data.newLevel}${data.manual ? " (manual)" : ""}`,
     );
 
     try {
       const config = await levelingSystem.guildConfigManager.getConfig(
         data.guildId,
       );
-      const levelRolesMap = config.levelRoles || new Map();
-      if (!levelRolesMap || levelRolesMap.size === 0) {
+      const levelingManager = levelingSystem.levelingManager;
+      if (!levelingManager.hasLevelRewardRoles(config)) {
         return;
       }
-
-      const guild = levelingSystem.client.guilds.cache.get(data.guildId);
-      if (!guild) {
+      if (!levelingSystem.client.guilds.cache.has(data.guildId)) {
         console.warn(
           `[LevelDownHandler] Guild ${data.guildId} tidak ditemukan.`,
         );
         return;
       }
-      const member = await guild.members.fetch(data.userId).catch(() => null);
-      if (!member) {
-        console.warn(
-          `[LevelDownHandler] Member ${data.userId} tidak ditemukan di guild ${data.guildId} saat level down.`,
-        );
-        return;
-      }
-
-      const rolesToRemove = [];
-      const currentMemberRoles = member.roles.cache;
-
-      for (const [levelStr, roleId] of levelRolesMap.entries()) {
-        const requiredLevel = parseInt(levelStr, 10);
-        if (isNaN(requiredLevel)) {
-          console.warn(
-            `[LevelDownHandler] Level tidak valid '${levelStr}' ditemukan di levelRoles guild ${data.guildId}`,
-          );
-          continue;
-        }
-
-        if (requiredLevel > data.newLevel && currentMemberRoles.has(roleId)) {
-          rolesToRemove.push(roleId);
-        }
-      }
 
-      if (rolesToRemove.length > 0) {
+      // Strategi role server diterapkan juga saat level turun: role yang belum dicapai dihapus,
+      // dan role level yang kembali berlaku (misal pada `highest_only`) dipasang lagi.
+      const { added, removed } = await levelingManager.reconcileMemberRoles(
+        data.guildId,
+        data.userId,
+        data.newLevel,
+        {
+          config,
+          reason: `Level turun ke ${data.newLevel}`,
+          source: "level_down",
+        },
+      );
+      if (added.length > 0 || removed.length > 0) {
         console.log(
-          `[LevelDownHandler] Menghapus ${rolesToRemove.length} role(s) karena level turun ke ${data.newLevel} untuk ${data.userId}@${data.guildId}: ${rolesToRemove.join(", ")}`,
+          `[LevelDownHandler] Role ${data.userId}@${data.guildId} diselaraskan ke Level ${data.newLevel}: +${added.length} / -${removed.length}.`,
         );
-        try {
-          await member.roles.remove(
-            rolesToRemove,
-            `Level turun ke ${data.newLevel}`,
-          );
-
-          rolesToRemove.forEach((removedRoleId) => {
-            levelingSystem.emit("roleRemoved", {
-              guildId: data.guildId,
-              userId: data.userId,
-              level: data.newLevel,
-              roleId: removedRoleId,
-              reason: "level_down",
-            });
-          });
-          console.log(
-            `[LevelDownHandler] Berhasil menghapus role(s) dari ${member.user.tag}.`,
-          );
-        } catch (removeErr) {
-          console.error(
-            `[LevelDownHandler] Gagal menghapus role(s) ${rolesToRemove.join(", ")} dari ${data.userId} saat level turun:`,
-            removeErr,
-          );
-          levelingSystem.emit(
-            "error",
-            new Error(
-              `Failed role removal on level down for ${data.userId}: ${removeErr.message}`,
-            ),
-          );
-        }
       }
     } catch (error) {
       console.error(
@@ -1,7 +1,9 @@
 /**
  * @description Event handler untuk event custom 'levelUp' dari LevelingSystem.
  *              Bertugas mengirimkan notifikasi (pesan teks dan/atau kartu gambar)
- *              ke channel yang sesuai atau DM pengguna saat mereka naik level.
+ *              ke channel yang sesuai atau DM pengguna saat mereka naik level, beserta baris
+ *              pengumuman dari paket reward level dan aturan reward (`rewardRules`) yang dicapai.
+ *              Pengumuman aturan yang memiliki channel sendiri dikirim terpisah ke channel tersebut.
  * @requires discord.js EmbedBuilder, TextChannel
  * @requires ../core/LevelingSystem (tipe parameter)
  * @requires ../core/LevelingManager (implisit melalui levelingSystem)
@@ -11,6 +13,83 @@
 
 const { EmbedBuilder, TextChannel } = require("discord.js");
 
+/**
+ * Mengganti placeholder (`{userMention}`, `{username}`, `{userId}`, `{level}`, `{rank}`, `{guildName}`)
+ * di teks pesan. Placeholder tanpa nilai dibiarkan apa adanya.
+ * @function fillPlaceholders
+ * @param {string} template - Teks dengan placeholder.
+ * @param {Object<string, string|number>} replacements - Nilai per placeholder.
+ * @returns {string} Teks yang sudah diisi.
+ * @private
+ */
+function fillPlaceholders(template, replacements) {
+  return template.replace(
+    /{userMention}|{username}|{userId}|{level}|{rank}|{guildName}/g,
+    (match) => replacements[match] ?? match,
+  );
+}
+
+/**
+ * Mengirim pengumuman aturan reward ke channel yang diatur di aturan, satu pesan per channel.
+ * Channel yang tidak ditemukan atau tanpa izin kirim dilewati.
+ * @function sendRuleAnnouncements
+ * @param {import('../core/LevelingSystem')} levelingSystem - Instance LevelingSystem.
+ * @param {import('discord.js').Guild} guild - Server tempat level up terjadi.
+ * @param {import('discord.js').User} user - Pengguna yang naik level.
+ * @param {string} userId - ID pengguna yang naik level.
+ * @param {{level: number, message: string, channelId: string}[]} announcements - Pengumuman aturan yang memiliki channel.
+ * @async
+ * @private
+ */
+async function sendRuleAnnouncements(
+  levelingSystem,
+  guild,
+  user,
+  userId,
+  announcements,
+) {
+  const byChannel = new Map();
+  for (const announcement of announcements) {
+    const lines = byChannel.get(announcement.channelId) ?? [];
+    lines.push(
+      fillPlaceholders(announcement.message, {
+        "{userMention}": `<@${userId}>`,
+        "{username}": user.username,
+        "{userId}": userId,
+        "{level}": announcement.level,
+        "{guildName}": guild.name,
+      }),
+    );
+    byChannel.set(announcement.channelId, lines);
+  }
+
+  for (const [channelId, lines] of byChannel) {
+    const channel = guild.channels.cache.get(channelId);
+    if (
+      !channel?.isTextBased() ||
+      !channel
+        .permissionsFor(levelingSystem.client.user.id)
+        ?.has(["ViewChannel", "SendMessages"])
+    ) {
+      console.warn(
+        `[LevelUpHandler] Channel pengumuman aturan reward (${channelId}) di guild ${guild.id} tidak dapat digunakan.`,
+      );
+      continue;
+    }
+    try {
+      await channel.send({
+        content: lines.join("\n").slice(0, 2000),
+        allowedMentions: { users: [userId], roles: [] },
+      });
+    } catch (sendError) {
+      console.error(
+        `[LevelUpHandler] Gagal mengirim pengumuman aturan reward ke channel ${channelId}:`,
+        sendError,
+      );
+    }
+  }
+}
+
 /**
  * @module levelUpHandler
  * @property {string} name - Nama event custom yang didengarkan ('levelUp').
@@ -25,6 +104,7 @@ module.exports = {
    * Mengirimkan notifikasi ke channel yang sesuai atau DM.
    * Mengambil konfigurasi server untuk menentukan channel tujuan dan format pesan.
    * Membuat dan mengirim kartu level up jika CardGenerator tersedia dan berhasil.
+   * Pengumuman aturan reward yang memiliki channel sendiri tetap dikirim walaupun notifikasi level up nonaktif.
    * @function execute
    * @param {import('../core/LevelingSystem')} levelingSystem - Instance LevelingSystem.
    * @param {object} data - Data event level up.
@@ -33,6 +113,7 @@ module.exports = {
    * @param {number} data.oldLevel - Level pengguna sebelumnya.
    * @param {number} data.newLevel - Level baru yang dicapai pengguna.
    * @param {object} data.user - Data pengguna lengkap dari database setelah level up ({ xp, level, createdAt, updatedAt, totalMessages, totalVoiceDurationMillis, ... }).
+   * @param {boolean} [data.manual] - `true` jika level up berasal dari aksi manual moderator (`/xp`).
    * @async
    */
   async execute(levelingSystem, data) {
@@ -41,7 +122,16 @@ module.exports = {
         data.guildId,
       );
 
-      if (!config.levelUpMessageEnabled) {
+      const ruleAnnouncements =
+        levelingSystem.levelingManager.getRuleAnnouncements(
+          config,
+          data.oldLevel,
+          data.newLevel,
+        );
+      const channelAnnouncements = ruleAnnouncements.filter(
+        (announcement) => announcement.channelId,
+      );
+      if (!config.levelUpMessageEnabled && channelAnnouncements.length === 0) {
         return;
       }
 
@@ -63,6 +153,19 @@ module.exports = {
         return;
       }
 
+      if (channelAnnouncements.length > 0) {
+        await sendRuleAnnouncements(
+          levelingSystem,
+          guild,
+          user,
+          data.userId,
+          channelAnnouncements,
+        );
+      }
+      if (!config.levelUpMessageEnabled) {
+        return;
+      }
+
       let targetChannel = null;
       let sendMethod = "channel";
 
@@ -135,10 +238,32 @@ module.exports = {
         "{rank}": rank > 0 ? `#${rank}` : "N/A",
         "{guildName}": guild.name,
       };
-      const levelUpMsgContent = messageFormat.replace(
-        /{userMention}|{username}|{userId}|{level}|{rank}|{guildName}/g,
-        (match) => replacements[match] || match,
-      );
+      const rewardLines = Array.from(config.levelRewards ?? new Map())
+        .filter(([levelStr, bundle]) => {
+          const rewardLevel = parseInt(levelStr, 10);
+          return (
+            bundle.message &&
+            rewardLevel > data.oldLevel &&
+            rewardLevel <= data.newLevel
+          );
+        })
+        .map(([, bundle]) => fillPlaceholders(bundle.message, replacements));
+      ruleAnnouncements
+        .filter((announcement) => !announcement.channelId)
+        .forEach((announcement) =>
+          rewardLines.push(
+            fillPlaceholders(announcement.message, {
+              ...replacements,
+              "{level}": announcement.level,
+            }),
+          ),
+        );
+      const levelUpMsgContent = [
+        fillPlaceholders(messageFormat, replacements),
+        ...rewardLines,
+      ]
+        .join("\n")
+        .slice(0, 2000);
 
       const levelUpCardData = {
         username: user.username,
@@ -0,0 +1,58 @@
+/**
+ * @description Event handler untuk event 'messageReactionAdd' dari Discord Client.
+ *              Event ini dipicu setiap kali pengguna menambahkan reaksi ke pesan.
+ *              Handler ini melengkapi data reaksi/pesan yang partial lalu meneruskannya
+ *              ke XPManager untuk pemberian XP reaksi ke penulis pesan.
+ * @requires discord.js Events
+ * @requires ../core/LevelingSystem (tipe properti client)
+ * @requires ../managers/XPManager (implisit melalui client.levelingSystem)
+ */
+
+const { Events } = require("discord.js");
+
+/**
+ * @module messageReactionAddEvent
+ * @property {Events} name - Nama event Discord.js (Events.MessageReactionAdd).
+ * @property {boolean} discordEvent - Menandakan ini adalah event dari Discord Client.
+ * @property {function} execute - Fungsi yang akan dijalankan saat event 'messageReactionAdd' dipicu.
+ */
+module.exports = {
+  name: Events.MessageReactionAdd,
+  discordEvent: true,
+  /**
+   * Handler untuk event MessageReactionAdd.
+   * Reaksi pada pesan lama (tidak ada di cache) datang sebagai partial dan di-fetch terlebih dahulu.
+   * @function execute
+   * @param {import('discord.js').Client & {levelingSystem: import('../core/LevelingSystem')}} client - Instance Discord Client, dengan properti levelingSystem terpasang.
+   * @param {import('discord.js').MessageReaction} reaction - Reaksi yang ditambahkan.
+   * @param {import('discord.js').User} user - Pengguna yang memberi reaksi.
+   * @async
+   */
+  async execute(client, reaction, user) {
+    if (!client.levelingSystem?.xpManager || user.bot) {
+      return;
+    }
+
+    try {
+      if (reaction.partial) await reaction.fetch();
+      if (reaction.message.partial) await reaction.message.fetch();
+    } catch {
+      // Pesan sudah dihapus atau tidak dapat diakses lagi.
+      return;
+    }
+
+    try {
+      await client.levelingSystem.xpManager.handleReactionXP(reaction, user);
+    } catch (error) {
+      console.error(
+        "[MessageReactionAdd] Error tidak tertangkap saat memproses XP reaksi:",
+        error,
+      );
+
+      client.levelingSystem.emit(
+        "error",
+        new Error(`Unhandled Reaction XP error: ${error.message}`),
+      );
+    }
+  },
+};
@@ -2,7 +2,7 @@
  * @description Event handler untuk event 'ready' dari Discord Client.
  *              Menjalankan tugas-tugas setelah bot berhasil login dan siap,
  *              seperti menampilkan log konfirmasi, mengatur status bot,
- *              dan mendaftarkan/menyegarkan slash commands.
+ *              memulihkan sesi XP suara, dan mendaftarkan/menyegarkan slash commands.
  * @requires discord.js Events, REST, Routes, ActivityType
  * @requires dotenv process.env.DISCORD_TOKEN, process.env.CLIENT_ID, process.env.GUILD_ID
  */
@@ -26,7 +26,7 @@ module.exports = {
   discordEvent: true,
   /**
    * Handler untuk event ClientReady. Dipanggil saat bot berhasil login dan siap.
-   * Mengatur status bot dan mendaftarkan slash commands.
+   * Mengatur status bot, memulihkan sesi suara, dan mendaftarkan slash commands.
    * @function execute
    * @param {import('discord.js').Client} client - Instance Discord Client yang sudah siap.
    * @async
@@ -53,6 +53,16 @@ module.exports = {
       console.error("[Ready] Gagal mengatur status bot:", error);
     }
 
+    try {
+      await client.levelingSystem?.voiceManager?.recoverSessions();
+    } catch (error) {
+      console.error("[Ready] Gagal memulihkan sesi suara:", error);
+      client.levelingSystem?.emit(
+        "error",
+        new Error(`Voice session recovery failed: ${error.message}`),
+      );
+    }
+
     if (!TOKEN || !CLIENT_ID) {
       console.error(
         "[DeployCmd] TOKEN atau CLIENT_ID tidak ditemukan di environment variables. Lewati deploy commands.",
@@ -35,13 +35,15 @@ module.exports = {
     }
 
     // Filter performa: Abaikan event jika tidak ada perubahan pada channel,
-    // status deafen, atau status suppress (yang relevan untuk XP suara).
-    // Perubahan mute diabaikan karena biasanya tidak memengaruhi XP.
+    // status deafen, status suppress, streaming, atau kamera (yang relevan untuk XP suara).
+    // Perubahan mute diabaikan karena self-mute dinilai saat XP interval dihitung.
     if (
       oldState.channelId === newState.channelId &&
       oldState.deaf === newState.deaf &&
       // oldState.mute === newState.mute &&
-      oldState.suppress === newState.suppress
+      oldState.suppress === newState.suppress &&
+      oldState.streaming === newState.streaming &&
+      oldState.selfVideo === newState.selfVideo
     ) {
       return;
     }
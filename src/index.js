@@ -74,6 +74,7 @@ const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.GuildMessageReactions,
     GatewayIntentBits.MessageContent,
     GatewayIntentBits.GuildVoiceStates,
     GatewayIntentBits.GuildMembers,
@@ -82,6 +83,7 @@ const client = new Client({
   partials: [
     Partials.Channel,
     Partials.Message,
+    Partials.Reaction,
     Partials.User,
     Partials.GuildMember,
   ],
@@ -108,12 +110,68 @@ client.levelingSystem = new LevelingSystem(client, {
     ignoredChannels: [],
     roleMultipliers: new Map(),
     channelMultipliers: new Map(),
-    levelRoles: new Map(),
+    levelRewards: new Map(),
+    rewardRules: [],
     roleRemovalStrategy: "keep_all",
+    restoreRolesOnRejoin: true,
+    leavePolicy: {
+      mode: "keep",
+      graceDays: 30,
+    },
+    levelCurve: { formula: "quadratic", a: 5, b: 50, c: 100 },
+    maxLevel: 0,
+    prestigeRoles: new Map(),
+    prestigeXpBonus: 0,
+    decay: {
+      enabled: false,
+      inactiveDays: 30,
+      mode: "percent",
+      amount: 5,
+      floorXP: 0,
+    },
+    timezone: "UTC",
+    streaks: {
+      enabled: false,
+      multiplierPerDay: 0,
+      maxMultiplier: 1.5,
+      milestones: [],
+    },
+    voiceRules: {
+      minMembers: 1,
+      selfMuteMultiplier: 1,
+      intervalMinutes: 5,
+    },
+    reactionXp: {
+      enabled: false,
+      xpPerReaction: 5,
+      maxPerMessage: 10,
+      maxPerAuthorPerHour: 100,
+      cooldownSeconds: 60,
+    },
+    voiceMultipliers: {
+      stream: 1,
+      video: 1,
+      stageSpeaker: 1,
+      stageAudience: 0,
+    },
+    messageFilters: {
+      minChars: 0,
+      minWords: 0,
+      ignorePatterns: [],
+      ignoreEmojiOnly: false,
+      ignoreStickerOnly: true,
+      duplicateSimilarity: 0,
+    },
+    ledgerRetentionDays: 30,
     enablePenaltySystem: false,
     leaderboardStyle: "card",
+    multiplierStacking: "highest",
+    multiplierCap: 3,
+    boosterStacking: "highest",
     rankCardBackground: null,
   },
+  /** @type {number} Batas durasi (menit) yang dikreditkan untuk sesi suara yang terputus karena bot crash. */
+  voiceRecoveryCapMinutes: 15,
   /** @type {string} Path absolut ke direktori yang berisi file plugin kustom. */
   pluginsPath: path.join(__dirname, "plugins"),
 });
@@ -236,14 +294,31 @@ const shutdown = async (signal) => {
   console.log(`\n[Main] Menerima sinyal ${signal}. Memulai shutdown...`);
   try {
     if (client.levelingSystem?.voiceManager?.shutdown) {
-      client.levelingSystem.voiceManager.shutdown();
-      console.log("[Shutdown] VoiceManager interval dihentikan.");
+      await client.levelingSystem.voiceManager.shutdown();
+      console.log(
+        "[Shutdown] VoiceManager interval dihentikan dan XP suara terakhir diproses.",
+      );
     } else {
       console.warn(
         "[Shutdown] VoiceManager atau metode shutdown tidak ditemukan.",
       );
     }
 
+    if (client.levelingSystem?.decayManager?.shutdown) {
+      client.levelingSystem.decayManager.shutdown();
+      console.log("[Shutdown] DecayManager interval dihentikan.");
+    }
+
+    if (client.levelingSystem?.boostManager?.shutdown) {
+      client.levelingSystem.boostManager.shutdown();
+      console.log("[Shutdown] BoostManager interval dihentikan.");
+    }
+
+    if (client.levelingSystem?.leavePolicyManager?.shutdown) {
+      client.levelingSystem.leavePolicyManager.shutdown();
+      console.log("[Shutdown] LeavePolicyManager interval dihentikan.");
+    }
+
     console.log("[Shutdown] Menghancurkan koneksi Discord...");
     client.destroy();
     console.log("[Shutdown] Koneksi Discord dihancurkan.");
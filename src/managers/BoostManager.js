@@ -0,0 +1,527 @@
+/**
+ * @description Mengelola event boost XP terjadwal per server (misal: "double XP weekend")
+ *              dan booster XP pribadi per pengguna dengan masa berlaku (misal: hadiah kontes).
+ *              Boost disimpan di database sehingga tetap berlaku setelah bot restart,
+ *              dapat dibatasi ke satu channel atau role, dan diumumkan saat dimulai dan berakhir.
+ * @requires discord.js TextChannel
+ * @requires ../database/schemas/XPBoost - Skema Mongoose untuk boost XP terjadwal.
+ * @requires ../database/schemas/PersonalBooster - Skema Mongoose untuk booster XP pribadi.
+ * @requires ../core/LevelingSystem - (tipe parameter) Untuk akses instance dan emit event.
+ * @requires ./CacheManager - (tipe parameter) Untuk caching daftar boost per server.
+ */
+
+const { TextChannel } = require("discord.js");
+const XPBoost = require("../database/schemas/XPBoost");
+const PersonalBooster = require("../database/schemas/PersonalBooster");
+
+/**
+ * Lama (detik) daftar boost server disimpan di cache.
+ * @const {number}
+ * @private
+ */
+const BOOST_CACHE_TTL = 60;
+
+/**
+ * @class BoostManager
+ * @classdesc Menjadwalkan, membatalkan, dan menghitung multiplier boost XP yang aktif.
+ *            Interval berkala menandai boost yang mulai/berakhir dan memicu event
+ *            `boostStarted`/`boostEnded` tepat satu kali per boost. Juga mengelola booster pribadi
+ *            yang digabung sesuai aturan `boosterStacking` server.
+ */
+class BoostManager {
+  /**
+   * Membuat instance BoostManager.
+   * @constructor
+   * @param {import('../core/LevelingSystem')} system - Instance LevelingSystem utama.
+   * @param {import('./CacheManager')} cacheManager - Instance CacheManager.
+   * @throws {Error} Jika salah satu dependensi tidak disediakan.
+   */
+  constructor(system, cacheManager) {
+    if (!system || !cacheManager) {
+      throw new Error("[BoostManager] System dan CacheManager diperlukan.");
+    }
+    /**
+     * Referensi ke instance LevelingSystem utama.
+     * @type {import('../core/LevelingSystem')}
+     * @private
+     */
+    this.system = system;
+    /**
+     * Referensi ke instance CacheManager.
+     * @type {import('./CacheManager')}
+     * @private
+     */
+    this.cacheManager = cacheManager;
+    /**
+     * ID dari interval timer Node.js untuk pengecekan jadwal boost.
+     * @type {NodeJS.Timeout|null}
+     * @private
+     */
+    this.scheduleInterval = null;
+    /**
+     * Interval pengecekan jadwal boost (dalam milidetik).
+     * @type {number}
+     * @private
+     */
+    this.checkIntervalMillis = 60 * 1000;
+    /**
+     * Menandakan apakah pengecekan jadwal sedang berjalan, untuk mencegah eksekusi tumpang tindih.
+     * @type {boolean}
+     * @private
+     */
+    this.running = false;
+
+    this._startInterval();
+    console.log("[BoostManager] Siap. Pengecekan jadwal boost setiap 1 menit.");
+  }
+
+  /**
+   * Memulai atau me-restart interval timer untuk {@link processSchedule}.
+   * @method _startInterval
+   * @private
+   */
+  _startInterval() {
+    if (this.scheduleInterval) clearInterval(this.scheduleInterval);
+    this.scheduleInterval = setInterval(() => {
+      this.processSchedule().catch((error) => {
+        console.error(
+          "[BoostManager] Error dalam interval jadwal boost:",
+          error,
+        );
+        this.system.emit(
+          "error",
+          new Error(`Boost schedule interval error: ${error.message}`),
+        );
+      });
+    }, this.checkIntervalMillis);
+  }
+
+  /**
+   * Mengubah dokumen boost menjadi payload event.
+   * @method _toEventData
+   * @param {object} boost - Dokumen boost (lean).
+   * @returns {object} Data event boost.
+   * @private
+   */
+  _toEventData(boost) {
+    return {
+      guildId: boost.guildId,
+      boostId: boost._id.toString(),
+      name: boost.name,
+      multiplier: boost.multiplier,
+      startsAt: boost.startsAt,
+      endsAt: boost.endsAt,
+      channelId: boost.channelId,
+      roleId: boost.roleId,
+    };
+  }
+
+  /**
+   * Menghapus cache daftar boost server.
+   * @method _invalidate
+   * @param {string} guildId - ID server Discord.
+   * @private
+   */
+  _invalidate(guildId) {
+    this.cacheManager.del(`boosts-${guildId}`);
+  }
+
+  /**
+   * Mengambil semua boost server yang belum berakhir (aktif maupun terjadwal), diurutkan dari waktu mulai.
+   * Hasil di-cache singkat karena dipanggil untuk setiap pesan dan interval suara.
+   * @method listBoosts
+   * @param {string} guildId - ID server Discord.
+   * @returns {Promise<Array<object>>} Daftar dokumen boost (lean).
+   * @async
+   */
+  async listBoosts(guildId) {
+    const cacheKey = `boosts-${guildId}`;
+    const cached = this.cacheManager.get(cacheKey);
+    if (cached) return cached;
+
+    const boosts = await XPBoost.find({
+      guildId,
+      ended: false,
+      endsAt: { $gt: new Date() },
+    })
+      .sort({ startsAt: 1 })
+      .lean();
+    this.cacheManager.set(cacheKey, boosts, BOOST_CACHE_TTL);
+    return boosts;
+  }
+
+  /**
+   * Mengambil boost yang sedang berlaku di server (waktu sekarang berada di antara mulai dan selesai).
+   * @method getActiveBoosts
+   * @param {string} guildId - ID server Discord.
+   * @returns {Promise<Array<object>>} Daftar dokumen boost aktif (lean).
+   * @async
+   */
+  async getActiveBoosts(guildId) {
+    const now = Date.now();
+    const boosts = await this.listBoosts(guildId);
+    return boosts.filter(
+      (boost) =>
+        new Date(boost.startsAt).getTime() <= now &&
+        new Date(boost.endsAt).getTime() > now,
+    );
+  }
+
+  /**
+   * Menghitung multiplier boost untuk aktivitas pengguna. Boost dengan scope channel berlaku di channel
+   * tersebut beserta thread dan channel di dalamnya (untuk kategori), dicocokkan lewat
+   * `XPManager.getChannelLineage`. Boost dengan scope role hanya berlaku untuk member yang memiliki role tersebut.
+   * Jika beberapa boost berlaku sekaligus, multiplier tertinggi yang dipakai.
+   * @method getBoostMultiplier
+   * @param {string} guildId - ID server Discord.
+   * @param {object} context - Konteks aktivitas.
+   * @param {string|null} [context.channelId] - ID channel, thread, atau voice channel tempat aktivitas terjadi.
+   * @param {import('discord.js').GuildMember|null} [context.member] - Member yang mendapat XP.
+   * @returns {Promise<number>} Multiplier boost (1 jika tidak ada boost yang berlaku).
+   * @async
+   */
+  async getBoostMultiplier(guildId, { channelId = null, member = null } = {}) {
+    const boosts = await this.getActiveBoosts(guildId);
+    const guild = member?.guild ?? this.system.client.guilds.cache.get(guildId);
+    const lineage = this.system.xpManager.getChannelLineage(guild, channelId);
+    let highest = 1.0;
+    for (const boost of boosts) {
+      if (boost.channelId && !lineage.includes(boost.channelId)) continue;
+      if (boost.roleId && !member?.roles.cache.has(boost.roleId)) continue;
+      if (boost.multiplier > highest) highest = boost.multiplier;
+    }
+    return highest;
+  }
+
+  /**
+   * Menjadwalkan boost XP baru. Jika waktu mulai sudah lewat, boost langsung diproses dan diumumkan.
+   * @method scheduleBoost
+   * @param {string} guildId - ID server Discord.
+   * @param {object} options - Data boost.
+   * @param {number} options.multiplier - Multiplier XP (1.1 - 10). Boost hanya dapat menaikkan XP.
+   * @param {Date} options.startsAt - Waktu mulai.
+   * @param {Date} options.endsAt - Waktu selesai (harus setelah waktu mulai).
+   * @param {string|null} [options.name=null] - Nama event boost.
+   * @param {string|null} [options.channelId=null] - Batasi boost ke satu channel.
+   * @param {string|null} [options.roleId=null] - Batasi boost ke member dengan role tertentu.
+   * @param {string|null} [options.createdBy=null] - ID admin yang menjadwalkan.
+   * @returns {Promise<object>} Dokumen boost (lean) yang dibuat.
+   * @throws {Error} Jika waktu selesai tidak setelah waktu mulai atau sudah lewat.
+   * @async
+   */
+  async scheduleBoost(guildId, options) {
+    const startsAt = new Date(options.startsAt);
+    const endsAt = new Date(options.endsAt);
+    if (!(endsAt > startsAt) || endsAt.getTime() <= Date.now()) {
+      throw new Error(
+        "[BoostManager] Waktu selesai boost harus setelah waktu mulai dan di masa depan.",
+      );
+    }
+
+    const boost = await XPBoost.create({
+      guildId,
+      name: options.name || null,
+      multiplier: options.multiplier,
+      startsAt,
+      endsAt,
+      channelId: options.channelId ?? null,
+      roleId: options.roleId ?? null,
+      createdBy: options.createdBy ?? null,
+    });
+    this._invalidate(guildId);
+    console.log(
+      `[BoostManager] Boost x${boost.multiplier} dijadwalkan di guild ${guildId} (${startsAt.toISOString()} - ${endsAt.toISOString()}).`,
+    );
+
+    if (startsAt.getTime() <= Date.now()) {
+      await this.processSchedule();
+    }
+    return boost.toObject();
+  }
+
+  /**
+   * Membatalkan boost yang aktif atau terjadwal. Boost yang sudah dimulai diakhiri saat itu juga
+   * dan memicu `boostEnded` dengan `cancelled: true`.
+   * @method cancelBoost
+   * @param {string} guildId - ID server Discord.
+   * @param {string} boostId - ID boost.
+   * @returns {Promise<object|null>} Dokumen boost (lean) yang dibatalkan, atau `null` jika tidak ditemukan.
+   * @fires LevelingSystem#boostEnded
+   * @async
+   */
+  async cancelBoost(guildId, boostId) {
+    const boost = await XPBoost.findOneAndUpdate(
+      { _id: boostId, guildId, ended: false },
+      { $set: { ended: true } },
+      { new: false },
+    ).lean();
+    if (!boost) return null;
+    this._invalidate(guildId);
+
+    if (boost.started) {
+      this.system.emit("boostEnded", {
+        ...this._toEventData(boost),
+        endsAt: new Date(),
+        cancelled: true,
+      });
+    }
+    console.log(
+      `[BoostManager] Boost ${boostId} dibatalkan di guild ${guildId}.`,
+    );
+    return boost;
+  }
+
+  /**
+   * Memproses jadwal boost: menandai boost yang sudah mulai dan yang sudah selesai, lalu memicu event.
+   * Status ditandai di database sebelum event dipicu agar restart bot tidak mengumumkan ulang.
+   * Boost yang seluruh jadwalnya terlewat saat bot offline diakhiri tanpa pengumuman.
+   * Hanya server yang masih ada di cache client yang diproses.
+   * @method processSchedule
+   * @returns {Promise<void>}
+   * @fires LevelingSystem#boostStarted
+   * @fires LevelingSystem#boostEnded
+   * @async
+   */
+  async processSchedule() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const now = new Date();
+
+      const finished = await XPBoost.find({
+        ended: false,
+        endsAt: { $lte: now },
+      }).lean();
+      for (const boost of finished) {
+        if (!this.system.client.guilds.cache.has(boost.guildId)) continue;
+        const updated = await XPBoost.updateOne(
+          { _id: boost._id, ended: false },
+          { $set: { ended: true } },
+        );
+        if (updated.modifiedCount === 0) continue;
+        this._invalidate(boost.guildId);
+        if (!boost.started) continue;
+        /**
+         * Event dipicu saat boost XP berakhir (sesuai jadwal atau dibatalkan).
+         * @event LevelingSystem#boostEnded
+         * @type {object}
+         * @property {string} guildId
+         * @property {string} boostId
+         * @property {string|null} name
+         * @property {number} multiplier
+         * @property {Date} startsAt
+         * @property {Date} endsAt
+         * @property {string|null} channelId - Scope channel (jika ada).
+         * @property {string|null} roleId - Scope role (jika ada).
+         * @property {boolean} cancelled - `true` jika boost dibatalkan sebelum waktunya.
+         */
+        this.system.emit("boostEnded", {
+          ...this._toEventData(boost),
+          cancelled: false,
+        });
+      }
+
+      const starting = await XPBoost.find({
+        ended: false,
+        started: false,
+        startsAt: { $lte: now },
+        endsAt: { $gt: now },
+      }).lean();
+      for (const boost of starting) {
+        if (!this.system.client.guilds.cache.has(boost.guildId)) continue;
+        const updated = await XPBoost.updateOne(
+          { _id: boost._id, started: false },
+          { $set: { started: true } },
+        );
+        if (updated.modifiedCount === 0) continue;
+        this._invalidate(boost.guildId);
+        /**
+         * Event dipicu saat boost XP terjadwal mulai berlaku.
+         * @event LevelingSystem#boostStarted
+         * @type {object}
+         * @property {string} guildId
+         * @property {string} boostId
+         * @property {string|null} name
+         * @property {number} multiplier
+         * @property {Date} startsAt
+         * @property {Date} endsAt
+         * @property {string|null} channelId - Scope channel (jika ada).
+         * @property {string|null} roleId - Scope role (jika ada).
+         */
+        this.system.emit("boostStarted", this._toEventData(boost));
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Memberikan booster XP pribadi ke pengguna untuk durasi tertentu.
+   * @method grantBooster
+   * @param {string} guildId - ID server Discord.
+   * @param {string} userId - ID pengguna penerima.
+   * @param {object} options - Data booster.
+   * @param {number} options.multiplier - Multiplier XP (1 - 10).
+   * @param {number} options.durationMillis - Lama booster berlaku (milidetik).
+   * @param {string|null} [options.grantedBy=null] - ID moderator yang memberikan.
+   * @param {string|null} [options.reason=null] - Alasan pemberian (misal: hadiah kontes).
+   * @returns {Promise<object>} Dokumen booster (lean) yang dibuat.
+   * @async
+   */
+  async grantBooster(guildId, userId, options) {
+    const booster = await PersonalBooster.create({
+      guildId,
+      userId,
+      multiplier: options.multiplier,
+      expiresAt: new Date(Date.now() + options.durationMillis),
+      grantedBy: options.grantedBy ?? null,
+      reason: options.reason ?? null,
+    });
+    this.cacheManager.del(`boosters-${guildId}-${userId}`);
+    console.log(
+      `[BoostManager] Booster x${booster.multiplier} diberikan ke ${userId}@${guildId} hingga ${booster.expiresAt.toISOString()}.`,
+    );
+    return booster.toObject();
+  }
+
+  /**
+   * Mengambil booster pribadi pengguna yang masih berlaku, diurutkan dari yang paling cepat kedaluwarsa.
+   * @method getUserBoosters
+   * @param {string} guildId - ID server Discord.
+   * @param {string} userId - ID pengguna Discord.
+   * @returns {Promise<Array<object>>} Daftar dokumen booster (lean).
+   * @async
+   */
+  async getUserBoosters(guildId, userId) {
+    const cacheKey = `boosters-${guildId}-${userId}`;
+    let boosters = this.cacheManager.get(cacheKey);
+    if (!boosters) {
+      boosters = await PersonalBooster.find({
+        guildId,
+        userId,
+        expiresAt: { $gt: new Date() },
+      })
+        .sort({ expiresAt: 1 })
+        .lean();
+      this.cacheManager.set(cacheKey, boosters, BOOST_CACHE_TTL);
+    }
+    // TTL MongoDB tidak langsung menghapus dokumen, jadi kedaluwarsa tetap disaring di sini.
+    const now = Date.now();
+    return boosters.filter((b) => new Date(b.expiresAt).getTime() > now);
+  }
+
+  /**
+   * Mengambil semua booster pribadi yang masih berlaku di server.
+   * @method listGuildBoosters
+   * @param {string} guildId - ID server Discord.
+   * @param {number} [limit=25] - Jumlah maksimum booster.
+   * @returns {Promise<Array<object>>} Daftar dokumen booster (lean), paling cepat kedaluwarsa lebih dulu.
+   * @async
+   */
+  async listGuildBoosters(guildId, limit = 25) {
+    return PersonalBooster.find({ guildId, expiresAt: { $gt: new Date() } })
+      .sort({ expiresAt: 1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Mencabut booster pribadi sebelum masa berlakunya habis.
+   * @method revokeBooster
+   * @param {string} guildId - ID server Discord.
+   * @param {string} boosterId - ID booster.
+   * @returns {Promise<object|null>} Dokumen booster (lean) yang dicabut, atau `null` jika tidak ditemukan.
+   * @async
+   */
+  async revokeBooster(guildId, boosterId) {
+    const booster = await PersonalBooster.findOneAndDelete({
+      _id: boosterId,
+      guildId,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+    if (!booster) return null;
+    this.cacheManager.del(`boosters-${guildId}-${booster.userId}`);
+    console.log(
+      `[BoostManager] Booster ${boosterId} milik ${booster.userId}@${guildId} dicabut.`,
+    );
+    return booster;
+  }
+
+  /**
+   * Menggabungkan beberapa multiplier booster sesuai mode stacking server.
+   * - `highest`: hanya booster terkuat yang berlaku.
+   * - `multiplicative`: semua booster dikalikan (1.5 dan 2 → 3).
+   * - `additive`: bonus dijumlahkan (1.5 dan 2 → 1 + 0.5 + 1 = 2.5).
+   * @method combineBoosterMultipliers
+   * @param {number[]} multipliers - Daftar multiplier booster.
+   * @param {'highest'|'multiplicative'|'additive'} [mode='highest'] - Mode stacking.
+   * @returns {number} Multiplier gabungan (1 jika tidak ada booster).
+   */
+  combineBoosterMultipliers(multipliers, mode = "highest") {
+    if (multipliers.length === 0) return 1.0;
+    switch (mode) {
+      case "multiplicative":
+        return multipliers.reduce((total, m) => total * m, 1.0);
+      case "additive":
+        return multipliers.reduce((total, m) => total + (m - 1), 1.0);
+      default:
+        return Math.max(1.0, ...multipliers);
+    }
+  }
+
+  /**
+   * Menghitung multiplier gabungan dari booster pribadi pengguna yang masih berlaku.
+   * @method getPersonalMultiplier
+   * @param {string} guildId - ID server Discord.
+   * @param {string} userId - ID pengguna Discord.
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi (untuk `boosterStacking`).
+   * @returns {Promise<number>} Multiplier booster pribadi (1 jika tidak ada).
+   * @async
+   */
+  async getPersonalMultiplier(guildId, userId, config) {
+    const boosters = await this.getUserBoosters(guildId, userId);
+    return this.combineBoosterMultipliers(
+      boosters.map((b) => b.multiplier),
+      config.boosterStacking,
+    );
+  }
+
+  /**
+   * Mencari channel untuk pengumuman boost: channel notifikasi level up jika diatur,
+   * jika tidak channel sistem server. Bot harus memiliki izin kirim pesan dan embed.
+   * @method getAnnouncementChannel
+   * @param {import('discord.js').Guild} guild - Server Discord.
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @returns {TextChannel|null} Channel tujuan, atau `null` jika tidak ada yang valid.
+   */
+  getAnnouncementChannel(guild, config) {
+    const candidates = [
+      config.levelUpChannelId
+        ? guild.channels.cache.get(config.levelUpChannelId)
+        : null,
+      guild.systemChannel,
+    ];
+    for (const channel of candidates) {
+      if (!(channel instanceof TextChannel)) continue;
+      const permissions = channel.permissionsFor(this.system.client.user.id);
+      if (permissions?.has(["ViewChannel", "SendMessages", "EmbedLinks"])) {
+        return channel;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Menghentikan interval pengecekan jadwal boost. Dipanggil saat bot shutdown.
+   * @method shutdown
+   */
+  shutdown() {
+    if (this.scheduleInterval) {
+      clearInterval(this.scheduleInterval);
+      this.scheduleInterval = null;
+      console.log("[BoostManager] Interval jadwal boost dihentikan.");
+    }
+  }
+}
+
+module.exports = BoostManager;
@@ -0,0 +1,264 @@
+/**
+ * @description Mengelola decay (pengurangan) XP otomatis untuk pengguna yang tidak aktif.
+ *              Secara periodik memeriksa server yang mengaktifkan decay dan mengurangi XP
+ *              pengguna yang tidak aktif selama N hari, maksimal sekali per hari per server.
+ * @requires ../database/schemas/GuildConfig - Untuk mencari server yang mengaktifkan decay.
+ * @requires ../database/schemas/UserLevel - Untuk mencari pengguna yang tidak aktif.
+ * @requires ../core/LevelingSystem - (tipe parameter) Untuk akses instance dan emit event.
+ * @requires ../core/LevelingManager - (tipe parameter) Untuk mengurangi XP melalui `removeXP`.
+ */
+
+const GuildConfig = require("../database/schemas/GuildConfig");
+const UserLevel = require("../database/schemas/UserLevel");
+
+const DAY_MILLIS = 24 * 60 * 60 * 1000;
+
+/**
+ * @class DecayManager
+ * @classdesc Menjalankan job decay XP harian. Aktivitas terakhir pengguna ditentukan dari
+ *            `lastMessageTimestamp` dan `updatedAt`. Pengurangan XP dilakukan melalui
+ *            `LevelingManager.removeXP` sehingga event `xpLost`, `levelDown`, dan penghapusan role tetap berjalan.
+ */
+class DecayManager {
+  /**
+   * Membuat instance DecayManager.
+   * @constructor
+   * @param {import('../core/LevelingSystem')} system - Instance LevelingSystem utama.
+   * @param {import('../core/LevelingManager')} levelingManager - Instance LevelingManager.
+   * @param {import('./GuildConfigManager')} guildConfigManager - Instance GuildConfigManager.
+   * @throws {Error} Jika salah satu dependensi tidak disediakan.
+   */
+  constructor(system, levelingManager, guildConfigManager) {
+    if (!system || !levelingManager || !guildConfigManager) {
+      throw new Error(
+        "[DecayManager] System, LevelingManager, dan GuildConfigManager diperlukan.",
+      );
+    }
+    /**
+     * Referensi ke instance LevelingSystem utama.
+     * @type {import('../core/LevelingSystem')}
+     * @private
+     */
+    this.system = system;
+    /**
+     * Referensi ke instance LevelingManager.
+     * @type {import('../core/LevelingManager')}
+     * @private
+     */
+    this.levelingManager = levelingManager;
+    /**
+     * Referensi ke instance GuildConfigManager.
+     * @type {import('./GuildConfigManager')}
+     * @private
+     */
+    this.guildConfigManager = guildConfigManager;
+    /**
+     * ID dari interval timer Node.js untuk pengecekan decay.
+     * @type {NodeJS.Timeout|null}
+     * @private
+     */
+    this.decayInterval = null;
+    /**
+     * Interval pengecekan decay (dalam milidetik). Decay tetap hanya diterapkan sekali per hari per server.
+     * @type {number}
+     * @private
+     */
+    this.checkIntervalMillis = 60 * 60 * 1000;
+    /**
+     * Menandakan apakah job decay sedang berjalan, untuk mencegah eksekusi tumpang tindih.
+     * @type {boolean}
+     * @private
+     */
+    this.running = false;
+
+    this._startInterval();
+    console.log("[DecayManager] Siap. Pengecekan decay XP setiap 1 jam.");
+  }
+
+  /**
+   * Memulai atau me-restart interval timer untuk {@link runDecay}.
+   * @method _startInterval
+   * @private
+   */
+  _startInterval() {
+    if (this.decayInterval) clearInterval(this.decayInterval);
+    this.decayInterval = setInterval(() => {
+      this.runDecay().catch((error) => {
+        console.error("[DecayManager] Error dalam interval decay XP:", error);
+        this.system.emit(
+          "error",
+          new Error(`Decay interval error: ${error.message}`),
+        );
+      });
+    }, this.checkIntervalMillis);
+  }
+
+  /**
+   * Menghitung jumlah XP yang akan dikurangi dari pengguna dalam satu hari decay.
+   * Hasil tidak pernah membuat XP pengguna turun di bawah `floorXP`.
+   * @method calculateDecayAmount
+   * @param {object} decay - Objek konfigurasi decay yang sudah dinormalisasi.
+   * @param {number} xp - XP pengguna saat ini.
+   * @returns {number} Jumlah XP yang dikurangi (0 jika tidak ada).
+   */
+  calculateDecayAmount(decay, xp) {
+    const available = xp - decay.floorXP;
+    if (available <= 0 || decay.amount <= 0) return 0;
+    const amount =
+      decay.mode === "flat"
+        ? Math.round(decay.amount)
+        : Math.ceil((xp * decay.amount) / 100);
+    return Math.min(amount, available);
+  }
+
+  /**
+   * Mengambil daftar pengguna di server yang akan terkena decay berikutnya (dry run).
+   * Pengguna yang belum pernah mengirim pesan (misal hanya mendapat XP suara) dinilai dari `updatedAt` saja.
+   * Tidak mengubah data apa pun.
+   * @method getDecayCandidates
+   * @param {string} guildId - ID server Discord.
+   * @param {object} [config] - Konfigurasi server (akan diambil jika tidak disediakan).
+   * @returns {Promise<Array<{userId: string, xp: number, level: number, amount: number, newXP: number, newLevel: number, lastActiveAt: number}>>}
+   *          Daftar pengguna yang terdampak, diurutkan dari XP terbesar.
+   * @async
+   */
+  async getDecayCandidates(guildId, config = null) {
+    config = config || (await this.guildConfigManager.getConfig(guildId));
+    const decay = config.decay;
+    const cutoff = Date.now() - decay.inactiveDays * DAY_MILLIS;
+
+    const users = await UserLevel.find({
+      guildId,
+      xp: { $gt: decay.floorXP },
+      // `$not` juga mencocokkan `lastMessageTimestamp` yang null atau tidak ada.
+      lastMessageTimestamp: { $not: { $gte: cutoff } },
+      updatedAt: { $lt: new Date(cutoff) },
+    })
+      .select("userId xp level lastMessageTimestamp updatedAt")
+      .sort({ xp: -1 })
+      .lean();
+
+    const candidates = [];
+    for (const user of users) {
+      const amount = this.calculateDecayAmount(decay, user.xp);
+      if (amount <= 0) continue;
+      const newXP = user.xp - amount;
+      candidates.push({
+        userId: user.userId,
+        xp: user.xp,
+        level: user.level,
+        amount,
+        newXP,
+        newLevel: this.levelingManager.getLevelFromXP(newXP, config.levelCurve),
+        lastActiveAt: Math.max(
+          user.lastMessageTimestamp ?? 0,
+          new Date(user.updatedAt).getTime() || 0,
+        ),
+      });
+    }
+    return candidates;
+  }
+
+  /**
+   * Menerapkan satu hari decay XP ke semua pengguna tidak aktif di satu server.
+   * Waktu eksekusi dicatat di `decay.lastRunAt` sebelum XP dikurangi agar restart bot tidak menerapkan decay ganda.
+   * @method applyGuildDecay
+   * @param {string} guildId - ID server Discord.
+   * @returns {Promise<{affected: number, totalXP: number}|null>} Ringkasan decay, atau `null` jika terjadi error.
+   * @fires LevelingSystem#decayApplied
+   * @async
+   */
+  async applyGuildDecay(guildId) {
+    try {
+      const config = await this.guildConfigManager.getConfig(guildId);
+      const candidates = await this.getDecayCandidates(guildId, config);
+      await this.guildConfigManager.updateConfig(guildId, {
+        "decay.lastRunAt": new Date(),
+      });
+
+      let affected = 0;
+      let totalXP = 0;
+      for (const candidate of candidates) {
+        const result = await this.levelingManager.removeXP(
+          guildId,
+          candidate.userId,
+          candidate.amount,
+          "decay",
+          { touchTimestamps: false },
+        );
+        if (result) {
+          affected++;
+          totalXP += candidate.amount;
+        }
+      }
+
+      console.log(
+        `[DecayManager] Decay diterapkan di guild ${guildId}: ${affected} pengguna, total ${totalXP} XP.`,
+      );
+      /**
+       * Event dipicu setelah decay XP harian diterapkan di satu server.
+       * @event LevelingSystem#decayApplied
+       * @type {object}
+       * @property {string} guildId - ID server.
+       * @property {number} affected - Jumlah pengguna yang XP-nya dikurangi.
+       * @property {number} totalXP - Total XP yang dikurangi.
+       */
+      this.system.emit("decayApplied", { guildId, affected, totalXP });
+      return { affected, totalXP };
+    } catch (error) {
+      console.error(
+        `[DecayManager] Gagal menerapkan decay untuk guild ${guildId}:`,
+        error,
+      );
+      this.system.emit(
+        "error",
+        new Error(`Failed to apply decay for ${guildId}: ${error.message}`),
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Memeriksa semua server yang mengaktifkan decay dan menerapkan decay
+   * pada server yang belum diproses dalam 24 jam terakhir.
+   * Hanya server yang masih ada di cache client yang diproses.
+   * @method runDecay
+   * @returns {Promise<void>}
+   * @async
+   */
+  async runDecay() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const guilds = await GuildConfig.find({ "decay.enabled": true })
+        .select("guildId decay.lastRunAt")
+        .lean();
+      const now = Date.now();
+
+      for (const guild of guilds) {
+        if (!this.system.client.guilds.cache.has(guild.guildId)) continue;
+        const lastRunAt = guild.decay?.lastRunAt
+          ? new Date(guild.decay.lastRunAt).getTime()
+          : 0;
+        if (now - lastRunAt < DAY_MILLIS) continue;
+        await this.applyGuildDecay(guild.guildId);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Menghentikan interval pengecekan decay. Dipanggil saat bot shutdown.
+   * @method shutdown
+   */
+  shutdown() {
+    if (this.decayInterval) {
+      clearInterval(this.decayInterval);
+      this.decayInterval = null;
+      console.log("[DecayManager] Interval decay XP dihentikan.");
+    }
+  }
+}
+
+module.exports = DecayManager;
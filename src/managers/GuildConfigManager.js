@@ -70,7 +70,34 @@ class GuildConfigManager {
     normalized.channelMultipliers = new Map(
       Object.entries(config.channelMultipliers || {}),
     );
-    normalized.levelRoles = new Map(Object.entries(config.levelRoles || {}));
+    normalized.levelRewards = this._normalizeLevelRewards(config);
+    // Tampilan format lama (level -> role pertama paket) untuk kode yang masih membaca `levelRoles`.
+    // Diturunkan dari levelRewards; tidak disimpan kembali ke database (lihat updateConfig).
+    normalized.levelRoles = new Map(
+      [...normalized.levelRewards.entries()]
+        .filter(([, bundle]) => bundle.roles.length > 0)
+        .map(([levelStr, bundle]) => [levelStr, bundle.roles[0]]),
+    );
+    normalized.rewardRules = (
+      Array.isArray(config.rewardRules) ? config.rewardRules : []
+    )
+      .map((rule) => ({
+        start: Math.floor(Number(rule?.start)),
+        end: rule?.end != null ? Math.floor(Number(rule.end)) : null,
+        every: rule?.every > 0 ? Math.floor(Number(rule.every)) : null,
+        roleId: rule?.roleId || null,
+        channelId: rule?.channelId || null,
+        message: rule?.message || null,
+      }))
+      .filter(
+        (rule) =>
+          rule.start >= 1 &&
+          (rule.end == null || rule.end >= rule.start) &&
+          (rule.roleId || rule.message),
+      );
+    normalized.prestigeRoles = new Map(
+      Object.entries(config.prestigeRoles || {}),
+    );
 
     normalized.ignoredRoles = Array.isArray(config.ignoredRoles)
       ? config.ignoredRoles
@@ -82,6 +109,11 @@ class GuildConfigManager {
     normalized.xpPerMessage = Number(
       config.xpPerMessage ?? this.defaultConfig?.xpPerMessage ?? 15,
     );
+    // Config lama tanpa rentang memakai xpPerMessage sebagai nilai tetap.
+    const rangeMin = Number(config.xpPerMessageMin ?? normalized.xpPerMessage);
+    const rangeMax = Number(config.xpPerMessageMax ?? normalized.xpPerMessage);
+    normalized.xpPerMessageMin = Math.max(0, Math.min(rangeMin, rangeMax));
+    normalized.xpPerMessageMax = Math.max(0, Math.max(rangeMin, rangeMax));
     normalized.xpPerMinuteVoice = Number(
       config.xpPerMinuteVoice ?? this.defaultConfig?.xpPerMinuteVoice ?? 5,
     );
@@ -90,13 +122,58 @@ class GuildConfigManager {
         this.defaultConfig?.messageCooldownSeconds ??
         60,
     );
+    normalized.maxLevel = Math.max(
+      0,
+      Number(config.maxLevel ?? this.defaultConfig?.maxLevel ?? 0),
+    );
+    normalized.prestigeXpBonus = Math.max(
+      0,
+      Number(
+        config.prestigeXpBonus ?? this.defaultConfig?.prestigeXpBonus ?? 0,
+      ),
+    );
+    normalized.ledgerRetentionDays = Math.max(
+      0,
+      Number(
+        config.ledgerRetentionDays ??
+          this.defaultConfig?.ledgerRetentionDays ??
+          30,
+      ),
+    );
     normalized.levelUpMessageEnabled = config.levelUpMessageEnabled !== false;
+    normalized.restoreRolesOnRejoin = config.restoreRolesOnRejoin !== false;
+    const leavePolicy = config.leavePolicy || {};
+    normalized.leavePolicy = {
+      mode: ["keep", "hide", "delete"].includes(leavePolicy.mode)
+        ? leavePolicy.mode
+        : "keep",
+      graceDays: Math.min(
+        365,
+        Math.max(1, Math.floor(Number(leavePolicy.graceDays) || 30)),
+      ),
+    };
     normalized.enablePenaltySystem = config.enablePenaltySystem === true;
     normalized.leaderboardStyle = ["card", "text"].includes(
       config.leaderboardStyle,
     )
       ? config.leaderboardStyle
       : "card";
+    normalized.multiplierStacking = [
+      "highest",
+      "multiplicative",
+      "additive",
+      "capped",
+    ].includes(config.multiplierStacking)
+      ? config.multiplierStacking
+      : "highest";
+    normalized.multiplierCap = Math.max(1, Number(config.multiplierCap ?? 3));
+    normalized.boosterStacking = [
+      "highest",
+      "multiplicative",
+      "additive",
+    ].includes(config.boosterStacking)
+      ? config.boosterStacking
+      : "highest";
 
     const validStrategies = ["keep_all", "highest_only", "remove_previous"];
     normalized.roleRemovalStrategy = validStrategies.includes(
@@ -105,9 +182,266 @@ class GuildConfigManager {
       ? config.roleRemovalStrategy
       : "keep_all";
 
+    normalized.levelCurve = this._normalizeLevelCurve(config.levelCurve);
+
+    normalized.timezone = this.isValidTimezone(config.timezone)
+      ? config.timezone
+      : "UTC";
+
+    const streaks = config.streaks || {};
+    normalized.streaks = {
+      enabled: streaks.enabled === true,
+      multiplierPerDay: Math.min(
+        0.5,
+        Math.max(0, Number(streaks.multiplierPerDay ?? 0)),
+      ),
+      maxMultiplier: Math.max(1, Number(streaks.maxMultiplier ?? 1.5)),
+      milestones: (Array.isArray(streaks.milestones) ? streaks.milestones : [])
+        .map((m) => ({
+          days: Math.floor(Number(m?.days)),
+          xp: Math.floor(Number(m?.xp)),
+        }))
+        .filter((m) => m.days >= 1 && m.xp >= 1)
+        .sort((a, b) => a.days - b.days),
+    };
+
+    const voiceRules = config.voiceRules || {};
+    normalized.voiceRules = {
+      minMembers: Math.max(1, Math.floor(Number(voiceRules.minMembers ?? 1))),
+      selfMuteMultiplier: Math.max(
+        0,
+        Number(voiceRules.selfMuteMultiplier ?? 1),
+      ),
+      intervalMinutes: Math.min(
+        60,
+        Math.max(1, Math.floor(Number(voiceRules.intervalMinutes ?? 5))),
+      ),
+    };
+
+    const reactionXp = config.reactionXp || {};
+    normalized.reactionXp = {
+      enabled: reactionXp.enabled === true,
+      xpPerReaction: Math.max(0, Number(reactionXp.xpPerReaction ?? 5)),
+      maxPerMessage: Math.max(
+        0,
+        Math.floor(Number(reactionXp.maxPerMessage ?? 10)),
+      ),
+      maxPerAuthorPerHour: Math.max(
+        0,
+        Math.floor(Number(reactionXp.maxPerAuthorPerHour ?? 100)),
+      ),
+      cooldownSeconds: Math.max(0, Number(reactionXp.cooldownSeconds ?? 60)),
+    };
+
+    const voiceMultipliers = config.voiceMultipliers || {};
+    normalized.voiceMultipliers = {
+      stream: Math.max(1, Number(voiceMultipliers.stream ?? 1)),
+      video: Math.max(1, Number(voiceMultipliers.video ?? 1)),
+      stageSpeaker: Math.max(0.1, Number(voiceMultipliers.stageSpeaker ?? 1)),
+      stageAudience: Math.max(0, Number(voiceMultipliers.stageAudience ?? 0)),
+    };
+
+    const filters = config.messageFilters || {};
+    normalized.messageFilters = {
+      minChars: Math.max(0, Number(filters.minChars ?? 0)),
+      minWords: Math.max(0, Number(filters.minWords ?? 0)),
+      ignorePatterns: Array.isArray(filters.ignorePatterns)
+        ? filters.ignorePatterns.filter((p) => typeof p === "string" && p)
+        : [],
+      ignoreEmojiOnly: filters.ignoreEmojiOnly === true,
+      ignoreStickerOnly: filters.ignoreStickerOnly !== false,
+      duplicateSimilarity: Math.min(
+        100,
+        Math.max(0, Number(filters.duplicateSimilarity ?? 0)),
+      ),
+    };
+
+    const decay = config.decay || {};
+    normalized.decay = {
+      enabled: decay.enabled === true,
+      inactiveDays: Math.max(1, Number(decay.inactiveDays ?? 30)),
+      mode: ["percent", "flat"].includes(decay.mode) ? decay.mode : "percent",
+      amount: Math.max(0, Number(decay.amount ?? 5)),
+      floorXP: Math.max(0, Number(decay.floorXP ?? 0)),
+      lastRunAt: decay.lastRunAt ? new Date(decay.lastRunAt) : null,
+    };
+
+    const season = config.season || {};
+    normalized.season = {
+      active: season.active === true,
+      number: Math.max(0, Number(season.number ?? 0)),
+      name: season.name ?? null,
+      startedAt: season.startedAt ? new Date(season.startedAt) : null,
+    };
+
     return normalized;
   }
 
+  /**
+   * Memeriksa apakah string adalah zona waktu IANA yang dikenali runtime (misal: `Asia/Jakarta`).
+   * @method isValidTimezone
+   * @param {string} timezone - Nama zona waktu.
+   * @returns {boolean} `true` jika zona waktu valid.
+   */
+  isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== "string") return false;
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Menormalisasi konfigurasi dari database setelah digabung dengan konfigurasi default.
+   * Rentang XP pesan (`xpPerMessageMin`/`xpPerMessageMax`) tidak diambil dari default, agar
+   * dokumen lama tanpa rentang tetap memakai `xpPerMessage` yang tersimpan sebagai nilai tetap.
+   * @method _normalizeStoredConfig
+   * @param {object} dbConfig - Dokumen konfigurasi mentah dari database.
+   * @param {string} guildId - ID server Discord.
+   * @returns {object} Objek konfigurasi yang sudah dinormalisasi.
+   * @private
+   */
+  _normalizeStoredConfig(dbConfig, guildId) {
+    const {
+      xpPerMessageMin: _defaultMin,
+      xpPerMessageMax: _defaultMax,
+      ...defaults
+    } = this.defaultConfig;
+    return this._normalizeConfig({ ...defaults, ...dbConfig, guildId });
+  }
+
+  /**
+   * Menggabungkan role reward format lama (`levelRoles`, satu role per level) dan paket reward
+   * (`levelRewards`) menjadi satu Map paket reward yang terurut berdasarkan level.
+   * Level yang tidak valid dan paket yang kosong diabaikan.
+   * @method _normalizeLevelRewards
+   * @param {object} config - Objek konfigurasi mentah.
+   * @returns {Map<string, {roles: string[], message: string|null, xp: number, dm: string|null}>}
+   *          Map level (string) ke paket reward.
+   * @private
+   */
+  _normalizeLevelRewards(config) {
+    const toEntries = (value) =>
+      value instanceof Map ? [...value.entries()] : Object.entries(value || {});
+
+    const rewards = new Map();
+    for (const [levelStr, roleId] of toEntries(config.levelRoles)) {
+      if (roleId) {
+        rewards.set(levelStr, {
+          roles: [roleId],
+          message: null,
+          xp: 0,
+          dm: null,
+        });
+      }
+    }
+    for (const [levelStr, bundle] of toEntries(config.levelRewards)) {
+      const legacyRoles = rewards.get(levelStr)?.roles ?? [];
+      rewards.set(levelStr, {
+        roles: [
+          ...new Set([
+            ...legacyRoles,
+            ...(Array.isArray(bundle?.roles) ? bundle.roles : []),
+          ]),
+        ],
+        message: bundle?.message || null,
+        xp: Math.max(0, Math.floor(Number(bundle?.xp) || 0)),
+        dm: bundle?.dm || null,
+      });
+    }
+
+    return new Map(
+      [...rewards.entries()]
+        .filter(([levelStr, bundle]) => {
+          const level = parseInt(levelStr, 10);
+          const hasItems =
+            bundle.roles.length > 0 ||
+            bundle.message ||
+            bundle.xp > 0 ||
+            bundle.dm;
+          return level >= 1 && hasItems;
+        })
+        .sort((a, b) => parseInt(a[0], 10) - parseInt(b[0], 10)),
+    );
+  }
+
+  /**
+   * Menormalisasi objek kurva level (`levelCurve`) dan memastikan kurva naik secara ketat.
+   * Kurva yang tidak valid (misal: tabel kosong/tidak naik, growth <= 1) dikembalikan ke kurva kuadrat default.
+   * @method _normalizeLevelCurve
+   * @param {object} [curve] - Objek kurva level mentah.
+   * @returns {object} Objek kurva level yang sudah dinormalisasi.
+   * @private
+   */
+  _normalizeLevelCurve(curve) {
+    const defaultCurve = {
+      formula: "quadratic",
+      a: 5,
+      b: 50,
+      c: 100,
+      step: 100,
+      base: 100,
+      growth: 1.2,
+      table: [],
+    };
+    if (!curve || typeof curve !== "object") return defaultCurve;
+
+    const normalized = {
+      formula: curve.formula,
+      a: Number(curve.a ?? defaultCurve.a),
+      b: Number(curve.b ?? defaultCurve.b),
+      c: Number(curve.c ?? defaultCurve.c),
+      step: Number(curve.step ?? defaultCurve.step),
+      base: Number(curve.base ?? defaultCurve.base),
+      growth: Number(curve.growth ?? defaultCurve.growth),
+      table: Array.isArray(curve.table) ? curve.table.map(Number) : [],
+    };
+
+    return this.isValidLevelCurve(normalized) ? normalized : defaultCurve;
+  }
+
+  /**
+   * Memeriksa apakah objek kurva level valid (formula dikenal dan menghasilkan XP yang naik secara ketat per level).
+   * @method isValidLevelCurve
+   * @param {object} curve - Objek kurva level.
+   * @returns {boolean} `true` jika kurva valid.
+   */
+  isValidLevelCurve(curve) {
+    if (!curve) return false;
+    const isNonNegative = (value) => Number.isFinite(value) && value >= 0;
+    switch (curve.formula) {
+      case "quadratic":
+        return (
+          isNonNegative(curve.a) &&
+          isNonNegative(curve.b) &&
+          isNonNegative(curve.c) &&
+          curve.a + curve.b > 0
+        );
+      case "linear":
+        return Number.isFinite(curve.step) && curve.step >= 1;
+      case "exponential":
+        return (
+          Number.isFinite(curve.base) &&
+          curve.base >= 1 &&
+          Number.isFinite(curve.growth) &&
+          curve.growth > 1
+        );
+      case "table":
+        return (
+          Array.isArray(curve.table) &&
+          curve.table.length > 0 &&
+          curve.table.every(
+            (xp, i) =>
+              Number.isFinite(xp) && xp > (i === 0 ? 0 : curve.table[i - 1]),
+          )
+        );
+      default:
+        return false;
+    }
+  }
+
   /**
    * Mengambil konfigurasi untuk server (guild) tertentu.
    * Prioritas: Cache -> Database -> Default Config.
@@ -138,11 +472,7 @@ class GuildConfigManager {
     if (!dbConfig) {
       finalConfig = { ...this.defaultConfig, guildId };
     } else {
-      finalConfig = this._normalizeConfig({
-        ...this.defaultConfig,
-        ...dbConfig,
-        guildId,
-      });
+      finalConfig = this._normalizeStoredConfig(dbConfig, guildId);
     }
 
     this.cacheManager.set(cacheKey, finalConfig, 1800);
@@ -173,7 +503,16 @@ class GuildConfigManager {
 
     try {
       const updateData = { ...newSettings };
-      const mapFields = ["roleMultipliers", "channelMultipliers", "levelRoles"];
+      // levelRewards hasil normalisasi sudah memuat role format lama, jadi format lama (termasuk
+      // tampilan `levelRoles` dari konfigurasi yang dinormalisasi) dikosongkan, bukan disimpan.
+      if (updateData.levelRewards) updateData.levelRoles = new Map();
+      const mapFields = [
+        "roleMultipliers",
+        "channelMultipliers",
+        "levelRoles",
+        "levelRewards",
+        "prestigeRoles",
+      ];
       mapFields.forEach((field) => {
         if (updateData[field] instanceof Map) {
           updateData[field] = Object.fromEntries(updateData[field]);
@@ -192,6 +531,15 @@ class GuildConfigManager {
         );
         delete updateData.roleRemovalStrategy;
       }
+      if (
+        updateData.levelCurve &&
+        !this.isValidLevelCurve(updateData.levelCurve)
+      ) {
+        console.warn(
+          `[GuildConfigManager] Nilai tidak valid untuk levelCurve (${updateData.levelCurve.formula}). Update field ini dilewati.`,
+        );
+        delete updateData.levelCurve;
+      }
       const validStyles = ["card", "text"];
       if (
         updateData.leaderboardStyle &&
@@ -202,6 +550,31 @@ class GuildConfigManager {
         );
         delete updateData.leaderboardStyle;
       }
+      const validMultiplierStackings = [
+        "highest",
+        "multiplicative",
+        "additive",
+        "capped",
+      ];
+      if (
+        updateData.multiplierStacking &&
+        !validMultiplierStackings.includes(updateData.multiplierStacking)
+      ) {
+        console.warn(
+          `[GuildConfigManager] Nilai tidak valid untuk multiplierStacking: ${updateData.multiplierStacking}. Update field ini dilewati.`,
+        );
+        delete updateData.multiplierStacking;
+      }
+      const validStackings = ["highest", "multiplicative", "additive"];
+      if (
+        updateData.boosterStacking &&
+        !validStackings.includes(updateData.boosterStacking)
+      ) {
+        console.warn(
+          `[GuildConfigManager] Nilai tidak valid untuk boosterStacking: ${updateData.boosterStacking}. Update field ini dilewati.`,
+        );
+        delete updateData.boosterStacking;
+      }
 
       const updatedConfigLean = await GuildConfig.findOneAndUpdate(
         { guildId },
@@ -220,11 +593,10 @@ class GuildConfigManager {
         );
       }
 
-      const finalConfig = this._normalizeConfig({
-        ...this.defaultConfig,
-        ...updatedConfigLean,
+      const finalConfig = this._normalizeStoredConfig(
+        updatedConfigLean,
         guildId,
-      });
+      );
       const cacheKey = `config-${guildId}`;
       this.cacheManager.set(cacheKey, finalConfig, 1800);
 
@@ -0,0 +1,268 @@
+/**
+ * @description Mengelola data leveling member yang keluar dari server sesuai kebijakan server
+ *              (`leavePolicy`): data tetap disimpan (`keep`), disembunyikan dari leaderboard hingga
+ *              member kembali (`hide`), atau dihapus setelah masa tenggang (`delete`).
+ *              Secara periodik menghapus data member yang masa tenggangnya sudah lewat.
+ * @requires ../database/schemas/GuildConfig - Untuk mencari server dengan kebijakan `delete`.
+ * @requires ../database/schemas/UserLevel - Untuk menandai dan menghapus data member yang keluar.
+ * @requires ../database/schemas/UserDailyXP - Untuk menghapus counter XP harian member yang dihapus.
+ * @requires ../core/LevelingSystem - (tipe parameter) Untuk akses instance dan emit event.
+ * @requires ./CacheManager - (tipe parameter) Untuk membersihkan cache data level.
+ * @requires ./GuildConfigManager - (tipe parameter) Untuk membaca kebijakan server.
+ */
+
+const GuildConfig = require("../database/schemas/GuildConfig");
+const UserLevel = require("../database/schemas/UserLevel");
+const UserDailyXP = require("../database/schemas/UserDailyXP");
+
+const DAY_MILLIS = 24 * 60 * 60 * 1000;
+
+/**
+ * Jumlah member yang diperiksa sekaligus sebelum data member yang keluar dihapus.
+ * @const {number}
+ */
+const MEMBER_FETCH_BATCH_SIZE = 100;
+
+/**
+ * @class LeavePolicyManager
+ * @classdesc Menandai waktu member keluar (`UserLevel.leftAt`), menghapus tanda tersebut saat
+ *            member kembali, dan menjalankan job pembersihan untuk kebijakan `delete`.
+ *            Penyaringan leaderboard dilakukan oleh `LevelingManager`.
+ */
+class LeavePolicyManager {
+  /**
+   * Membuat instance LeavePolicyManager.
+   * @constructor
+   * @param {import('../core/LevelingSystem')} system - Instance LevelingSystem utama.
+   * @param {import('./CacheManager')} cacheManager - Instance CacheManager.
+   * @param {import('./GuildConfigManager')} guildConfigManager - Instance GuildConfigManager.
+   * @throws {Error} Jika salah satu dependensi tidak disediakan.
+   */
+  constructor(system, cacheManager, guildConfigManager) {
+    if (!system || !cacheManager || !guildConfigManager) {
+      throw new Error(
+        "[LeavePolicyManager] System, CacheManager, dan GuildConfigManager diperlukan.",
+      );
+    }
+    /**
+     * Referensi ke instance LevelingSystem utama.
+     * @type {import('../core/LevelingSystem')}
+     * @private
+     */
+    this.system = system;
+    /**
+     * Referensi ke instance CacheManager.
+     * @type {import('./CacheManager')}
+     * @private
+     */
+    this.cacheManager = cacheManager;
+    /**
+     * Referensi ke instance GuildConfigManager.
+     * @type {import('./GuildConfigManager')}
+     * @private
+     */
+    this.guildConfigManager = guildConfigManager;
+    /**
+     * ID dari interval timer Node.js untuk pembersihan data member yang keluar.
+     * @type {NodeJS.Timeout|null}
+     * @private
+     */
+    this.cleanupInterval = null;
+    /**
+     * Interval pengecekan pembersihan (dalam milidetik).
+     * @type {number}
+     * @private
+     */
+    this.checkIntervalMillis = 60 * 60 * 1000;
+    /**
+     * Menandakan apakah job pembersihan sedang berjalan, untuk mencegah eksekusi tumpang tindih.
+     * @type {boolean}
+     * @private
+     */
+    this.running = false;
+
+    this._startInterval();
+    console.log(
+      "[LeavePolicyManager] Siap. Pembersihan data member yang keluar setiap 1 jam.",
+    );
+  }
+
+  /**
+   * Memulai atau me-restart interval timer untuk {@link runCleanup}.
+   * @method _startInterval
+   * @private
+   */
+  _startInterval() {
+    if (this.cleanupInterval) clearInterval(this.cleanupInterval);
+    this.cleanupInterval = setInterval(() => {
+      this.runCleanup().catch((error) => {
+        console.error(
+          "[LeavePolicyManager] Error dalam interval pembersihan:",
+          error,
+        );
+        this.system.emit(
+          "error",
+          new Error(`Leave policy cleanup interval error: ${error.message}`),
+        );
+      });
+    }, this.checkIntervalMillis);
+  }
+
+  /**
+   * Mencatat bahwa member keluar dari server. Waktu keluar selalu dicatat (apa pun kebijakannya)
+   * agar perubahan kebijakan di kemudian hari tetap berlaku untuk member yang sudah keluar.
+   * Tidak dihitung sebagai aktivitas (`updatedAt` tidak berubah).
+   * @method markMemberLeft
+   * @param {string} guildId - ID server Discord.
+   * @param {string} userId - ID pengguna Discord.
+   * @returns {Promise<boolean>} `true` jika pengguna memiliki data level yang ditandai.
+   * @async
+   */
+  async markMemberLeft(guildId, userId) {
+    const result = await UserLevel.updateOne(
+      { guildId, userId },
+      { $set: { leftAt: new Date() } },
+      { timestamps: false },
+    );
+    this.cacheManager.del(`level-${guildId}-${userId}`);
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Menghapus tanda keluar saat member bergabung kembali, sehingga datanya tampil lagi di leaderboard
+   * dan tidak ikut dihapus oleh job pembersihan.
+   * @method markMemberReturned
+   * @param {string} guildId - ID server Discord.
+   * @param {string} userId - ID pengguna Discord.
+   * @returns {Promise<void>}
+   * @async
+   */
+  async markMemberReturned(guildId, userId) {
+    await UserLevel.updateOne(
+      { guildId, userId, leftAt: { $ne: null } },
+      { $set: { leftAt: null } },
+      { timestamps: false },
+    );
+    this.cacheManager.del(`level-${guildId}-${userId}`);
+  }
+
+  /**
+   * Menghapus data leveling member yang keluar lebih lama dari masa tenggang server.
+   * Sebelum dihapus, keberadaan member dipastikan lewat Discord: member yang ternyata masih
+   * ada (misal bergabung lagi saat bot offline) dihapus tandanya dan datanya tidak disentuh.
+   * Batch yang gagal diperiksa dilewati hingga pembersihan berikutnya.
+   * Riwayat XP (ledger) tetap disimpan sesuai retensinya sendiri.
+   * @method purgeGuild
+   * @param {string} guildId - ID server Discord.
+   * @param {object} [config=null] - Konfigurasi server (diambil jika tidak diberikan).
+   * @returns {Promise<number|null>} Jumlah data pengguna yang dihapus, atau `null` jika terjadi error.
+   * @fires LevelingSystem#departedMembersPurged
+   * @async
+   */
+  async purgeGuild(guildId, config = null) {
+    try {
+      config = config || (await this.guildConfigManager.getConfig(guildId));
+      if (config.leavePolicy.mode !== "delete") return 0;
+      const cutoff = new Date(
+        Date.now() - config.leavePolicy.graceDays * DAY_MILLIS,
+      );
+
+      const guild = this.system.client.guilds.cache.get(guildId);
+      if (!guild) return 0;
+
+      const candidates = await UserLevel.distinct("userId", {
+        guildId,
+        leftAt: { $ne: null, $lte: cutoff },
+      });
+      const userIds = [];
+      for (let i = 0; i < candidates.length; i += MEMBER_FETCH_BATCH_SIZE) {
+        const batch = candidates.slice(i, i + MEMBER_FETCH_BATCH_SIZE);
+        let present;
+        try {
+          present = await guild.members.fetch({ user: batch });
+        } catch (error) {
+          console.warn(
+            `[LeavePolicyManager] Gagal memeriksa member guild ${guildId}, batch dilewati: ${error.message}`,
+          );
+          continue;
+        }
+        for (const userId of batch) {
+          if (present.has(userId)) {
+            await this.markMemberReturned(guildId, userId);
+          } else {
+            userIds.push(userId);
+          }
+        }
+      }
+      if (userIds.length === 0) return 0;
+
+      await UserLevel.deleteMany({ guildId, userId: { $in: userIds } });
+      await UserDailyXP.deleteMany({ guildId, userId: { $in: userIds } });
+      this.cacheManager.del(
+        userIds.map((userId) => `level-${guildId}-${userId}`),
+      );
+
+      console.log(
+        `[LeavePolicyManager] ${userIds.length} data member yang keluar dihapus dari guild ${guildId}.`,
+      );
+      /**
+       * Event dipicu setelah data leveling member yang keluar dihapus karena masa tenggang habis.
+       * @event LevelingSystem#departedMembersPurged
+       * @type {object}
+       * @property {string} guildId - ID server.
+       * @property {string[]} userIds - ID pengguna yang datanya dihapus.
+       */
+      this.system.emit("departedMembersPurged", { guildId, userIds });
+      return userIds.length;
+    } catch (error) {
+      console.error(
+        `[LeavePolicyManager] Gagal menghapus data member yang keluar untuk guild ${guildId}:`,
+        error,
+      );
+      this.system.emit(
+        "error",
+        new Error(
+          `Failed to purge departed members for ${guildId}: ${error.message}`,
+        ),
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Memeriksa semua server dengan kebijakan `delete` dan menghapus data member yang masa tenggangnya habis.
+   * Hanya server yang masih ada di cache client yang diproses.
+   * @method runCleanup
+   * @returns {Promise<void>}
+   * @async
+   */
+  async runCleanup() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const guilds = await GuildConfig.find({ "leavePolicy.mode": "delete" })
+        .select("guildId")
+        .lean();
+      for (const guild of guilds) {
+        if (!this.system.client.guilds.cache.has(guild.guildId)) continue;
+        await this.purgeGuild(guild.guildId);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Menghentikan interval pembersihan. Dipanggil saat bot shutdown.
+   * @method shutdown
+   */
+  shutdown() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+      console.log("[LeavePolicyManager] Interval pembersihan dihentikan.");
+    }
+  }
+}
+
+module.exports = LeavePolicyManager;
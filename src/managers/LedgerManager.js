@@ -0,0 +1,115 @@
+/**
+ * @description Mengelola ledger (buku catatan) transaksi XP untuk keperluan audit.
+ *              Setiap penambahan dan pengurangan XP dicatat beserta sumber, level hasil,
+ *              dan aktor (untuk aksi admin). Entri kedaluwarsa sesuai retensi per server.
+ * @requires ../database/schemas/XPLedger - Skema Mongoose untuk entri ledger XP.
+ * @requires ../core/LevelingSystem - (tipe parameter) Untuk akses instance dan emit event.
+ * @requires ./GuildConfigManager - (tipe parameter) Untuk membaca retensi ledger server.
+ */
+
+const XPLedger = require("../database/schemas/XPLedger");
+
+/**
+ * @class LedgerManager
+ * @classdesc Menyediakan pencatatan dan pembacaan riwayat transaksi XP per pengguna.
+ */
+class LedgerManager {
+  /**
+   * Membuat instance LedgerManager.
+   * @constructor
+   * @param {import('../core/LevelingSystem')} system - Instance LevelingSystem utama.
+   * @param {import('./GuildConfigManager')} guildConfigManager - Instance GuildConfigManager.
+   * @throws {Error} Jika salah satu dependensi tidak disediakan.
+   */
+  constructor(system, guildConfigManager) {
+    if (!system || !guildConfigManager) {
+      throw new Error(
+        "[LedgerManager] System dan GuildConfigManager diperlukan.",
+      );
+    }
+    /**
+     * Referensi ke instance LevelingSystem utama.
+     * @type {import('../core/LevelingSystem')}
+     * @private
+     */
+    this.system = system;
+    /**
+     * Referensi ke instance GuildConfigManager.
+     * @type {import('./GuildConfigManager')}
+     * @private
+     */
+    this.guildConfigManager = guildConfigManager;
+    console.log("[LedgerManager] Siap.");
+  }
+
+  /**
+   * Mencatat satu transaksi XP ke ledger. Error hanya dicatat ke log
+   * agar kegagalan audit tidak menggagalkan perubahan XP.
+   * @method record
+   * @param {string} guildId - ID server Discord.
+   * @param {string} userId - ID pengguna Discord.
+   * @param {object} entry - Data transaksi.
+   * @param {number} entry.delta - Perubahan XP (positif atau negatif).
+   * @param {string} entry.source - Sumber atau alasan perubahan (misal: 'message', 'voice', 'penalty').
+   * @param {number} entry.level - Level pengguna setelah perubahan.
+   * @param {number} entry.xp - Total XP pengguna setelah perubahan.
+   * @param {string|null} [entry.actorId=null] - ID pengguna yang melakukan aksi (untuk aksi admin).
+   * @param {string|null} [entry.note=null] - Catatan tambahan (misal: alasan aksi admin).
+   * @returns {Promise<void>}
+   * @async
+   */
+  async record(guildId, userId, entry) {
+    if (!entry?.delta) return;
+    try {
+      const config = await this.guildConfigManager.getConfig(guildId);
+      const retentionDays = config.ledgerRetentionDays ?? 30;
+      await XPLedger.create({
+        guildId,
+        userId,
+        delta: entry.delta,
+        source: entry.source || "unknown",
+        level: entry.level ?? 0,
+        xp: entry.xp ?? 0,
+        actorId: entry.actorId ?? null,
+        note: entry.note ?? null,
+        expiresAt:
+          retentionDays > 0
+            ? new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000)
+            : null,
+      });
+    } catch (error) {
+      console.error(
+        `[LedgerManager] Gagal mencatat transaksi XP untuk ${userId}@${guildId}:`,
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Mengambil riwayat transaksi XP pengguna, terbaru lebih dulu, dengan paginasi.
+   * @method getUserHistory
+   * @param {string} guildId - ID server Discord.
+   * @param {string} userId - ID pengguna Discord.
+   * @param {number} [page=1] - Nomor halaman (dimulai dari 1).
+   * @param {number} [pageSize=10] - Jumlah entri per halaman (dibatasi hingga 25).
+   * @returns {Promise<{entries: Array<object>, total: number, page: number, pages: number}>}
+   *          Entri ledger (lean) pada halaman tersebut beserta info paginasi.
+   * @async
+   */
+  async getUserHistory(guildId, userId, page = 1, pageSize = 10) {
+    const safeSize = Math.max(1, Math.min(pageSize, 25));
+    const total = await XPLedger.countDocuments({ guildId, userId });
+    const pages = Math.max(1, Math.ceil(total / safeSize));
+    const safePage = Math.max(1, Math.min(page, pages));
+
+    const entries = await XPLedger.find({ guildId, userId })
+      .sort({ createdAt: -1 })
+      .skip((safePage - 1) * safeSize)
+      .limit(safeSize)
+      .lean();
+
+    return { entries, total, page: safePage, pages };
+  }
+}
+
+module.exports = LedgerManager;
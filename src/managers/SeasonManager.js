@@ -0,0 +1,367 @@
+/**
+ * @description Mengelola season kompetitif per server: memulai season, mengakhiri season
+ *              dengan menyimpan snapshot peringkat ke koleksi arsip, dan membaca arsip season lama.
+ *              XP season (`seasonXp`) terpisah dari XP seumur hidup (`xp`) yang tidak pernah disentuh.
+ * @requires ../database/schemas/SeasonArchive - Skema Mongoose untuk arsip season.
+ * @requires ../database/schemas/SeasonArchiveEntry - Skema Mongoose untuk entri peringkat arsip season.
+ * @requires ../database/schemas/UserLevel - Skema Mongoose untuk data level pengguna.
+ * @requires ../core/LevelingSystem - (tipe parameter) Untuk akses instance dan emit event.
+ * @requires ./CacheManager - (tipe parameter) Untuk membersihkan cache data level.
+ * @requires ./GuildConfigManager - (tipe parameter) Untuk membaca dan menyimpan status season.
+ */
+
+const SeasonArchive = require("../database/schemas/SeasonArchive");
+const SeasonArchiveEntry = require("../database/schemas/SeasonArchiveEntry");
+const UserLevel = require("../database/schemas/UserLevel");
+
+/**
+ * Jumlah entri peringkat yang disimpan dalam satu `insertMany` saat season diarsipkan.
+ * @const {number}
+ * @private
+ */
+const ARCHIVE_INSERT_BATCH_SIZE = 1000;
+
+/**
+ * @class SeasonManager
+ * @classdesc Menyediakan operasi untuk siklus hidup season dan akses ke arsip season.
+ *            Status season yang sedang berjalan disimpan di konfigurasi server (`season`).
+ */
+class SeasonManager {
+  /**
+   * Membuat instance SeasonManager.
+   * @constructor
+   * @param {import('../core/LevelingSystem')} system - Instance LevelingSystem utama.
+   * @param {import('./CacheManager')} cacheManager - Instance CacheManager.
+   * @param {import('./GuildConfigManager')} guildConfigManager - Instance GuildConfigManager.
+   * @throws {Error} Jika salah satu dependensi tidak disediakan.
+   */
+  constructor(system, cacheManager, guildConfigManager) {
+    if (!system || !cacheManager || !guildConfigManager) {
+      throw new Error(
+        "[SeasonManager] System, CacheManager, dan GuildConfigManager diperlukan.",
+      );
+    }
+    /**
+     * Referensi ke instance LevelingSystem utama.
+     * @type {import('../core/LevelingSystem')}
+     * @private
+     */
+    this.system = system;
+    /**
+     * Referensi ke instance CacheManager.
+     * @type {import('./CacheManager')}
+     * @private
+     */
+    this.cacheManager = cacheManager;
+    /**
+     * Referensi ke instance GuildConfigManager.
+     * @type {import('./GuildConfigManager')}
+     * @private
+     */
+    this.guildConfigManager = guildConfigManager;
+    console.log("[SeasonManager] Siap.");
+  }
+
+  /**
+   * Mengambil informasi season yang sedang berjalan di server.
+   * @method getActiveSeason
+   * @param {string} guildId - ID server Discord.
+   * @returns {Promise<{number: number, name: string|null, startedAt: Date|null}|null>}
+   *          Data season aktif, atau `null` jika tidak ada season yang berjalan.
+   * @async
+   */
+  async getActiveSeason(guildId) {
+    const config = await this.guildConfigManager.getConfig(guildId);
+    if (!config.season?.active) return null;
+    const { number, name, startedAt } = config.season;
+    return { number, name, startedAt };
+  }
+
+  /**
+   * Memulai season baru di server. Nomor season dinaikkan satu dari season terakhir.
+   * XP season semua pengguna direset ke 0 agar season baru tidak membawa XP season sebelumnya
+   * (misal jika season lalu diakhiri tanpa `resetSeasonXp`). XP season hanya bertambah selama season berjalan.
+   * @method startSeason
+   * @param {string} guildId - ID server Discord.
+   * @param {string|null} [name=null] - Nama season (opsional).
+   * @returns {Promise<{number: number, name: string|null, startedAt: Date}|null>}
+   *          Data season yang dimulai, atau `null` jika masih ada season yang berjalan atau terjadi error.
+   * @fires LevelingSystem#seasonStarted
+   * @async
+   */
+  async startSeason(guildId, name = null) {
+    try {
+      const config = await this.guildConfigManager.getConfig(guildId);
+      if (config.season?.active) return null;
+
+      const season = {
+        active: true,
+        number: (config.season?.number ?? 0) + 1,
+        name: name || null,
+        startedAt: new Date(),
+      };
+      await this._resetSeasonXp(guildId);
+      await this.guildConfigManager.updateConfig(guildId, { season });
+
+      console.log(
+        `[SeasonManager] Season ${season.number} dimulai di guild ${guildId}.`,
+      );
+      /**
+       * Event dipicu saat season baru dimulai di sebuah server.
+       * @event LevelingSystem#seasonStarted
+       * @type {object}
+       * @property {string} guildId
+       * @property {number} season - Nomor season.
+       * @property {string|null} name - Nama season.
+       * @property {Date} startedAt - Waktu season dimulai.
+       */
+      this.system.emit("seasonStarted", {
+        guildId,
+        season: season.number,
+        name: season.name,
+        startedAt: season.startedAt,
+      });
+      return {
+        number: season.number,
+        name: season.name,
+        startedAt: season.startedAt,
+      };
+    } catch (error) {
+      console.error(
+        `[SeasonManager] Gagal memulai season di guild ${guildId}:`,
+        error,
+      );
+      this.system.emit(
+        "error",
+        new Error(`Failed to start season for ${guildId}: ${error.message}`),
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Mengakhiri season yang sedang berjalan. Seluruh peringkat XP season server disimpan
+   * ke koleksi arsip, satu dokumen per peserta (`SeasonArchiveEntry`) yang disimpan per batch.
+   * Jika `resetSeasonXp` bernilai `true`, XP season semua pengguna langsung direset ke 0
+   * (tanpa itu, XP season tetap terlihat hingga season berikutnya dimulai);
+   * XP, level, dan prestige seumur hidup tidak berubah.
+   * @method endSeason
+   * @param {string} guildId - ID server Discord.
+   * @param {object} [options={}] - Opsi tambahan.
+   * @param {boolean} [options.resetSeasonXp=false] - Reset XP season semua pengguna setelah snapshot.
+   * @returns {Promise<object|null>} Dokumen arsip season (lean) yang dibuat beserta `top` (tiga entri teratas),
+   *          atau `null` jika tidak ada season yang berjalan atau terjadi error.
+   * @fires LevelingSystem#seasonEnded
+   * @async
+   */
+  async endSeason(guildId, options = {}) {
+    const resetSeasonXp = options.resetSeasonXp === true;
+    try {
+      const config = await this.guildConfigManager.getConfig(guildId);
+      if (!config.season?.active) return null;
+
+      const users = await UserLevel.find({ guildId, seasonXp: { $gt: 0 } })
+        .sort({ seasonXp: -1, xp: -1 })
+        .select("userId seasonXp xp level prestige")
+        .lean();
+
+      const seasonNumber = config.season.number;
+      const entries = users.map((user, index) => ({
+        guildId,
+        season: seasonNumber,
+        userId: user.userId,
+        rank: index + 1,
+        seasonXp: user.seasonXp,
+        xp: user.xp,
+        level: user.level,
+        prestige: user.prestige ?? 0,
+      }));
+      // Sisa entri dari percobaan sebelumnya yang gagal dibersihkan agar arsip dapat disimpan ulang.
+      await SeasonArchiveEntry.deleteMany({ guildId, season: seasonNumber });
+      for (let i = 0; i < entries.length; i += ARCHIVE_INSERT_BATCH_SIZE) {
+        await SeasonArchiveEntry.insertMany(
+          entries.slice(i, i + ARCHIVE_INSERT_BATCH_SIZE),
+        );
+      }
+
+      const archive = await SeasonArchive.create({
+        guildId,
+        season: seasonNumber,
+        name: config.season.name,
+        startedAt: config.season.startedAt,
+        endedAt: new Date(),
+        seasonXpReset: resetSeasonXp,
+        participants: entries.length,
+      });
+
+      if (resetSeasonXp) {
+        await this._resetSeasonXp(guildId);
+      }
+
+      await this.guildConfigManager.updateConfig(guildId, {
+        "season.active": false,
+      });
+
+      console.log(
+        `[SeasonManager] Season ${archive.season} diakhiri di guild ${guildId}: ${users.length} peserta diarsipkan.`,
+      );
+      /**
+       * Event dipicu saat season berakhir dan snapshot peringkat disimpan ke arsip.
+       * @event LevelingSystem#seasonEnded
+       * @type {object}
+       * @property {string} guildId
+       * @property {number} season - Nomor season.
+       * @property {string|null} name - Nama season.
+       * @property {number} participants - Jumlah pengguna di snapshot.
+       * @property {boolean} seasonXpReset - Apakah XP season direset.
+       * @property {Array<object>} top - Tiga entri teratas snapshot.
+       */
+      const top = entries
+        .slice(0, 3)
+        .map(({ guildId: _guildId, season: _season, ...entry }) => entry);
+      this.system.emit("seasonEnded", {
+        guildId,
+        season: archive.season,
+        name: archive.name,
+        participants: entries.length,
+        seasonXpReset: resetSeasonXp,
+        top,
+      });
+
+      return { ...archive.toObject(), top };
+    } catch (error) {
+      console.error(
+        `[SeasonManager] Gagal mengakhiri season di guild ${guildId}:`,
+        error,
+      );
+      this.system.emit(
+        "error",
+        new Error(`Failed to end season for ${guildId}: ${error.message}`),
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Mereset XP season semua pengguna di server ke 0 dan membersihkan cache data level server.
+   * @method _resetSeasonXp
+   * @param {string} guildId - ID server Discord.
+   * @returns {Promise<void>}
+   * @private
+   * @async
+   */
+  async _resetSeasonXp(guildId) {
+    await UserLevel.updateMany(
+      { guildId, seasonXp: { $gt: 0 } },
+      { $set: { seasonXp: 0 } },
+      { timestamps: false },
+    );
+    const keys = this.cacheManager.keys();
+    const guildKeys = keys.filter((k) => k.startsWith(`level-${guildId}-`));
+    if (guildKeys.length > 0) {
+      this.cacheManager.del(guildKeys);
+    }
+  }
+
+  /**
+   * Mengambil arsip season tertentu beserta entri peringkat teratasnya.
+   * Arsip format lama (entri tersimpan di dokumen arsip) juga didukung.
+   * @method getSeasonArchive
+   * @param {string} guildId - ID server Discord.
+   * @param {number} season - Nomor season.
+   * @param {number} [limit=10] - Jumlah entri teratas yang dimuat ke `entries`.
+   * @returns {Promise<object|null>} Dokumen arsip season (lean) dengan `entries` dan `participants`,
+   *          atau `null` jika tidak ditemukan.
+   * @async
+   */
+  async getSeasonArchive(guildId, season, limit = 10) {
+    const archive = await SeasonArchive.findOne({ guildId, season }).lean();
+    if (!archive) return null;
+    if (archive.entries) {
+      return {
+        ...archive,
+        participants: archive.participants ?? archive.entries.length,
+        entries: archive.entries.slice(0, limit),
+      };
+    }
+    const entries = await SeasonArchiveEntry.find({ guildId, season })
+      .sort({ rank: 1 })
+      .limit(limit)
+      .select("-_id userId rank seasonXp xp level prestige")
+      .lean();
+    return { ...archive, entries };
+  }
+
+  /**
+   * Mengambil entri peringkat satu pengguna di arsip season.
+   * @method getSeasonEntry
+   * @param {string} guildId - ID server Discord.
+   * @param {number} season - Nomor season.
+   * @param {string} userId - ID pengguna Discord.
+   * @returns {Promise<{userId: string, rank: number, seasonXp: number, xp: number, level: number, prestige: number}|null>}
+   *          Entri pengguna, atau `null` jika pengguna tidak berpartisipasi atau arsip tidak ditemukan.
+   * @async
+   */
+  async getSeasonEntry(guildId, season, userId) {
+    const entry = await SeasonArchiveEntry.findOne({ guildId, season, userId })
+      .select("-_id userId rank seasonXp xp level prestige")
+      .lean();
+    if (entry) return entry;
+    const legacy = await SeasonArchive.findOne(
+      { guildId, season, "entries.userId": userId },
+      { "entries.$": 1 },
+    ).lean();
+    return legacy?.entries?.[0] ?? null;
+  }
+
+  /**
+   * Mengambil daftar season yang sudah diarsipkan (tanpa entri peringkat), dari yang terbaru.
+   * @method listSeasons
+   * @param {string} guildId - ID server Discord.
+   * @param {number} [limit=25] - Jumlah maksimum season.
+   * @returns {Promise<Array<{season: number, name: string|null, startedAt: Date|null, endedAt: Date, participants: number}>>}
+   * @async
+   */
+  async listSeasons(guildId, limit = 25) {
+    const archives = await SeasonArchive.aggregate([
+      { $match: { guildId } },
+      { $sort: { season: -1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          season: 1,
+          name: 1,
+          startedAt: 1,
+          endedAt: 1,
+          participants: {
+            $ifNull: [
+              "$participants",
+              { $size: { $ifNull: ["$entries", []] } },
+            ],
+          },
+        },
+      },
+    ]);
+    return archives;
+  }
+
+  /**
+   * Mengubah entri arsip season menjadi format data leaderboard yang dipakai oleh
+   * `CardGenerator.createLeaderboardCard` dan tampilan teks leaderboard (`xp` berisi XP season).
+   * @method toLeaderboardData
+   * @param {object} archive - Dokumen arsip season.
+   * @param {number} [limit=10] - Jumlah entri teratas.
+   * @returns {Array<{userId: string, xp: number, level: number, prestige: number}>}
+   */
+  toLeaderboardData(archive, limit = 10) {
+    return (archive?.entries ?? []).slice(0, limit).map((entry) => ({
+      userId: entry.userId,
+      xp: entry.seasonXp,
+      level: entry.level,
+      prestige: entry.prestige ?? 0,
+    }));
+  }
+}
+
+module.exports = SeasonManager;
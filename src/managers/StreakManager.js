@@ -0,0 +1,234 @@
+/**
+ * @description Mengelola streak aktivitas harian pengguna: jumlah hari berturut-turut pengguna
+ *              mendapatkan XP, dihitung berdasarkan zona waktu server. Streak memberi bonus XP
+ *              saat mencapai milestone dan multiplier XP selama streak aktif.
+ * @requires ../core/LevelingSystem - (tipe parameter) Untuk emit event.
+ * @requires ../core/LevelingManager - (tipe parameter) Untuk memberikan bonus XP milestone.
+ * @requires ./GuildConfigManager - (tipe parameter) Untuk membaca pengaturan streak server.
+ */
+
+/**
+ * @class StreakManager
+ * @classdesc Menghitung perubahan streak saat pengguna mendapat XP, multiplier streak,
+ *            dan memberikan bonus milestone. Data streak disimpan di dokumen `UserLevel`
+ *            (`currentStreak`, `bestStreak`, `lastStreakDay`).
+ */
+class StreakManager {
+  /**
+   * Membuat instance StreakManager.
+   * @constructor
+   * @param {import('../core/LevelingSystem')} system - Instance LevelingSystem utama.
+   * @param {import('../core/LevelingManager')} levelingManager - Instance LevelingManager.
+   * @param {import('./GuildConfigManager')} guildConfigManager - Instance GuildConfigManager.
+   * @throws {Error} Jika salah satu dependensi tidak disediakan.
+   */
+  constructor(system, levelingManager, guildConfigManager) {
+    if (!system || !levelingManager || !guildConfigManager) {
+      throw new Error(
+        "[StreakManager] System, LevelingManager, dan GuildConfigManager diperlukan.",
+      );
+    }
+    /**
+     * Referensi ke instance LevelingSystem utama.
+     * @type {import('../core/LevelingSystem')}
+     * @private
+     */
+    this.system = system;
+    /**
+     * Referensi ke instance LevelingManager.
+     * @type {import('../core/LevelingManager')}
+     * @private
+     */
+    this.levelingManager = levelingManager;
+    /**
+     * Referensi ke instance GuildConfigManager.
+     * @type {import('./GuildConfigManager')}
+     * @private
+     */
+    this.guildConfigManager = guildConfigManager;
+    console.log("[StreakManager] Siap.");
+  }
+
+  /**
+   * Mengembalikan tanggal kalender (`YYYY-MM-DD`) dari suatu waktu di zona waktu tertentu.
+   * Zona waktu yang tidak valid diperlakukan sebagai UTC.
+   * @method getDayKey
+   * @param {string} [timezone='UTC'] - Zona waktu IANA server.
+   * @param {Date} [date=new Date()] - Waktu yang dikonversi.
+   * @returns {string} Tanggal dalam format `YYYY-MM-DD`.
+   */
+  getDayKey(timezone = "UTC", date = new Date()) {
+    const timeZone = this.guildConfigManager.isValidTimezone(timezone)
+      ? timezone
+      : "UTC";
+    return new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    }).format(date);
+  }
+
+  /**
+   * Menggeser tanggal kalender sejumlah hari.
+   * @method _shiftDayKey
+   * @param {string} dayKey - Tanggal dalam format `YYYY-MM-DD`.
+   * @param {number} days - Jumlah hari (negatif untuk mundur).
+   * @returns {string} Tanggal hasil dalam format `YYYY-MM-DD`.
+   * @private
+   */
+  _shiftDayKey(dayKey, days) {
+    const date = new Date(`${dayKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Menghitung streak yang masih berlaku untuk pengguna. Streak dianggap putus (0) jika
+   * pengguna tidak mendapat XP kemarin maupun hari ini, walaupun `currentStreak` di database
+   * belum diperbarui (database baru diperbarui saat pengguna mendapat XP lagi).
+   * @method getCurrentStreak
+   * @param {object} userData - Data level pengguna.
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @param {Date} [now=new Date()] - Waktu acuan.
+   * @returns {number} Streak aktif dalam hari.
+   */
+  getCurrentStreak(userData, config, now = new Date()) {
+    const current = userData?.currentStreak ?? 0;
+    if (current <= 0 || !userData.lastStreakDay) return 0;
+    const today = this.getDayKey(config.timezone, now);
+    const yesterday = this._shiftDayKey(today, -1);
+    return [today, yesterday].includes(userData.lastStreakDay) ? current : 0;
+  }
+
+  /**
+   * Menghitung multiplier XP dari streak aktif: `1 + streak × multiplierPerDay`,
+   * dibatasi `maxMultiplier`.
+   * @method getStreakMultiplier
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @param {object} userData - Data level pengguna.
+   * @returns {number} Multiplier streak (minimal 1.0). Selalu 1.0 jika streak nonaktif.
+   */
+  getStreakMultiplier(config, userData) {
+    const streaks = config.streaks;
+    if (!streaks?.enabled || !(streaks.multiplierPerDay > 0)) return 1.0;
+    const streak = this.getCurrentStreak(userData, config);
+    if (streak <= 0) return 1.0;
+    return Math.min(
+      streaks.maxMultiplier,
+      1 + streak * streaks.multiplierPerDay,
+    );
+  }
+
+  /**
+   * Menghitung perubahan streak saat pengguna mendapat XP. Dipanggil oleh `LevelingManager.addXP`,
+   * yang menyimpan field streak dengan update bersyarat (`lastStreakDay` belum sama dengan `day`)
+   * dan hanya memanggil `applyStreakUpdate` jika update tersebut berhasil.
+   * @method getStreakUpdate
+   * @param {object} userData - Data level pengguna sebelum XP ditambahkan.
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @param {Date} [now=new Date()] - Waktu aktivitas.
+   * @returns {{set: {currentStreak: number, bestStreak: number, lastStreakDay: string}, day: string, streak: number, best: number, lostStreak: number}|null}
+   *          Field yang perlu di-`$set` dan detail perubahan, atau `null` jika streak nonaktif
+   *          atau pengguna sudah tercatat aktif hari ini.
+   */
+  getStreakUpdate(userData, config, now = new Date()) {
+    if (!config.streaks?.enabled) return null;
+    const today = this.getDayKey(config.timezone, now);
+    if (userData.lastStreakDay === today) return null;
+
+    const previous = userData.currentStreak ?? 0;
+    const continued =
+      previous > 0 && userData.lastStreakDay === this._shiftDayKey(today, -1);
+    const streak = continued ? previous + 1 : 1;
+    const best = Math.max(userData.bestStreak ?? 0, streak);
+
+    return {
+      set: { currentStreak: streak, bestStreak: best, lastStreakDay: today },
+      day: today,
+      streak,
+      best,
+      lostStreak: continued ? 0 : previous,
+    };
+  }
+
+  /**
+   * Meng-emit event streak dan memberikan bonus XP milestone setelah perubahan streak tersimpan.
+   * Bonus milestone dicatat dengan sumber `streak` dan tidak memengaruhi streak itu sendiri.
+   * @method applyStreakUpdate
+   * @param {string} guildId - ID server Discord.
+   * @param {string} userId - ID pengguna Discord.
+   * @param {object} change - Hasil `getStreakUpdate`.
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @returns {Promise<void>}
+   * @fires LevelingSystem#streakLost
+   * @fires LevelingSystem#streakIncreased
+   * @async
+   */
+  async applyStreakUpdate(guildId, userId, change, config) {
+    if (change.lostStreak > 0) {
+      /**
+       * Event dipicu saat pengguna mendapat XP lagi setelah streak-nya putus.
+       * @event LevelingSystem#streakLost
+       * @type {object}
+       * @property {string} guildId
+       * @property {string} userId
+       * @property {number} lostStreak - Panjang streak yang putus.
+       * @property {number} bestStreak - Streak terbaik pengguna.
+       */
+      this.system.emit("streakLost", {
+        guildId,
+        userId,
+        lostStreak: change.lostStreak,
+        bestStreak: change.best,
+      });
+    }
+
+    const milestone = config.streaks.milestones.find(
+      (m) => m.days === change.streak,
+    );
+
+    /**
+     * Event dipicu saat streak pengguna bertambah (hari pertama streak baru juga dihitung).
+     * @event LevelingSystem#streakIncreased
+     * @type {object}
+     * @property {string} guildId
+     * @property {string} userId
+     * @property {number} streak - Streak saat ini dalam hari.
+     * @property {number} bestStreak - Streak terbaik pengguna.
+     * @property {string} day - Tanggal aktivitas (`YYYY-MM-DD`, zona waktu server).
+     * @property {number} milestoneXp - Bonus XP milestone yang diberikan (0 jika bukan milestone).
+     */
+    this.system.emit("streakIncreased", {
+      guildId,
+      userId,
+      streak: change.streak,
+      bestStreak: change.best,
+      day: change.day,
+      milestoneXp: milestone?.xp ?? 0,
+    });
+
+    if (milestone?.xp > 0) {
+      try {
+        await this.levelingManager.addXP(
+          guildId,
+          userId,
+          milestone.xp,
+          "streak",
+          { note: `Milestone streak ${milestone.days} hari` },
+        );
+      } catch (error) {
+        console.error(
+          `[StreakManager] Gagal memberikan bonus milestone streak untuk ${userId}@${guildId}:`,
+          error,
+        );
+        this.system.emit(
+          "error",
+          new Error(`Streak milestone bonus error: ${error.message}`),
+        );
+      }
+    }
+  }
+}
+
+module.exports = StreakManager;
@@ -2,12 +2,41 @@
  * @description Mengelola pelacakan waktu pengguna di voice channel dan memicu
  *              pemberian XP suara secara periodik serta saat pengguna keluar
  *              atau menjadi tidak valid (misalnya, di-deafen).
- * @requires discord.js Collection, VoiceState
+ *              Sesi yang sedang berjalan disimpan ke database sehingga dapat dipulihkan
+ *              (dan waktu sebelum crash dikreditkan) saat bot kembali online. Setiap sesi yang
+ *              selesai dicatat ke riwayat sesi suara untuk statistik per channel.
+ * @requires discord.js Collection, VoiceState, ChannelType
  * @requires ../core/LevelingSystem - (tipe parameter) Untuk akses instance dan emit event.
  * @requires ./XPManager - (tipe parameter) Untuk memproses pemberian XP suara.
+ * @requires ../database/schemas/VoiceSession
+ * @requires ../database/schemas/VoiceSessionLog
  */
 
-const { Collection, VoiceState } = require("discord.js");
+const { Collection, VoiceState, ChannelType } = require("discord.js");
+const VoiceSession = require("../database/schemas/VoiceSession");
+const VoiceSessionLog = require("../database/schemas/VoiceSessionLog");
+
+/**
+ * Batas default (menit) durasi yang dikreditkan untuk sesi yang terputus karena bot crash.
+ * @const {number}
+ * @private
+ */
+const DEFAULT_RECOVERY_CAP_MINUTES = 15;
+
+/**
+ * Seberapa sering (milidetik) sesi suara diperiksa. Interval XP per server
+ * (`voiceRules.intervalMinutes`) dievaluasi pada setiap pemeriksaan ini.
+ * @const {number}
+ * @private
+ */
+const CHECK_TICK_MILLIS = 60 * 1000;
+
+/**
+ * Jumlah maksimum member yang diambil dalam satu request `guild.members.fetch`.
+ * @const {number}
+ * @private
+ */
+const MEMBER_FETCH_BATCH_SIZE = 100;
 
 /**
  * @class VoiceManager
@@ -48,6 +77,22 @@ class VoiceManager {
      * @private
      */
     this.voiceJoinTimes = new Collection();
+    /**
+     * Koleksi sesi suara yang sedang berjalan untuk riwayat sesi. Berbeda dengan `voiceJoinTimes`
+     * yang direset setiap interval, `startedAt` di sini adalah waktu pengguna masuk channel.
+     * Kunci: string format "guildId-userId".
+     * @type {Collection<string, {channelId: string|null, startedAt: number, xpAwarded: number}>}
+     * @private
+     */
+    this.activeSessions = new Collection();
+    /**
+     * Koleksi pelacak aktivitas (streaming, kamera, bicara di stage) dalam interval XP yang sedang berjalan,
+     * agar bonus hanya diberikan untuk bagian interval saat aktivitas tersebut aktif.
+     * Kunci: string format "guildId-userId". `since` adalah timestamp aktivitas mulai (null jika tidak aktif).
+     * @type {Collection<string, Record<'stream'|'video'|'speaker', {millis: number, since: number|null}>>}
+     * @private
+     */
+    this.voiceActivity = new Collection();
     /**
      * ID dari interval timer Node.js yang digunakan untuk pengecekan periodik.
      * @type {NodeJS.Timeout|null}
@@ -55,21 +100,32 @@ class VoiceManager {
      */
     this.xpInterval = null;
     /**
-     * Interval waktu (dalam menit) untuk memberikan XP suara secara otomatis.
+     * Interval default (dalam menit) untuk memberikan XP suara secara otomatis, dipakai jika
+     * konfigurasi server tidak mengatur `voiceRules.intervalMinutes`.
      * @type {number}
      * @private
      */
     this.intervalMinutes = 5;
     /**
-     * Interval waktu (dalam milidetik) yang dihitung dari `intervalMinutes`.
+     * Durasi maksimum (dalam milidetik) yang dikreditkan untuk sesi yang terputus
+     * karena bot mati tidak bersih (crash). Diatur via opsi `voiceRecoveryCapMinutes`.
      * @type {number}
      * @private
      */
-    this.intervalMillis = this.intervalMinutes * 60 * 1000;
+    this.recoveryCapMillis =
+      Math.max(
+        0,
+        Number(
+          system.options?.voiceRecoveryCapMinutes ??
+            DEFAULT_RECOVERY_CAP_MINUTES,
+        ),
+      ) *
+      60 *
+      1000;
 
     this._startInterval();
     console.log(
-      `[VoiceManager] Siap. Interval XP suara: ${this.intervalMinutes} menit.`,
+      `[VoiceManager] Siap. Interval XP suara default: ${this.intervalMinutes} menit (dicek setiap ${CHECK_TICK_MILLIS / 1000} detik).`,
     );
   }
 
@@ -92,28 +148,352 @@ class VoiceManager {
           new Error(`Voice check interval error: ${error.message}`),
         );
       });
-    }, this.intervalMillis);
+    }, CHECK_TICK_MILLIS);
+  }
+
+  /**
+   * Mulai (atau memulai ulang) pelacakan sesi suara pengguna dan menyimpannya ke database.
+   * @method _startSession
+   * @param {string} guildId - ID Guild.
+   * @param {string} userId - ID User.
+   * @param {string|null} channelId - ID voice channel saat ini.
+   * @param {number} [startedAt=Date.now()] - Timestamp (ms) awal durasi yang dihitung.
+   * @private
+   */
+  _startSession(guildId, userId, channelId, startedAt = Date.now()) {
+    const key = `${guildId}-${userId}`;
+    this.voiceJoinTimes.set(key, startedAt);
+    if (!this.activeSessions.has(key)) {
+      this.activeSessions.set(key, { channelId, startedAt, xpAwarded: 0 });
+    }
+    const session = this.activeSessions.get(key);
+    VoiceSession.updateOne(
+      { guildId, userId },
+      {
+        $set: {
+          channelId,
+          startedAt: new Date(startedAt),
+          sessionStartedAt: new Date(session.startedAt),
+          xpAwarded: session.xpAwarded,
+          lastCreditedAt: new Date(startedAt),
+        },
+      },
+      { upsert: true },
+    ).catch((error) =>
+      console.error(
+        `[VoiceManager] Gagal menyimpan sesi suara ${userId}@${guildId}:`,
+        error.message,
+      ),
+    );
+  }
+
+  /**
+   * Menghentikan pelacakan sesi suara pengguna dan menghapusnya dari database.
+   * @method _endSession
+   * @param {string} guildId - ID Guild.
+   * @param {string} userId - ID User.
+   * @private
+   */
+  _endSession(guildId, userId) {
+    this.voiceJoinTimes.delete(`${guildId}-${userId}`);
+    this.activeSessions.delete(`${guildId}-${userId}`);
+    this.voiceActivity.delete(`${guildId}-${userId}`);
+    VoiceSession.deleteOne({ guildId, userId }).catch((error) =>
+      console.error(
+        `[VoiceManager] Gagal menghapus sesi suara ${userId}@${guildId}:`,
+        error.message,
+      ),
+    );
+  }
+
+  /**
+   * Menentukan apakah state suara layak dilacak untuk XP suara: berada di channel dan tidak deafen.
+   * Status suppress hanya membuat state tidak layak di luar stage channel; di stage channel,
+   * suppress berarti penonton yang dinilai dengan multiplier penonton.
+   * @method _isTrackable
+   * @param {VoiceState} voiceState - State suara.
+   * @returns {boolean} `true` jika state layak dilacak.
+   * @private
+   */
+  _isTrackable(voiceState) {
+    return Boolean(
+      voiceState?.channelId &&
+      !voiceState.deaf &&
+      (!voiceState.suppress ||
+        voiceState.channel?.type === ChannelType.GuildStageVoice),
+    );
+  }
+
+  /**
+   * Membuat state suara pengganti dari channel yang tersimpan di sesi, untuk menilai aturan suara
+   * pada interval terakhir ketika state suara pengguna saat ini sudah tidak mewakili interval tersebut
+   * (misal: pengguna sudah keluar dari channel).
+   * @method _getStoredVoiceState
+   * @param {import('discord.js').Guild} guild - Guild tempat sesi berlangsung.
+   * @param {string|null} channelId - ID channel yang tersimpan di sesi.
+   * @returns {{channelId: string|null, channel: import('discord.js').GuildChannel|null, deaf: boolean, suppress: boolean, selfMute: boolean}}
+   *          Objek menyerupai VoiceState untuk channel tersebut.
+   * @private
+   */
+  _getStoredVoiceState(guild, channelId) {
+    return {
+      channelId,
+      channel: guild.channels.cache.get(channelId) ?? null,
+      deaf: false,
+      suppress: false,
+      selfMute: false,
+    };
+  }
+
+  /**
+   * Memperbarui pelacak aktivitas (streaming, kamera, bicara di stage) dari state suara terbaru.
+   * @method _trackActivity
+   * @param {string} key - Kunci "guildId-userId".
+   * @param {VoiceState} voiceState - State suara terbaru.
+   * @param {number} [now=Date.now()] - Timestamp (ms) perubahan.
+   * @private
+   */
+  _trackActivity(key, voiceState, now = Date.now()) {
+    if (!this.voiceActivity.has(key)) {
+      this.voiceActivity.set(key, {
+        stream: { millis: 0, since: null },
+        video: { millis: 0, since: null },
+        speaker: { millis: 0, since: null },
+      });
+    }
+    const tracker = this.voiceActivity.get(key);
+    const flags = {
+      stream: Boolean(voiceState.streaming),
+      video: Boolean(voiceState.selfVideo),
+      speaker:
+        voiceState.channel?.type === ChannelType.GuildStageVoice &&
+        !voiceState.suppress,
+    };
+    for (const [name, active] of Object.entries(flags)) {
+      const entry = tracker[name];
+      if (active && entry.since === null) {
+        entry.since = now;
+      } else if (!active && entry.since !== null) {
+        entry.millis += now - entry.since;
+        entry.since = null;
+      }
+    }
+  }
+
+  /**
+   * Mengambil durasi aktivitas sejak pengambilan terakhir dan mereset pelacak untuk interval berikutnya.
+   * @method _takeActivity
+   * @param {string} key - Kunci "guildId-userId".
+   * @param {number} [now=Date.now()] - Timestamp (ms) akhir interval.
+   * @returns {import('./XPManager').VoiceActivity|undefined} Durasi aktivitas, atau `undefined` jika tidak dilacak.
+   * @private
+   */
+  _takeActivity(key, now = Date.now()) {
+    const tracker = this.voiceActivity.get(key);
+    if (!tracker) return undefined;
+    const take = (entry) => {
+      const millis =
+        entry.millis + (entry.since !== null ? now - entry.since : 0);
+      entry.millis = 0;
+      if (entry.since !== null) entry.since = now;
+      return millis;
+    };
+    return {
+      streamMillis: take(tracker.stream),
+      videoMillis: take(tracker.video),
+      speakerMillis: take(tracker.speaker),
+    };
+  }
+
+  /**
+   * Menutup sesi suara yang sedang berjalan dan mencatatnya ke riwayat sesi.
+   * @method _closeSession
+   * @param {string} guildId - ID Guild.
+   * @param {string} userId - ID User.
+   * @param {string} endReason - Alasan sesi berakhir (misal: 'leave', 'deafen', 'check_left').
+   * @param {number} [xpAwarded=0] - XP yang diberikan saat sesi ditutup (di luar XP interval sebelumnya).
+   * @param {number} [endedAt=Date.now()] - Timestamp (ms) sesi berakhir.
+   * @returns {Promise<void>}
+   * @private
+   * @async
+   */
+  async _closeSession(
+    guildId,
+    userId,
+    endReason,
+    xpAwarded = 0,
+    endedAt = Date.now(),
+  ) {
+    const key = `${guildId}-${userId}`;
+    const session = this.activeSessions.get(key);
+    if (!session) return;
+    this.activeSessions.delete(key);
+
+    await this._writeHistory({
+      guildId,
+      userId,
+      channelId: session.channelId,
+      startedAt: session.startedAt,
+      endedAt,
+      xpAwarded: session.xpAwarded + xpAwarded,
+      endReason,
+    });
+  }
+
+  /**
+   * Menyimpan satu entri riwayat sesi suara. Sesi yang lebih pendek dari 10 detik diabaikan.
+   * @method _writeHistory
+   * @param {object} entry - Data sesi.
+   * @param {string} entry.guildId
+   * @param {string} entry.userId
+   * @param {string|null} entry.channelId
+   * @param {number} entry.startedAt - Timestamp (ms) awal sesi.
+   * @param {number} entry.endedAt - Timestamp (ms) akhir sesi.
+   * @param {number} entry.xpAwarded - Total XP yang diberikan selama sesi.
+   * @param {string} entry.endReason - Alasan sesi berakhir.
+   * @returns {Promise<void>}
+   * @private
+   * @async
+   */
+  async _writeHistory(entry) {
+    const durationMillis = entry.endedAt - entry.startedAt;
+    if (durationMillis < 10000) return;
+    try {
+      await VoiceSessionLog.create({
+        ...entry,
+        startedAt: new Date(entry.startedAt),
+        endedAt: new Date(entry.endedAt),
+        durationMillis,
+      });
+    } catch (error) {
+      console.error(
+        `[VoiceManager] Gagal menyimpan riwayat sesi suara ${entry.userId}@${entry.guildId}:`,
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Memulihkan sesi suara setelah bot (re)start. Dipanggil sekali saat event `ready`.
+   * 1. Sesi tersimpan dari proses sebelumnya (bot crash, bukan shutdown bersih) dikreditkan
+   *    sebesar durasi sejak awal sesi hingga heartbeat terakhir (`lastCreditedAt`), dibatasi
+   *    `recoveryCapMillis`. Waktu saat bot mati tidak ikut dikreditkan.
+   * 2. Semua member yang saat ini valid di voice channel (dari `guild.voiceStates`) mulai dilacak.
+   * @method recoverSessions
+   * @returns {Promise<{credited: number, seeded: number}>} Jumlah sesi lama yang dikreditkan
+   *          dan jumlah sesi baru yang mulai dilacak.
+   * @async
+   */
+  async recoverSessions() {
+    const now = Date.now();
+    let credited = 0;
+    let seeded = 0;
+
+    const staleSessions = await VoiceSession.find({}).lean();
+    for (const session of staleSessions) {
+      const key = `${session.guildId}-${session.userId}`;
+      // Sesi yang sudah dilacak sejak ready berasal dari event voiceStateUpdate baru.
+      if (this.voiceJoinTimes.has(key)) continue;
+
+      const guild = this.system.client.guilds.cache.get(session.guildId);
+      // Sesi lama tanpa heartbeat tetap memakai waktu sekarang, dibatasi recoveryCapMillis.
+      const creditedUntil = session.lastCreditedAt
+        ? new Date(session.lastCreditedAt).getTime()
+        : now;
+      const durationMillis = Math.min(
+        creditedUntil - new Date(session.startedAt).getTime(),
+        this.recoveryCapMillis,
+      );
+      await VoiceSession.deleteOne({ _id: session._id });
+      if (!guild || durationMillis <= 10000) continue;
+
+      // Pengguna mungkin sudah keluar saat bot mati; nilai aturan suara terhadap channel
+      // yang tersimpan jika state suaranya saat ini berbeda.
+      const currentState = guild.voiceStates.cache.get(session.userId);
+      const voiceState =
+        currentState?.channelId === session.channelId
+          ? currentState
+          : this._getStoredVoiceState(guild, session.channelId);
+      try {
+        const xpAwarded = await this.xpManager.handleVoiceXP(
+          session.guildId,
+          session.userId,
+          durationMillis,
+          { voiceState },
+        );
+        const intervalStart = new Date(session.startedAt).getTime();
+        await this._writeHistory({
+          guildId: session.guildId,
+          userId: session.userId,
+          channelId: session.channelId,
+          startedAt: session.sessionStartedAt
+            ? new Date(session.sessionStartedAt).getTime()
+            : intervalStart,
+          endedAt: intervalStart + durationMillis,
+          xpAwarded: (session.xpAwarded ?? 0) + xpAwarded,
+          endReason: "recovered",
+        });
+        credited++;
+      } catch (error) {
+        console.error(
+          `[VoiceManager] Gagal mengkreditkan sesi yang terputus untuk ${key}:`,
+          error.message,
+        );
+      }
+    }
+
+    for (const guild of this.system.client.guilds.cache.values()) {
+      for (const voiceState of guild.voiceStates.cache.values()) {
+        const key = `${guild.id}-${voiceState.id}`;
+        if (
+          !this._isTrackable(voiceState) ||
+          voiceState.member?.user.bot ||
+          this.voiceJoinTimes.has(key)
+        ) {
+          continue;
+        }
+        this._startSession(guild.id, voiceState.id, voiceState.channelId, now);
+        this._trackActivity(key, voiceState, now);
+        seeded++;
+      }
+    }
+
+    console.log(
+      `[VoiceManager] Pemulihan sesi suara: ${credited} sesi terputus dikreditkan, ${seeded} sesi aktif dilacak.`,
+    );
+    return { credited, seeded };
   }
 
   /**
    * Memproses dan memicu pemberian XP untuk durasi yang terakumulasi
-   * saat pengguna keluar dari voice channel atau statusnya menjadi tidak valid (deafen/suppress).
+   * saat pengguna keluar dari voice channel atau statusnya menjadi tidak valid (deafen/suppress),
+   * lalu menutup sesi tersebut di riwayat sesi suara dengan `reason` sebagai alasan berakhir.
    * Hanya memberikan XP jika durasi melebihi batas minimal (misalnya 10 detik).
    * @method _processXpGainOnExit
    * @param {string} guildId - ID Guild.
    * @param {string} userId - ID User.
    * @param {number} joinTime - Timestamp (ms) saat pengguna mulai dihitung valid.
    * @param {string} reason - Alasan mengapa fungsi ini dipanggil (misal: 'leave', 'deafen').
+   * @param {VoiceState} [voiceState] - State suara selama durasi tersebut (state lama saat keluar/deafen),
+   *        agar aturan suara dinilai terhadap channel dan status sebelum perubahan.
    * @private
    * @async
    */
-  async _processXpGainOnExit(guildId, userId, joinTime, reason) {
+  async _processXpGainOnExit(guildId, userId, joinTime, reason, voiceState) {
     const now = Date.now();
     const durationMillis = now - joinTime;
 
+    const activity = this._takeActivity(`${guildId}-${userId}`, now);
+    let xpAwarded = 0;
     if (durationMillis > 10000) {
-      await this.xpManager.handleVoiceXP(guildId, userId, durationMillis);
+      xpAwarded = await this.xpManager.handleVoiceXP(
+        guildId,
+        userId,
+        durationMillis,
+        { voiceState, activity },
+      );
     }
+    await this._closeSession(guildId, userId, reason, xpAwarded, now);
   }
 
   /**
@@ -137,14 +517,13 @@ class VoiceManager {
     const key = `${guildId}-${userId}`;
     const joinTime = this.voiceJoinTimes.get(key);
 
-    const isValidForXp =
-      newState.channelId && !newState.deaf && !newState.suppress;
-    const wasValidForXp =
-      oldState.channelId && !oldState.deaf && !oldState.suppress;
+    const isValidForXp = this._isTrackable(newState);
+    const wasValidForXp = this._isTrackable(oldState);
 
     // --- Logika Transisi State ---
     if (!wasValidForXp && isValidForXp) {
-      if (!joinTime) this.voiceJoinTimes.set(key, Date.now());
+      if (!joinTime) this._startSession(guildId, userId, newState.channelId);
+      this._trackActivity(key, newState);
     } else if (wasValidForXp && !isValidForXp) {
       if (joinTime) {
         let reason = "leave";
@@ -153,17 +532,44 @@ class VoiceManager {
           else if (newState.suppress) reason = "suppress";
           else reason = "invalid_state";
         }
-        await this._processXpGainOnExit(guildId, userId, joinTime, reason);
-        this.voiceJoinTimes.delete(key);
+        await this._processXpGainOnExit(
+          guildId,
+          userId,
+          joinTime,
+          reason,
+          oldState,
+        );
+        this._endSession(guildId, userId);
+      }
+    } else if (
+      wasValidForXp &&
+      isValidForXp &&
+      oldState.channelId !== newState.channelId
+    ) {
+      // Pindah channel: durasi di channel lama dinilai dengan aturan channel lama
+      // (misal: channel AFK atau jumlah member di channel tersebut).
+      if (joinTime) {
+        await this._processXpGainOnExit(
+          guildId,
+          userId,
+          joinTime,
+          "switch",
+          oldState,
+        );
       }
+      this._startSession(guildId, userId, newState.channelId);
+      this._trackActivity(key, newState);
+    } else if (wasValidForXp && isValidForXp) {
+      // Perubahan streaming, kamera, atau status pembicara stage di channel yang sama.
+      this._trackActivity(key, newState);
     }
   }
 
   /**
-   * Fungsi yang dijalankan secara periodik oleh interval timer.
-   * Memeriksa semua pengguna yang sedang dilacak di `voiceJoinTimes`.
-   * Jika pengguna masih valid, memberikan XP untuk durasi interval tersebut dan mereset timer join.
-   * Jika pengguna menjadi tidak valid, memproses XP terakhir dan menghapusnya dari pelacakan.
+   * Fungsi yang dijalankan secara periodik oleh interval timer (setiap menit).
+   * Mengelompokkan pengguna yang sedang dilacak di `voiceJoinTimes` per server, memperbarui heartbeat
+   * sesi tersimpan (`lastCreditedAt`) untuk {@link recoverSessions}, lalu memproses setiap server
+   * dengan {@link _processGuildSessions}.
    * @method checkVoiceActivity
    * @private
    * @async
@@ -171,22 +577,99 @@ class VoiceManager {
   async checkVoiceActivity() {
     const now = Date.now();
 
-    for (const [key, joinTime] of this.voiceJoinTimes.entries()) {
+    const usersByGuild = new Collection();
+    for (const key of this.voiceJoinTimes.keys()) {
       const [guildId, userId] = key.split("-");
+      if (!usersByGuild.has(guildId)) usersByGuild.set(guildId, []);
+      usersByGuild.get(guildId).push(userId);
+    }
+
+    for (const [guildId, userIds] of usersByGuild) {
+      VoiceSession.updateMany(
+        { guildId, userId: { $in: userIds } },
+        { $set: { lastCreditedAt: new Date(now) } },
+      ).catch((error) =>
+        console.error(
+          `[VoiceManager] Gagal memperbarui heartbeat sesi suara guild ${guildId}:`,
+          error.message,
+        ),
+      );
       try {
-        const guild = this.system.client.guilds.cache.get(guildId);
-        if (!guild) {
-          this.voiceJoinTimes.delete(key);
-          continue;
-        }
-        const member = await guild.members.fetch(userId).catch(() => null);
+        await this._processGuildSessions(guildId, userIds, now);
+      } catch (error) {
+        console.error(
+          `[VoiceManager] Error saat cek aktivitas suara guild ${guildId}:`,
+          error,
+        );
+        this.system.emit(
+          "error",
+          new Error(`Voice check error for guild ${guildId}: ${error.message}`),
+        );
+      }
+    }
+  }
 
+  /**
+   * Memproses sesi suara satu server. Hanya sesi yang sudah mencapai interval XP server
+   * (`voiceRules.intervalMinutes`) yang diproses; member untuk sesi tersebut diambil sekaligus per batch.
+   * Jika pengguna masih valid, XP diberikan untuk durasi sebenarnya sejak kredit terakhir
+   * (bukan durasi interval tetap) lalu timer join direset. Jika tidak valid, XP terakhir diproses
+   * dan sesi dihentikan.
+   * @method _processGuildSessions
+   * @param {string} guildId - ID Guild.
+   * @param {string[]} userIds - ID pengguna yang sedang dilacak di server ini.
+   * @param {number} now - Timestamp (ms) pemeriksaan.
+   * @returns {Promise<void>}
+   * @private
+   * @async
+   */
+  async _processGuildSessions(guildId, userIds, now) {
+    const guild = this.system.client.guilds.cache.get(guildId);
+    if (!guild) {
+      for (const userId of userIds) this._endSession(guildId, userId);
+      return;
+    }
+
+    const config = await this.system.guildConfigManager.getConfig(guildId);
+    const intervalMillis =
+      (config.voiceRules?.intervalMinutes ?? this.intervalMinutes) * 60 * 1000;
+    const dueUserIds = userIds.filter(
+      (userId) =>
+        now - this.voiceJoinTimes.get(`${guildId}-${userId}`) >=
+        intervalMillis * 0.95,
+    );
+    if (dueUserIds.length === 0) return;
+
+    // Pengguna dari batch yang gagal diambil dilewati dan dicoba lagi pada pemeriksaan berikutnya.
+    const members = new Collection();
+    const unfetched = new Set();
+    for (let i = 0; i < dueUserIds.length; i += MEMBER_FETCH_BATCH_SIZE) {
+      const batch = dueUserIds.slice(i, i + MEMBER_FETCH_BATCH_SIZE);
+      const fetched = await guild.members
+        .fetch({ user: batch })
+        .catch((error) => {
+          console.warn(
+            `[VoiceManager] Gagal mengambil batch member guild ${guildId}, dicoba lagi pada pemeriksaan berikutnya:`,
+            error.message,
+          );
+          return null;
+        });
+      if (!fetched) {
+        batch.forEach((userId) => unfetched.add(userId));
+        continue;
+      }
+      for (const [id, member] of fetched) members.set(id, member);
+    }
+
+    for (const userId of dueUserIds) {
+      if (unfetched.has(userId)) continue;
+      const key = `${guildId}-${userId}`;
+      const joinTime = this.voiceJoinTimes.get(key);
+      if (!joinTime) continue;
+      try {
+        const member = members.get(userId);
         const isValid =
-          member &&
-          !member.user.bot &&
-          member.voice.channel &&
-          !member.voice.deaf &&
-          !member.voice.suppress;
+          member && !member.user.bot && this._isTrackable(member.voice);
 
         if (!isValid) {
           let reason = "check_invalid";
@@ -194,19 +677,34 @@ class VoiceManager {
           else if (!member.voice.channel) reason = "check_left";
           else if (member.voice.deaf) reason = "check_deafen";
           else if (member.voice.suppress) reason = "check_suppress";
-          await this._processXpGainOnExit(guildId, userId, joinTime, reason);
-          this.voiceJoinTimes.delete(key);
+          // Pengguna yang sudah keluar tidak lagi punya state suara; interval terakhir dinilai
+          // terhadap channel yang tersimpan di sesi.
+          const lastState =
+            !member || !member.voice.channel
+              ? this._getStoredVoiceState(
+                  guild,
+                  this.activeSessions.get(key)?.channelId ?? null,
+                )
+              : undefined;
+          await this._processXpGainOnExit(
+            guildId,
+            userId,
+            joinTime,
+            reason,
+            lastState,
+          );
+          this._endSession(guildId, userId);
         } else {
-          const durationSinceLastCheckOrJoin = now - joinTime;
-          if (durationSinceLastCheckOrJoin >= this.intervalMillis * 0.95) {
-            await this.xpManager.handleVoiceXP(
-              guildId,
-              userId,
-              this.intervalMillis,
-            );
-
-            this.voiceJoinTimes.set(key, now);
-          }
+          const xpAwarded = await this.xpManager.handleVoiceXP(
+            guildId,
+            userId,
+            now - joinTime,
+            { activity: this._takeActivity(key, now) },
+          );
+          const session = this.activeSessions.get(key);
+          if (session) session.xpAwarded += xpAwarded;
+
+          this._startSession(guildId, userId, member.voice.channelId, now);
         }
       } catch (error) {
         console.error(
@@ -217,15 +715,125 @@ class VoiceManager {
           "error",
           new Error(`Voice check error for ${key}: ${error.message}`),
         );
-        // this.voiceJoinTimes.delete(key);
       }
     }
   }
 
+  /**
+   * Mengambil channel suara dengan durasi terbanyak dari riwayat sesi suara.
+   * @method getTopChannels
+   * @param {string} guildId - ID Guild.
+   * @param {object} [options={}] - Opsi query.
+   * @param {string} [options.userId] - Batasi ke sesi milik pengguna ini.
+   * @param {number} [options.days=90] - Jendela waktu (hari) ke belakang.
+   * @param {number} [options.limit=3] - Jumlah channel maksimum.
+   * @returns {Promise<Array<{channelId: string|null, durationMillis: number, sessions: number, users: number}>>}
+   *          Daftar channel, diurutkan dari durasi terbanyak.
+   * @async
+   */
+  async getTopChannels(guildId, { userId, days = 90, limit = 3 } = {}) {
+    const match = {
+      guildId,
+      endedAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+    };
+    if (userId) match.userId = userId;
+    const rows = await VoiceSessionLog.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$channelId",
+          durationMillis: { $sum: "$durationMillis" },
+          sessions: { $sum: 1 },
+          users: { $addToSet: "$userId" },
+        },
+      },
+      { $sort: { durationMillis: -1 } },
+      { $limit: limit },
+    ]);
+    return rows.map((row) => ({
+      channelId: row._id,
+      durationMillis: row.durationMillis,
+      sessions: row.sessions,
+      users: row.users.length,
+    }));
+  }
+
+  /**
+   * Menghitung statistik suara server dari riwayat sesi suara: ringkasan total,
+   * durasi per jam mulai sesi (UTC), dan jumlah sesi per alasan berakhir.
+   * @method getVoiceStats
+   * @param {string} guildId - ID Guild.
+   * @param {number} [days=30] - Jendela waktu (hari) ke belakang.
+   * @returns {Promise<{totalSessions: number, totalDurationMillis: number, totalXp: number, uniqueUsers: number,
+   *          hours: Array<{hour: number, durationMillis: number, sessions: number}>,
+   *          endReasons: Array<{reason: string, sessions: number}>}>} Statistik suara.
+   * @async
+   */
+  async getVoiceStats(guildId, days = 30) {
+    const [result] = await VoiceSessionLog.aggregate([
+      {
+        $match: {
+          guildId,
+          endedAt: {
+            $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+          },
+        },
+      },
+      {
+        $facet: {
+          summary: [
+            {
+              $group: {
+                _id: null,
+                totalSessions: { $sum: 1 },
+                totalDurationMillis: { $sum: "$durationMillis" },
+                totalXp: { $sum: "$xpAwarded" },
+                users: { $addToSet: "$userId" },
+              },
+            },
+          ],
+          hours: [
+            {
+              $group: {
+                _id: { $hour: "$startedAt" },
+                durationMillis: { $sum: "$durationMillis" },
+                sessions: { $sum: 1 },
+              },
+            },
+            { $sort: { durationMillis: -1 } },
+          ],
+          endReasons: [
+            { $group: { _id: "$endReason", sessions: { $sum: 1 } } },
+            { $sort: { sessions: -1 } },
+          ],
+        },
+      },
+    ]);
+
+    const summary = result?.summary[0];
+    return {
+      totalSessions: summary?.totalSessions ?? 0,
+      totalDurationMillis: summary?.totalDurationMillis ?? 0,
+      totalXp: summary?.totalXp ?? 0,
+      uniqueUsers: summary?.users.length ?? 0,
+      hours: (result?.hours ?? []).map((row) => ({
+        hour: row._id,
+        durationMillis: row.durationMillis,
+        sessions: row.sessions,
+      })),
+      endReasons: (result?.endReasons ?? []).map((row) => ({
+        reason: row._id,
+        sessions: row.sessions,
+      })),
+    };
+  }
+
   /**
    * Membersihkan interval timer dan memproses XP terakhir untuk pengguna aktif
-   * saat bot dimatikan secara graceful.
+   * saat bot dimatikan secara graceful. Sesi yang berhasil diproses dihapus dari database
+   * agar tidak dikreditkan ulang oleh {@link recoverSessions} saat bot menyala kembali.
    * @method shutdown
+   * @returns {Promise<void>} Promise yang resolve setelah XP terakhir selesai diproses.
    */
   shutdown() {
     if (this.xpInterval) {
@@ -237,6 +845,7 @@ class VoiceManager {
 
       console.log("[VoiceManager] Memproses XP terakhir sebelum shutdown...");
       const shutdownPromises = [];
+      const flushedSessions = [];
       const now = Date.now();
 
       for (const [key, joinTime] of new Map(this.voiceJoinTimes).entries()) {
@@ -245,16 +854,29 @@ class VoiceManager {
         if (durationMillis > 1000) {
           shutdownPromises.push(
             this.xpManager
-              .handleVoiceXP(guildId, userId, durationMillis)
+              .handleVoiceXP(guildId, userId, durationMillis, {
+                activity: this._takeActivity(key, now),
+              })
+              .then((xpAwarded) =>
+                this._closeSession(guildId, userId, "shutdown", xpAwarded, now),
+              )
+              .then(() => flushedSessions.push({ guildId, userId }))
               .catch((e) =>
                 console.error(
                   `[VoiceManager] Error proses XP shutdown u/ ${key}: ${e.message}`,
                 ),
               ),
           );
+        } else {
+          flushedSessions.push({ guildId, userId });
+          shutdownPromises.push(
+            this._closeSession(guildId, userId, "shutdown", 0, now),
+          );
         }
       }
-      Promise.allSettled(shutdownPromises).then((results) => {
+      this.voiceJoinTimes.clear();
+      this.voiceActivity.clear();
+      return Promise.allSettled(shutdownPromises).then(async (results) => {
         const fulfilled = results.filter(
           (r) => r.status === "fulfilled",
         ).length;
@@ -262,9 +884,18 @@ class VoiceManager {
         console.log(
           `[VoiceManager] Selesai memproses XP terakhir (${fulfilled} sukses, ${rejected} gagal).`,
         );
+        if (flushedSessions.length > 0) {
+          await VoiceSession.deleteMany({ $or: flushedSessions }).catch(
+            (error) =>
+              console.error(
+                "[VoiceManager] Gagal menghapus sesi suara saat shutdown:",
+                error.message,
+              ),
+          );
+        }
       });
-      this.voiceJoinTimes.clear();
     }
+    return Promise.resolve();
   }
 }
 
@@ -3,16 +3,61 @@
  *              berdasarkan berbagai aktivitas pengguna seperti mengirim pesan dan berada di voice channel.
  *              Memperhitungkan konfigurasi spesifik server (rate XP, cooldown, multiplier, daftar abaikan)
  *              dan mengupdate statistik pengguna seperti total pesan dan durasi suara.
- * @requires discord.js Collection, Message
+ * @requires discord.js Collection, Message, VoiceState, ChannelType
  * @requires ../database/schemas/UserLevel - Skema Mongoose untuk data level pengguna.
  * @requires ../core/LevelingSystem - (tipe parameter) Untuk akses instance dan dependensi lain.
  * @requires ../core/LevelingManager - (tipe parameter) Untuk memanggil penambahan/pengurangan XP utama.
  * @requires ./GuildConfigManager - (tipe parameter) Untuk mendapatkan konfigurasi server.
  */
 
-const { Collection, Message } = require("discord.js");
+const { Collection, Message, VoiceState, ChannelType } = require("discord.js");
 const UserLevel = require("../database/schemas/UserLevel");
 
+/**
+ * Pola untuk menghapus emoji (custom Discord, unicode, modifier, dan penggabung) dari teks.
+ * Teks yang kosong setelah pola ini diterapkan dianggap hanya berisi emoji.
+ * @const {RegExp}
+ * @private
+ */
+const EMOJI_PATTERN =
+  /<a?:\w+:\d+>|\p{Extended_Pictographic}|\p{Regional_Indicator}|[\u{1F3FB}-\u{1F3FF}\uFE0F\u200D\u20E3]/gu;
+
+/**
+ * Panjang maksimum teks yang dibandingkan saat mendeteksi pesan duplikat.
+ * @const {number}
+ * @private
+ */
+const DUPLICATE_COMPARE_LENGTH = 300;
+
+/**
+ * Lama (detik) pesan terakhir pengguna disimpan untuk deteksi duplikat.
+ * @const {number}
+ * @private
+ */
+const LAST_MESSAGE_TTL = 3600;
+
+/**
+ * Lama (detik) daftar reactor unik per pesan disimpan. Setelah itu pesan dianggap selesai dinilai.
+ * @const {number}
+ * @private
+ */
+const REACTION_MESSAGE_TTL = 24 * 60 * 60;
+
+/**
+ * Panjang jendela (detik) batas XP reaksi per penulis pesan.
+ * @const {number}
+ * @private
+ */
+const REACTION_AUTHOR_WINDOW = 60 * 60;
+
+/**
+ * Durasi aktivitas pengguna selama satu interval XP suara (semua dalam milidetik).
+ * @typedef {object} VoiceActivity
+ * @property {number} streamMillis - Lama streaming (Go Live / screen share).
+ * @property {number} videoMillis - Lama kamera menyala.
+ * @property {number} speakerMillis - Lama menjadi pembicara di stage channel.
+ */
+
 /**
  * @class XPManager
  * @classdesc Mengelola semua logika terkait perhitungan dan pemberian XP.
@@ -42,13 +87,20 @@ class XPManager {
     this.levelingManager = levelingManager;
     /** @type {import('./GuildConfigManager')} @private */
     this.guildConfigManager = guildConfigManager;
+    /**
+     * Cache pola regex filter pesan yang sudah dikompilasi (sumber pola → RegExp, atau `null` jika tidak valid).
+     * @type {Map<string, RegExp|null>}
+     * @private
+     */
+    this.patternCache = new Map();
     console.log("[XPManager] Siap.");
   }
 
   /**
    * Memproses pesan masuk untuk potensi pemberian XP.
    * Melakukan validasi (bot, DM, guild, content, member), memeriksa konfigurasi server
-   * (ignored roles/channels, rate XP), memeriksa cooldown pesan, menghitung multiplier,
+   * (ignored roles/channels, rate XP), memeriksa cooldown pesan, menerapkan filter kualitas pesan
+   * (lihat `checkMessageQuality`), mengundi XP dasar, menghitung multiplier (termasuk boost XP aktif dan booster pribadi),
    * menghitung XP akhir, mengupdate `lastMessageTimestamp` dan `totalMessages` di DB,
    * lalu memanggil `LevelingManager.addXP` untuk penambahan XP/level.
    * @method handleMessageXP
@@ -60,7 +112,7 @@ class XPManager {
     if (
       message.author.bot ||
       !message.guild ||
-      !message.content ||
+      (!message.content && !message.stickers?.size) ||
       message.system ||
       !message.member
     )
@@ -74,10 +126,10 @@ class XPManager {
     try {
       const config = await this.guildConfigManager.getConfig(guildId);
 
-      const baseXpPerMessage = config.xpPerMessage ?? 0;
-      if (baseXpPerMessage <= 0) return;
+      if ((config.xpPerMessageMax ?? 0) <= 0) return;
 
-      if (config.ignoredChannels?.includes(channelId)) return;
+      const lineage = this.getChannelLineage(message.guild, channelId);
+      if (this.isChannelIgnored(config, lineage)) return;
       if (
         member.roles.cache.some((role) =>
           config.ignoredRoles?.includes(role.id),
@@ -85,6 +137,9 @@ class XPManager {
       )
         return;
 
+      const lastMessageKey = `lastmsg-${guildId}-${userId}`;
+      const previousContent = this.system.cacheManager.get(lastMessageKey);
+
       const userData = await this.levelingManager.getUserLevelData(
         guildId,
         userId,
@@ -94,30 +149,50 @@ class XPManager {
       const lastTimestamp = userData?.lastMessageTimestamp ?? 0;
       if (now < lastTimestamp + cooldownMillis) return;
 
-      let finalMultiplier = 1.0;
-
-      if (
-        config.roleMultipliers instanceof Map &&
-        config.roleMultipliers.size > 0
-      ) {
-        let highestRoleMultiplier = 1.0;
-        member.roles.cache.forEach((role) => {
-          const multiplier = config.roleMultipliers.get(role.id);
-          if (multiplier && multiplier > highestRoleMultiplier) {
-            highestRoleMultiplier = multiplier;
-          }
+      const rejection = this.checkMessageQuality(
+        message,
+        config.messageFilters,
+        previousContent,
+      );
+      if (rejection) {
+        /**
+         * Event dipicu saat pesan tidak mendapat XP karena gagal filter kualitas pesan.
+         * Pesan yang ditolak tidak memakai cooldown pengguna.
+         * @event LevelingSystem#messageXpRejected
+         * @type {object}
+         * @property {string} guildId
+         * @property {string} userId
+         * @property {string} channelId
+         * @property {string} messageId
+         * @property {'min_chars'|'min_words'|'ignored_pattern'|'emoji_only'|'sticker_only'|'duplicate'} reason - Alasan penolakan.
+         * @property {string|null} detail - Info tambahan (misal: pola yang cocok atau persentase kemiripan).
+         */
+        this.system.emit("messageXpRejected", {
+          guildId,
+          userId,
+          channelId,
+          messageId: message.id,
+          reason: rejection.reason,
+          detail: rejection.detail,
         });
-        finalMultiplier *= highestRoleMultiplier;
+        return;
       }
 
-      if (
-        config.channelMultipliers instanceof Map &&
-        config.channelMultipliers.has(channelId)
-      ) {
-        finalMultiplier *= config.channelMultipliers.get(channelId) || 1.0;
+      // Hanya pesan yang lolos cooldown dan filter yang menjadi acuan pemeriksaan duplikat.
+      if (message.content) {
+        this.system.cacheManager.set(
+          lastMessageKey,
+          message.content,
+          LAST_MESSAGE_TTL,
+        );
       }
-      finalMultiplier = Math.max(0, finalMultiplier);
 
+      const { multiplier: finalMultiplier } = await this.calculateMultiplier(
+        config,
+        { member, channelId, userData },
+      );
+
+      const baseXpPerMessage = this.rollMessageXP(config);
       const gainedXP = Math.max(
         1,
         Math.floor(baseXpPerMessage * finalMultiplier),
@@ -154,62 +229,187 @@ class XPManager {
     }
   }
 
+  /**
+   * Memproses XP reaksi: memberi XP ke penulis pesan untuk setiap reactor unik.
+   * Aturan: reaksi dari bot dan dari penulis sendiri diabaikan, channel/role yang diabaikan berlaku,
+   * setiap reactor hanya dihitung sekali per pesan, jumlah reactor yang dihitung per pesan dibatasi
+   * (`maxPerMessage`), total XP reaksi per penulis dibatasi per jam (`maxPerAuthorPerHour`), dan setiap
+   * pasangan reactor-penulis memiliki cooldown sendiri (`cooldownSeconds`).
+   * XP diberikan melalui `LevelingManager.addXP` dengan source `reaction`.
+   * @method handleReactionXP
+   * @param {import('discord.js').MessageReaction} reaction - Reaksi yang ditambahkan (sudah di-fetch jika partial).
+   * @param {import('discord.js').User} user - Pengguna yang memberi reaksi.
+   * @returns {Promise<void>}
+   * @async
+   */
+  async handleReactionXP(reaction, user) {
+    const message = reaction.message;
+    if (user.bot || !message.guild || !message.author || message.author.bot)
+      return;
+
+    const guildId = message.guild.id;
+    const authorId = message.author.id;
+    const channelId = message.channel.id;
+    if (authorId === user.id) return;
+
+    try {
+      const config = await this.guildConfigManager.getConfig(guildId);
+      const rules = config.reactionXp;
+      if (!rules?.enabled || rules.xpPerReaction <= 0) return;
+      if (
+        this.isChannelIgnored(
+          config,
+          this.getChannelLineage(message.guild, channelId),
+        )
+      )
+        return;
+
+      const cache = this.system.cacheManager;
+      const messageKey = `reactxp-msg-${message.id}`;
+      const reactors = cache.get(messageKey) ?? [];
+      if (reactors.includes(user.id)) return;
+      if (rules.maxPerMessage > 0 && reactors.length >= rules.maxPerMessage)
+        return;
+
+      const cooldownKey = `reactxp-cd-${guildId}-${authorId}-${user.id}`;
+      if (cache.get(cooldownKey)) return;
+
+      const now = Date.now();
+      const authorKey = `reactxp-author-${guildId}-${authorId}`;
+      let window = cache.get(authorKey);
+      if (!window || now - window.startedAt >= REACTION_AUTHOR_WINDOW * 1000) {
+        window = { startedAt: now, xp: 0 };
+      }
+      if (
+        rules.maxPerAuthorPerHour > 0 &&
+        window.xp >= rules.maxPerAuthorPerHour
+      )
+        return;
+
+      const member =
+        message.member ??
+        (await message.guild.members.fetch(authorId).catch(() => null));
+      if (!member) return;
+      if (
+        member.roles.cache.some((role) =>
+          config.ignoredRoles?.includes(role.id),
+        )
+      )
+        return;
+
+      reactors.push(user.id);
+      cache.set(messageKey, reactors, REACTION_MESSAGE_TTL);
+      if (rules.cooldownSeconds > 0) {
+        cache.set(cooldownKey, true, rules.cooldownSeconds);
+      }
+
+      const userData = await this.levelingManager.getUserLevelData(
+        guildId,
+        authorId,
+      );
+      const { multiplier } = await this.calculateMultiplier(config, {
+        member,
+        channelId,
+        userData,
+      });
+      let gainedXP = Math.max(1, Math.floor(rules.xpPerReaction * multiplier));
+      if (rules.maxPerAuthorPerHour > 0) {
+        gainedXP = Math.min(gainedXP, rules.maxPerAuthorPerHour - window.xp);
+      }
+
+      window.xp += gainedXP;
+      cache.set(authorKey, window, REACTION_AUTHOR_WINDOW);
+
+      await this.levelingManager.addXP(
+        guildId,
+        authorId,
+        gainedXP,
+        "reaction",
+        {
+          actorId: user.id,
+          note: `Reaksi ${reaction.emoji?.name ?? ""} pada pesan ${message.id}`,
+        },
+      );
+    } catch (error) {
+      console.error(
+        `[XPManager] Error saat memproses XP reaksi untuk ${authorId}@${guildId}:`,
+        error,
+      );
+      this.system.emit(
+        "error",
+        new Error(`Reaction XP handling error: ${error.message}`),
+      );
+    }
+  }
+
   /**
    * Memproses pemberian XP untuk durasi waktu yang dihabiskan di voice channel.
    * Dipanggil oleh VoiceManager. Melakukan validasi kelayakan (config, role/channel ignored, status member),
-   * menghitung XP berdasarkan durasi dan multiplier, mengupdate `totalVoiceDurationMillis` di DB,
+   * menghitung XP berdasarkan durasi dan multiplier (termasuk boost XP aktif dan booster pribadi), mengupdate `totalVoiceDurationMillis` di DB,
    * dan memanggil `LevelingManager.addXP` untuk penambahan XP/level.
+   * Interval yang tidak memenuhi aturan suara (lihat `getVoiceSkipReason`) dilewati dan alasannya dicatat.
    * @method handleVoiceXP
    * @param {string} guildId - ID server Discord.
    * @param {string} userId - ID pengguna Discord.
    * @param {number} durationMillis - Durasi waktu di voice channel dalam **milidetik**.
-   * @returns {Promise<void>} Promise yang resolve setelah pemrosesan selesai.
+   * @param {object} [options={}] - Opsi tambahan.
+   * @param {VoiceState} [options.voiceState] - State suara yang mewakili interval ini (misal: state lama saat
+   *        pengguna keluar atau deafen). Default: state suara member saat ini.
+   * @param {VoiceActivity} [options.activity] - Durasi streaming/kamera/bicara di stage selama interval, dari
+   *        VoiceManager. Jika tidak ada, status `voiceState` dianggap berlaku untuk seluruh interval.
+   * @returns {Promise<number>} Jumlah XP yang benar-benar diberikan (0 jika interval dilewati atau gagal).
    * @async
    */
-  async handleVoiceXP(guildId, userId, durationMillis) {
+  async handleVoiceXP(guildId, userId, durationMillis, options = {}) {
     const durationMinutes = durationMillis / (1000 * 60);
-    if (durationMinutes <= 0) return;
+    if (durationMinutes <= 0) return 0;
 
     try {
       const config = await this.guildConfigManager.getConfig(guildId);
       const xpPerMinute = config.xpPerMinuteVoice ?? 0;
-      if (xpPerMinute <= 0) return;
+      if (xpPerMinute <= 0) return 0;
 
       const guild = this.system.client.guilds.cache.get(guildId);
-      if (!guild) return;
+      if (!guild) return 0;
       const member = await guild.members.fetch(userId).catch(() => null);
+      if (!member || member.user.bot) return 0;
 
-      if (
-        !member ||
-        member.user.bot ||
-        member.roles.cache.some((role) =>
-          config.ignoredRoles?.includes(role.id),
-        ) ||
-        member.voice.deaf ||
-        member.voice.suppress ||
-        (member.voice.channelId &&
-          config.ignoredChannels?.includes(member.voice.channelId))
-      ) {
-        return;
+      const voiceState = options.voiceState ?? member.voice;
+      const activity =
+        options.activity ??
+        this.getFullIntervalActivity(voiceState, durationMillis);
+      const skipReason = this.getVoiceSkipReason(
+        member,
+        voiceState,
+        config,
+        activity,
+      );
+      if (skipReason) {
+        await this._recordVoiceSkip(
+          guildId,
+          userId,
+          voiceState.channelId,
+          skipReason,
+          durationMillis,
+        );
+        return 0;
       }
 
+      const userData = await this.levelingManager.getUserLevelData(
+        guildId,
+        userId,
+      );
       const baseXP = durationMinutes * xpPerMinute;
-      let finalMultiplier = 1.0;
-
-      if (
-        config.roleMultipliers instanceof Map &&
-        config.roleMultipliers.size > 0
-      ) {
-        let highestRoleMultiplier = 1.0;
-        member.roles.cache.forEach((role) => {
-          const multiplier = config.roleMultipliers.get(role.id);
-          if (multiplier && multiplier > highestRoleMultiplier) {
-            highestRoleMultiplier = multiplier;
-          }
-        });
-        finalMultiplier *= highestRoleMultiplier;
-      }
-      finalMultiplier = Math.max(0, finalMultiplier);
+      let { multiplier: finalMultiplier } = await this.calculateMultiplier(
+        config,
+        { member, channelId: voiceState.channelId, userData },
+      );
+      finalMultiplier *= this.getVoiceActivityMultiplier(
+        config,
+        voiceState,
+        activity,
+        durationMillis,
+      );
       const gainedXP = Math.max(1, Math.floor(baseXP * finalMultiplier));
 
       const cacheKey = `level-${guildId}-${userId}`;
@@ -227,7 +427,13 @@ class XPManager {
         );
       }
 
-      await this.levelingManager.addXP(guildId, userId, gainedXP, "voice");
+      const result = await this.levelingManager.addXP(
+        guildId,
+        userId,
+        gainedXP,
+        "voice",
+      );
+      return result?.gainedXp ?? 0;
     } catch (error) {
       console.error(
         `[XPManager] Error saat memproses XP suara untuk ${userId}@${guildId}:`,
@@ -237,9 +443,485 @@ class XPManager {
         "error",
         new Error(`Voice XP handling error: ${error.message}`),
       );
+      return 0;
     }
   }
 
+  /**
+   * Menentukan apakah interval suara harus dilewati (tidak mendapat XP) beserta alasannya.
+   * Jumlah member dihitung dari member non-bot yang tidak deafen di channel, termasuk pengguna itu sendiri.
+   * Di stage channel, status suppress berarti penonton (audience) dan hanya dilewati jika
+   * multiplier penonton bernilai 0 dan pengguna tidak menjadi pembicara sama sekali selama interval.
+   * @method getVoiceSkipReason
+   * @param {import('discord.js').GuildMember} member - Member yang dinilai.
+   * @param {VoiceState} voiceState - State suara yang mewakili interval.
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @param {VoiceActivity} [activity] - Durasi aktivitas selama interval.
+   * @returns {'not_in_channel'|'deafened'|'suppressed'|'stage_audience'|'ignored_role'|'ignored_channel'|'afk_channel'|'not_enough_members'|'self_muted'|null}
+   *          Alasan interval dilewati, atau `null` jika interval layak mendapat XP.
+   */
+  getVoiceSkipReason(member, voiceState, config, activity) {
+    const channel = voiceState.channel;
+    if (!channel) return "not_in_channel";
+    if (voiceState.deaf) return "deafened";
+    if (channel.type === ChannelType.GuildStageVoice) {
+      const speakerMillis =
+        activity?.speakerMillis ?? (voiceState.suppress ? 0 : 1);
+      if (speakerMillis <= 0 && config.voiceMultipliers?.stageAudience === 0) {
+        return "stage_audience";
+      }
+    } else if (voiceState.suppress) {
+      return "suppressed";
+    }
+    if (
+      member.roles.cache.some((role) => config.ignoredRoles?.includes(role.id))
+    ) {
+      return "ignored_role";
+    }
+    if (
+      this.isChannelIgnored(
+        config,
+        this.getChannelLineage(member.guild, channel.id),
+      )
+    ) {
+      return "ignored_channel";
+    }
+    if (channel.id === member.guild.afkChannelId) return "afk_channel";
+
+    const minMembers = config.voiceRules?.minMembers ?? 1;
+    if (minMembers > 1) {
+      const others = channel.members.filter(
+        (m) => m.id !== member.id && !m.user.bot && !m.voice.deaf,
+      ).size;
+      if (others + 1 < minMembers) return "not_enough_members";
+    }
+
+    if (voiceState.selfMute && config.voiceRules?.selfMuteMultiplier === 0) {
+      return "self_muted";
+    }
+    return null;
+  }
+
+  /**
+   * Membuat data aktivitas yang menganggap status `voiceState` berlaku untuk seluruh durasi.
+   * Dipakai jika VoiceManager tidak menyediakan pelacakan per bagian interval.
+   * @method getFullIntervalActivity
+   * @param {VoiceState} voiceState - State suara.
+   * @param {number} durationMillis - Durasi interval (milidetik).
+   * @returns {VoiceActivity} Data aktivitas.
+   */
+  getFullIntervalActivity(voiceState, durationMillis) {
+    const isStage = voiceState.channel?.type === ChannelType.GuildStageVoice;
+    return {
+      streamMillis: voiceState.streaming ? durationMillis : 0,
+      videoMillis: voiceState.selfVideo ? durationMillis : 0,
+      speakerMillis: isStage && !voiceState.suppress ? durationMillis : 0,
+    };
+  }
+
+  /**
+   * Menghitung pengganda XP suara dari aktivitas selama interval. Bonus streaming dan kamera
+   * hanya berlaku untuk bagian interval yang dihabiskan streaming/menyalakan kamera:
+   * `1 + porsiStream * (stream - 1) + porsiVideo * (video - 1)`. Di stage channel, hasilnya dikalikan
+   * rata-rata tertimbang multiplier pembicara dan penonton, lalu multiplier self-mute diterapkan.
+   * @method getVoiceActivityMultiplier
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @param {VoiceState} voiceState - State suara yang mewakili interval.
+   * @param {VoiceActivity} activity - Durasi aktivitas selama interval.
+   * @param {number} durationMillis - Durasi interval (milidetik).
+   * @returns {number} Pengganda XP suara (bisa 0).
+   */
+  getVoiceActivityMultiplier(config, voiceState, activity, durationMillis) {
+    const multipliers = config.voiceMultipliers || {};
+    const portion = (millis) =>
+      durationMillis > 0
+        ? Math.min(1, Math.max(0, millis / durationMillis))
+        : 0;
+
+    let multiplier =
+      1 +
+      portion(activity.streamMillis) * ((multipliers.stream ?? 1) - 1) +
+      portion(activity.videoMillis) * ((multipliers.video ?? 1) - 1);
+
+    if (voiceState.channel?.type === ChannelType.GuildStageVoice) {
+      const speakerPortion = portion(activity.speakerMillis);
+      multiplier *=
+        speakerPortion * (multipliers.stageSpeaker ?? 1) +
+        (1 - speakerPortion) * (multipliers.stageAudience ?? 0);
+    }
+    if (voiceState.selfMute) {
+      multiplier *= config.voiceRules?.selfMuteMultiplier ?? 1;
+    }
+    return multiplier;
+  }
+
+  /**
+   * Mencatat interval suara yang dilewati: menambah counter alasan di data pengguna
+   * (`voiceSkips`) dan memicu event `voiceXpSkipped`.
+   * @method _recordVoiceSkip
+   * @param {string} guildId - ID server Discord.
+   * @param {string} userId - ID pengguna Discord.
+   * @param {string|null} channelId - ID voice channel interval tersebut.
+   * @param {string} reason - Alasan interval dilewati.
+   * @param {number} durationMillis - Durasi interval yang dilewati (milidetik).
+   * @returns {Promise<void>}
+   * @private
+   * @async
+   */
+  async _recordVoiceSkip(guildId, userId, channelId, reason, durationMillis) {
+    try {
+      await UserLevel.updateOne(
+        { guildId, userId },
+        { $inc: { [`voiceSkips.${reason}`]: 1 } },
+        { timestamps: false },
+      );
+      this.system.cacheManager.del(`level-${guildId}-${userId}`);
+    } catch (error) {
+      console.error(
+        `[XPManager] Gagal mencatat interval suara yang dilewati untuk ${userId}@${guildId}:`,
+        error.message,
+      );
+    }
+    /**
+     * Event dipicu saat interval XP suara dilewati karena tidak memenuhi aturan suara server.
+     * @event LevelingSystem#voiceXpSkipped
+     * @type {object}
+     * @property {string} guildId
+     * @property {string} userId
+     * @property {string|null} channelId
+     * @property {string} reason - Alasan (lihat `getVoiceSkipReason`).
+     * @property {number} durationMillis - Durasi interval yang tidak mendapat XP.
+     */
+    this.system.emit("voiceXpSkipped", {
+      guildId,
+      userId,
+      channelId,
+      reason,
+      durationMillis,
+    });
+  }
+
+  /**
+   * Memeriksa pesan terhadap filter kualitas pesan server (anti-farming XP).
+   * Urutan pemeriksaan: sticker saja, emoji saja, pola regex, jumlah karakter, jumlah kata, duplikat.
+   * @method checkMessageQuality
+   * @param {Message} message - Objek Message Discord.js.
+   * @param {object} filters - Objek `messageFilters` dari konfigurasi server yang sudah dinormalisasi.
+   * @param {string} [previousContent] - Isi pesan sebelumnya dari pengguna yang sama (untuk deteksi duplikat).
+   * @returns {{reason: string, detail: string|null}|null} Alasan penolakan, atau `null` jika pesan lolos semua filter.
+   */
+  checkMessageQuality(message, filters, previousContent) {
+    if (!filters) return null;
+    const content = (message.content ?? "").trim();
+
+    if (!content) {
+      return filters.ignoreStickerOnly && message.stickers?.size > 0
+        ? { reason: "sticker_only", detail: null }
+        : null;
+    }
+
+    if (filters.ignoreEmojiOnly && !content.replace(EMOJI_PATTERN, "").trim()) {
+      return { reason: "emoji_only", detail: null };
+    }
+
+    for (const pattern of filters.ignorePatterns ?? []) {
+      const regex = this._compilePattern(pattern);
+      if (regex?.test(content)) {
+        return { reason: "ignored_pattern", detail: pattern };
+      }
+    }
+
+    if (filters.minChars > 0 && content.length < filters.minChars) {
+      return { reason: "min_chars", detail: `${content.length}` };
+    }
+
+    if (filters.minWords > 0) {
+      const words = content.split(/\s+/).filter(Boolean).length;
+      if (words < filters.minWords) {
+        return { reason: "min_words", detail: `${words}` };
+      }
+    }
+
+    if (filters.duplicateSimilarity > 0 && previousContent) {
+      const similarity = this.getTextSimilarity(content, previousContent);
+      if (similarity * 100 >= filters.duplicateSimilarity) {
+        return {
+          reason: "duplicate",
+          detail: `${Math.round(similarity * 100)}%`,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Menghitung kemiripan dua teks (0-1) berdasarkan jarak Levenshtein setelah
+   * dinormalisasi (huruf kecil, spasi dirapikan, dipotong ke panjang perbandingan maksimum).
+   * @method getTextSimilarity
+   * @param {string} a - Teks pertama.
+   * @param {string} b - Teks kedua.
+   * @returns {number} Nilai kemiripan antara 0 (berbeda total) dan 1 (identik).
+   */
+  getTextSimilarity(a, b) {
+    const normalize = (text) =>
+      text
+        .toLowerCase()
+        .replace(/\s+/g, " ")
+        .trim()
+        .slice(0, DUPLICATE_COMPARE_LENGTH);
+    const left = normalize(a);
+    const right = normalize(b);
+    if (left === right) return 1;
+    if (!left.length || !right.length) return 0;
+
+    let previousRow = Array.from({ length: right.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= left.length; i++) {
+      const currentRow = [i];
+      for (let j = 1; j <= right.length; j++) {
+        const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+        currentRow[j] = Math.min(
+          previousRow[j] + 1,
+          currentRow[j - 1] + 1,
+          previousRow[j - 1] + cost,
+        );
+      }
+      previousRow = currentRow;
+    }
+    const distance = previousRow[right.length];
+    return 1 - distance / Math.max(left.length, right.length);
+  }
+
+  /**
+   * Memeriksa apakah pola regex filter aman dijalankan pada setiap pesan. Pola dengan quantifier
+   * bersarang (misal `(a+)+` atau `(\w*)*`) atau backreference ditolak karena dapat memicu
+   * backtracking eksponensial yang menghentikan event loop bot.
+   * @method isSafePattern
+   * @param {string} pattern - Sumber pola regex.
+   * @returns {boolean} `true` jika pola tidak mengandung konstruksi berbahaya.
+   */
+  isSafePattern(pattern) {
+    if (/\\(?:[1-9]|k<)/.test(pattern)) return false;
+    // Setiap entri menandai apakah grup (atau pola utama) berisi quantifier (`*`, `+`, atau `{n,m}`).
+    const groups = [false];
+    let inClass = false;
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === "\\") {
+        i++;
+      } else if (inClass) {
+        if (char === "]") inClass = false;
+      } else if (char === "[") {
+        inClass = true;
+      } else if (char === "(") {
+        groups.push(false);
+      } else if (char === ")") {
+        if (groups.length < 2) return false;
+        const hasQuantifier = groups.pop();
+        const quantified = ["*", "+", "{"].includes(pattern[i + 1]);
+        if (hasQuantifier && quantified) return false;
+        if (hasQuantifier || quantified) groups[groups.length - 1] = true;
+      } else if (char === "*" || char === "+" || char === "{") {
+        groups[groups.length - 1] = true;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Mengompilasi pola regex filter (tidak peka huruf besar/kecil) dengan cache.
+   * Pola yang tidak valid atau tidak aman (lihat `isSafePattern`) dicatat sekali ke log dan diabaikan.
+   * @method _compilePattern
+   * @param {string} pattern - Sumber pola regex.
+   * @returns {RegExp|null} RegExp hasil kompilasi, atau `null` jika pola tidak valid.
+   * @private
+   */
+  _compilePattern(pattern) {
+    if (this.patternCache.has(pattern)) return this.patternCache.get(pattern);
+    let regex = null;
+    try {
+      if (!this.isSafePattern(pattern)) {
+        throw new Error("quantifier bersarang atau backreference");
+      }
+      regex = new RegExp(pattern, "i");
+    } catch (error) {
+      console.warn(
+        `[XPManager] Pola filter pesan tidak valid diabaikan: ${pattern} (${error.message})`,
+      );
+    }
+    this.patternCache.set(pattern, regex);
+    return regex;
+  }
+
+  /**
+   * Mengundi XP dasar untuk satu pesan secara acak (distribusi seragam, inklusif)
+   * antara `xpPerMessageMin` dan `xpPerMessageMax`. Multiplier diterapkan setelah undian.
+   * @method rollMessageXP
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @returns {number} XP dasar hasil undian.
+   */
+  rollMessageXP(config) {
+    const min = Math.floor(config.xpPerMessageMin ?? config.xpPerMessage ?? 0);
+    const max = Math.floor(config.xpPerMessageMax ?? config.xpPerMessage ?? 0);
+    if (max <= min) return Math.max(0, max);
+    return min + Math.floor(Math.random() * (max - min + 1));
+  }
+
+  /**
+   * Mengembalikan rantai ID channel dari yang paling spesifik ke yang paling umum:
+   * thread/post forum → channel induk (teks/forum) → kategori. Untuk channel biasa: channel → kategori.
+   * @method getChannelLineage
+   * @param {import('discord.js').Guild} guild - Server tempat channel berada.
+   * @param {string|null} channelId - ID channel awal.
+   * @returns {string[]} Daftar ID channel, dimulai dari `channelId`. Kosong jika `channelId` tidak ada.
+   */
+  getChannelLineage(guild, channelId) {
+    if (!channelId) return [];
+    const lineage = [];
+    let channel = guild?.channels.cache.get(channelId);
+    if (!channel) return [channelId];
+    while (channel && !lineage.includes(channel.id)) {
+      lineage.push(channel.id);
+      channel = channel.parent;
+    }
+    return lineage;
+  }
+
+  /**
+   * Memeriksa apakah channel (atau salah satu induknya) ada di daftar channel yang diabaikan.
+   * @method isChannelIgnored
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @param {string[]} lineage - Rantai ID channel dari `getChannelLineage`.
+   * @returns {boolean} `true` jika channel diabaikan.
+   */
+  isChannelIgnored(config, lineage) {
+    return lineage.some((id) => config.ignoredChannels?.includes(id));
+  }
+
+  /**
+   * Mencari multiplier channel yang paling spesifik dalam rantai channel (thread → induk → kategori).
+   * @method getChannelMultiplier
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @param {string[]} lineage - Rantai ID channel dari `getChannelLineage`.
+   * @returns {{id: string, value: number}|null} ID channel yang cocok beserta multipliernya, atau `null`.
+   */
+  getChannelMultiplier(config, lineage) {
+    if (!(config.channelMultipliers instanceof Map)) return null;
+    const id = lineage.find((channelId) =>
+      config.channelMultipliers.has(channelId),
+    );
+    return id ? { id, value: config.channelMultipliers.get(id) } : null;
+  }
+
+  /**
+   * Menghitung multiplier XP efektif untuk aktivitas pesan maupun suara, sesuai mode
+   * `multiplierStacking` server. Faktor yang dihitung: multiplier role, multiplier channel,
+   * boost XP server, booster pribadi, dan bonus prestige.
+   * - `highest`: hanya multiplier role tertinggi (jika di atas 1), lalu dikalikan faktor lainnya.
+   * - `multiplicative`: semua multiplier role dan faktor lainnya dikalikan.
+   * - `additive`: bonus setiap faktor dijumlahkan (`1 + Σ(m - 1)`).
+   * - `capped`: seperti `multiplicative`, tetapi total dibatasi `multiplierCap`.
+   * @method calculateMultiplier
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @param {object} context - Konteks aktivitas.
+   * @param {import('discord.js').GuildMember} context.member - Member yang mendapat XP.
+   * @param {string|null} context.channelId - ID channel teks, thread, atau suara tempat aktivitas terjadi.
+   *        Multiplier channel dicari dari channel ini, lalu channel induk, lalu kategori (lihat `getChannelLineage`).
+   * @param {object} [context.userData] - Data level pengguna (untuk tier prestige dan streak harian).
+   * @returns {Promise<{multiplier: number, factors: Array<{type: string, id: string|null, value: number}>, mode: string, capped: boolean}>}
+   *          Multiplier akhir (minimal 0), daftar faktor yang dipakai, mode stacking, dan apakah batas diterapkan.
+   * @async
+   */
+  async calculateMultiplier(config, { member, channelId, userData }) {
+    const mode = config.multiplierStacking ?? "highest";
+    const guildId = member.guild.id;
+
+    const roleFactors = [];
+    if (config.roleMultipliers instanceof Map) {
+      member.roles.cache.forEach((role) => {
+        const value = config.roleMultipliers.get(role.id);
+        if (value && value !== 1) {
+          roleFactors.push({ type: "role", id: role.id, value });
+        }
+      });
+    }
+    // Mode `highest` mempertahankan perilaku lama: role dengan multiplier < 1 tidak menurunkan XP.
+    const highestRole = roleFactors.reduce(
+      (best, factor) => (factor.value > (best?.value ?? 1) ? factor : best),
+      null,
+    );
+    const factors =
+      mode === "highest" ? (highestRole ? [highestRole] : []) : roleFactors;
+
+    const channelMatch = this.getChannelMultiplier(
+      config,
+      this.getChannelLineage(member.guild, channelId),
+    );
+    const otherFactors = [
+      {
+        type: "channel",
+        id: channelMatch?.id ?? channelId,
+        value: channelMatch?.value || 1.0,
+      },
+      {
+        type: "boost",
+        id: null,
+        value: await this.system.boostManager.getBoostMultiplier(guildId, {
+          channelId,
+          member,
+        }),
+      },
+      {
+        type: "booster",
+        id: null,
+        value: await this.system.boostManager.getPersonalMultiplier(
+          guildId,
+          member.id,
+          config,
+        ),
+      },
+      {
+        type: "prestige",
+        id: null,
+        value: this.getPrestigeMultiplier(config, userData),
+      },
+      {
+        type: "streak",
+        id: null,
+        value: this.system.streakManager.getStreakMultiplier(config, userData),
+      },
+    ];
+    factors.push(...otherFactors.filter((factor) => factor.value !== 1));
+
+    let multiplier =
+      mode === "additive"
+        ? factors.reduce((total, f) => total + (f.value - 1), 1.0)
+        : factors.reduce((total, f) => total * f.value, 1.0);
+
+    let capped = false;
+    if (mode === "capped" && multiplier > config.multiplierCap) {
+      multiplier = config.multiplierCap;
+      capped = true;
+    }
+
+    return { multiplier: Math.max(0, multiplier), factors, mode, capped };
+  }
+
+  /**
+   * Menghitung multiplier XP permanen dari tier prestige pengguna.
+   * Setiap tier menambahkan bonus `prestigeXpBonus` (misal: 0.1 = +10% per tier).
+   * @method getPrestigeMultiplier
+   * @param {object} config - Konfigurasi server yang sudah dinormalisasi.
+   * @param {object} userData - Data level pengguna (memerlukan field `prestige`).
+   * @returns {number} Multiplier prestige (minimal 1.0).
+   */
+  getPrestigeMultiplier(config, userData) {
+    const tier = userData?.prestige ?? 0;
+    const bonusPerTier = config.prestigeXpBonus ?? 0;
+    if (tier <= 0 || bonusPerTier <= 0) return 1.0;
+    return 1 + tier * bonusPerTier;
+  }
+
   /**
    * Menerapkan pengurangan XP (penalty) kepada pengguna.
    * Hanya berjalan jika `enablePenaltySystem` diaktifkan dalam konfigurasi server.
@@ -249,11 +931,18 @@ class XPManager {
    * @param {string} userId - ID pengguna Discord.
    * @param {number} amount - Jumlah XP yang akan dikurangi (harus > 0).
    * @param {string} [reason="Pelanggaran aturan"] - Alasan mengapa penalty diberikan.
+   * @param {object} [options={}] - Opsi yang diteruskan ke `LevelingManager.removeXP` (misal: `actorId`, `note`, `manual`).
    * @returns {Promise<object|null>} Sebuah Promise yang resolve dengan objek data pengguna terbaru setelah pengurangan,
    *          atau `null` jika `amount` tidak positif, sistem penalty nonaktif, atau terjadi error.
    * @async
    */
-  async applyPenalty(guildId, userId, amount, reason = "Pelanggaran aturan") {
+  async applyPenalty(
+    guildId,
+    userId,
+    amount,
+    reason = "Pelanggaran aturan",
+    options = {},
+  ) {
     if (amount <= 0) return null;
 
     const config = await this.guildConfigManager.getConfig(guildId);
@@ -268,7 +957,13 @@ class XPManager {
       `[XPManager] Menerapkan penalty ${amount} XP ke ${userId}@${guildId}. Alasan: ${reason}`,
     );
 
-    return this.levelingManager.removeXP(guildId, userId, amount, reason);
+    return this.levelingManager.removeXP(
+      guildId,
+      userId,
+      amount,
+      reason,
+      options,
+    );
   }
 }
 
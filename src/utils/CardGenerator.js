@@ -59,6 +59,8 @@ class CardGenerator {
      * @property {string} levelColor - Warna teks level.
      * @property {string} rankColor - Warna teks rank.
      * @property {string} xpColor - Warna teks XP.
+     * @property {string} prestigeColor - Warna teks tier prestige.
+     * @property {string} streakColor - Warna teks streak harian.
      * @property {string} statusColorOnline - Warna indikator status online.
      * @property {string} statusColorIdle - Warna indikator status idle.
      * @property {string} statusColorDnd - Warna indikator status Do Not Disturb.
@@ -85,6 +87,8 @@ class CardGenerator {
       levelColor: "#FFFFFF",
       rankColor: "#B9BBBE",
       xpColor: "#B9BBBE",
+      prestigeColor: "#FFD700",
+      streakColor: "#FF8C42",
       statusColorOnline: "#43B581",
       statusColorIdle: "#FAA61A",
       statusColorDnd: "#F04747",
@@ -157,7 +161,10 @@ class CardGenerator {
    * @param {number} data.currentXP - Jumlah XP yang dimiliki pengguna pada level saat ini.
    * @param {number} data.requiredXP - Jumlah XP yang dibutuhkan untuk naik ke level berikutnya dari level saat ini.
    * @param {number} data.totalXP - Total akumulasi XP pengguna.
+   * @param {number} [data.prestige=0] - Tier prestige pengguna (tidak ditampilkan jika 0).
    * @param {string} [data.status='offline'] - Status kehadiran pengguna ('online', 'idle', 'dnd', 'offline').
+   * @param {number|null} [data.streak=null] - Streak harian saat ini (tidak ditampilkan jika `null`, misal streak nonaktif di server).
+   * @param {number} [data.bestStreak=0] - Streak harian terbaik pengguna.
    * @param {object} [guildConfig={}] - Objek konfigurasi server yang mungkin berisi opsi kustomisasi kartu (`rankCardBackground`, `rankCardOptions`).
    * @returns {Promise<AttachmentBuilder>} Sebuah Promise yang resolve dengan AttachmentBuilder Discord.js berisi buffer gambar PNG kartu rank.
    * @async
@@ -317,6 +324,18 @@ class CardGenerator {
     const rankText =
       data.rank > 0 ? `RANK #${this.formatNumber(data.rank, 0)}` : "UNRANKED";
     ctx.fillText(rankText, textEndX - levelWidth - 25, rankLevelY);
+    const rankWidth = ctx.measureText(rankText).width;
+
+    if (data.prestige > 0) {
+      ctx.font = `bold ${options.rankFontSize} ${options.fontFamily}`;
+      ctx.fillStyle = options.prestigeColor;
+      const prestigeText = `P${this.formatNumber(data.prestige, 0)}`;
+      ctx.fillText(
+        prestigeText,
+        textEndX - levelWidth - rankWidth - 50,
+        rankLevelY,
+      );
+    }
 
     const barHeight = 40;
     const barY = options.height - options.padding - barHeight;
@@ -333,6 +352,16 @@ class CardGenerator {
         : `${this.formatNumber(data.totalXP)} XP`;
     ctx.fillText(xpDisplayText, textEndX, barY - 12);
 
+    if (data.streak != null) {
+      ctx.fillStyle = options.streakColor;
+      ctx.textAlign = "left";
+      ctx.fillText(
+        `STREAK ${this.formatNumber(data.streak, 0)} · BEST ${this.formatNumber(data.bestStreak ?? 0, 0)}`,
+        barX,
+        barY - 12,
+      );
+    }
+
     ctx.fillStyle = options.progressBarBackgroundColor;
     this._roundRect(ctx, barX, barY, barWidth, barHeight, barRadius);
     ctx.fill();
@@ -450,7 +479,7 @@ class CardGenerator {
   /**
    * Membuat gambar kartu leaderboard untuk menampilkan peringkat teratas di server.
    * @method createLeaderboardCard
-   * @param {Array<object>} leaderboardData - Array berisi objek data pengguna teratas (minimal `userId`, `xp`, `level`).
+   * @param {Array<object>} leaderboardData - Array berisi objek data pengguna teratas (minimal `userId`, `xp`, `level`; opsional `prestige`).
    * @param {import('discord.js').Client} client - Instance Discord Client untuk mengambil data pengguna (username, avatar).
    * @param {string} guildName - Nama server untuk ditampilkan di header kartu.
    * @param {object} [guildConfig={}] - Objek konfigurasi server (saat ini tidak digunakan secara ekstensif untuk kartu ini).
@@ -584,6 +613,16 @@ class CardGenerator {
       ctx.fillStyle = "#FFFFFF";
       const levelText = `Lvl ${this.formatNumber(entry.level, 0)}`;
       ctx.fillText(levelText, endX - xpWidth - 20, contentY + 8);
+
+      if (entry.prestige > 0) {
+        const levelWidth = ctx.measureText(levelText).width;
+        ctx.fillStyle = this.defaultOptions.prestigeColor;
+        ctx.fillText(
+          `P${this.formatNumber(entry.prestige, 0)}`,
+          endX - xpWidth - levelWidth - 40,
+          contentY + 8,
+        );
+      }
     }
 
     const buffer = await canvas.encode("png");
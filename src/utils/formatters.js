@@ -1,6 +1,6 @@
 /**
  * @description Kumpulan fungsi utilitas untuk memformat data seperti angka dan durasi
- *              menjadi string yang lebih mudah dibaca oleh pengguna.
+ *              menjadi string yang lebih mudah dibaca oleh pengguna, serta membaca input durasi dari pengguna.
  */
 
 /**
@@ -79,6 +79,25 @@ function formatDuration(millis, longFormat = false) {
   return parts.slice(0, 2).join(" ");
 }
 
+/**
+ * Membaca input durasi ringkas dari pengguna (misal: "30m", "24h", "7d") menjadi milidetik.
+ * Satuan yang didukung: `m` (menit), `h` (jam), `d` (hari).
+ *
+ * @function parseDuration
+ * @param {string} input - Input durasi.
+ * @returns {number|null} Durasi dalam milidetik, atau `null` jika format tidak dikenali atau bernilai 0.
+ */
+function parseDuration(input) {
+  const match = String(input ?? "")
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+)\s*([mhd])$/);
+  if (!match) return null;
+  const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  const millis = parseInt(match[1], 10) * units[match[2]];
+  return millis > 0 ? millis : null;
+}
+
 /**
  * Mengonversi ukuran byte menjadi format yang mudah dibaca (KB, MB, GB, TB).
  * @param {number} bytes - Jumlah byte.
@@ -102,9 +121,11 @@ function formatBytes(bytes, decimals = 2) {
  * @description Mengekspor kumpulan fungsi utilitas pemformatan.
  * @property {function} formatNumber - Fungsi untuk memformat angka dengan suffix.
  * @property {function} formatDuration - Fungsi untuk memformat durasi dari milidetik.
+ * @property {function} parseDuration - Fungsi untuk membaca input durasi ringkas menjadi milidetik.
  */
 module.exports = {
   formatNumber,
   formatDuration,
   formatBytes,
+  parseDuration,
 };